@@ -49,6 +49,189 @@ const WORDS = [
   "PHONE",
 ];
 
+/* ============================================
+   Answer Lists for Other Word Lengths
+   ============================================ */
+const WORDS_4 = [
+  "BAKE",
+  "BOLT",
+  "CAVE",
+  "CHIP",
+  "CLAY",
+  "CORN",
+  "DART",
+  "DUSK",
+  "FERN",
+  "FISH",
+  "FROG",
+  "GLOW",
+  "HARP",
+  "HIKE",
+  "JAZZ",
+  "KITE",
+  "LAMP",
+  "LEAF",
+  "MAZE",
+  "MINT",
+  "MOON",
+  "NEST",
+  "OPAL",
+  "PEAK",
+  "PLUM",
+  "QUIZ",
+  "RAIN",
+  "ROCK",
+  "SAIL",
+  "SNOW",
+  "STAR",
+  "TIDE",
+  "TUNA",
+  "VASE",
+  "WAVE",
+  "WOLF",
+  "YARN",
+  "ZINC",
+  "BEAR",
+  "GOLD",
+];
+
+const WORDS_6 = [
+  "ANCHOR",
+  "BASKET",
+  "BRIDGE",
+  "CANDLE",
+  "CASTLE",
+  "DRAGON",
+  "ENGINE",
+  "FOREST",
+  "GARDEN",
+  "GUITAR",
+  "HAMMER",
+  "ISLAND",
+  "JACKET",
+  "JUNGLE",
+  "KITTEN",
+  "LADDER",
+  "MARKET",
+  "MIRROR",
+  "NEEDLE",
+  "ORANGE",
+  "PENCIL",
+  "PLANET",
+  "POCKET",
+  "PUZZLE",
+  "RABBIT",
+  "ROCKET",
+  "SADDLE",
+  "SCHOOL",
+  "SILVER",
+  "SPIDER",
+  "STREAM",
+  "SUMMER",
+  "TEMPLE",
+  "TICKET",
+  "TUNNEL",
+  "VALLEY",
+  "WINDOW",
+  "WINTER",
+  "YELLOW",
+  "ZIPPER",
+];
+
+const WORDS_7 = [
+  "BALLOON",
+  "BLANKET",
+  "CABBAGE",
+  "CAPTAIN",
+  "CHICKEN",
+  "COMPASS",
+  "CRYSTAL",
+  "DOLPHIN",
+  "EMERALD",
+  "FEATHER",
+  "FREEDOM",
+  "GIRAFFE",
+  "HARMONY",
+  "HORIZON",
+  "JOURNEY",
+  "KITCHEN",
+  "LANTERN",
+  "LIBRARY",
+  "MACHINE",
+  "MONSTER",
+  "MORNING",
+  "MYSTERY",
+  "NETWORK",
+  "ORCHARD",
+  "PAINTER",
+  "PANTHER",
+  "PICTURE",
+  "PYRAMID",
+  "RAINBOW",
+  "SCIENCE",
+  "SHELTER",
+  "STATION",
+  "TEACHER",
+  "THUNDER",
+  "TRUMPET",
+  "VOLCANO",
+  "WEATHER",
+  "WHISPER",
+  "BICYCLE",
+  "LOBSTER",
+];
+
+const WORDS_8 = [
+  "AIRPLANE",
+  "ALPHABET",
+  "BACKPACK",
+  "BASEBALL",
+  "BIRTHDAY",
+  "BLIZZARD",
+  "BOOKCASE",
+  "BUILDING",
+  "CALENDAR",
+  "CHAMPION",
+  "CHEMICAL",
+  "COMPUTER",
+  "CREATURE",
+  "DAUGHTER",
+  "DINOSAUR",
+  "DOORBELL",
+  "ELEPHANT",
+  "EXERCISE",
+  "FESTIVAL",
+  "FIREWORK",
+  "FOOTBALL",
+  "HOSPITAL",
+  "KEYBOARD",
+  "LANGUAGE",
+  "MAGAZINE",
+  "MOUNTAIN",
+  "NOTEBOOK",
+  "PAINTING",
+  "PLATFORM",
+  "QUESTION",
+  "SANDWICH",
+  "SKELETON",
+  "SNOWBALL",
+  "SQUIRREL",
+  "SUNSHINE",
+  "TERMINAL",
+  "THOUSAND",
+  "TREASURE",
+  "UMBRELLA",
+  "VACATION",
+];
+
+const WORDS_BY_LENGTH = {
+  4: WORDS_4,
+  5: WORDS,
+  6: WORDS_6,
+  7: WORDS_7,
+  8: WORDS_8,
+};
+
 /* ============================================
    Release Notes Configuration
    Update version when you make changes to show users what's new
@@ -131,14 +314,60 @@ const KEYBOARD_LAYOUT = [
    Game Constants
    ============================================ */
 const GAME_CONFIG = {
-  MAX_ATTEMPTS: 6,
-  WORD_LENGTH: 5,
+  MAX_ATTEMPTS: 6, // Default (5-letter) budget - see ATTEMPTS_BY_LENGTH
+  WORD_LENGTH: 5, // Default word length
+  ATTEMPTS_BY_LENGTH: { 4: 5, 5: 6, 6: 7, 7: 8, 8: 9 },
+  ATTEMPTS_BONUS_BY_BOARDS: { 1: 0, 2: 1, 4: 3 }, // Dordle 7, Quordle 9 tries
   ANIMATION_DELAY: 300,
   FLIP_ANIMATION_DURATION: 1500,
   RELEASE_NOTES_DELAY: 500,
   MESSAGE_DISPLAY_TIME: 2000,
+  DAILY_EPOCH: "2025-11-08", // Daily puzzle #0 (v1.0.0 release day)
+  DAILY_TIME_ZONE: undefined, // undefined = player's local time, or e.g. "UTC"
 };
 
+/* ============================================
+   Game Modes
+   ============================================ */
+const GAME_MODES = {
+  DAILY: "daily", // One shared puzzle per day, feeds stats & leaderboard
+  PRACTICE: "practice", // Unlimited random puzzles, tracked separately
+};
+
+/* ============================================
+   Leaderboard Periods
+   Ranked from the daily games finished in the period (wins, then fewest
+   average guesses); players need minGames there to be listed.
+   ============================================ */
+const LEADERBOARD_PERIODS = {
+  today: { label: "Today", minGames: 1 },
+  week: { label: "This Week", minGames: 3 },
+  month: { label: "This Month", minGames: 5 },
+  all: { label: "All Time", minGames: 10 },
+};
+
+/* ============================================
+   Live Leaderboard
+   While the leaderboard is open it follows Supabase Realtime changes, or
+   polls when realtime is unavailable.
+   ============================================ */
+const LEADERBOARD_LIVE = {
+  POLL_INTERVAL: 30000,
+  REFRESH_DELAY: 1000, // A burst of changes refreshes once
+  FEED_LENGTH: 5, // Latest group results shown
+};
+
+/* ============================================
+   Dictionary Providers
+   Ordered chain used to validate guesses - the first definite answer wins.
+   Types: "bundled" (dictionary/ word lists), "freeDictionary" (public API),
+   "jsonHttp" (your own endpoint). Each entry can set its own timeout (ms).
+   Example self-hosted service, asked only when the bundled list can't answer:
+     { type: "jsonHttp", url: "https://words.example.com/check?word={word}",
+       field: "valid", timeout: 2000 }
+   ============================================ */
+const DICTIONARY_PROVIDERS = [{ type: "bundled", timeout: 5000 }];
+
 /* ============================================
    Color Scheme Configuration
    ============================================ */
@@ -146,6 +375,7 @@ const COLORS = {
   CORRECT: "#6aaa64",
   PRESENT: "#c9b458",
   ABSENT: "#787c7e",
+  UNUSED: "#d3d6da", // Keyboard key with no hint yet
   PRIMARY_GRADIENT_START: "#667eea",
   PRIMARY_GRADIENT_END: "#764ba2",
 };
@@ -156,6 +386,12 @@ const COLORS = {
 const STORAGE_KEYS = {
   STATS: "wordleStats",
   RELEASE_NOTES_VERSION: "releaseNotesVersion",
+  PRACTICE_STATS: "wordlePracticeStats",
+  GAME_MODE: "wordleGameMode",
+  DAILY_RESULT: "wordleDailyResult",
+  HARD_MODE: "wordleHardMode",
+  WORD_LENGTH: "wordleWordLength",
+  BOARD_COUNT: "wordleBoardCount",
 };
 
 /* ============================================
@@ -166,4 +402,5 @@ const DEFAULT_STATS = {
   gamesWon: 0,
   currentStreak: 0,
   maxStreak: 0,
+  guessDistribution: {}, // Wins by number of guesses, e.g. { 3: 4, 4: 2 }
 };
@@ -1,871 +1,538 @@
 /* ============================================
    DICTIONARY VALIDATION SERVICE
-   Validates 5-letter words using:
-   1. Free Dictionary API (primary)
-   2. Local cache (fallback for performance)
-   3. Hardcoded backup (emergency fallback)
+   Validates guesses (4-8 letters) through an ordered chain of providers
+   (DICTIONARY_PROVIDERS in config.js). The first definite answer wins:
+   - bundled:        word lists in dictionary/, loaded per length on first use
+   - freeDictionary: Free Dictionary API (2xx = valid, 404 = invalid)
+   - jsonHttp:       any JSON endpoint, e.g. a self-hosted word service
+   If every provider answers "unknown", answers are still accepted.
+   Answers from network providers are kept in a bounded ValidationCache.
    ============================================ */
 
 /**
- * Minimal backup list for when API is unavailable
- * This list is much smaller and easier to maintain
- * since the API is the primary source
+ * Provider answers. A provider's check(word, { signal }) resolves to one of
+ * these; "unknown" (or an error/timeout) passes the word down the chain.
+ * Providers may also set `timeout` (ms), `checkSync(word)` for in-memory
+ * answers and `cacheable: false` to keep their answers out of the cache.
  */
-const BACKUP_WORDS = new Set([
-  // Common 5-letter words as safety net
-  "ABOUT",
-  "ABOVE",
-  "ABUSE",
-  "ADMIT",
-  "ADOPT",
-  "ADULT",
-  "AFTER",
-  "AGAIN",
-  "AGENT",
-  "AGREE",
-  "ALARM",
-  "ALBUM",
-  "ALERT",
-  "ALIEN",
-  "ALLOW",
-  "ALONE",
-  "ALONG",
-  "ALTER",
-  "ANGEL",
-  "ANGER",
-  "ANGRY",
-  "APPLE",
-  "ARENA",
-  "ARGUE",
-  "ARISE",
-  "ARROW",
-  "ASIDE",
-  "AUDIO",
-  "AVOID",
-  "AWAKE",
-  "AWARD",
-  "AWARE",
-  "BADLY",
-  "BEACH",
-  "BEACH",
-  "BEAST",
-  "BEGAN",
-  "BEGIN",
-  "BEING",
-  "BELOW",
-  "BENCH",
-  "BILLY",
-  "BIRTH",
-  "BLACK",
-  "BLADE",
-  "BLAME",
-  "BLANK",
-  "BLAST",
-  "BLEAK",
-  "BLEND",
-  "BLESS",
-  "BLIND",
-  "BLOCK",
-  "BLOOD",
-  "BOARD",
-  "BOOST",
-  "BOOTH",
-  "BOUND",
-  "BRAIN",
-  "BRAND",
-  "BRASS",
-  "BRAVE",
-  "BREAD",
-  "BREAK",
-  "BREED",
-  "BRIEF",
-  "BRING",
-  "BRINK",
-  "BRISK",
-  "BROAD",
-  "BROKE",
-  "BROOK",
-  "BROWN",
-  "BUILD",
-  "BURST",
-  "BUYER",
-  "CABLE",
-  "CAMEL",
-  "CANAL",
-  "CANDY",
-  "CARGO",
-  "CARRY",
-  "CATCH",
-  "CAUSE",
-  "CHAIN",
-  "CHAIR",
-  "CHALK",
-  "CHAMP",
-  "CHANT",
-  "CHAOS",
-  "CHARM",
-  "CHART",
-  "CHASE",
-  "CHEAP",
-  "CHEAT",
-  "CHECK",
-  "CHEEK",
-  "CHEER",
-  "CHESS",
-  "CHEST",
-  "CHIEF",
-  "CHILD",
-  "CHINA",
-  "CHOSE",
-  "CHUNK",
-  "CLAIM",
-  "CLASS",
-  "CLEAN",
-  "CLEAR",
-  "CLICK",
-  "CLIFF",
-  "CLIMB",
-  "CLOCK",
-  "CLOSE",
-  "CLOUD",
-  "COACH",
-  "COAST",
-  "COULD",
-  "COUNT",
-  "COUCH",
-  "COUGH",
-  "COURT",
-  "CRACK",
-  "CRAFT",
-  "CRASH",
-  "CRAZY",
-  "CREAM",
-  "CREEK",
-  "CRIME",
-  "CRISP",
-  "CROSS",
-  "CROWD",
-  "CROWN",
-  "CRUDE",
-  "CRUSH",
-  "CURVE",
-  "CYCLE",
-  "DAILY",
-  "DANCE",
-  "DATED",
-  "DEALT",
-  "DEATH",
-  "DELAY",
-  "DEPTH",
-  "DERBY",
-  "DETER",
-  "DEVIL",
-  "DIARY",
-  "DIRTY",
-  "DITCH",
-  "DIVER",
-  "DIZZY",
-  "DOING",
-  "DONOR",
-  "DOUBT",
-  "DOUGH",
-  "DOZEN",
-  "DRAFT",
-  "DRAIN",
-  "DRANK",
-  "DRAWN",
-  "DREAD",
-  "DREAM",
-  "DRESS",
-  "DRIED",
-  "DRIFT",
-  "DRILL",
-  "DRINK",
-  "DRIVE",
-  "DROWN",
-  "DRUGS",
-  "DRUNK",
-  "DWELL",
-  "EAGER",
-  "EAGLE",
-  "EARLY",
-  "EARTH",
-  "EATEN",
-  "EAGER",
-  "EIGHT",
-  "EJECT",
-  "ELUDE",
-  "EMAIL",
-  "EMBER",
-  "EMPTY",
-  "ENEMY",
-  "ENJOY",
-  "ENTER",
-  "ENTRY",
-  "EQUAL",
-  "ERROR",
-  "ERUPT",
-  "ESSAY",
-  "EVENT",
-  "EVERY",
-  "EVOKE",
-  "EXACT",
-  "EXERT",
-  "EXILE",
-  "EXIST",
-  "EXTRA",
-  "EXUDE",
-  "FACED",
-  "FACTS",
-  "FADED",
-  "FAILS",
-  "FAITH",
-  "FALLS",
-  "FALSE",
-  "FAMED",
-  "FANCY",
-  "FARCE",
-  "FARMS",
-  "FATAL",
-  "FAULT",
-  "FAVOR",
-  "FEAST",
-  "FIELD",
-  "FIERY",
-  "FIFTH",
-  "FIGHT",
-  "FINAL",
-  "FINDS",
-  "FIRED",
-  "FIRST",
-  "FISH",
-  "FISTS",
-  "FIXED",
-  "FIZZY",
-  "FLAGS",
-  "FLAKE",
-  "FLAME",
-  "FLANK",
-  "FLARE",
-  "FLASH",
-  "FLASK",
-  "FLATS",
-  "FLEET",
-  "FLESH",
-  "FLICK",
-  "FLIER",
-  "FLING",
-  "FLINT",
-  "FLOAT",
-  "FLOCK",
-  "FLOOD",
-  "FLOOR",
-  "FLORA",
-  "FLOUR",
-  "FLOWS",
-  "FLUID",
-  "FLUSH",
-  "FLUTE",
-  "FOAMS",
-  "FOCAL",
-  "FOCUS",
-  "FOGGY",
-  "FOLKS",
-  "FOLLY",
-  "FOODS",
-  "FOOLS",
-  "FORCE",
-  "FORGE",
-  "FORKS",
-  "FORMS",
-  "FORTE",
-  "FORTH",
-  "FORTY",
-  "FORUM",
-  "FOUND",
-  "FOURS",
-  "FOWLS",
-  "FOXES",
-  "FRAME",
-  "FRANK",
-  "FRAUD",
-  "FREAK",
-  "FREED",
-  "FRESH",
-  "FRIED",
-  "FRIES",
-  "FRILL",
-  "FRISK",
-  "FRITZ",
-  "FROCK",
-  "FROGS",
-  "FROND",
-  "FRONT",
-  "FROST",
-  "FROTH",
-  "FROWN",
-  "FROZE",
-  "FRUIT",
-  "FULLY",
-  "FUMES",
-  "FUNDS",
-  "FUNKY",
-  "FUNNY",
-  "FURRY",
-  "FUZZY",
-  "GABLE",
-  "GAINS",
-  "GAMES",
-  "GANGS",
-  "GALES",
-  "GASES",
-  "GASPS",
-  "GATES",
-  "GAUGE",
-  "GAUNT",
-  "GAUZE",
-  "GAVEL",
-  "GEARS",
-  "GEESE",
-  "GENES",
-  "GENRE",
-  "GENTS",
-  "GENUS",
-  "GERMS",
-  "GIANT",
-  "GIFTS",
-  "GILLS",
-  "GIRLS",
-  "GIRTH",
-  "GIVEN",
-  "GIVER",
-  "GIZMO",
-  "GLAND",
-  "GLARE",
-  "GLASS",
-  "GLAZE",
-  "GLEAN",
-  "GLEAM",
-  "GLIDE",
-  "GLINT",
-  "GLOOM",
-  "GLORY",
-  "GLOSS",
-  "GLOVE",
-  "GLOWS",
-  "GLUED",
-  "GLUES",
-  "GNASH",
-  "GNATS",
-  "GOALS",
-  "GOATS",
-  "GODLY",
-  "GOING",
-  "GOLDS",
-  "GOLFS",
-  "GONAD",
-  "GONER",
-  "GONGS",
-  "GOODS",
-  "GOOFS",
-  "GOOFY",
-  "GOOSE",
-  "GORGE",
-  "GORSE",
-  "GOTTA",
-  "GOUGE",
-  "GOWNS",
-  "GRABS",
-  "GRACE",
-  "GRADE",
-  "GRAFT",
-  "GRAIN",
-  "GRAND",
-  "GRANT",
-  "GRAPE",
-  "GRAPH",
-  "GRASP",
-  "GRASS",
-  "GRATE",
-  "GRAVE",
-  "GRAVY",
-  "GRAZE",
-  "GREAT",
-  "GREED",
-  "GREEN",
-  "GREET",
-  "GRIEF",
-  "GRILL",
-  "GRIME",
-  "GRIND",
-  "GRINS",
-  "GRIPE",
-  "GRIST",
-  "GRITS",
-  "GROAN",
-  "GROOM",
-  "GROPE",
-  "GROSS",
-  "GROUP",
-  "GROUT",
-  "GROVE",
-  "GROWL",
-  "GROWN",
-  "GROWS",
-  "GRUBS",
-  "GRUFF",
-  "GRUNT",
-  "GUARD",
-  "GUESS",
-  "GUEST",
-  "GUIDE",
-  "GUILD",
-  "GUILT",
-  "GULCH",
-  "GULFS",
-  "GULLS",
-  "GULPS",
-  "GUMMY",
-  "GUNKS",
-  "GUPPY",
-  "GURUS",
-  "GUSTS",
-  "GUSTY",
-  "GUTSY",
-  "HABIT",
-  "HACKS",
-  "HAFTS",
-  "HAIKU",
-  "HAILS",
-  "HAIRS",
-  "HAIRY",
-  "HALES",
-  "HALLS",
-  "HALTS",
-  "HALVE",
-  "HANDS",
-  "HANDY",
-  "HANGS",
-  "HANKS",
-  "HAPPY",
-  "HARDY",
-  "HAREM",
-  "HARES",
-  "HARMS",
-  "HARPS",
-  "HARRY",
-  "HARSH",
-  "HASTE",
-  "HASTY",
-  "HATCH",
-  "HATED",
-  "HATER",
-  "HATES",
-  "HAULS",
-  "HAUNT",
-  "HAVEN",
-  "HAWKS",
-  "HAZEL",
-  "HEADS",
-  "HEADY",
-  "HEALS",
-  "HEAPS",
-  "HEARS",
-  "HEART",
-  "HEATS",
-  "HEAVE",
-  "HEAVY",
-  "HEDGE",
-  "HEEDS",
-  "HEELS",
-  "HEFTS",
-  "HEFTY",
-  "HEIRS",
-  "HEIST",
-  "HELIX",
-  "HELLO",
-  "HELMS",
-  "HELPS",
-  "HENCE",
-  "HENNA",
-  "HERBS",
-  "HERDS",
-  "HERON",
-  "HEROS",
-  "HERTZ",
-  "HEXED",
-  "HEXES",
-  "HICKS",
-  "HIDES",
-  "HIGHS",
-  "HIKED",
-  "HIKER",
-  "HIKES",
-  "HILLS",
-  "HILTS",
-  "HINGE",
-  "HINTS",
-  "HIPPO",
-  "HIPPY",
-  "HIRED",
-  "HIRES",
-  "HITCH",
-  "HIVED",
-  "HIVES",
-  "HOAGY",
-  "HOARD",
-  "HOARS",
-  "HOBBY",
-  "HOCKS",
-  "HOIST",
-  "HOKEY",
-  "HOLDS",
-  "HOLED",
-  "HOLES",
-  "HOLEY",
-  "HOLLY",
-  "HOLMS",
-  "HOMES",
-  "HOMEY",
-  "HONED",
-  "HONER",
-  "HONES",
-  "HONKS",
-  "HONOR",
-  "HOODS",
-  "HOOFS",
-  "HOOKS",
-  "HOOKY",
-  "HOOPS",
-  "HOOTS",
-  "HOPED",
-  "HOPER",
-  "HOPES",
-  "HORAH",
-  "HORDE",
-  "HORNS",
-  "HORNY",
-  "HORSE",
-  "HOSED",
-  "HOSES",
-  "HOSTS",
-  "HOTLY",
-  "HOUND",
-  "HOURS",
-  "HOUSE",
-  "HOVEL",
-  "HOVER",
-  "HOWDY",
-  "HOWLS",
-  "HUBBY",
-  "HUFFS",
-  "HUFFY",
-  "HUGER",
-  "HULKS",
-  "HULLS",
-  "HUMAN",
-  "HUMID",
-  "HUMOR",
-  "HUMPH",
-  "HUMUS",
-  "HUNCH",
-  "HUNKS",
-  "HUNKY",
-  "HUNTS",
-  "HURLS",
-  "HURRY",
-  "HURTS",
-  "HUSKS",
-  "HUSKY",
-  "HUSSY",
-  "HUTCH",
-  "HYDRA",
-  "HYENA",
-  "HYPES",
-  "HYPED",
-  "HYPER",
-  "ICIER",
-  "ICING",
-  "ICONS",
-  "IDEAL",
-  "IDEAS",
-  "IDIOM",
-  "IDIOT",
-  "IDLED",
-  "IDLER",
-  "IDLES",
-  "IDOLS",
-  "IGLOO",
-  "IGLUS",
-  "IMAGE",
-  "IMAGO",
-  "IMBED",
-  "IMBUE",
-  "IMPLY",
-  "IMPEL",
-  "IMPED",
-  "IMPLY",
-  "INANE",
-  "INAPT",
-  "INBOX",
-  "INCUR",
-  "INDIA",
-  "INERT",
-  "INFER",
-  "INFRA",
-  "INGOT",
-  "INKED",
-  "INKER",
-  "INLET",
-  "INNER",
-  "INPUT",
-  "INSET",
-  "INSIR",
-  "INTER",
-  "INTIS",
-  "INTRO",
-  "INURE",
-  "INURN",
-  "IODID",
-  "IONIC",
-  "IRONS",
-  "IRONY",
-  "ISLET",
-  "ISSUE",
-  "ITCHY",
-  "ITEMS",
-  "IAMBI",
-  "IAMBS",
-  "IVORY",
-  "JACKS",
-  "JADE",
-  "JAILS",
-  "JAMES",
-  "JEANS",
-  "JEEPS",
-  "JEERS",
-  "JELLS",
-  "JELLY",
-  "JERKS",
-  "JERKY",
-  "JERRY",
-  "JESSE",
-  "JESTS",
-  "JESTS",
-  "JESUS",
-  "JETTY",
-  "JEWEL",
-  "JIFFY",
-  "JIGGY",
-  "JIHAD",
-  "JILT",
-  "JIMMY",
-  "JINNI",
-  "JINKS",
-  "JINXE",
-  "JIVED",
-  "JIVER",
-  "JIVES",
-  "JOEYS",
-  "JOHNS",
-  "JOINS",
-  "JOINT",
-  "JOIST",
-  "JOKED",
-  "JOKER",
-  "JOKES",
-  "JOLLY",
-  "JOLTS",
-  "JOUST",
-  "JOWLY",
-  "JOYLY",
-  "JUDOS",
-  "JUICE",
-  "JUICY",
-  "JULEP",
-  "JUMBO",
-  "JUMPS",
-  "JUMPY",
-  "JUNCO",
-  "JUNKS",
-  "JUNKY",
-  "JUROR",
-  "JURAT",
-  "JUSTI",
-  "JUTES",
-  "KACHU",
-  "KAFKA",
-  "KAILS",
-  "KAINS",
-  "KAKAS",
-  "KALES",
-  "KALIS",
-  "KALIS",
-  "KAMEK",
-  "KAMES",
-  "KAMIS",
-  "KAMMY",
-  "KAMOK",
-  "KANAL",
-  "KANDY",
-  "KANES",
-  "KANGS",
-  "KANTO",
-  "KAONS",
-  "KAPAS",
-  "KAPED",
-  "KAPEL",
-  "KAPEN",
-  "KAPER",
-  "KAPES",
-  "KAPHS",
-  "KAPOK",
-  "KAPOW",
-  "KAPPO",
-  "KAPPE",
-  "KAPPO",
-  "KAPOO",
-  "KAPPA",
-  "KAPPO",
-  "KARAT",
-  "KARATS",
-  "KARAY",
-  "KARDS",
-  "KAREZ",
-  "KAREF",
-  "KAREN",
-  "KAREQ",
-  "KARER",
-  "KARES",
-  "KAREY",
-  "KAREY",
-  "KARGY",
-  "KARGA",
-  "KARGY",
-  "KARGO",
-  "KARGY",
-  "KARGI",
-  "KARGO",
-  "KARGY",
-  "KARHY",
-  "KARIB",
-  // Add more as needed - this is just a safety net
-]);
+const WORD_STATUS = {
+  VALID: "valid",
+  INVALID: "invalid",
+  UNKNOWN: "unknown",
+};
 
 /**
- * Dictionary Validation Service
- * Provides word validation with API primary source and local caching
+ * Unpack a front-coded word list: each entry is one digit (letters shared
+ * with the previous word) followed by the rest of the word. Every word has
+ * the same length, so entries need no separator.
  */
-class DictionaryService {
-  constructor() {
-    this.cache = this.loadCache();
-    this.API_URL = "https://api.dictionaryapi.dev/api/v2/entries/en";
-    this.CACHE_KEY = "wordValidationCache";
-    this.API_TIMEOUT = 3000; // 3 second timeout
+function unpackWordList(packed, length) {
+  const words = new Set();
+  let previous = "";
+  let i = 0;
+
+  while (i < packed.length) {
+    const shared = Number(packed[i]);
+    const rest = length - shared;
+    previous = previous.slice(0, shared) + packed.slice(i + 1, i + 1 + rest);
+    words.add(previous);
+    i += 1 + rest;
+  }
+
+  return words;
+}
+
+/**
+ * Bundled list provider: dictionary/words-N.txt (built by
+ * scripts/build-dictionary.js), fetched once per length, then checked
+ * synchronously from memory
+ */
+class BundledListProvider {
+  constructor({ baseUrl = "dictionary", timeout = 5000 } = {}) {
+    this.name = "bundled";
+    this.cacheable = false; // Already in memory
+    this.baseUrl = baseUrl;
+    this.timeout = timeout;
+    this.lists = {}; // length -> Set of words
+    this.pending = {}; // length -> in-flight load Promise
+  }
+
+  /**
+   * Fetch and unpack the list for a length (once). Resolves to false if it
+   * couldn't be loaded; the next call will try again.
+   */
+  preload(length) {
+    if (this.lists[length]) return Promise.resolve(true);
+    if (this.pending[length]) return this.pending[length];
+
+    this.pending[length] = fetchWithTimeout(
+      `${this.baseUrl}/words-${length}.txt`,
+      this.timeout
+    )
+      .then((response) => response.text())
+      .then((packed) => {
+        this.lists[length] = unpackWordList(packed.trim(), length);
+        console.log(
+          `✅ Loaded ${this.lists[length].size} ${length}-letter words`
+        );
+        return true;
+      })
+      .catch((error) => {
+        console.warn(
+          `Failed to load ${length}-letter word list:`,
+          error.message
+        );
+        return false;
+      })
+      .finally(() => {
+        delete this.pending[length];
+      });
+
+    return this.pending[length];
+  }
+
+  isLoaded(length) {
+    return Boolean(this.lists[length]);
+  }
+
+  /**
+   * Answer from memory if the list is loaded, otherwise "unknown"
+   */
+  checkSync(word) {
+    const list = this.lists[word.length];
+    if (!list) return WORD_STATUS.UNKNOWN;
+    return list.has(word) ? WORD_STATUS.VALID : WORD_STATUS.INVALID;
+  }
+
+  async check(word) {
+    await this.preload(word.length);
+    return this.checkSync(word);
+  }
+}
+
+/**
+ * Free Dictionary API provider (https://dictionaryapi.dev)
+ */
+class FreeDictionaryProvider {
+  constructor({
+    url = "https://api.dictionaryapi.dev/api/v2/entries/en",
+    timeout = 3000,
+  } = {}) {
+    this.name = "freeDictionary";
+    this.url = url;
+    this.timeout = timeout;
+  }
+
+  async check(word, { signal } = {}) {
+    const response = await fetch(`${this.url}/${word.toLowerCase()}`, {
+      signal,
+    });
+
+    if (response.ok) return WORD_STATUS.VALID; // Word exists in dictionary
+    if (response.status === 404) return WORD_STATUS.INVALID; // Word not found
+    return WORD_STATUS.UNKNOWN; // Server trouble - let the next provider try
+  }
+}
+
+/**
+ * Generic JSON HTTP provider for self-hosted word services.
+ * `url` may contain {word} (uppercase) or {lower}; the JSON response's
+ * `field` (default "valid") must be true or false, anything else is unknown.
+ */
+class JsonHttpProvider {
+  constructor({ url, field = "valid", headers = {}, timeout = 3000 } = {}) {
+    if (!url) {
+      throw new Error("jsonHttp dictionary provider needs a url");
+    }
+    this.name = "jsonHttp";
+    this.url = url;
+    this.field = field;
+    this.headers = headers;
+    this.timeout = timeout;
+  }
+
+  async check(word, { signal } = {}) {
+    const url = this.url
+      .replace("{word}", encodeURIComponent(word))
+      .replace("{lower}", encodeURIComponent(word.toLowerCase()));
+    const response = await fetch(url, { headers: this.headers, signal });
+    if (!response.ok) return WORD_STATUS.UNKNOWN;
+
+    const body = await response.json();
+    if (body && body[this.field] === true) return WORD_STATUS.VALID;
+    if (body && body[this.field] === false) return WORD_STATUS.INVALID;
+    return WORD_STATUS.UNKNOWN;
+  }
+}
+
+const DICTIONARY_PROVIDER_TYPES = {
+  bundled: BundledListProvider,
+  freeDictionary: FreeDictionaryProvider,
+  jsonHttp: JsonHttpProvider,
+};
+
+/**
+ * Build a provider from a config entry: { type, ...options }.
+ * Objects that already have a check() method are used as-is.
+ */
+function createDictionaryProvider(spec) {
+  if (typeof spec.check === "function") return spec;
+
+  const Provider = DICTIONARY_PROVIDER_TYPES[spec.type];
+  if (!Provider) {
+    throw new Error(`Unknown dictionary provider type "${spec.type}"`);
+  }
+  return new Provider(spec);
+}
+
+/**
+ * fetch() that aborts after `timeout` ms and rejects on non-2xx
+ */
+async function fetchWithTimeout(url, timeout, options = {}) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const response = await fetch(url, {
+      ...options,
+      signal: controller.signal,
+    });
+    if (!response.ok) {
+      throw new Error(`Request returned status ${response.status}`);
+    }
+    return response;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Validation Cache
+ * LRU map of word -> answer persisted to localStorage:
+ * - capped at maxEntries (least recently used evicted first)
+ * - per-entry expiry; fallback "invalid" answers (nobody could check the
+ *   word) expire quickly so the word is re-checked once providers are back
+ * - versioned, so older formats are discarded instead of misread
+ * - writes are batched into one save per flushDelay
+ */
+class ValidationCache {
+  constructor({
+    storageKey = "wordValidationCache",
+    maxEntries = 1000,
+    ttl = 30 * 24 * 60 * 60 * 1000, // 30 days
+    fallbackTtl = 2 * 60 * 1000, // 2 minutes
+    flushDelay = 1000,
+    now = () => Date.now(),
+  } = {}) {
+    this.SCHEMA_VERSION = 2; // v1 was a bare { WORD: boolean } map
+    this.storageKey = storageKey;
+    this.maxEntries = maxEntries;
+    this.ttl = ttl;
+    this.fallbackTtl = fallbackTtl;
+    this.flushDelay = flushDelay;
+    this.now = now;
+    this.saveTimer = null;
+    this.stats = { hits: 0, misses: 0, evictions: 0 };
+    this.entries = this.load(); // Map keeps insertion order = LRU order
   }
 
   /**
-   * Load cached validation results from localStorage
+   * Load saved entries, dropping expired ones and unknown schema versions
    */
-  loadCache() {
+  load() {
+    const entries = new Map();
     try {
-      const cached = localStorage.getItem(this.CACHE_KEY);
-      return cached ? JSON.parse(cached) : {};
+      const saved = JSON.parse(localStorage.getItem(this.storageKey));
+      if (!saved) return entries;
+
+      if (saved.version !== this.SCHEMA_VERSION) {
+        localStorage.removeItem(this.storageKey);
+        return entries;
+      }
+
+      const now = this.now();
+      saved.entries.forEach(([word, valid, authoritative, expires]) => {
+        if (expires > now) {
+          entries.set(word, { valid, authoritative, expires });
+        }
+      });
     } catch (e) {
       console.warn("Failed to load word cache:", e);
-      return {};
     }
+    return entries;
+  }
+
+  /**
+   * Cached answer (true/false), or undefined if missing or expired
+   */
+  get(word) {
+    const entry = this.entries.get(word);
+    if (!entry) return undefined;
+
+    this.entries.delete(word);
+    if (entry.expires <= this.now()) {
+      this.scheduleSave();
+      return undefined;
+    }
+
+    this.entries.set(word, entry); // Most recently used goes last
+    this.stats.hits++;
+    return entry.valid;
+  }
+
+  /**
+   * Store an answer. Authoritative answers came from a provider; fallback
+   * answers only from the answer list.
+   */
+  set(word, valid, authoritative) {
+    const ttl = authoritative || valid ? this.ttl : this.fallbackTtl;
+    this.entries.delete(word);
+    this.entries.set(word, {
+      valid,
+      authoritative,
+      expires: this.now() + ttl,
+    });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.stats.evictions++;
+    }
+    this.scheduleSave();
+  }
+
+  /**
+   * A lookup the cache couldn't answer (the chain had to be asked)
+   */
+  recordMiss() {
+    this.stats.misses++;
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.flush(), this.flushDelay);
   }
 
   /**
-   * Save cache to localStorage
+   * Write all entries now (also called when the page is hidden)
    */
-  saveCache() {
+  flush() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
     try {
-      localStorage.setItem(this.CACHE_KEY, JSON.stringify(this.cache));
+      localStorage.setItem(
+        this.storageKey,
+        JSON.stringify({
+          version: this.SCHEMA_VERSION,
+          entries: Array.from(this.entries, ([word, e]) => [
+            word,
+            e.valid,
+            e.authoritative,
+            e.expires,
+          ]),
+        })
+      );
     } catch (e) {
       console.warn("Failed to save word cache:", e);
     }
   }
 
+  clear() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.entries.clear();
+    try {
+      localStorage.removeItem(this.storageKey);
+    } catch (e) {
+      console.warn("Failed to clear cache:", e);
+    }
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      fallbackEntries: Array.from(this.entries.values()).filter(
+        (e) => !e.authoritative
+      ).length,
+      hits: this.stats.hits,
+      misses: this.stats.misses,
+      hitRate: lookups > 0 ? this.stats.hits / lookups : 0,
+      evictions: this.stats.evictions,
+    };
+  }
+}
+
+/**
+ * Dictionary Validation Service
+ * Runs the provider chain (each provider gets its own timeout), caching
+ * answers from network providers
+ */
+class DictionaryService {
+  constructor(providers, cacheOptions) {
+    this.DEFAULT_TIMEOUT = 3000; // For providers without their own timeout
+    this.providers = providers ? providers.map(createDictionaryProvider) : null;
+    this.cache = new ValidationCache(cacheOptions);
+
+    // Don't lose a pending batched write when the page goes away
+    if (typeof window !== "undefined" && window.addEventListener) {
+      window.addEventListener("pagehide", () => this.cache.flush());
+    }
+  }
+
+  /**
+   * The chain, built from DICTIONARY_PROVIDERS on first use (config.js loads
+   * after this script), defaulting to the bundled list only
+   */
+  getProviders() {
+    if (!this.providers) {
+      const specs =
+        typeof DICTIONARY_PROVIDERS !== "undefined"
+          ? DICTIONARY_PROVIDERS
+          : [{ type: "bundled" }];
+      this.providers = specs.map(createDictionaryProvider);
+    }
+    return this.providers;
+  }
+
+  /**
+   * Replace the chain at runtime (config entries or provider objects)
+   */
+  setProviders(providers) {
+    this.providers = providers.map(createDictionaryProvider);
+  }
+
+  /**
+   * Warm up providers that load data ahead of time (the bundled list)
+   */
+  preload(length) {
+    return Promise.all(
+      this.getProviders()
+        .filter((provider) => typeof provider.preload === "function")
+        .map((provider) => provider.preload(length))
+    );
+  }
+
+  /**
+   * Synchronous answer when the chain can give one without waiting:
+   * true/false from the first definite synchronous provider or the cache,
+   * or null if an asynchronous provider has to be asked
+   */
+  checkSync(word) {
+    const upperWord = word.toUpperCase();
+
+    for (const provider of this.getProviders()) {
+      if (typeof provider.checkSync !== "function") break;
+
+      const status = provider.checkSync(upperWord);
+      if (status !== WORD_STATUS.UNKNOWN) {
+        return status === WORD_STATUS.VALID;
+      }
+    }
+
+    const cached = this.cache.get(upperWord);
+    return cached === undefined ? null : cached;
+  }
+
   /**
-   * Main validation method with fallback chain:
-   * 1. Check cache first (fastest)
-   * 2. Query API (primary source)
-   * 3. Fallback to backup list (safety net)
+   * Validate a guess through the chain.
+   * Pass expectedLength to reject words of the wrong length up front.
    */
-  async isValidWord(word) {
+  async isValidWord(word, expectedLength = word.length) {
     const upperWord = word.toUpperCase();
 
-    // Step 1: Check cache first (instant response)
-    if (upperWord in this.cache) {
-      return this.cache[upperWord];
+    if (upperWord.length !== expectedLength) {
+      return false;
     }
 
-    // Step 2: Query API with timeout
-    try {
-      const isValid = await this.checkApiWithTimeout(upperWord);
-      this.cache[upperWord] = isValid;
-      this.saveCache();
-      return isValid;
-    } catch (error) {
-      console.warn(`API check failed for "${upperWord}":`, error.message);
+    const known = this.checkSync(upperWord);
+    if (known !== null) {
+      return known;
+    }
+    this.cache.recordMiss();
 
-      // Step 3: Fallback to backup list
-      const isValidBackup = BACKUP_WORDS.has(upperWord);
-      this.cache[upperWord] = isValidBackup; // Cache the fallback result
-      this.saveCache();
-      return isValidBackup;
+    for (const provider of this.getProviders()) {
+      const status = await this.runProvider(provider, upperWord);
+      if (status !== WORD_STATUS.UNKNOWN) {
+        const isValid = status === WORD_STATUS.VALID;
+        if (provider.cacheable !== false) {
+          this.cache.set(upperWord, isValid, true);
+        }
+        return isValid;
+      }
     }
+
+    // Nobody could answer (offline, timeouts...) - answers are always valid
+    const isValid = this.isAnswerWord(upperWord);
+    this.cache.set(upperWord, isValid, false);
+    return isValid;
   }
 
   /**
-   * Check word against Dictionary API with timeout protection
+   * Ask one provider, giving up after its timeout. Errors, timeouts and
+   * unexpected answers all count as "unknown".
    */
-  async checkApiWithTimeout(word) {
+  async runProvider(provider, word) {
+    const timeout = provider.timeout || this.DEFAULT_TIMEOUT;
     const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), this.API_TIMEOUT);
-
-    try {
-      const response = await fetch(`${this.API_URL}/${word.toLowerCase()}`, {
-        signal: controller.signal,
+    const timedOut = new Promise((resolve) => {
+      controller.signal.addEventListener("abort", () => {
+        console.warn(`${provider.name} timed out for "${word}"`);
+        resolve(WORD_STATUS.UNKNOWN);
       });
+    });
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
 
-      clearTimeout(timeoutId);
-
-      if (response.ok) {
-        return true; // Word exists in dictionary
-      } else if (response.status === 404) {
-        return false; // Word not found
-      } else {
-        throw new Error(`API returned status ${response.status}`);
-      }
+    try {
+      const status = await Promise.race([
+        provider.check(word, { signal: controller.signal }),
+        timedOut,
+      ]);
+      return Object.values(WORD_STATUS).includes(status)
+        ? status
+        : WORD_STATUS.UNKNOWN;
     } catch (error) {
+      console.warn(
+        `${provider.name} check failed for "${word}":`,
+        error.message
+      );
+      return WORD_STATUS.UNKNOWN;
+    } finally {
       clearTimeout(timeoutId);
-      throw error;
     }
   }
 
   /**
-   * Clear cache if needed (useful for testing)
+   * Offline fallback: answers are always valid guesses
+   */
+  isAnswerWord(upperWord) {
+    const answers =
+      typeof WORDS_BY_LENGTH !== "undefined"
+        ? WORDS_BY_LENGTH[upperWord.length]
+        : null;
+    return Boolean(answers && answers.includes(upperWord));
+  }
+
+  /**
+   * Clear cached answers (useful for testing)
    */
   clearCache() {
-    this.cache = {};
-    try {
-      localStorage.removeItem(this.CACHE_KEY);
-    } catch (e) {
-      console.warn("Failed to clear cache:", e);
-    }
+    this.cache.clear();
   }
 
   /**
-   * Get cache stats for debugging
+   * Cache hit/miss rates and evictions for debugging
    */
   getCacheStats() {
+    return this.cache.getStats();
+  }
+
+  /**
+   * Get provider chain info for debugging
+   */
+  getStats() {
     return {
-      cachedWords: Object.keys(this.cache).length,
-      backupWordsAvailable: BACKUP_WORDS.size,
-      cacheSize: new Blob([JSON.stringify(this.cache)]).size,
+      providers: this.getProviders().map((provider) => provider.name),
     };
   }
 }
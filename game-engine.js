@@ -0,0 +1,785 @@
+/* ============================================
+   WORDLE GAME ENGINE
+   Pure, DOM-free game rules and state
+   Usable from the browser (global) and Node (require)
+   ============================================ */
+
+/**
+ * Tile/key statuses ranked by how much they reveal.
+ * A key never downgrades (correct > present > absent).
+ */
+const STATUS_RANK = {
+  absent: 1,
+  present: 2,
+  correct: 3,
+};
+
+/**
+ * Score a guess against the target using the two-pass algorithm:
+ * 1. Mark exact matches (green) and consume those target letters
+ * 2. Mark remaining letters found elsewhere (yellow), consuming each once
+ * Duplicate letters are only yellow as many times as the target still holds them.
+ */
+function scoreGuess(guess, target) {
+  const targetArray = target.split("");
+  const guessArray = guess.split("");
+  const letterStatus = new Array(guessArray.length).fill("absent");
+
+  // First pass: mark correct positions
+  for (let i = 0; i < guessArray.length; i++) {
+    if (guessArray[i] === targetArray[i]) {
+      letterStatus[i] = "correct";
+      targetArray[i] = null;
+    }
+  }
+
+  // Second pass: mark present letters (yellow)
+  for (let i = 0; i < guessArray.length; i++) {
+    if (letterStatus[i] === "correct") continue;
+    const index = targetArray.indexOf(guessArray[i]);
+    if (index !== -1) {
+      letterStatus[i] = "present";
+      targetArray[index] = null;
+    }
+  }
+
+  return letterStatus;
+}
+
+/**
+ * Resolve the keyboard color for a letter given its current and new status.
+ * Returns the status that should be shown (never a downgrade).
+ */
+function mergeKeyStatus(currentStatus, newStatus) {
+  if (!currentStatus) return newStatus;
+  return STATUS_RANK[newStatus] > STATUS_RANK[currentStatus]
+    ? newStatus
+    : currentStatus;
+}
+
+/**
+ * Apply a finished game to a stats object (returns a new object)
+ * Wins extend the streak, losses reset it. Passing the attempts a win took
+ * also counts it in the guess distribution.
+ */
+function applyGameResult(stats, isWon, attempts = null) {
+  const next = { ...stats };
+  next.gamesPlayed++;
+
+  if (isWon) {
+    next.gamesWon++;
+    next.currentStreak++;
+    next.maxStreak = Math.max(next.maxStreak, next.currentStreak);
+    if (attempts) {
+      const distribution = { ...next.guessDistribution };
+      distribution[attempts] = (distribution[attempts] || 0) + 1;
+      next.guessDistribution = distribution;
+    }
+  } else {
+    next.currentStreak = 0;
+  }
+
+  return next;
+}
+
+/**
+ * Apply a finished daily puzzle to stats (returns a new object)
+ * Skipping a day breaks the streak, like the original Wordle.
+ */
+function applyDailyResult(stats, isWon, puzzleNumber, attempts = null) {
+  const next = { ...stats };
+  const lastPuzzle = next.lastDailyPuzzle;
+
+  if (typeof lastPuzzle === "number" && puzzleNumber - lastPuzzle > 1) {
+    next.currentStreak = 0;
+  }
+
+  return {
+    ...applyGameResult(next, isWon, attempts),
+    lastDailyPuzzle: puzzleNumber,
+  };
+}
+
+/**
+ * Recompute stats from finished-game ledger entries (see stats-ledger.js),
+ * oldest first. Daily entries carry a puzzle number and keep the daily
+ * streak rules; a "baseline" entry holds counters from before the ledger.
+ */
+function computeStats(entries) {
+  const empty = {
+    gamesPlayed: 0,
+    gamesWon: 0,
+    currentStreak: 0,
+    maxStreak: 0,
+    guessDistribution: {},
+  };
+
+  return [...entries]
+    .sort((a, b) => a.finishedAt - b.finishedAt)
+    .reduce((stats, entry) => {
+      if (entry.kind === "baseline") return { ...stats, ...entry.stats };
+      const attempts = entry.isWon ? entry.attempts : null;
+      return typeof entry.puzzleNumber === "number"
+        ? applyDailyResult(stats, entry.isWon, entry.puzzleNumber, attempts)
+        : applyGameResult(stats, entry.isWon, attempts);
+    }, empty);
+}
+
+/* ============================================
+   Skill Rating
+   Average guesses, adjusted for how hard each puzzle was and for how
+   many games it rests on. A game scores its guesses, or maxAttempts + 1
+   when lost. A puzzle's difficulty is everyone's average score on it
+   (pulled toward the overall average while few have played it); a game on
+   a puzzle one guess harder than usual counts one guess better. The
+   player's average starts as PRIOR_GAMES average games, so a lucky first
+   win doesn't top the board. Mirrored by refresh_skill_rating (migration
+   008).
+   ============================================ */
+const SKILL_RATING = {
+  BASE: 1000, // An average player
+  SCALE: 200, // Points per guess better than average
+  PRIOR_GAMES: 10,
+  PUZZLE_PRIOR_GAMES: 3,
+};
+
+function skillScore(game) {
+  return game.isWon ? game.attempts : game.maxAttempts + 1;
+}
+
+/**
+ * Overall and per-puzzle average scores from everyone's daily games at
+ * one word length ({ puzzleNumber, isWon, attempts, maxAttempts })
+ */
+function computePuzzleDifficulty(games) {
+  const totals = {};
+  games.forEach((game) => {
+    const total = totals[game.puzzleNumber] || { sum: 0, count: 0 };
+    total.sum += skillScore(game);
+    total.count++;
+    totals[game.puzzleNumber] = total;
+  });
+
+  const average =
+    games.length > 0
+      ? games.reduce((sum, game) => sum + skillScore(game), 0) / games.length
+      : 0;
+  const byPuzzle = {};
+  Object.entries(totals).forEach(([puzzle, total]) => {
+    byPuzzle[puzzle] =
+      (total.sum + SKILL_RATING.PUZZLE_PRIOR_GAMES * average) /
+      (total.count + SKILL_RATING.PUZZLE_PRIOR_GAMES);
+  });
+  return { average, byPuzzle };
+}
+
+/**
+ * One player's { rating, ratedGames } from their games, or null before
+ * their first one
+ */
+function computeSkillRating(games, difficulty) {
+  if (games.length === 0) return null;
+
+  const { average, byPuzzle } = difficulty;
+  const adjusted = games.reduce(
+    (sum, game) =>
+      sum + skillScore(game) - (byPuzzle[game.puzzleNumber] - average),
+    0
+  );
+  const playerAverage =
+    (adjusted + SKILL_RATING.PRIOR_GAMES * average) /
+    (games.length + SKILL_RATING.PRIOR_GAMES);
+  return {
+    rating: Math.round(
+      SKILL_RATING.BASE + (average - playerAverage) * SKILL_RATING.SCALE
+    ),
+    ratedGames: games.length,
+  };
+}
+
+/* ============================================
+   Hard Mode
+   ============================================ */
+function ordinal(n) {
+  const suffixes = { 1: "st", 2: "nd", 3: "rd" };
+  const lastTwo = n % 100;
+  const suffix =
+    lastTwo >= 11 && lastTwo <= 13 ? "th" : suffixes[n % 10] || "th";
+  return `${n}${suffix}`;
+}
+
+/**
+ * Check a guess against the hints revealed by earlier scored guesses.
+ * Greens must stay in place and every revealed letter (green or yellow)
+ * must be reused as many times as it was revealed.
+ * Returns a rejection message, or null when the guess is allowed.
+ */
+function validateHardMode(guess, previousGuesses) {
+  for (const { word, statuses } of previousGuesses) {
+    for (let i = 0; i < word.length; i++) {
+      if (statuses[i] === "correct" && guess[i] !== word[i]) {
+        return `${ordinal(i + 1)} letter must be ${word[i]}`;
+      }
+    }
+
+    const required = {};
+    word.split("").forEach((letter, i) => {
+      if (statuses[i] !== "absent") {
+        required[letter] = (required[letter] || 0) + 1;
+      }
+    });
+
+    for (const letter of Object.keys(required)) {
+      const used = guess.split("").filter((l) => l === letter).length;
+      if (used < required[letter]) {
+        return `Guess must contain ${letter}`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/* ============================================
+   Daily Puzzle
+   ============================================ */
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Whole days since 1970-01-01 for the calendar date of `date` in `timeZone`
+ * (undefined = the player's local zone)
+ */
+function getCalendarDay(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).formatToParts(date);
+  const part = (type) => Number(parts.find((p) => p.type === type).value);
+
+  return Date.UTC(part("year"), part("month") - 1, part("day")) / MS_PER_DAY;
+}
+
+/**
+ * Puzzle number for a date: days since the epoch (YYYY-MM-DD), where the
+ * epoch itself is puzzle #0. Everyone in the same time zone shares a number.
+ */
+function getPuzzleNumber(date, epoch, timeZone) {
+  return getCalendarDay(date, timeZone) - getEpochDay(epoch);
+}
+
+function getEpochDay(epoch) {
+  const [year, month, day] = epoch.split("-").map(Number);
+  return Date.UTC(year, month - 1, day) / MS_PER_DAY;
+}
+
+/**
+ * First puzzle of the calendar period holding `puzzleNumber`: "today",
+ * "week" (weeks start on Monday) or "month". Null for "all" - no bound.
+ */
+function getPeriodStartPuzzle(period, puzzleNumber, epoch) {
+  const calendarDay = getEpochDay(epoch) + puzzleNumber;
+  switch (period) {
+    case "today":
+      return puzzleNumber;
+    case "week":
+      return puzzleNumber - ((calendarDay + 3) % 7); // Day 0 was a Thursday
+    case "month":
+      return puzzleNumber - new Date(calendarDay * MS_PER_DAY).getUTCDate() + 1;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Deterministic answer for a puzzle number
+ */
+function getDailyWord(words, puzzleNumber) {
+  const index = ((puzzleNumber % words.length) + words.length) % words.length;
+  return words[index];
+}
+
+/**
+ * Deterministic answers for a multi-board puzzle: the `count` consecutive
+ * slots from puzzleNumber * count, so boards never share a word. Only a
+ * single board (count 1) matches getDailyWord for the same puzzle.
+ */
+function getDailyWords(words, puzzleNumber, count = 1) {
+  return Array.from({ length: count }, (_, i) =>
+    getDailyWord(words, puzzleNumber * count + i)
+  );
+}
+
+/* ============================================
+   Share Card
+   ============================================ */
+const SHARE_EMOJI = {
+  correct: "🟩",
+  present: "🟨",
+  absent: "⬛",
+};
+const SHARE_EMPTY = "⬜"; // Pads a board that was solved early
+
+/**
+ * Spoiler-free result card: a header line ("Wordle #12 3/6*", the star
+ * marking hard mode) and the emoji grid. Multi-board grids are laid out
+ * two per row, like the boards on screen.
+ *
+ * patterns: per board, the statuses of each scored guess
+ */
+function buildShareText({
+  title,
+  label,
+  patterns,
+  isWon,
+  attempts,
+  maxAttempts,
+  hardMode,
+}) {
+  const score = `${isWon ? attempts : "X"}/${maxAttempts}${
+    hardMode ? "*" : ""
+  }`;
+  const grids = patterns.map((pattern) =>
+    pattern.map((statuses) => statuses.map((s) => SHARE_EMOJI[s]).join(""))
+  );
+  const width = Math.max(...patterns.flat().map((row) => row.length), 0);
+
+  const blocks = [];
+  for (let i = 0; i < grids.length; i += 2) {
+    const pair = grids.slice(i, i + 2);
+    const height = Math.max(...pair.map((grid) => grid.length));
+    const rows = Array.from({ length: height }, (_, row) =>
+      pair.map((grid) => grid[row] || SHARE_EMPTY.repeat(width)).join(" ")
+    );
+    blocks.push(rows.join("\n"));
+  }
+
+  return [`${title} ${label} ${score}`, ...blocks].join("\n\n");
+}
+
+/**
+ * Minimal event emitter shared by the engines
+ */
+class EngineEvents {
+  constructor() {
+    this.listeners = {};
+  }
+
+  on(event, handler) {
+    (this.listeners[event] = this.listeners[event] || []).push(handler);
+    return () => this.off(event, handler);
+  }
+
+  off(event, handler) {
+    const handlers = this.listeners[event];
+    if (!handlers) return;
+    this.listeners[event] = handlers.filter((h) => h !== handler);
+  }
+
+  emit(event, payload) {
+    (this.listeners[event] || []).forEach((handler) => handler(payload));
+  }
+}
+
+/**
+ * Wordle Engine
+ * Owns a single game's state and emits events as it changes:
+ * - letterAdded   { letter, row, col }
+ * - letterDeleted { row, col }
+ * - guessScored   { guess, row, statuses, keyStatuses }
+ * - won           { guess, attempts, targetWord, hardMode }
+ * - lost          { guess, attempts, targetWord, hardMode }
+ */
+class WordleEngine extends EngineEvents {
+  constructor({
+    targetWord,
+    wordLength = 5,
+    maxAttempts = 6,
+    guesses = [],
+    currentGuess = "",
+    hardMode = false,
+  } = {}) {
+    super();
+
+    if (!targetWord || targetWord.length !== wordLength) {
+      throw new Error(`Target word must be ${wordLength} letters`);
+    }
+
+    this.targetWord = targetWord.toUpperCase();
+    this.wordLength = wordLength;
+    this.maxAttempts = maxAttempts;
+    this.hardMode = hardMode;
+    this.guesses = [];
+    this.keyStatuses = {};
+    this.letters = [];
+    this.gameOver = false;
+    this.isWon = false;
+
+    // Seed previously submitted guesses (e.g. restoring a saved game)
+    guesses.forEach((guess) => this.recordGuess(guess.toUpperCase()));
+    this.letters = currentGuess.toUpperCase().split("").slice(0, wordLength);
+  }
+
+  /* ---------- State ---------- */
+
+  get targetWords() {
+    return [this.targetWord];
+  }
+
+  /**
+   * A single game is its own (only) board, matching MultiBoardEngine
+   */
+  get boards() {
+    return [this];
+  }
+
+  get currentRow() {
+    return this.guesses.length;
+  }
+
+  get currentTile() {
+    return this.letters.length;
+  }
+
+  get currentGuess() {
+    return this.letters.join("");
+  }
+
+  /* ---------- Input ---------- */
+
+  addLetter(letter) {
+    if (this.gameOver || this.letters.length >= this.wordLength) return false;
+
+    const upper = letter.toUpperCase();
+    this.letters.push(upper);
+    this.emit("letterAdded", {
+      letter: upper,
+      row: this.currentRow,
+      col: this.letters.length - 1,
+    });
+    return true;
+  }
+
+  deleteLetter() {
+    if (this.gameOver || this.letters.length === 0) return false;
+
+    this.letters.pop();
+    this.emit("letterDeleted", {
+      row: this.currentRow,
+      col: this.letters.length,
+    });
+    return true;
+  }
+
+  /**
+   * Hard mode can only be switched on before the first guess;
+   * switching it off is always allowed. Finished games keep the mode
+   * they were played in. Returns false when the change is refused.
+   */
+  setHardMode(enabled) {
+    if (this.gameOver) return true;
+    if (enabled && this.guesses.length > 0) return false;
+    this.hardMode = enabled;
+    return true;
+  }
+
+  /**
+   * Rule checks that don't need the dictionary.
+   * Returns a rejection message, or null when the guess can be scored.
+   */
+  checkGuess(guess = this.currentGuess) {
+    if (this.gameOver) return "Game is over";
+
+    const upper = guess.toUpperCase();
+    if (upper.length !== this.wordLength) return "Not enough letters";
+
+    return this.hardMode ? validateHardMode(upper, this.guesses) : null;
+  }
+
+  /**
+   * Score a guess (defaults to the typed letters) and advance the game.
+   * Dictionary validation is the caller's job; this only enforces rules.
+   * Returns { ok, statuses } or { ok: false, reason }.
+   */
+  submit(guess = this.currentGuess) {
+    const reason = this.checkGuess(guess);
+    if (reason) {
+      return { ok: false, reason };
+    }
+
+    const upper = guess.toUpperCase();
+
+    const row = this.currentRow;
+    const statuses = this.recordGuess(upper);
+    this.letters = [];
+
+    this.emit("guessScored", {
+      guess: upper,
+      row,
+      statuses,
+      keyStatuses: { ...this.keyStatuses },
+    });
+
+    if (this.isWon) {
+      this.emit("won", this.resultPayload(upper));
+    } else if (this.gameOver) {
+      this.emit("lost", this.resultPayload(upper));
+    }
+
+    return { ok: true, statuses };
+  }
+
+  /* ---------- Internals ---------- */
+
+  recordGuess(guess) {
+    const statuses = scoreGuess(guess, this.targetWord);
+    this.guesses.push({ word: guess, statuses });
+
+    guess.split("").forEach((letter, i) => {
+      this.keyStatuses[letter] = mergeKeyStatus(
+        this.keyStatuses[letter],
+        statuses[i]
+      );
+    });
+
+    if (guess === this.targetWord) {
+      this.isWon = true;
+      this.gameOver = true;
+    } else if (this.guesses.length >= this.maxAttempts) {
+      this.gameOver = true;
+    }
+
+    return statuses;
+  }
+
+  resultPayload(guess) {
+    return {
+      guess,
+      attempts: this.guesses.length,
+      targetWord: this.targetWord,
+      hardMode: this.hardMode,
+    };
+  }
+}
+
+/**
+ * Multi-board engine (Dordle/Quordle style)
+ * Every guess is scored against each unsolved board; the game is won once
+ * all boards are solved within the shared attempt budget. Same input API
+ * as WordleEngine, with board-aware events:
+ * - letterAdded   { letter, row, col, boards }
+ * - letterDeleted { row, col, boards }
+ * - guessScored   { guess, row, statuses, board } (once per unsolved board)
+ * - boardSolved   { board, attempts }
+ * - won / lost    { guess, attempts, targetWord, targetWords, hardMode }
+ */
+class MultiBoardEngine extends EngineEvents {
+  constructor({
+    targetWords,
+    wordLength = 5,
+    maxAttempts = 7,
+    guesses = [],
+    currentGuess = "",
+    hardMode = false,
+  } = {}) {
+    super();
+
+    if (!Array.isArray(targetWords) || targetWords.length < 2) {
+      throw new Error("A multi-board game needs at least 2 target words");
+    }
+
+    this.wordLength = wordLength;
+    this.maxAttempts = maxAttempts;
+    this.boards = targetWords.map(
+      (targetWord) =>
+        new WordleEngine({ targetWord, wordLength, maxAttempts, hardMode })
+    );
+    this.guesses = [];
+    this.letters = [];
+    this.gameOver = false;
+    this.isWon = false;
+
+    // Seed previously submitted guesses (e.g. restoring a saved game)
+    guesses.forEach((guess) => this.recordGuess(guess.toUpperCase()));
+    this.letters = currentGuess.toUpperCase().split("").slice(0, wordLength);
+  }
+
+  /* ---------- State ---------- */
+
+  get targetWords() {
+    return this.boards.map((board) => board.targetWord);
+  }
+
+  get targetWord() {
+    return this.targetWords.join(" / ");
+  }
+
+  get hardMode() {
+    return this.boards[0].hardMode;
+  }
+
+  /**
+   * Best status per letter across all boards
+   */
+  get keyStatuses() {
+    const merged = {};
+    this.boards.forEach((board) => {
+      Object.entries(board.keyStatuses).forEach(([letter, status]) => {
+        merged[letter] = mergeKeyStatus(merged[letter], status);
+      });
+    });
+    return merged;
+  }
+
+  get currentRow() {
+    return this.guesses.length;
+  }
+
+  get currentTile() {
+    return this.letters.length;
+  }
+
+  get currentGuess() {
+    return this.letters.join("");
+  }
+
+  /**
+   * Indexes of boards still accepting guesses
+   */
+  get unsolvedBoards() {
+    return this.boards
+      .map((board, index) => (board.gameOver ? -1 : index))
+      .filter((index) => index !== -1);
+  }
+
+  /* ---------- Input ---------- */
+
+  addLetter(letter) {
+    if (this.gameOver || this.letters.length >= this.wordLength) return false;
+
+    const upper = letter.toUpperCase();
+    this.letters.push(upper);
+    this.emit("letterAdded", {
+      letter: upper,
+      row: this.currentRow,
+      col: this.letters.length - 1,
+      boards: this.unsolvedBoards,
+    });
+    return true;
+  }
+
+  deleteLetter() {
+    if (this.gameOver || this.letters.length === 0) return false;
+
+    this.letters.pop();
+    this.emit("letterDeleted", {
+      row: this.currentRow,
+      col: this.letters.length,
+      boards: this.unsolvedBoards,
+    });
+    return true;
+  }
+
+  setHardMode(enabled) {
+    if (this.gameOver) return true;
+    if (enabled && this.guesses.length > 0) return false;
+    this.boards.forEach((board) => board.setHardMode(enabled));
+    return true;
+  }
+
+  /**
+   * Rule checks that don't need the dictionary; in hard mode the guess
+   * must respect the hints of every unsolved board.
+   */
+  checkGuess(guess = this.currentGuess) {
+    if (this.gameOver) return "Game is over";
+
+    const upper = guess.toUpperCase();
+    if (upper.length !== this.wordLength) return "Not enough letters";
+
+    for (const index of this.unsolvedBoards) {
+      const reason = this.boards[index].checkGuess(upper);
+      if (reason) return reason;
+    }
+    return null;
+  }
+
+  submit(guess = this.currentGuess) {
+    const reason = this.checkGuess(guess);
+    if (reason) {
+      return { ok: false, reason };
+    }
+
+    const upper = guess.toUpperCase();
+    const row = this.currentRow;
+    const scored = this.recordGuess(upper);
+    this.letters = [];
+
+    scored.forEach(({ board, statuses, solved }) => {
+      this.emit("guessScored", { guess: upper, row, statuses, board });
+      if (solved) {
+        this.emit("boardSolved", { board, attempts: row + 1 });
+      }
+    });
+
+    if (this.isWon) {
+      this.emit("won", this.resultPayload(upper));
+    } else if (this.gameOver) {
+      this.emit("lost", this.resultPayload(upper));
+    }
+
+    return { ok: true, statuses: scored.map((s) => s.statuses) };
+  }
+
+  /* ---------- Internals ---------- */
+
+  recordGuess(guess) {
+    const scored = this.unsolvedBoards.map((index) => {
+      const board = this.boards[index];
+      const statuses = board.recordGuess(guess);
+      return { board: index, statuses, solved: board.isWon };
+    });
+    this.guesses.push({ word: guess });
+
+    if (this.boards.every((board) => board.isWon)) {
+      this.isWon = true;
+      this.gameOver = true;
+    } else if (this.guesses.length >= this.maxAttempts) {
+      this.gameOver = true;
+    }
+
+    return scored;
+  }
+
+  resultPayload(guess) {
+    return {
+      guess,
+      attempts: this.guesses.length,
+      targetWord: this.targetWord,
+      targetWords: this.targetWords,
+      hardMode: this.hardMode,
+    };
+  }
+}
+
+// Export for Node (mocha); browsers pick up the globals above
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    WordleEngine,
+    MultiBoardEngine,
+    scoreGuess,
+    mergeKeyStatus,
+    applyGameResult,
+    applyDailyResult,
+    computeStats,
+    computePuzzleDifficulty,
+    computeSkillRating,
+    validateHardMode,
+    getPuzzleNumber,
+    getPeriodStartPuzzle,
+    getDailyWord,
+    getDailyWords,
+    buildShareText,
+  };
+}
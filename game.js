@@ -1,14 +1,20 @@
 /* ============================================
    WORDLE GAME LOGIC
-   Core game functionality and mechanics
+   DOM rendering & input wiring around WordleEngine
    ============================================ */
 
-let targetWord = WORDS[Math.floor(Math.random() * WORDS.length)];
-let currentRow = 0;
-let currentTile = 0;
-let gameOver = false;
-let stats =
-  JSON.parse(localStorage.getItem(STORAGE_KEYS.STATS)) || DEFAULT_STATS;
+let wordLength = normalizeWordLength(
+  localStorage.getItem(STORAGE_KEYS.WORD_LENGTH)
+);
+let boardCount = normalizeBoardCount(
+  localStorage.getItem(STORAGE_KEYS.BOARD_COUNT)
+);
+migrateLegacyStats(); // Counters saved before the stats ledger existed
+let stats = computeLocalStats(GAME_MODES.DAILY);
+let practiceStats = computeLocalStats(GAME_MODES.PRACTICE);
+let latestWin = null; // { statsKey, attempts } - highlighted in the histogram
+const repositories = createRepositories(); // Cloud data (see repositories.js)
+let viewedProfile = null; // Profile shown in the profile view (maybe unsaved)
 
 // ============================================
 // INPUT STATE MANAGEMENT (Prevents spam/race conditions)
@@ -24,82 +30,249 @@ const SESSION_ID =
 const SESSION_KEY = "currentGameSession";
 const GAME_STATE_KEY = "gameState";
 const ACTIVE_GAME_KEY = "activeGame";
+const SAVE_FORMAT_VERSION = 2; // See "Saved Game Format" below
 let gameStarted = false; // Track if game has been played
+let gameStartedAt = null; // First keystroke time (ms), for the history log
+let recordingResult = false; // A finished game is waiting to be recorded
+
+// ============================================
+// GAME MODE (Daily puzzle vs. Practice)
+// ============================================
+let gameMode =
+  localStorage.getItem(STORAGE_KEYS.GAME_MODE) === GAME_MODES.PRACTICE
+    ? GAME_MODES.PRACTICE
+    : GAME_MODES.DAILY;
+let puzzleNumber = getTodayPuzzleNumber();
+let hardModeEnabled = localStorage.getItem(STORAGE_KEYS.HARD_MODE) === "true";
+let engine = createEngineForMode(gameMode);
+
+/* ============================================
+   Saved Game Format
+   A save is a versioned guess log, not a board snapshot:
+   { version, mode, puzzleNumber, wordLength, boardCount, answerIds,
+     guesses, currentGuess, hardMode, startedAt, checksum }
+   Board and keyboard are rebuilt by re-scoring the guesses. Daily answers
+   come from the puzzle number; practice answers are stored as positions in
+   the answer list so the word isn't sitting in plain text.
+   ============================================ */
+
+/**
+ * FNV-1a hash of the save's fields - catches hand-edited or corrupt saves
+ * (tamper-evident, not tamper-proof)
+ */
+function checksumSave(save) {
+  const text = [
+    SAVE_FORMAT_VERSION,
+    save.mode,
+    save.puzzleNumber,
+    save.wordLength,
+    save.boardCount,
+    (save.answerIds || []).join(","),
+    save.guesses.join(","),
+    save.currentGuess,
+    save.hardMode,
+    save.startedAt,
+  ].join("|");
+
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16);
+}
+
+function sealSave(save) {
+  const sealed = { version: SAVE_FORMAT_VERSION, ...save };
+  sealed.checksum = checksumSave(sealed);
+  return sealed;
+}
 
 /**
  * Save complete game state to localStorage (persists across page reload)
  * This allows us to restore the exact game state after refresh
  */
 function saveCompleteGameState() {
-  if (gameStarted && !gameOver) {
-    // Save ALL game data
-    const boardState = [];
-    for (let i = 0; i < GAME_CONFIG.MAX_ATTEMPTS; i++) {
-      for (let j = 0; j < GAME_CONFIG.WORD_LENGTH; j++) {
-        const tile = document.getElementById(`tile-${i}-${j}`);
-        boardState.push({
-          row: i,
-          col: j,
-          content: tile.textContent,
-          className: tile.className,
-        });
-      }
-    }
-
-    const gameState = {
-      timestamp: Date.now(),
-      active: true,
-      targetWord,
-      currentRow,
-      currentTile,
-      gameOver,
-      boardState,
-      guesses: [], // Store guessed words
-    };
+  if (gameStarted && !engine.gameOver) {
+    const answers = WORDS_BY_LENGTH[engine.wordLength];
+    const gameState = sealSave({
+      mode: gameMode,
+      puzzleNumber: gameMode === GAME_MODES.DAILY ? puzzleNumber : null,
+      wordLength: engine.wordLength,
+      boardCount: engine.boards.length,
+      answerIds:
+        gameMode === GAME_MODES.DAILY
+          ? null
+          : engine.targetWords.map((word) => answers.indexOf(word)),
+      guesses: engine.guesses.map((g) => g.word), // Submitted guesses in order
+      currentGuess: engine.currentGuess, // Letters typed on the active row
+      hardMode: engine.hardMode,
+      startedAt: gameStartedAt,
+    });
 
     localStorage.setItem(GAME_STATE_KEY, JSON.stringify(gameState));
     localStorage.setItem(ACTIVE_GAME_KEY, "true");
   }
 }
 
+/**
+ * Convert a save from before the versioned format (answers in plain text,
+ * guesses as a list or, oldest of all, a per-tile boardState snapshot)
+ */
+function migrateLegacySave(state) {
+  const wordLength = state.wordLength || GAME_CONFIG.WORD_LENGTH;
+  const answers = WORDS_BY_LENGTH[wordLength] || [];
+  const targets = [].concat(state.targetWords || state.targetWord || []);
+
+  let guesses = state.guesses || [];
+  let currentGuess = state.currentGuess || "";
+  if (guesses.length === 0 && state.boardState) {
+    const rows = [];
+    state.boardState.forEach((tile) => {
+      rows[tile.row] = (rows[tile.row] || "") + (tile.content || "");
+    });
+    guesses = rows.slice(0, state.currentRow);
+    currentGuess = rows[state.currentRow] || "";
+  }
+
+  return {
+    mode: state.mode || GAME_MODES.PRACTICE,
+    puzzleNumber: state.puzzleNumber ?? null,
+    wordLength,
+    boardCount: state.boardCount || 1,
+    answerIds:
+      state.mode === GAME_MODES.DAILY
+        ? null
+        : targets.map((word) => answers.indexOf(word)),
+    guesses,
+    currentGuess,
+    hardMode: state.hardMode === true,
+    startedAt: state.startedAt || null,
+  };
+}
+
+/**
+ * Check a save describes a playable, unfinished game and resolve its
+ * answers. Returns the game to resume, or null when anything is off.
+ */
+function validateSave(save) {
+  const answers = WORDS_BY_LENGTH[save.wordLength];
+  if (!answers) return null;
+  if (!Object.values(GAME_MODES).includes(save.mode)) return null;
+  if (normalizeBoardCount(save.boardCount) !== save.boardCount) return null;
+
+  let targetWords;
+  if (save.mode === GAME_MODES.DAILY) {
+    if (!Number.isInteger(save.puzzleNumber)) return null;
+    targetWords = getDailyWords(answers, save.puzzleNumber, save.boardCount);
+  } else {
+    const ids = save.answerIds;
+    if (
+      !Array.isArray(ids) ||
+      ids.length !== save.boardCount ||
+      new Set(ids).size !== ids.length ||
+      !ids.every((id) => Number.isInteger(id) && id >= 0 && id < answers.length)
+    ) {
+      return null;
+    }
+    targetWords = ids.map((id) => answers[id]);
+  }
+
+  const word = new RegExp(`^[A-Z]{${save.wordLength}}$`);
+  const partial = new RegExp(`^[A-Z]{0,${save.wordLength}}$`);
+  if (
+    !Array.isArray(save.guesses) ||
+    !save.guesses.every((guess) => word.test(guess)) ||
+    typeof save.currentGuess !== "string" ||
+    !partial.test(save.currentGuess) ||
+    typeof save.hardMode !== "boolean" ||
+    (save.startedAt !== null && typeof save.startedAt !== "number")
+  ) {
+    return null;
+  }
+
+  // Re-score the log: a save is only written mid-game, so it can't be over
+  const replay = buildEngine(targetWords, {
+    wordLength: save.wordLength,
+    guesses: save.guesses,
+    hardMode: save.hardMode,
+  });
+  if (replay.gameOver) return null;
+
+  return { ...save, targetWords };
+}
+
+/**
+ * Check and resolve a save in any format (null when it can't be trusted)
+ */
+function parseSave(state) {
+  if (!state || typeof state !== "object") return null;
+  if (state.version === undefined) {
+    return validateSave(migrateLegacySave(state));
+  }
+  if (
+    state.version !== SAVE_FORMAT_VERSION ||
+    state.checksum !== checksumSave(state)
+  ) {
+    return null;
+  }
+  return validateSave(state);
+}
+
+/**
+ * Read the saved game, migrating old formats. Unreadable, tampered or
+ * impossible saves are discarded (null).
+ */
+function loadSavedGame() {
+  const state = readSavedJson(GAME_STATE_KEY);
+  if (state === null) return null;
+
+  const save = parseSave(state);
+  if (save && state.version === undefined) {
+    const { targetWords, ...fields } = save;
+    localStorage.setItem(GAME_STATE_KEY, JSON.stringify(sealSave(fields)));
+    console.log("✅ Saved game migrated to the guess-log format");
+  }
+
+  if (!save) {
+    console.warn("⚠️ Discarding an invalid saved game");
+    localStorage.removeItem(GAME_STATE_KEY);
+    localStorage.removeItem(ACTIVE_GAME_KEY);
+    return null;
+  }
+  return save;
+}
+
 /**
  * Restore game state from localStorage after refresh
  * This makes it appear as if the refresh never happened
  */
 function restoreGameState() {
-  const savedGameState = localStorage.getItem(GAME_STATE_KEY);
-  const activeGame = localStorage.getItem(ACTIVE_GAME_KEY);
+  if (localStorage.getItem(ACTIVE_GAME_KEY) !== "true") return false;
 
-  if (activeGame === "true" && savedGameState) {
-    try {
-      const state = JSON.parse(savedGameState);
-
-      // Restore game variables
-      targetWord = state.targetWord;
-      currentRow = state.currentRow;
-      currentTile = state.currentTile;
-      gameOver = state.gameOver;
-      gameStarted = true;
-
-      // Restore board state
-      state.boardState.forEach((tile) => {
-        const tileEl = document.getElementById(`tile-${tile.row}-${tile.col}`);
-        if (tileEl) {
-          tileEl.textContent = tile.content;
-          tileEl.className = tile.className;
-        }
-      });
+  const save = loadSavedGame();
+  if (!save) return false;
 
-      console.log("✅ Game state restored after refresh!");
-      showMessage("⚠️ Game refreshed but restored");
-      return true;
-    } catch (e) {
-      console.error("Error restoring game state:", e);
-      return false;
-    }
+  // Daily games are restored by createEngineForMode on every load
+  if (save.mode === GAME_MODES.DAILY) {
+    return save.puzzleNumber === puzzleNumber;
   }
 
-  return false;
+  // Rebuild the engine by replaying the saved guesses
+  setGameMode(GAME_MODES.PRACTICE);
+  setWordLength(save.wordLength);
+  setBoardCount(save.boardCount);
+  engine = createEngine(save.targetWords, {
+    guesses: save.guesses,
+    currentGuess: save.currentGuess,
+    hardMode: save.hardMode,
+  });
+  gameStarted = true;
+  gameStartedAt = save.startedAt;
+
+  console.log("✅ Game state restored after refresh!");
+  showMessage("⚠️ Game refreshed but restored");
+  return true;
 }
 
 /**
@@ -137,7 +310,7 @@ function setupRefreshProtection() {
 
   // Block keyboard shortcuts completely
   document.addEventListener("keydown", (e) => {
-    if (gameStarted && !gameOver) {
+    if (gameStarted && !engine.gameOver) {
       // F5 or Ctrl+R or Cmd+R or Ctrl+Shift+R
       if (
         e.key === "F5" ||
@@ -154,7 +327,7 @@ function setupRefreshProtection() {
 
   // Save when switching tabs
   document.addEventListener("visibilitychange", () => {
-    if (document.hidden && gameStarted && !gameOver) {
+    if (document.hidden && gameStarted && !engine.gameOver) {
       saveCompleteGameState();
     }
   });
@@ -166,76 +339,392 @@ function setupRefreshProtection() {
 }
 
 /* ============================================
-   Initialize Game
+   Cross-Tab Coordination
+   Only the tab that owns an in-progress game can play it; other tabs
+   mirror it read-only and pick up the result when it ends.
    ============================================ */
-async function initGame() {
-  // Try to load stats from Supabase (cloud database)
-  if (typeof loadStatsFromSupabase !== "undefined") {
-    const supabaseStats = await loadStatsFromSupabase();
-    if (supabaseStats) {
-      stats = supabaseStats;
-      console.log("✅ Stats loaded from cloud database");
-    } else {
-      // Fallback to localStorage
-      stats =
-        JSON.parse(localStorage.getItem(STORAGE_KEYS.STATS)) || DEFAULT_STATS;
-      console.log("ℹ️ Using localStorage stats");
+let isMirror = false; // Showing a game owned by another tab
+
+function initTabCoordination() {
+  tabCoordinator.onMessage(handleTabMessage);
+  tabCoordinator.start();
+
+  // A restored game that another tab is already playing
+  if (gameStarted && !engine.gameOver && !tabCoordinator.claim()) {
+    mirrorGame(null);
+  }
+}
+
+/**
+ * Make sure this tab owns the game before changing it
+ */
+function claimGame() {
+  if (!isMirror && tabCoordinator.claim()) return true;
+
+  if (!isMirror) mirrorGame(loadSavedGame());
+  showMessage("👀 This game is being played in another tab");
+  return false;
+}
+
+/**
+ * Owner: save and send the game after every change so mirrors keep up
+ */
+function publishGameState() {
+  if (engine.gameOver || !tabCoordinator.isOwner()) return;
+
+  saveCompleteGameState();
+  const save = readSavedJson(GAME_STATE_KEY);
+  if (save) tabCoordinator.broadcast("state", save);
+}
+
+function handleTabMessage({ type, payload }) {
+  if (type === "state") {
+    const save = parseSave(payload);
+    if (save) mirrorGame(save);
+  } else if (type === "finished") {
+    // The owner recorded the result; show it instead of the mirror
+    refreshStats();
+    if (isMirror || !gameStarted) {
+      setMirror(false);
+      gameStarted = false;
+      gameStartedAt = null;
+      engine = createEngineForMode(gameMode);
+      redrawGame();
     }
-  } else {
-    // Supabase not available, use localStorage
-    stats =
-      JSON.parse(localStorage.getItem(STORAGE_KEYS.STATS)) || DEFAULT_STATS;
+    updateStats();
+  } else if (type === "released" && isMirror && tabCoordinator.claim()) {
+    // The owning tab closed mid-game - carry on here
+    setMirror(false);
+    showMessage("🎮 The other tab closed - you can keep playing here");
   }
+}
+
+/**
+ * Show another tab's game read-only (save: its latest state, if known)
+ */
+function mirrorGame(save) {
+  setMirror(true);
+  gameStarted = true;
+  if (!save) return;
+
+  setGameMode(save.mode);
+  setWordLength(save.wordLength);
+  setBoardCount(save.boardCount);
+  refreshStats();
+  engine = createEngine(save.targetWords, {
+    guesses: save.guesses,
+    currentGuess: save.currentGuess,
+    hardMode: save.hardMode,
+  });
+  gameStartedAt = save.startedAt;
+  redrawGame();
+  updateStats();
+}
+
+function setMirror(enabled) {
+  isMirror = enabled;
+  document.getElementById("mirrorBanner").style.display = enabled
+    ? "block"
+    : "none";
+}
+
+/**
+ * Recompute stats, picking up games another tab may have recorded
+ */
+function refreshStats() {
+  statsLedger.reload();
+  stats = computeLocalStats(GAME_MODES.DAILY);
+  practiceStats = computeLocalStats(GAME_MODES.PRACTICE);
+}
+
+/* ============================================
+   Initialize Game
+   ============================================ */
+async function initGame() {
+  initSessionProtection(); // Setup refresh protection (may restore a game)
+  dictionaryService.preload(wordLength); // Fetch the guess list in the background
+  await restoreSignIn(); // Before stats: a magic link may bring a player back
+  await loadStats(); // Stats for the restored/selected word length
+  syncOutbox.onStatusChange(renderSyncStatus);
+  syncOutbox.start(sendOutboxWrite); // Replay writes left from last time
 
-  initSessionProtection(); // Setup refresh protection
   setupRefreshProtection(); // Prevent F5/Ctrl+R during game
   createBoard();
   createKeyboard();
+  renderEngineState(); // Paint any restored guesses onto the fresh board
+  renderGameMode();
+  document.getElementById("hardModeToggle").checked = hardModeEnabled;
+  document.getElementById("wordLengthSelect").value = String(wordLength);
+  document.getElementById("boardCountSelect").value = String(boardCount);
   updateStats();
+
+  if (gameMode === GAME_MODES.DAILY && engine.gameOver) {
+    showMessage("✅ Daily puzzle done - come back tomorrow or try Practice!");
+  }
+  initTabCoordination(); // After the board exists - may switch to a mirror
   checkAndShowReleaseNotes();
 
   // Update profile button state
   await updateProfileButton();
+  await openInviteLink();
+}
+
+/* ============================================
+   Engine Wiring
+   ============================================ */
+function getAnswerList() {
+  return WORDS_BY_LENGTH[wordLength];
+}
+
+/**
+ * One random answer per board, never repeating a word across boards
+ */
+function pickRandomWords() {
+  const answers = [...getAnswerList()];
+  const picked = [];
+  while (picked.length < boardCount) {
+    const index = Math.floor(Math.random() * answers.length);
+    picked.push(answers.splice(index, 1)[0]);
+  }
+  return picked;
+}
+
+function getTodayPuzzleNumber() {
+  return getPuzzleNumber(
+    new Date(),
+    GAME_CONFIG.DAILY_EPOCH,
+    GAME_CONFIG.DAILY_TIME_ZONE
+  );
+}
+
+/**
+ * Read a saved JSON value, ignoring anything that fails to parse
+ */
+function readSavedJson(key) {
+  try {
+    return JSON.parse(localStorage.getItem(key));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Create the engine for a mode.
+ * Daily: today's word(s), resuming today's saved or finished game so the
+ * puzzle can only be attempted once. Practice: fresh random word(s).
+ */
+function createEngineForMode(mode) {
+  if (mode !== GAME_MODES.DAILY) {
+    return createEngine(pickRandomWords());
+  }
+
+  const dailyWords = getDailyWords(getAnswerList(), puzzleNumber, boardCount);
+
+  const result = readSavedJson(variantKey(STORAGE_KEYS.DAILY_RESULT));
+  if (result && result.puzzleNumber === puzzleNumber) {
+    return createEngine(dailyWords, {
+      guesses: result.guesses,
+      hardMode: result.hardMode === true,
+    });
+  }
+
+  const saved = loadSavedGame();
+  if (
+    saved &&
+    saved.mode === GAME_MODES.DAILY &&
+    saved.puzzleNumber === puzzleNumber &&
+    saved.wordLength === wordLength &&
+    saved.boardCount === boardCount
+  ) {
+    gameStarted = true;
+    gameStartedAt = saved.startedAt;
+    return createEngine(dailyWords, {
+      guesses: saved.guesses,
+      currentGuess: saved.currentGuess,
+      hardMode: saved.hardMode,
+    });
+  }
+
+  return createEngine(dailyWords);
+}
+
+/**
+ * Engine for the target word(s) with the current settings, no DOM attached.
+ * More than one target plays a multi-board game on the same input pipeline.
+ */
+function buildEngine(targets, options = {}) {
+  const targetWords = [].concat(targets);
+  const length = options.wordLength || wordLength;
+  const settings = {
+    wordLength: length,
+    maxAttempts: getMaxAttempts(length, targetWords.length),
+    hardMode: hardModeEnabled,
+    ...options,
+  };
+  return targetWords.length > 1
+    ? new MultiBoardEngine({ targetWords, ...settings })
+    : new WordleEngine({ targetWord: targetWords[0], ...settings });
+}
+
+/**
+ * Create an engine for the target word(s) and subscribe the DOM to it
+ */
+function createEngine(targets, options = {}) {
+  const newEngine = buildEngine(targets, options);
+
+  newEngine.on("letterAdded", renderLetterAdded);
+  newEngine.on("letterDeleted", renderLetterDeleted);
+  newEngine.on("guessScored", renderGuessScored);
+  newEngine.on("boardSolved", renderBoardSolved);
+  newEngine.on("letterAdded", publishGameState);
+  newEngine.on("letterDeleted", publishGameState);
+  newEngine.on("guessScored", publishGameState);
+  newEngine.on("won", (result) => {
+    const game = finishedGame(newEngine, result);
+    setTimeout(() => endGameWon(game), GAME_CONFIG.FLIP_ANIMATION_DURATION);
+  });
+  newEngine.on("lost", (result) => {
+    const game = finishedGame(newEngine, result);
+    setTimeout(() => endGameLost(game), GAME_CONFIG.FLIP_ANIMATION_DURATION);
+  });
+
+  return newEngine;
+}
+
+/**
+ * Snapshot of a game at the moment it ends. It is recorded after the
+ * flip animation, so it must not read the mode, puzzle or engine then.
+ */
+function finishedGame(finished, result) {
+  recordingResult = true;
+  const daily = gameMode === GAME_MODES.DAILY;
+  return {
+    ...result,
+    mode: gameMode,
+    puzzleNumber: daily ? puzzleNumber : null,
+    wordLength: finished.wordLength,
+    boardCount: finished.boards.length,
+    maxAttempts: finished.maxAttempts,
+    targetWords: finished.targetWords,
+    guesses: finished.guesses.map((g) => g.word),
+    patterns: finished.boards.map((board) =>
+      board.guesses.map((g) => g.statuses)
+    ),
+    startedAt: gameStartedAt,
+  };
+}
+
+/**
+ * Rebuild board, keyboard and labels for a newly swapped-in engine
+ */
+function redrawGame() {
+  createBoard();
+  clearKeyboard();
+  renderEngineState();
+  renderGameMode();
+  document.getElementById("wordLengthSelect").value = String(wordLength);
+  document.getElementById("boardCountSelect").value = String(boardCount);
+}
+
+/**
+ * Paint the engine's current state onto the board and keyboard (no animation)
+ * Used after restoring a saved game
+ */
+function renderEngineState() {
+  engine.boards.forEach((board, b) => {
+    board.guesses.forEach((guess, row) => {
+      guess.word.split("").forEach((letter, col) => {
+        const tile = document.getElementById(`tile-${b}-${row}-${col}`);
+        tile.textContent = letter;
+        tile.className = `tile filled ${guess.statuses[col]}`;
+      });
+    });
+
+    if (board.isWon) {
+      renderBoardSolved({ board: b });
+      return;
+    }
+
+    engine.currentGuess.split("").forEach((letter, col) => {
+      const tile = document.getElementById(
+        `tile-${b}-${engine.currentRow}-${col}`
+      );
+      tile.textContent = letter;
+      tile.classList.add("filled");
+    });
+  });
+
+  Object.entries(engine.keyStatuses).forEach(([letter, status]) => {
+    renderKey(letter, status);
+  });
 }
 
 /* ============================================
    Board & Tile Management
    ============================================ */
+/**
+ * (Re)build the empty grid(s) for the current engine's size.
+ * Tiles are `tile-{board}-{row}-{col}`; a single board keeps its rows
+ * directly in #gameBoard, multi-board games get one .board-grid each.
+ */
 function createBoard() {
   const board = document.getElementById("gameBoard");
-  for (let i = 0; i < GAME_CONFIG.MAX_ATTEMPTS; i++) {
-    const row = document.createElement("div");
-    row.className = "row";
-    for (let j = 0; j < GAME_CONFIG.WORD_LENGTH; j++) {
-      const tile = document.createElement("div");
-      tile.className = "tile";
-      tile.id = `tile-${i}-${j}`;
-      row.appendChild(tile);
+  const multiBoard = engine.boards.length > 1;
+  board.innerHTML = "";
+  board.classList.toggle("long-words", engine.wordLength >= 7);
+  board.classList.toggle("multi-board", multiBoard);
+
+  engine.boards.forEach((_, b) => {
+    const grid = multiBoard ? document.createElement("div") : board;
+
+    for (let i = 0; i < engine.maxAttempts; i++) {
+      const row = document.createElement("div");
+      row.className = "row";
+      for (let j = 0; j < engine.wordLength; j++) {
+        const tile = document.createElement("div");
+        tile.className = "tile";
+        tile.id = `tile-${b}-${i}-${j}`;
+        row.appendChild(tile);
+      }
+      grid.appendChild(row);
     }
-    board.appendChild(row);
-  }
-}
 
-function addLetter(letter) {
-  if (currentTile >= GAME_CONFIG.WORD_LENGTH) return;
+    if (multiBoard) {
+      grid.className = "board-grid";
+      grid.id = `board-${b}`;
+      board.appendChild(grid);
+    }
+  });
+}
 
+function renderLetterAdded({ letter, row, col, boards = [0] }) {
   // Mark game as started on first letter
-  if (currentTile === 0 && currentRow === 0) {
+  if (row === 0 && col === 0) {
     gameStarted = true;
+    gameStartedAt = gameStartedAt || Date.now();
   }
 
-  const tile = document.getElementById(`tile-${currentRow}-${currentTile}`);
-  tile.textContent = letter;
-  tile.classList.add("filled");
-  currentTile++;
+  boards.forEach((b) => {
+    const tile = document.getElementById(`tile-${b}-${row}-${col}`);
+    tile.textContent = letter;
+    tile.classList.add("filled");
+  });
 }
 
-function deleteLetter() {
-  if (currentTile > 0) {
-    currentTile--;
-    const tile = document.getElementById(`tile-${currentRow}-${currentTile}`);
+function renderLetterDeleted({ row, col, boards = [0] }) {
+  boards.forEach((b) => {
+    const tile = document.getElementById(`tile-${b}-${row}-${col}`);
     tile.textContent = "";
     tile.classList.remove("filled");
+  });
+}
+
+/**
+ * Dim a solved board; later guesses only go to the remaining boards
+ */
+function renderBoardSolved({ board }) {
+  if (engine.boards.length > 1) {
+    document.getElementById(`board-${board}`).classList.add("solved");
   }
 }
 
@@ -260,30 +749,61 @@ function createKeyboard() {
 }
 
 function handleKeyPress(key) {
-  if (gameOver) return;
+  if (engine.gameOver) return;
   if (!inputEnabled) return; // Ignore input while processing
+  if (!claimGame()) return; // Another tab is playing this game
   if (isValidating && key === "ENTER") return; // Prevent Enter spam during validation
   if (isValidating && key === "⌫") return; // Prevent backspace during validation (BUG FIX)
 
   if (key === "ENTER") {
     submitGuess();
   } else if (key === "⌫") {
-    deleteLetter();
-  } else if (currentTile < GAME_CONFIG.WORD_LENGTH) {
-    addLetter(key);
+    engine.deleteLetter();
+  } else {
+    engine.addLetter(key);
+  }
+}
+
+/**
+ * Color a key from the latest hints: one color for a single board,
+ * split per board (left/right or quadrants) in multi-board games
+ */
+function renderKey(letter, status) {
+  if (engine.boards.length > 1) {
+    renderSplitKey(letter);
+  } else {
+    updateKeyColor(letter, status);
   }
 }
 
+function renderSplitKey(letter) {
+  const key = document.getElementById(`key-${letter}`);
+  if (!key) return;
+
+  const colors = engine.boards.map((board) => {
+    const status = board.keyStatuses[letter];
+    return status ? COLORS[status.toUpperCase()] : COLORS.UNUSED;
+  });
+
+  // Boards sit in a 2-column grid, so quadrant i mirrors board i's position;
+  // the conic gradient runs clockwise from 12 o'clock (TR, BR, BL, TL)
+  key.classList.add("split");
+  key.style.background =
+    colors.length === 2
+      ? `linear-gradient(to right, ${colors[0]} 50%, ${colors[1]} 50%)`
+      : `conic-gradient(${colors[1]} 0 25%, ${colors[3]} 0 50%, ${colors[2]} 0 75%, ${colors[0]} 0)`;
+}
+
 function updateKeyColor(letter, status) {
   const key = document.getElementById(`key-${letter}`);
   if (!key) return;
 
-  const currentStatus = key.className.split(" ")[1];
-  if (currentStatus === "correct") return;
-  if (currentStatus === "present" && status === "absent") return;
+  const currentStatus = ["correct", "present", "absent"].find((s) =>
+    key.classList.contains(s)
+  );
 
   key.classList.remove("correct", "present", "absent");
-  key.classList.add(status);
+  key.classList.add(mergeKeyStatus(currentStatus, status));
 }
 
 /* ============================================
@@ -293,39 +813,40 @@ function submitGuess() {
   // Prevent concurrent submissions
   if (isValidating) return;
 
-  if (currentTile < GAME_CONFIG.WORD_LENGTH) {
+  if (engine.currentTile < engine.wordLength) {
     showMessage("Not enough letters");
     return;
   }
 
-  let guess = "";
-  for (let i = 0; i < GAME_CONFIG.WORD_LENGTH; i++) {
-    const tile = document.getElementById(`tile-${currentRow}-${i}`);
-    guess += tile.textContent;
-  }
+  const guess = engine.currentGuess;
 
   // Guard: Validate guess is complete and not empty
-  if (guess.length !== GAME_CONFIG.WORD_LENGTH || guess.trim() === "") {
+  if (guess.length !== engine.wordLength || guess.trim() === "") {
     showMessage("Invalid input");
     return;
   }
 
-  // Lock input during async validation
+  // Hard mode hints are checked locally before spending an API call
+  const ruleError = engine.checkGuess(guess);
+  if (ruleError) {
+    showMessage(ruleError);
+    return;
+  }
+
+  // Lock input until the guess is validated and its row has flipped
   isValidating = true;
 
-  // Validate word using dictionary service (API + cache + fallback)
-  dictionaryService
-    .isValidWord(guess)
-    .then((isValid) => {
-      if (!isValid) {
-        showMessage("Not in word list");
-        isValidating = false; // Unlock immediately on invalid word
-        return;
-      }
+  // Bundled list lookups are synchronous once the list is loaded
+  const knownValid = dictionaryService.checkSync(guess);
+  if (knownValid !== null) {
+    applyValidation(guess, knownValid);
+    return;
+  }
 
-      // Valid word - process it
-      processGuess(guess);
-    })
+  // List still loading, or the chain needs a network provider - wait for it
+  dictionaryService
+    .isValidWord(guess, engine.wordLength)
+    .then((isValid) => applyValidation(guess, isValid))
     .catch((error) => {
       console.error("Validation error:", error);
       showMessage("Error validating word");
@@ -333,117 +854,343 @@ function submitGuess() {
     });
 }
 
-function processGuess(guess) {
-  const targetArray = targetWord.split("");
-  const guessArray = guess.split("");
-  const letterStatus = new Array(GAME_CONFIG.WORD_LENGTH).fill("absent");
-
-  // First pass: mark correct positions
-  for (let i = 0; i < GAME_CONFIG.WORD_LENGTH; i++) {
-    if (guessArray[i] === targetArray[i]) {
-      letterStatus[i] = "correct";
-      targetArray[i] = null;
-    }
+function applyValidation(guess, isValid) {
+  if (!isValid) {
+    showMessage("Not in word list");
+    isValidating = false; // Unlock immediately on invalid word
+    return;
   }
 
-  // Second pass: mark present letters (yellow)
-  for (let i = 0; i < GAME_CONFIG.WORD_LENGTH; i++) {
-    if (letterStatus[i] === "correct") continue;
-    const index = targetArray.indexOf(guessArray[i]);
-    if (index !== -1) {
-      letterStatus[i] = "present";
-      targetArray[index] = null;
-    }
+  // Valid word - let the engine score it (rendering follows its events)
+  const result = engine.submit(guess);
+  if (!result.ok) {
+    showMessage(result.reason);
+    isValidating = false;
   }
+}
+
+/**
+ * Animate a scored row and its keyboard colors, then unlock input
+ */
+function renderGuessScored({ guess, row, statuses, board = 0 }) {
+  const guessArray = guess.split("");
 
   // Apply animations
-  for (let i = 0; i < GAME_CONFIG.WORD_LENGTH; i++) {
+  for (let i = 0; i < guessArray.length; i++) {
     setTimeout(() => {
-      const tile = document.getElementById(`tile-${currentRow}-${i}`);
-      tile.classList.add(letterStatus[i]);
-      updateKeyColor(guessArray[i], letterStatus[i]);
+      const tile = document.getElementById(`tile-${board}-${row}-${i}`);
+      tile.classList.add(statuses[i]);
+      renderKey(guessArray[i], statuses[i]);
     }, i * GAME_CONFIG.ANIMATION_DELAY);
   }
 
-  // Check result after animation - then unlock input
+  // Unlock input after guess is fully processed
   setTimeout(() => {
-    checkGameResult(guess);
-    isValidating = false; // Unlock input after guess is fully processed
+    isValidating = false;
   }, GAME_CONFIG.FLIP_ANIMATION_DURATION);
 }
 
-async function checkGameResult(guess) {
-  if (guess === targetWord) {
-    await endGameWon();
-  } else if (currentRow === GAME_CONFIG.MAX_ATTEMPTS - 1) {
-    await endGameLost();
-  } else {
-    currentRow++;
-    currentTile = 0;
-  }
-}
-
 /* ============================================
    Game End States
    ============================================ */
-async function endGameWon() {
-  gameOver = true;
-  stats.gamesPlayed++;
-  stats.gamesWon++;
-  stats.currentStreak++;
-  stats.maxStreak = Math.max(stats.maxStreak, stats.currentStreak);
-
-  // Save to cloud database with game details
-  if (typeof saveStatsToSupabase !== "undefined") {
-    await saveStatsToSupabase(stats, targetWord, true, currentRow);
-  }
-
-  // Save to localStorage as backup
-  localStorage.setItem(STORAGE_KEYS.STATS, JSON.stringify(stats));
-
-  updateStats();
-
-  // Clear game state protection on game end
-  gameStarted = false;
-  localStorage.removeItem(GAME_STATE_KEY);
-  localStorage.removeItem(ACTIVE_GAME_KEY);
+async function endGameWon(game) {
+  await recordGameResult(game, true);
+  showModal("🎉 You Won!", `Great job! ${describeAnswer(game)}`);
+}
 
-  showModal("🎉 You Won!", `Great job! The word was ${targetWord}`);
+async function endGameLost(game) {
+  await recordGameResult(game, false);
+  showModal("😔 Game Over", describeAnswer(game));
 }
 
-async function endGameLost() {
-  gameOver = true;
-  stats.gamesPlayed++;
-  stats.currentStreak = 0;
+function describeAnswer({ targetWords }) {
+  return targetWords.length > 1
+    ? `The words were ${targetWords.join(", ")}`
+    : `The word was ${targetWords[0]}`;
+}
 
-  // Save to cloud database with game details
-  if (typeof saveStatsToSupabase !== "undefined") {
-    await saveStatsToSupabase(stats, targetWord, false, currentRow);
+/**
+ * Update stats for the finished game (a finishedGame() snapshot).
+ * Daily results feed the main stats, streaks and cloud sync; practice
+ * games only update their own local counters.
+ */
+async function recordGameResult(game, isWon) {
+  // Append-only: the same game (e.g. today's daily finished in another
+  // tab) is only ever counted once
+  const entry = buildLedgerEntry(game, isWon);
+  if (!statsLedger.append(entry)) {
+    console.warn("⚠️ This game was already recorded");
+    refreshStats();
+    updateStats();
+    finishGameSession();
+    return;
   }
+  refreshStats();
+
+  const { attempts, hardMode } = game;
+  if (game.mode === GAME_MODES.DAILY) {
+    // Remember today's result so the puzzle can't be replayed
+    localStorage.setItem(
+      variantKey(STORAGE_KEYS.DAILY_RESULT, game.wordLength, game.boardCount),
+      JSON.stringify({
+        puzzleNumber: game.puzzleNumber,
+        guesses: game.guesses,
+        isWon,
+        attempts,
+        hardMode,
+      })
+    );
 
-  // Save to localStorage as backup
-  localStorage.setItem(STORAGE_KEYS.STATS, JSON.stringify(stats));
+    // Save to cloud database with game details (single-board games only,
+    // multi-board stats stay on this device). Queued first, so a game
+    // finished offline is sent once the connection is back.
+    if (game.boardCount === 1) {
+      syncOutbox.enqueueGame(entry);
+      syncOutbox.enqueueStats(cloudStats(game.wordLength), game.wordLength);
+      await syncOutbox.flush();
+    }
+  }
 
+  latestWin = isWon ? { statsKey: shownStatsKey(), attempts } : null;
   updateStats();
+  await gameHistory.addGame(buildHistoryRecord(game, isWon));
+  finishGameSession();
+}
 
-  // Clear game state protection on game end
+/**
+ * Clear game state protection on game end and hand the game back to
+ * the other tabs
+ */
+function finishGameSession() {
+  recordingResult = false;
   gameStarted = false;
+  gameStartedAt = null;
   localStorage.removeItem(GAME_STATE_KEY);
   localStorage.removeItem(ACTIVE_GAME_KEY);
+  tabCoordinator.broadcast("finished");
+  tabCoordinator.release();
+}
 
-  showModal("😔 Game Over", `The word was ${targetWord}`);
+/**
+ * The finished game's stats ledger entry (see stats-ledger.js)
+ */
+function buildLedgerEntry(game, isWon) {
+  const variant = {
+    mode: game.mode,
+    wordLength: game.wordLength,
+    boardCount: game.boardCount,
+    puzzleNumber: game.puzzleNumber,
+  };
+  return {
+    id: createGameId(variant),
+    ...variant,
+    isWon,
+    attempts: game.attempts,
+    maxAttempts: game.maxAttempts,
+    hardMode: game.hardMode,
+    targetWords: game.targetWords,
+    finishedAt: Date.now(),
+  };
 }
 
-/* ============================================
-   User Interface Feedback
-   ============================================ */
-function showMessage(text) {
-  const message = document.getElementById("message");
-  message.textContent = text;
-  message.style.display = "block";
-  setTimeout(() => {
-    message.style.display = "none";
-  }, GAME_CONFIG.MESSAGE_DISPLAY_TIME);
+/**
+ * Everything about the finished game worth keeping in the local history
+ */
+function buildHistoryRecord(game, isWon) {
+  const finishedAt = Date.now();
+  return {
+    finishedAt,
+    durationMs: game.startedAt ? finishedAt - game.startedAt : null,
+    mode: game.mode,
+    puzzleNumber: game.puzzleNumber,
+    wordLength: game.wordLength,
+    boardCount: game.boardCount,
+    targetWords: game.targetWords,
+    guesses: game.guesses,
+    patterns: game.patterns,
+    isWon,
+    attempts: game.attempts,
+    maxAttempts: game.maxAttempts,
+    hardMode: game.hardMode,
+  };
+}
+
+/* ============================================
+   Sharing Results
+   ============================================ */
+const SHARE_TITLES = { 1: "Wordle", 2: "Dordle", 4: "Quordle" };
+
+/**
+ * Everything the share card shows about the finished game
+ */
+function getShareResult() {
+  const boards = engine.boards.length;
+  const lengthNote =
+    engine.wordLength === GAME_CONFIG.WORD_LENGTH
+      ? ""
+      : ` (${engine.wordLength} letters)`;
+  return {
+    title: (SHARE_TITLES[boards] || `${boards}-board Wordle`) + lengthNote,
+    label: gameMode === GAME_MODES.DAILY ? `#${puzzleNumber}` : "Practice",
+    patterns: engine.boards.map((board) =>
+      board.guesses.map((g) => g.statuses)
+    ),
+    isWon: engine.isWon,
+    attempts: engine.guesses.length,
+    maxAttempts: engine.maxAttempts,
+    hardMode: engine.hardMode,
+  };
+}
+
+/**
+ * Share button: copy the emoji grid (no letters, so no spoilers)
+ */
+async function shareResult() {
+  if (!engine.gameOver) return;
+
+  const copied = await copyToClipboard(buildShareText(getShareResult()));
+  showMessage(
+    copied
+      ? "📋 Result copied - paste it anywhere!"
+      : "❌ Couldn't copy the result"
+  );
+}
+
+/**
+ * Clipboard API first, then the legacy execCommand route (older browsers,
+ * pages not served over HTTPS)
+ */
+async function copyToClipboard(text) {
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    try {
+      await navigator.clipboard.writeText(text);
+      return true;
+    } catch (error) {
+      console.warn("Clipboard API failed, trying fallback:", error);
+    }
+  }
+
+  if (typeof document.execCommand !== "function") return false;
+
+  const textarea = document.createElement("textarea");
+  textarea.value = text;
+  textarea.setAttribute("readonly", "");
+  textarea.style.position = "fixed";
+  textarea.style.opacity = "0";
+  document.body.appendChild(textarea);
+  textarea.select();
+  try {
+    return document.execCommand("copy");
+  } catch (error) {
+    console.error("Copy fallback failed:", error);
+    return false;
+  } finally {
+    document.body.removeChild(textarea);
+  }
+}
+
+/**
+ * Draw the colored grid (two boards per row) on a canvas
+ */
+function drawShareImage({ patterns }) {
+  const TILE = 32;
+  const GAP = 4;
+  const PADDING = 16;
+  const colors = {
+    correct: COLORS.CORRECT,
+    present: COLORS.PRESENT,
+    absent: COLORS.ABSENT,
+  };
+
+  const columns = Math.min(patterns.length, 2);
+  const boardRows = Math.ceil(patterns.length / 2);
+  const letters = engine.wordLength;
+  const boardWidth = letters * TILE + (letters - 1) * GAP;
+  const boardHeight =
+    engine.maxAttempts * TILE + (engine.maxAttempts - 1) * GAP;
+
+  const canvas = document.createElement("canvas");
+  if (!canvas.getContext) return null;
+  canvas.width = PADDING * (columns + 1) + boardWidth * columns;
+  canvas.height = PADDING * (boardRows + 1) + boardHeight * boardRows;
+
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  patterns.forEach((pattern, b) => {
+    const left = PADDING + (b % 2) * (boardWidth + PADDING);
+    const top = PADDING + Math.floor(b / 2) * (boardHeight + PADDING);
+    pattern.forEach((statuses, row) => {
+      statuses.forEach((status, col) => {
+        ctx.fillStyle = colors[status];
+        ctx.fillRect(
+          left + col * (TILE + GAP),
+          top + row * (TILE + GAP),
+          TILE,
+          TILE
+        );
+      });
+    });
+  });
+
+  return canvas;
+}
+
+/**
+ * Image button: copy a PNG of the grid, or download it where images
+ * can't be put on the clipboard
+ */
+async function shareImage() {
+  if (!engine.gameOver) return;
+
+  const result = getShareResult();
+  const canvas = drawShareImage(result);
+  if (!canvas) {
+    showMessage("❌ Images aren't supported in this browser");
+    return;
+  }
+
+  const blob = await new Promise((resolve) => canvas.toBlob(resolve));
+  if (!blob) {
+    showMessage("❌ Couldn't create the image");
+    return;
+  }
+
+  if (
+    navigator.clipboard &&
+    navigator.clipboard.write &&
+    typeof ClipboardItem !== "undefined"
+  ) {
+    try {
+      await navigator.clipboard.write([
+        new ClipboardItem({ "image/png": blob }),
+      ]);
+      showMessage("🖼️ Image copied - paste it anywhere!");
+      return;
+    } catch (error) {
+      console.warn("Image copy failed, downloading instead:", error);
+    }
+  }
+
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = `wordle-${result.label.replace("#", "")}.png`.toLowerCase();
+  link.click();
+  URL.revokeObjectURL(link.href);
+  showMessage("🖼️ Image downloaded");
+}
+
+/* ============================================
+   User Interface Feedback
+   ============================================ */
+function showMessage(text) {
+  const message = document.getElementById("message");
+  message.textContent = text;
+  message.style.display = "block";
+  setTimeout(() => {
+    message.style.display = "none";
+  }, GAME_CONFIG.MESSAGE_DISPLAY_TIME);
 }
 
 function showModal(title, message) {
@@ -465,59 +1212,526 @@ function resetToNewGame(skipBoardClear = false) {
   localStorage.removeItem(GAME_STATE_KEY);
   localStorage.removeItem(ACTIVE_GAME_KEY);
 
-  targetWord = WORDS[Math.floor(Math.random() * WORDS.length)];
-  currentRow = 0;
-  currentTile = 0;
-  gameOver = false;
   gameStarted = false; // Reset game started flag for new game
+  gameStartedAt = null;
+  puzzleNumber = getTodayPuzzleNumber();
+  engine = createEngineForMode(gameMode);
   isValidating = false;
   inputEnabled = true;
 
   if (!skipBoardClear) {
-    // Clear board tiles
-    for (let i = 0; i < GAME_CONFIG.MAX_ATTEMPTS; i++) {
-      for (let j = 0; j < GAME_CONFIG.WORD_LENGTH; j++) {
-        const tile = document.getElementById(`tile-${i}-${j}`);
-        tile.textContent = "";
-        tile.className = "tile";
-      }
-    }
+    // Fresh board sized for the new game
+    createBoard();
 
-    // Clear keyboard colors
-    KEYBOARD_LAYOUT.flat().forEach((key) => {
-      const keyEl = document.getElementById(`key-${key}`);
-      if (keyEl) {
-        keyEl.className = key.length > 1 ? "key large" : "key";
-      }
-    });
+    clearKeyboard();
   }
 }
 
+/**
+ * Clear keyboard colors (including split multi-board backgrounds)
+ */
+function clearKeyboard() {
+  KEYBOARD_LAYOUT.flat().forEach((key) => {
+    const keyEl = document.getElementById(`key-${key}`);
+    if (keyEl) {
+      keyEl.className = key.length > 1 ? "key large" : "key";
+      keyEl.style.background = "";
+    }
+  });
+}
+
 function resetGame() {
+  // The daily puzzle is one attempt per day, so "Play Again" means practice
+  if (gameMode === GAME_MODES.DAILY) {
+    document.getElementById("modal").style.display = "none";
+    switchGameMode(GAME_MODES.PRACTICE);
+    return;
+  }
+
+  resetToNewGame();
+}
+
+/* ============================================
+   Game Mode Management
+   ============================================ */
+function setGameMode(mode) {
+  gameMode = mode;
+  localStorage.setItem(STORAGE_KEYS.GAME_MODE, mode);
+}
+
+function switchGameMode(mode) {
+  if (mode === gameMode) return;
+
+  // Switching mid-game would abandon (or re-roll) the current puzzle, and
+  // a just-finished one until its result is recorded
+  if (recordingResult || (gameStarted && !engine.gameOver)) {
+    showMessage("Finish your current game first");
+    return;
+  }
+
+  setGameMode(mode);
+  resetToNewGame();
+  renderEngineState(); // Shows today's finished daily board, if any
+  renderGameMode();
+  updateStats();
+
+  if (mode === GAME_MODES.DAILY && engine.gameOver) {
+    showMessage("✅ Daily puzzle done - come back tomorrow!");
+  }
+}
+
+/**
+ * Settings toggle: hard mode applies from the next round if a game is
+ * already under way (the engine refuses mid-game activation)
+ */
+function toggleHardMode(enabled) {
+  if (!engine.setHardMode(enabled)) {
+    document.getElementById("hardModeToggle").checked = false;
+    showMessage("Hard mode can only be enabled at the start of a round");
+    return;
+  }
+
+  hardModeEnabled = enabled;
+  localStorage.setItem(STORAGE_KEYS.HARD_MODE, String(enabled));
+}
+
+/**
+ * Word length picker: each length has its own answers, stats and daily
+ */
+async function switchWordLength(length) {
+  const select = document.getElementById("wordLengthSelect");
+  if (length === wordLength) return;
+
+  if (recordingResult || (gameStarted && !engine.gameOver)) {
+    select.value = String(wordLength);
+    showMessage("Finish your current game first");
+    return;
+  }
+
+  setWordLength(length);
+  dictionaryService.preload(wordLength);
+  resetToNewGame();
+  renderEngineState();
+  renderGameMode();
+  await loadStats();
+  updateStats();
+}
+
+/**
+ * Board count picker: 1 board, Dordle (2) or Quordle (4), each with its
+ * own answers, stats and daily
+ */
+async function switchBoardCount(count) {
+  const select = document.getElementById("boardCountSelect");
+  if (count === boardCount) return;
+
+  if (recordingResult || (gameStarted && !engine.gameOver)) {
+    select.value = String(boardCount);
+    showMessage("Finish your current game first");
+    return;
+  }
+
+  setBoardCount(count);
   resetToNewGame();
+  renderEngineState();
+  renderGameMode();
+  await loadStats();
+  updateStats();
+}
+
+function renderGameMode() {
+  document
+    .getElementById("modeDaily")
+    .classList.toggle("active", gameMode === GAME_MODES.DAILY);
+  document
+    .getElementById("modePractice")
+    .classList.toggle("active", gameMode === GAME_MODES.PRACTICE);
+  document.getElementById("puzzleLabel").textContent =
+    gameMode === GAME_MODES.DAILY ? `Daily #${puzzleNumber}` : "Practice";
+  document.getElementById("subtitle").textContent =
+    engine.boards.length > 1
+      ? `Solve ${engine.boards.length} ${engine.wordLength}-letter words in ${engine.maxAttempts} tries`
+      : `Guess the ${engine.wordLength}-letter word in ${engine.maxAttempts} tries`;
+}
+
+/* ============================================
+   Word Length & Board Count
+   ============================================ */
+function normalizeWordLength(value) {
+  const length = Number(value);
+  return WORDS_BY_LENGTH[length] ? length : GAME_CONFIG.WORD_LENGTH;
+}
+
+/**
+ * Attempt budget for a word length, plus extra tries per additional board
+ */
+function getMaxAttempts(length, boards = boardCount) {
+  const base =
+    GAME_CONFIG.ATTEMPTS_BY_LENGTH[length] || GAME_CONFIG.MAX_ATTEMPTS;
+  return base + (GAME_CONFIG.ATTEMPTS_BONUS_BY_BOARDS[boards] || 0);
+}
+
+function setWordLength(length) {
+  wordLength = normalizeWordLength(length);
+  localStorage.setItem(STORAGE_KEYS.WORD_LENGTH, String(wordLength));
+}
+
+function normalizeBoardCount(value) {
+  const count = Number(value);
+  return GAME_CONFIG.ATTEMPTS_BONUS_BY_BOARDS[count] !== undefined ? count : 1;
+}
+
+function setBoardCount(count) {
+  boardCount = normalizeBoardCount(count);
+  localStorage.setItem(STORAGE_KEYS.BOARD_COUNT, String(boardCount));
+}
+
+/**
+ * Storage key partitioned by word length and board count.
+ * 5 letters on one board keeps the original key so existing saves carry over.
+ */
+function variantKey(key, length = wordLength, boards = boardCount) {
+  const lengthPart = length === GAME_CONFIG.WORD_LENGTH ? "" : `_${length}`;
+  const boardsPart = boards > 1 ? `_x${boards}` : "";
+  return key + lengthPart + boardsPart;
+}
+
+/**
+ * Forget the finished daily puzzles of every word length and board count
+ */
+function clearDailyResults() {
+  Object.keys(WORDS_BY_LENGTH).forEach((length) => {
+    Object.keys(GAME_CONFIG.ATTEMPTS_BONUS_BY_BOARDS).forEach((boards) => {
+      localStorage.removeItem(
+        variantKey(STORAGE_KEYS.DAILY_RESULT, Number(length), Number(boards))
+      );
+    });
+  });
 }
 
 /* ============================================
    Statistics Management
    ============================================ */
+/**
+ * Stats for a mode at the current variant, recomputed from the ledger
+ */
+function computeLocalStats(mode) {
+  return {
+    ...DEFAULT_STATS,
+    ...computeStats(statsLedger.query({ mode, wordLength, boardCount })),
+  };
+}
+
+/**
+ * Daily counters for the cloud at one word length: the ledger's games
+ * only. Baselines are counters carried over from before the ledger that
+ * nothing can check, so they only count on this device.
+ */
+function cloudStats(length) {
+  const variant = { mode: GAME_MODES.DAILY, wordLength: length, boardCount: 1 };
+  return computeStats(
+    statsLedger.query(variant).filter((entry) => entry.kind !== "baseline")
+  );
+}
+
+/**
+ * Move counters saved before the ledger (wordleStats, wordleStats_6, ...)
+ * into it as baselines, then drop the old keys. Only a device without a
+ * ledger yet has any to move: keys found later are dropped unread.
+ */
+function migrateLegacyStats() {
+  const firstRun = !statsLedger.isSaved();
+  const modes = {
+    [GAME_MODES.DAILY]: STORAGE_KEYS.STATS,
+    [GAME_MODES.PRACTICE]: STORAGE_KEYS.PRACTICE_STATS,
+  };
+
+  Object.keys(WORDS_BY_LENGTH).forEach((key) => {
+    const length = Number(key);
+    Object.keys(GAME_CONFIG.ATTEMPTS_BONUS_BY_BOARDS).forEach((boards) => {
+      Object.entries(modes).forEach(([mode, statsKey]) => {
+        const storageKey = variantKey(statsKey, length, Number(boards));
+        const counters = readSavedJson(storageKey);
+        if (!counters) return;
+
+        localStorage.removeItem(storageKey);
+        if (!firstRun) {
+          console.warn(`⚠️ Ignored ${storageKey}: stats are in the ledger`);
+          return;
+        }
+        statsLedger.importLegacyStats(
+          { mode, wordLength: length, boardCount: Number(boards) },
+          counters
+        );
+        console.log(`✅ Migrated ${storageKey} into the stats ledger`);
+      });
+    });
+  });
+
+  if (firstRun) {
+    statsLedger.load();
+    statsLedger.save(); // Even empty: the migration has run
+  }
+}
+
+/**
+ * Load stats for the current word length: the local ledger, reconciled
+ * by game id with the games recorded in the cloud (single-board only)
+ */
+async function loadStats() {
+  statsLedger.reload();
+
+  if (boardCount === 1) {
+    await reconcileWithCloud(wordLength);
+  }
+
+  stats = computeLocalStats(GAME_MODES.DAILY);
+  practiceStats = computeLocalStats(GAME_MODES.PRACTICE);
+}
+
+/**
+ * Compare the local ledger with the cloud's games at one word length -
+ * the one place local and cloud records meet (every load, and before a
+ * profile goes public). Games only one side has are copied over,
+ * different copies of one game are settled by pickLedgerEntry, and the
+ * recomputed counters are queued for the cloud. Resolves to a result
+ * holding StatsLedger.reconcile's report.
+ */
+async function reconcileWithCloud(length) {
+  const remote = await repositories.stats.loadGames(length);
+  if (!remote.ok) {
+    console.log("ℹ️ Using local stats:", remote.error.message);
+    return remote;
+  }
+
+  const variant = { mode: GAME_MODES.DAILY, wordLength: length, boardCount: 1 };
+  const report = statsLedger.reconcile(remote.data, variant);
+
+  report.uploads.forEach((entry) => syncOutbox.enqueueGame(entry));
+  report.overwrites.forEach((entry) =>
+    syncOutbox.enqueueGame(entry, { replace: true })
+  );
+  if (
+    report.added.length + report.uploads.length + report.conflicts.length >
+    0
+  ) {
+    syncOutbox.enqueueStats(cloudStats(length), length);
+  }
+
+  console.log(`🔄 Stats reconciled: ${describeReconciliation(report)}`);
+  return { ok: true, data: report };
+}
+
+/**
+ * One line summing up a reconciliation report, for the console
+ */
+function describeReconciliation({ added, uploads, conflicts, rejected }) {
+  const parts = [];
+  if (added.length > 0) parts.push(`${added.length} games from the cloud`);
+  if (uploads.length > 0) parts.push(`${uploads.length} games to upload`);
+  conflicts.forEach(({ id, kept }) =>
+    parts.push(`${id} played twice, kept the ${kept} copy`)
+  );
+  if (rejected > 0) parts.push(`${rejected} invalid cloud games ignored`);
+  return parts.length > 0 ? parts.join(", ") : "already in sync";
+}
+
+/**
+ * Storage key of the stats shown for the current mode and variant
+ */
+function shownStatsKey() {
+  return variantKey(
+    gameMode === GAME_MODES.PRACTICE
+      ? STORAGE_KEYS.PRACTICE_STATS
+      : STORAGE_KEYS.STATS
+  );
+}
+
 function updateStats() {
-  document.getElementById("gamesPlayed").textContent = stats.gamesPlayed;
+  // Show the counters for the mode being played
+  const shown = gameMode === GAME_MODES.PRACTICE ? practiceStats : stats;
+
+  document.getElementById("gamesPlayed").textContent = shown.gamesPlayed;
   const winRate =
-    stats.gamesPlayed > 0
-      ? Math.round((stats.gamesWon / stats.gamesPlayed) * 100)
+    shown.gamesPlayed > 0
+      ? Math.round((shown.gamesWon / shown.gamesPlayed) * 100)
       : 0;
   document.getElementById("winRate").textContent = winRate + "%";
-  document.getElementById("currentStreak").textContent = stats.currentStreak;
+  document.getElementById("currentStreak").textContent = shown.currentStreak;
+
+  renderGuessDistribution(
+    document.getElementById("guessDistribution"),
+    shown.guessDistribution,
+    latestWinAttempts(shownStatsKey())
+  );
+}
+
+function latestWinAttempts(statsKey) {
+  return latestWin && latestWin.statsKey === statsKey
+    ? latestWin.attempts
+    : null;
+}
+
+/**
+ * Bar chart of wins per number of guesses (1 up to the attempt budget)
+ */
+function renderGuessDistribution(container, distribution = {}, highlight) {
+  const counts = distribution || {};
+  const maxAttempts = Math.max(
+    getMaxAttempts(wordLength),
+    ...Object.keys(counts).map(Number)
+  );
+  const largest = Math.max(1, ...Object.values(counts));
+
+  let rows = "";
+  for (let attempts = 1; attempts <= maxAttempts; attempts++) {
+    const wins = counts[attempts] || 0;
+    const width = Math.max(7, Math.round((wins / largest) * 100));
+    const latest = attempts === highlight ? " latest" : "";
+    rows += `
+      <div class="distribution-row">
+        <span class="distribution-label">${attempts}</span>
+        <div class="distribution-bar${latest}" style="width: ${width}%">${wins}</div>
+      </div>
+    `;
+  }
+  container.innerHTML = rows;
 }
 
 async function saveStats() {
-  // Try to save to Supabase first (cloud database)
-  if (typeof saveStatsToSupabase !== "undefined") {
-    await saveStatsToSupabase(stats);
+  // The ledger is already saved locally - push the recomputed counters
+  if (boardCount === 1) {
+    syncOutbox.enqueueStats(cloudStats(wordLength), wordLength);
+    await syncOutbox.flush();
+  }
+}
+
+/* ============================================
+   Cloud Sync
+   ============================================ */
+const SYNC_STATUS_LABELS = {
+  [SYNC_STATUS.SYNCED]: "☁️ Synced",
+  [SYNC_STATUS.PENDING]: "⏳ Waiting to sync",
+  [SYNC_STATUS.SYNCING]: "🔄 Syncing...",
+  [SYNC_STATUS.OFFLINE]: "📴 Offline",
+  local: "💾 Not saved - no cloud connection",
+};
+
+/**
+ * Send one queued write (see sync-outbox.js) through the repositories
+ */
+function sendOutboxWrite({ type, payload }) {
+  if (type === "game" || type === "gameReplace") {
+    return repositories.stats.saveGames([payload], {
+      replace: type === "gameReplace",
+    });
+  }
+  return repositories.stats.saveStats(payload.stats, payload.wordLength);
+}
+
+/**
+ * Without a Supabase client the writes only reach the in-memory backend
+ * and are gone on reload, so "synced" is shown as not saved
+ */
+function renderSyncStatus(status, pending) {
+  const shown =
+    status === SYNC_STATUS.SYNCED && repositories.backend === "memory"
+      ? "local"
+      : status;
+  const el = document.getElementById("syncStatus");
+  el.className = `sync-status ${shown}`;
+  el.textContent =
+    pending > 0 && status !== SYNC_STATUS.SYNCING
+      ? `${SYNC_STATUS_LABELS[shown]} · ${pending} pending`
+      : SYNC_STATUS_LABELS[shown];
+}
+
+/* ============================================
+   Game History
+   ============================================ */
+const HISTORY_RANGES = {
+  all: () => null,
+  today: () => new Date().setHours(0, 0, 0, 0),
+  week: () => Date.now() - 7 * 24 * 60 * 60 * 1000,
+  month: () => Date.now() - 30 * 24 * 60 * 60 * 1000,
+};
+
+async function showHistory() {
+  document.getElementById("historyModal").style.display = "flex";
+  await loadHistory();
+}
+
+function closeHistoryModal() {
+  document.getElementById("historyModal").style.display = "none";
+}
+
+/**
+ * List past games matching the result/date filters, newest first
+ */
+async function loadHistory() {
+  const contentEl = document.getElementById("historyContent");
+  const result = document.getElementById("historyResultFilter").value || "all";
+  const range = document.getElementById("historyRangeFilter").value || "all";
+  contentEl.innerHTML = '<div class="loading">Loading history...</div>';
+
+  const games = await gameHistory.getGames({
+    result,
+    since: (HISTORY_RANGES[range] || HISTORY_RANGES.all)(),
+  });
+
+  if (games.length === 0) {
+    contentEl.innerHTML =
+      '<div class="no-data">No games here yet - go play one!</div>';
+    return;
   }
 
-  // Always save to localStorage as backup
-  localStorage.setItem(STORAGE_KEYS.STATS, JSON.stringify(stats));
+  contentEl.innerHTML = games.map(renderHistoryEntry).join("");
+}
+
+function renderHistoryEntry(game) {
+  const date = new Date(game.finishedAt).toLocaleString();
+  const label =
+    game.mode === GAME_MODES.DAILY ? `Daily #${game.puzzleNumber}` : "Practice";
+  const score = game.isWon ? `${game.attempts}/${game.maxAttempts}` : "X";
+  const details = [
+    `${game.wordLength} letters`,
+    game.boardCount > 1 ? `${game.boardCount} boards` : "",
+    game.hardMode ? "💪 Hard" : "",
+    game.durationMs !== null ? `⏱️ ${formatDuration(game.durationMs)}` : "",
+  ].filter(Boolean);
+
+  return `
+    <div class="history-entry ${game.isWon ? "won" : "lost"}">
+      <div class="history-header">
+        <span class="history-label">${label}</span>
+        <span class="history-score">${game.isWon ? "🎉" : "😔"} ${score}</span>
+      </div>
+      <div class="history-word">${game.targetWords.join(" / ")}</div>
+      <div class="history-meta">${date} · ${details.join(" · ")}</div>
+      <div class="history-grids">
+        ${game.patterns.map(renderMiniGrid).join("")}
+      </div>
+    </div>
+  `;
+}
+
+function renderMiniGrid(pattern) {
+  const rows = pattern
+    .map(
+      (statuses) =>
+        `<div class="mini-row">${statuses
+          .map((status) => `<span class="mini-tile ${status}"></span>`)
+          .join("")}</div>`
+    )
+    .join("");
+  return `<div class="mini-grid">${rows}</div>`;
+}
+
+function formatDuration(ms) {
+  const totalSeconds = Math.round(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  return minutes > 0 ? `${minutes}m ${seconds}s` : `${totalSeconds}s`;
 }
 
 /* ============================================
@@ -611,7 +1825,7 @@ document.addEventListener("keydown", (e) => {
     return;
   }
 
-  if (gameOver) return;
+  if (engine.gameOver) return;
   if (!inputEnabled) return; // Ignore input while processing
   if (isValidating && e.key === "Enter") return; // Prevent Enter spam
 
@@ -629,14 +1843,33 @@ document.addEventListener("keydown", (e) => {
 /* ============================================
    Profile Management
    ============================================ */
+
+/**
+ * What to tell the player when a repository call failed
+ */
+function repositoryErrorMessage(error) {
+  switch (error.code) {
+    case REPOSITORY_ERRORS.NETWORK:
+      return "You're offline - try again later";
+    case REPOSITORY_ERRORS.CONFLICT:
+      return "That name or email is already taken";
+    case REPOSITORY_ERRORS.NOT_FOUND:
+      return "Player not found - reload and try again";
+    case REPOSITORY_ERRORS.UNAUTHENTICATED:
+      return "Please sign in first";
+    case REPOSITORY_ERRORS.INVALID:
+      return error.message;
+    default:
+      return "Something went wrong - try again";
+  }
+}
+
 async function showProfileModal() {
   // Check if user already has a profile
-  if (typeof checkUserProfile !== "undefined") {
-    const hasProfile = await checkUserProfile();
-    if (hasProfile) {
-      showMessage("✅ You already have a profile!");
-      return;
-    }
+  const existing = await repositories.profiles.getProfile();
+  if (existing.ok && existing.data) {
+    showMessage("✅ You already have a profile!");
+    return;
   }
 
   // Populate current stats in modal
@@ -648,14 +1881,42 @@ async function showProfileModal() {
   document.getElementById("profileWinRate").textContent = winRate + "%";
   document.getElementById("profileMaxStreak").textContent = stats.maxStreak;
 
+  // Signed in already (e.g. after deleting a profile)? Straight to details
+  const auth = await repositories.profiles.getAuthUser();
+  showProfileStep(auth.ok ? auth.data : null);
+
   // Show modal
   const modal = document.getElementById("profileModal");
   modal.style.display = "flex";
 }
 
-function closeProfileModal() {
+/**
+ * The modal's two steps: sign in by email, then name + avatar
+ */
+function showProfileStep(authUser) {
+  document.getElementById("signInForm").style.display = authUser ? "none" : "";
+  document.getElementById("profileForm").style.display = authUser ? "" : "none";
+
+  const signedInAs = document.getElementById("signedInAs");
+  signedInAs.textContent = authUser ? `Signed in as ${authUser.email}` : "";
+  signedInAs.classList.toggle("visible", Boolean(authUser));
+  if (authUser) resetSignInForm();
+}
+
+/**
+ * Back to asking for an email (the code field hidden)
+ */
+function resetSignInForm() {
+  document.getElementById("signInForm").reset();
+  document.getElementById("signInCodeGroup").classList.remove("visible");
+  document.getElementById("signInBtn").textContent =
+    "📧 Email Me a Sign-in Code";
+}
+
+function closeProfileModal() {
   const modal = document.getElementById("profileModal");
   modal.style.display = "none";
+  resetSignInForm();
   document.getElementById("profileForm").reset();
   // Reset avatar selection
   document
@@ -682,19 +1943,148 @@ function selectAvatar(element) {
   document.getElementById("avatarUrl").value = "";
 }
 
+/* ---------- Sign-in ---------- */
+
+/**
+ * Pick up a session from last time or from a magic link that just opened
+ * this page, and switch to the player it's linked to
+ */
+async function restoreSignIn() {
+  const linked = await repositories.profiles.linkAuthUser();
+  if (!linked.ok) {
+    console.log("ℹ️ Not signed in:", linked.error.message);
+  } else if (linked.data && linked.data.recovered) {
+    console.log("🔑 Signed back in - loading your stats");
+  }
+}
+
+/**
+ * After signing in: a player linked before brings their stats to this
+ * device (merged with the games played here as a guest) and may already
+ * have a profile; otherwise carry on to naming this one
+ */
+async function handleSignedIn(link) {
+  if (link.recovered) {
+    await loadStats();
+    updateStats();
+  }
+
+  const profile = await repositories.profiles.getProfile();
+  if (profile.ok && profile.data) {
+    showMessage(`👋 Welcome back, ${profile.data.displayName}!`);
+    closeProfileModal();
+    await updateProfileButton();
+    return;
+  }
+
+  const auth = await repositories.profiles.getAuthUser();
+  showProfileStep(auth.ok ? auth.data : null);
+}
+
+// Handle sign-in: first send the code, then check it
+document.getElementById("signInForm").addEventListener("submit", async (e) => {
+  e.preventDefault();
+
+  const email = document.getElementById("email").value.trim();
+  const codeGroup = document.getElementById("signInCodeGroup");
+  const code = document.getElementById("signInCode").value.trim();
+  const sent = codeGroup.classList.contains("visible");
+
+  if (sent && !code) {
+    showMessage("❌ Enter the code from the email");
+    return;
+  }
+
+  const submitBtn = document.getElementById("signInBtn");
+  const originalText = submitBtn.textContent;
+  submitBtn.textContent = sent ? "⏳ Signing In..." : "⏳ Sending...";
+  submitBtn.disabled = true;
+
+  try {
+    const result = sent
+      ? await repositories.profiles.verifySignInCode(email, code)
+      : await repositories.profiles.sendSignInCode(email);
+    submitBtn.textContent = originalText;
+
+    if (!result.ok) {
+      showMessage("❌ " + repositoryErrorMessage(result.error));
+    } else if (sent) {
+      await handleSignedIn(result.data);
+    } else {
+      codeGroup.classList.add("visible");
+      submitBtn.textContent = "🔑 Sign In";
+      showMessage("📧 Check your email for the sign-in code");
+    }
+  } catch (error) {
+    console.error("Error signing in:", error);
+    showMessage("❌ Error signing in: " + error.message);
+    submitBtn.textContent = originalText;
+  } finally {
+    submitBtn.disabled = false;
+  }
+});
+
+/**
+ * Sign out: this device goes back to being a guest. The games played so
+ * far belong to the account, so the local ledger, outbox, history, daily
+ * results and saved game are emptied; the next guest (or account) starts
+ * without them, with today's puzzle still to play.
+ */
+async function signOutPlayer() {
+  await syncOutbox.flush(); // Last chance to save this account's games
+  const result = await repositories.profiles.signOut();
+  if (!result.ok) {
+    showMessage("❌ " + repositoryErrorMessage(result.error));
+    return;
+  }
+
+  statsLedger.clear();
+  syncOutbox.clear();
+  await gameHistory.clear();
+  clearDailyResults();
+  latestWin = null;
+  resetToNewGame(); // Also drops the saved game
+  refreshStats();
+  updateStats();
+
+  showMessage("👋 Signed out. Sign in again to get your stats back.");
+  closeProfileViewModal();
+  await updateProfileButton();
+}
+
+/**
+ * Claim the player: reconcile this device's classic games with the cloud,
+ * create the profile, then send the recomputed stats it ranks by
+ */
+async function createProfile(details) {
+  const reconciled = await reconcileWithCloud(5);
+  if (!reconciled.ok) return reconciled;
+
+  const created = await repositories.profiles.createProfile(details);
+  if (!created.ok) return created;
+
+  const merged = cloudStats(5);
+  syncOutbox.enqueueStats(merged, 5);
+  await syncOutbox.flush();
+
+  console.log("📊 Stats migrated:", merged);
+  refreshStats();
+  updateStats();
+  return created;
+}
+
 // Handle profile form submission
 document.getElementById("profileForm").addEventListener("submit", async (e) => {
   e.preventDefault();
 
   const displayName = document.getElementById("displayName").value.trim();
-  const email = document.getElementById("email").value.trim();
   const avatarUrl = document.getElementById("avatarUrl").value.trim();
   const avatarEmoji = document.getElementById("avatarSelection").value;
 
   // Use URL if provided, otherwise use selected emoji
   const finalAvatar = avatarUrl || avatarEmoji;
 
-  if (!displayName || !email) {
+  if (!displayName) {
     showMessage("❌ Please fill in all required fields");
     return;
   }
@@ -706,21 +2096,19 @@ document.getElementById("profileForm").addEventListener("submit", async (e) => {
   submitBtn.disabled = true;
 
   try {
-    // Call supabase service to create profile
-    if (typeof createUserProfile !== "undefined") {
-      const success = await createUserProfile(displayName, email, finalAvatar);
+    const result = await createProfile({
+      displayName,
+      avatarUrl: finalAvatar,
+    });
 
-      if (success) {
-        showMessage("✅ Profile created! Your stats are now saved forever!");
-        closeProfileModal();
+    if (result.ok) {
+      showMessage("✅ Profile created! Your stats are now saved forever!");
+      closeProfileModal();
 
-        // Update profile button to show username
-        await updateProfileButton();
-      } else {
-        showMessage("❌ Failed to create profile. Try again.");
-      }
+      // Update profile button to show username
+      await updateProfileButton();
     } else {
-      showMessage("❌ Profile service not available");
+      showMessage("❌ " + repositoryErrorMessage(result.error));
     }
   } catch (error) {
     console.error("Error creating profile:", error);
@@ -735,158 +2123,928 @@ document.getElementById("profileForm").addEventListener("submit", async (e) => {
    Leaderboard Management
    ============================================ */
 let currentLeaderboardTab = "streak";
+let leaderboardSearch = ""; // Name filter from the search box
+let leaderboardRows = []; // Pages loaded so far
+let leaderboardNextCursor = null; // Where "Load more" continues, if anywhere
+let leaderboardFromTop = true; // False after jumping to the player's page
+let leaderboardRequest = 0; // Newer loads win over slower older ones
+let leaderboardSearchTimer = null;
+let leaderboardGroupId = null; // Board scope: null = everyone, or a group
+let leaderboardStartCursor = null; // Where the rows shown start (live refreshes)
+let leaderboardSession = 0; // Bumped on every open and close of the modal
 
 async function showLeaderboard() {
   const modal = document.getElementById("leaderboardModal");
+  const session = ++leaderboardSession;
+  await renderLeaderboardGroups();
+  if (session !== leaderboardSession) return; // Closed while loading
+  renderLeaderboardSubtitle();
   modal.style.display = "flex";
   await loadLeaderboard(currentLeaderboardTab);
+  if (session !== leaderboardSession) return;
+  await startLeaderboardUpdates(session);
+}
+
+/**
+ * The scope picker: everyone, or one of the player's groups (hidden
+ * without any). A group the player has left falls back to everyone.
+ */
+async function renderLeaderboardGroups() {
+  await loadGroups();
+  if (!playerGroups.some((group) => group.id === leaderboardGroupId)) {
+    leaderboardGroupId = null;
+    if (currentLeaderboardTab === "groupday") currentLeaderboardTab = "today";
+  }
+
+  // Names are set as text: they come from other players
+  const select = document.getElementById("leaderboardGroup");
+  select.innerHTML = "";
+  [
+    { id: "", label: "🌍 Everyone" },
+    ...playerGroups.map((group) => ({
+      id: group.id,
+      label: `👥 ${group.name}`,
+    })),
+  ].forEach(({ id, label }) => {
+    const option = document.createElement("option");
+    option.value = id;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+  select.value = leaderboardGroupId || "";
+  select.hidden = playerGroups.length === 0;
+  renderLeaderboardTabs();
+}
+
+async function switchLeaderboardGroup(groupId) {
+  leaderboardGroupId = groupId || null;
+  if (!leaderboardGroupId && currentLeaderboardTab === "groupday") {
+    currentLeaderboardTab = "today";
+  }
+  renderLeaderboardTabs();
+  renderLeaderboardSubtitle();
+  await loadLeaderboard(currentLeaderboardTab);
+}
+
+/**
+ * Group (if any) and word length, plus the period's entry rule on a
+ * period tab or the puzzle on the group day tab
+ */
+function renderLeaderboardSubtitle() {
+  const period = LEADERBOARD_PERIODS[currentLeaderboardTab];
+  const group = playerGroups.find(({ id }) => id === leaderboardGroupId);
+  let subtitle = `${group ? `${group.name} · ` : ""}${wordLength}-letter words`;
+  if (currentLeaderboardTab === "groupday") {
+    subtitle += ` · Puzzle #${getTodayPuzzleNumber()}`;
+  } else if (period) {
+    subtitle += ` · ${period.label} · ${period.minGames}+ game${
+      period.minGames === 1 ? "" : "s"
+    } to rank`;
+  }
+  document.getElementById("leaderboardSubtitle").textContent = subtitle;
 }
 
 function closeLeaderboardModal() {
   const modal = document.getElementById("leaderboardModal");
   modal.style.display = "none";
+  leaderboardSession++;
+  stopLeaderboardUpdates();
 }
 
 async function switchLeaderboardTab(tab) {
   currentLeaderboardTab = tab;
+  renderLeaderboardTabs();
+  renderLeaderboardSubtitle();
+  await loadLeaderboard(tab);
+}
 
-  // Update active tab
+/**
+ * Highlight the active tab; the group day tab only shows for a group
+ */
+function renderLeaderboardTabs() {
   document.querySelectorAll(".tab-btn").forEach((btn) => {
-    btn.classList.remove("active");
+    btn.classList.toggle("active", btn.dataset.tab === currentLeaderboardTab);
   });
-  event.target.classList.add("active");
+  document.getElementById("groupDayTab").hidden = !leaderboardGroupId;
+}
 
-  await loadLeaderboard(tab);
+/**
+ * The board a tab shows (see repositories.js): lifetime counters
+ * ("streak", "winrate", "skill") or one of the LEADERBOARD_PERIODS,
+ * among everyone or the chosen group
+ */
+function leaderboardBoard(tab) {
+  const period = LEADERBOARD_PERIODS[tab];
+  const groupId = leaderboardGroupId;
+  if (!period) return { sortBy: tab, wordLength, groupId };
+
+  return {
+    sortBy: "period",
+    wordLength,
+    groupId,
+    sincePuzzle: getPeriodStartPuzzle(
+      tab,
+      getTodayPuzzleNumber(),
+      GAME_CONFIG.DAILY_EPOCH
+    ),
+    minGames: period.minGames,
+  };
 }
 
-async function loadLeaderboard(sortBy = "streak") {
-  const contentEl = document.getElementById("leaderboardContent");
-  contentEl.innerHTML = '<div class="loading">Loading leaderboard...</div>';
+/**
+ * Table columns after Rank and Player: [heading, cell text]
+ */
+function leaderboardColumns(tab) {
+  if (tab === "groupday") {
+    return [["Result", groupDayResult]];
+  }
+  if (LEADERBOARD_PERIODS[tab]) {
+    return [
+      ["Games", (leader) => leader.gamesPlayed],
+      ["Wins", (leader) => leader.gamesWon],
+      [
+        "Avg Guesses",
+        (leader) =>
+          leader.avgGuesses === null ? "-" : leader.avgGuesses.toFixed(2),
+      ],
+    ];
+  }
+  if (tab === "skill") {
+    return [
+      ["Games", (leader) => leader.gamesPlayed],
+      ["Win Rate", (leader) => `${leader.winRate}%`],
+      ["Skill", (leader) => leader.skillRating],
+    ];
+  }
+  return [
+    ["Games", (leader) => leader.gamesPlayed],
+    ["Win Rate", (leader) => `${leader.winRate}%`],
+    tab === "streak"
+      ? ["Max Streak", (leader) => leader.maxStreak]
+      : ["Current Streak", (leader) => leader.currentStreak],
+  ];
+}
 
-  try {
-    // Get current user ID
-    const currentUserId = localStorage.getItem("WORDLE_USER_ID");
+/**
+ * "3/6", "X/6" for a loss, with the share card's * for hard mode
+ */
+function groupDayResult({ result }) {
+  if (!result) return "⏳ Not played yet";
+  const score = result.isWon ? result.attempts : "X";
+  return `${score}/${result.maxAttempts}${result.hardMode ? "*" : ""}`;
+}
 
-    // Call supabase service to get leaderboard
-    if (typeof getLeaderboardWithSort !== "undefined") {
-      const leaders = await getLeaderboardWithSort(100, sortBy);
+function emptyLeaderboardMessage(tab) {
+  const period = LEADERBOARD_PERIODS[tab];
+  if (tab === "groupday") return "No one in this group has a profile yet";
+  if (tab === "skill") {
+    return "Nobody has a skill rating yet - finish a daily puzzle to get one!";
+  }
+  if (!period) return "No players with profiles yet. Be the first!";
 
-      if (!leaders || leaders.length === 0) {
-        contentEl.innerHTML =
-          '<div class="no-data">No players with profiles yet. Be the first!</div>';
-        return;
-      }
+  const games = period.minGames === 1 ? "a game" : `${period.minGames} games`;
+  const when = tab === "all" ? "" : ` ${period.label.toLowerCase()}`;
+  return `Nobody has played ${games}${when} yet - keep playing!`;
+}
 
-      // Build leaderboard table
-      let html = `
-        <table class="leaderboard-table">
-          <thead>
-            <tr>
-              <th>Rank</th>
-              <th>Player</th>
-              <th>Games</th>
-              <th>Win Rate</th>
-              <th>${sortBy === "streak" ? "Max Streak" : "Current Streak"}</th>
-            </tr>
-          </thead>
-          <tbody>
-      `;
-
-      leaders.forEach((leader, index) => {
-        const rank = index + 1;
-        const isCurrentUser = leader.user_id === currentUserId;
-        const rankClass = rank <= 3 ? `rank-${rank}` : "";
-        const rowClass = isCurrentUser ? "player-you" : "";
-
-        // Avatar: Check if it's a URL or emoji
-        const isUrl =
-          leader.users.avatar_url &&
-          (leader.users.avatar_url.startsWith("http://") ||
-            leader.users.avatar_url.startsWith("https://"));
-        const avatarHtml = isUrl
-          ? `<img src="${leader.users.avatar_url}" alt="${leader.users.display_name}" class="player-avatar" />`
-          : `<div class="player-avatar-emoji">${
-              leader.users.avatar_url || "🎮"
-            }</div>`;
-
-        html += `
-          <tr class="${rowClass}">
-            <td class="rank-cell ${rankClass}">${rank}</td>
-            <td>
-              <div class="player-info">
-                ${avatarHtml}
-                <span class="player-name">
-                  ${leader.users.display_name}
-                  ${isCurrentUser ? " (You)" : ""}
-                </span>
-              </div>
-            </td>
-            <td>${leader.games_played}</td>
-            <td>${leader.win_rate}%</td>
-            <td>${
-              sortBy === "streak" ? leader.max_streak : leader.current_streak
-            }</td>
-          </tr>
-        `;
-      });
+/**
+ * Load a page of the board: from the top, after `cursor` (appended to
+ * the rows shown with `append`), or the player's own page
+ */
+async function loadLeaderboard(
+  tab = currentLeaderboardTab,
+  { cursor = null, append = false } = {}
+) {
+  if (tab === "groupday") return loadGroupDay();
 
-      html += `
-          </tbody>
-        </table>
-      `;
+  const contentEl = document.getElementById("leaderboardContent");
+  const request = ++leaderboardRequest;
+  if (!append) {
+    contentEl.innerHTML = '<div class="loading">Loading leaderboard...</div>';
+    loadMyRank(tab);
+  }
 
-      contentEl.innerHTML = html;
-    } else {
-      contentEl.innerHTML =
-        '<div class="no-data">Leaderboard service not available</div>';
+  try {
+    const result = await repositories.leaderboard.getLeaderboard(
+      leaderboardBoard(tab),
+      { search: leaderboardSearch, cursor, limit: LEADERBOARD_PAGE_SIZE }
+    );
+    if (request !== leaderboardRequest) return; // Superseded meanwhile
+
+    if (!result.ok) {
+      contentEl.innerHTML = `<div class="error">${repositoryErrorMessage(
+        result.error
+      )}</div>`;
+      return;
     }
+
+    leaderboardRows = append
+      ? [...leaderboardRows, ...result.data.rows]
+      : result.data.rows;
+    leaderboardNextCursor = result.data.nextCursor;
+    if (!append) {
+      leaderboardStartCursor = cursor;
+      leaderboardFromTop = cursor === null;
+    }
+    renderLeaderboard(tab);
   } catch (error) {
     console.error("Error loading leaderboard:", error);
     contentEl.innerHTML = '<div class="error">Error loading leaderboard</div>';
   }
 }
 
+function loadMoreLeaderboard() {
+  return loadLeaderboard(currentLeaderboardTab, {
+    cursor: leaderboardNextCursor,
+    append: true,
+  });
+}
+
+/**
+ * Element with a class and text (as text, never markup: rows and lists
+ * show names other players typed)
+ */
+function buildElement(tagName, className, text) {
+  const el = document.createElement(tagName);
+  if (className) el.className = className;
+  if (text !== undefined) el.textContent = text;
+  return el;
+}
+
+/**
+ * Render the rows loaded; `movement` (userId -> "up" | "down" | "new")
+ * animates the rows a live refresh moved. Built as elements: names and
+ * avatars are whatever the players typed.
+ */
+function renderLeaderboard(tab, movement = {}) {
+  const contentEl = document.getElementById("leaderboardContent");
+  contentEl.innerHTML = "";
+  if (leaderboardRows.length === 0) {
+    const message = leaderboardSearch
+      ? "No players match that name"
+      : emptyLeaderboardMessage(tab);
+    contentEl.appendChild(buildElement("div", "no-data", message));
+    return;
+  }
+
+  if (!leaderboardFromTop) {
+    const top = buildElement(
+      "button",
+      "leaderboard-more-btn",
+      "⬆️ Back to top"
+    );
+    top.onclick = () => loadLeaderboard();
+    contentEl.appendChild(top);
+  }
+
+  const currentUserId = repositories.profiles.currentUserId();
+  const columns = leaderboardColumns(tab);
+  const headings = buildElement("tr");
+  ["Rank", "Player", ...columns.map(([heading]) => heading)].forEach(
+    (heading) => headings.appendChild(buildElement("th", "", heading))
+  );
+  const head = buildElement("thead");
+  head.appendChild(headings);
+  const body = buildElement("tbody");
+
+  leaderboardRows.forEach((leader) => {
+    const rank = leader.rank === null ? "-" : leader.rank;
+    const isCurrentUser = leader.userId === currentUserId;
+    const rankClass = rank <= 3 ? `rank-${rank}` : "";
+    const rowClass = [
+      isCurrentUser ? "player-you" : "",
+      movement[leader.userId] ? `rank-${movement[leader.userId]}` : "",
+    ].join(" ");
+
+    // Avatar: Check if it's a URL or emoji
+    const isUrl =
+      leader.avatarUrl &&
+      (leader.avatarUrl.startsWith("http://") ||
+        leader.avatarUrl.startsWith("https://"));
+    let avatar;
+    if (isUrl) {
+      avatar = buildElement("img", "player-avatar");
+      avatar.src = leader.avatarUrl;
+      avatar.alt = leader.displayName;
+    } else {
+      avatar = buildElement(
+        "div",
+        "player-avatar-emoji",
+        leader.avatarUrl || "🎮"
+      );
+    }
+
+    const info = buildElement("div", "player-info");
+    info.appendChild(avatar);
+    info.appendChild(
+      buildElement(
+        "span",
+        "player-name",
+        leader.displayName + (isCurrentUser ? " (You)" : "")
+      )
+    );
+    const player = buildElement("td");
+    player.appendChild(info);
+
+    const row = buildElement("tr", rowClass.trim());
+    if (isCurrentUser) row.id = "leaderboardYou";
+    row.appendChild(buildElement("td", `rank-cell ${rankClass}`.trim(), rank));
+    row.appendChild(player);
+    columns.forEach(([, cell]) =>
+      row.appendChild(buildElement("td", "", cell(leader)))
+    );
+    body.appendChild(row);
+  });
+
+  const table = buildElement("table", "leaderboard-table");
+  table.appendChild(head);
+  table.appendChild(body);
+  contentEl.appendChild(table);
+
+  if (leaderboardNextCursor) {
+    const more = buildElement("button", "leaderboard-more-btn", "Load more");
+    more.onclick = () => loadMoreLeaderboard();
+    contentEl.appendChild(more);
+  }
+}
+
+/**
+ * The group's results on today's daily puzzle (the current word length):
+ * who won in how many guesses, who lost and who hasn't played yet
+ */
+async function loadGroupDay() {
+  const contentEl = document.getElementById("leaderboardContent");
+  const request = ++leaderboardRequest;
+  contentEl.innerHTML = '<div class="loading">Loading leaderboard...</div>';
+  document.getElementById("leaderboardMyRank").innerHTML = "";
+
+  const result = await fetchGroupDayRows();
+  if (request !== leaderboardRequest) return;
+  if (!result.ok) {
+    contentEl.innerHTML = `<div class="error">${groupErrorMessage(
+      result.error
+    )}</div>`;
+    return;
+  }
+
+  leaderboardRows = result.data;
+  leaderboardNextCursor = null;
+  leaderboardFromTop = true;
+  renderLeaderboard("groupday");
+}
+
+/**
+ * The chosen group's results today, filtered by the search box
+ */
+async function fetchGroupDayRows() {
+  const result = await repositories.groups.getGroupDay(leaderboardGroupId, {
+    puzzleNumber: getTodayPuzzleNumber(),
+    wordLength,
+  });
+  if (!result.ok) return result;
+
+  const needle = leaderboardSearch.toLowerCase();
+  return okResult(
+    result.data.filter((row) => row.displayName.toLowerCase().includes(needle))
+  );
+}
+
+/* ---------- Live updates ---------- */
+
+let leaderboardWatch = null; // Stops the realtime subscription
+let leaderboardPollTimer = null; // Polling when realtime is unavailable
+let leaderboardRefreshTimer = null;
+let groupResultsSeen = null; // userId -> today's result, for the live feed
+let liveFeed = []; // Newest first
+
+/**
+ * Follow changes while the leaderboard is open: realtime when the backend
+ * offers it, polling otherwise (or once the realtime channel fails).
+ * Nothing is left subscribed if the modal closed while subscribing.
+ */
+async function startLeaderboardUpdates(session) {
+  stopLeaderboardUpdates();
+  const watched = await repositories.leaderboard.watch(
+    scheduleLeaderboardRefresh,
+    {
+      onError: () => {
+        if (session === leaderboardSession) startLeaderboardPolling();
+      },
+    }
+  );
+  if (session !== leaderboardSession) {
+    if (watched.ok) watched.data();
+    return;
+  }
+  if (watched.ok) {
+    leaderboardWatch = watched.data;
+  } else {
+    startLeaderboardPolling();
+  }
+  await updateGroupFeed(); // What's already happened isn't news
+}
+
+function startLeaderboardPolling() {
+  if (leaderboardWatch) {
+    leaderboardWatch();
+    leaderboardWatch = null;
+  }
+  if (!leaderboardPollTimer) {
+    leaderboardPollTimer = setInterval(
+      refreshLeaderboard,
+      LEADERBOARD_LIVE.POLL_INTERVAL
+    );
+  }
+}
+
+function stopLeaderboardUpdates() {
+  if (leaderboardWatch) leaderboardWatch();
+  clearInterval(leaderboardPollTimer);
+  clearTimeout(leaderboardRefreshTimer);
+  leaderboardWatch = null;
+  leaderboardPollTimer = null;
+  leaderboardRefreshTimer = null;
+  groupResultsSeen = null;
+  liveFeed = [];
+  renderLiveFeed();
+}
+
+function scheduleLeaderboardRefresh() {
+  clearTimeout(leaderboardRefreshTimer);
+  leaderboardRefreshTimer = setTimeout(
+    refreshLeaderboard,
+    LEADERBOARD_LIVE.REFRESH_DELAY
+  );
+}
+
+/**
+ * Reload the rows shown in place (same start, as many rows) and animate
+ * the players whose rank changed
+ */
+async function refreshLeaderboard() {
+  const tab = currentLeaderboardTab;
+  const session = leaderboardSession;
+  const request = leaderboardRequest; // A load started meanwhile wins
+  const before = new Map(leaderboardRows.map((row) => [row.userId, row.rank]));
+
+  const result =
+    tab === "groupday"
+      ? await fetchGroupDayRows()
+      : await repositories.leaderboard.getLeaderboard(leaderboardBoard(tab), {
+          search: leaderboardSearch,
+          cursor: leaderboardStartCursor,
+          limit: Math.max(leaderboardRows.length, LEADERBOARD_PAGE_SIZE),
+        });
+  if (session !== leaderboardSession) return;
+  if (request !== leaderboardRequest || tab !== currentLeaderboardTab) return;
+
+  if (result.ok && tab === "groupday") {
+    leaderboardRows = result.data;
+  } else if (result.ok) {
+    leaderboardRows = result.data.rows;
+    leaderboardNextCursor = result.data.nextCursor;
+    loadMyRank(tab);
+  }
+  if (result.ok) renderLeaderboard(tab, rankMovement(before, leaderboardRows));
+  await updateGroupFeed();
+}
+
+/**
+ * userId -> "up" | "down" | "new" between two loads of a board
+ */
+function rankMovement(before, rows) {
+  const movement = {};
+  if (before.size === 0) return movement;
+
+  rows.forEach(({ userId, rank }) => {
+    const previous = before.get(userId);
+    if (previous === undefined) {
+      movement[userId] = "new";
+    } else if (rank !== previous && rank !== null) {
+      movement[userId] = previous === null || rank < previous ? "up" : "down";
+    }
+  });
+  return movement;
+}
+
+/**
+ * Announce group members' new results on today's puzzle ("Alex solved
+ * today's puzzle in 3"). The first call only notes what's there.
+ */
+async function updateGroupFeed() {
+  if (playerGroups.length === 0) return;
+
+  const session = leaderboardSession;
+  const results = new Map();
+  for (const group of playerGroups) {
+    const day = await repositories.groups.getGroupDay(group.id, {
+      puzzleNumber: getTodayPuzzleNumber(),
+      wordLength,
+    });
+    if (!day.ok) return; // Try again on the next refresh
+    day.data.forEach((row) => results.set(row.userId, row));
+  }
+  if (session !== leaderboardSession) return; // Closed meanwhile
+
+  const seen = groupResultsSeen;
+  groupResultsSeen = new Map(
+    [...results].map(([userId, row]) => [userId, row.result])
+  );
+  if (!seen) return;
+
+  const me = repositories.profiles.currentUserId();
+  results.forEach((row, userId) => {
+    if (row.result && !seen.get(userId) && userId !== me) {
+      addFeedItem(
+        row.result.isWon
+          ? `${row.displayName} solved today's puzzle in ${row.result.attempts}`
+          : `${row.displayName} missed today's puzzle`
+      );
+    }
+  });
+}
+
+function addFeedItem(text) {
+  liveFeed = [text, ...liveFeed].slice(0, LEADERBOARD_LIVE.FEED_LENGTH);
+  renderLiveFeed();
+}
+
+/**
+ * Built as text: the items quote other players' display names
+ */
+function renderLiveFeed() {
+  const feed = document.getElementById("leaderboardFeed");
+  feed.innerHTML = "";
+  liveFeed.forEach((text, index) => {
+    const item = document.createElement("li");
+    item.className = index === 0 ? "feed-item feed-item-new" : "feed-item";
+    item.textContent = `👥 ${text}`;
+    feed.appendChild(item);
+  });
+}
+
+/* ---------- Search & rank ---------- */
+
+/**
+ * Filter by name as the player types (once they pause)
+ */
+function searchLeaderboard(text) {
+  clearTimeout(leaderboardSearchTimer);
+  leaderboardSearchTimer = setTimeout(() => {
+    leaderboardSearch = text.trim();
+    loadLeaderboard();
+  }, 300);
+}
+
+/**
+ * "Your rank" for the active board, with a jump to the player's page
+ */
+async function loadMyRank(tab) {
+  const rankEl = document.getElementById("leaderboardMyRank");
+  rankEl.innerHTML = "";
+
+  const result = await repositories.leaderboard.getRank(leaderboardBoard(tab));
+  if (tab !== currentLeaderboardTab) return;
+  if (!result.ok) {
+    rankEl.textContent = "";
+  } else if (!result.data) {
+    rankEl.textContent = repositories.profiles.currentUserId()
+      ? "You're not on this board yet"
+      : "";
+  } else {
+    rankEl.innerHTML = `Your rank: <strong>#${result.data.rank}</strong>
+      <button class="jump-to-me-btn" onclick="jumpToMyRank()">📍 Jump to me</button>`;
+  }
+}
+
+/**
+ * Load the page holding the player (search cleared) and scroll to them
+ */
+async function jumpToMyRank() {
+  const tab = currentLeaderboardTab;
+  const result = await repositories.leaderboard.getRank(leaderboardBoard(tab));
+  if (!result.ok || !result.data) {
+    showMessage("❌ You're not on this board yet");
+    return;
+  }
+
+  leaderboardSearch = "";
+  document.getElementById("leaderboardSearch").value = "";
+  await loadLeaderboard(tab, { cursor: result.data.pageCursor });
+
+  const row = document.getElementById("leaderboardYou");
+  if (row && row.scrollIntoView) {
+    row.scrollIntoView({ block: "center", behavior: "smooth" });
+  }
+}
+
 /* ============================================
    Profile View & Management
    ============================================ */
 
 // Show profile view modal
 async function showProfileViewModal() {
-  if (typeof getUserProfile !== "undefined") {
-    const profile = await getUserProfile();
-    if (!profile) {
-      showMessage("❌ Could not load profile");
-      return;
-    }
+  const result = await repositories.profiles.getProfile();
+  if (!result.ok || !result.data) {
+    showMessage(
+      "❌ " +
+        (result.ok
+          ? "Could not load profile"
+          : repositoryErrorMessage(result.error))
+    );
+    return;
+  }
+  cancelProfileEdit();
+  showProfile(result.data);
+  renderProfileGroups();
 
-    // Update profile info
-    document.getElementById("viewDisplayName").textContent =
-      profile.display_name;
-    document.getElementById("viewEmail").textContent = profile.email;
-    document.getElementById("viewAvatar").textContent =
-      profile.avatar_url || "🎮";
+  // Update stats
+  document.getElementById("viewGamesPlayed").textContent = stats.gamesPlayed;
+  document.getElementById("viewGamesWon").textContent = stats.gamesWon;
+  const winRate =
+    stats.gamesPlayed > 0
+      ? Math.round((stats.gamesWon / stats.gamesPlayed) * 100)
+      : 0;
+  document.getElementById("viewWinRate").textContent = winRate + "%";
+  document.getElementById("viewMaxStreak").textContent = stats.maxStreak;
+  document.getElementById("viewCurrentStreak").textContent =
+    stats.currentStreak;
+  renderSkillRating();
+  renderGuessDistribution(
+    document.getElementById("viewGuessDistribution"),
+    stats.guessDistribution,
+    latestWinAttempts(variantKey(STORAGE_KEYS.STATS))
+  );
 
-    // Update stats
-    document.getElementById("viewGamesPlayed").textContent = stats.gamesPlayed;
-    document.getElementById("viewGamesWon").textContent = stats.gamesWon;
-    const winRate =
-      stats.gamesPlayed > 0
-        ? Math.round((stats.gamesWon / stats.gamesPlayed) * 100)
-        : 0;
-    document.getElementById("viewWinRate").textContent = winRate + "%";
-    document.getElementById("viewMaxStreak").textContent = stats.maxStreak;
-    document.getElementById("viewCurrentStreak").textContent =
-      stats.currentStreak;
+  // Show modal
+  const modal = document.getElementById("profileViewModal");
+  modal.style.display = "flex";
+}
 
-    // Show modal
-    const modal = document.getElementById("profileViewModal");
-    modal.style.display = "flex";
+/**
+ * The profile view's skill rating at the current word length
+ */
+async function renderSkillRating() {
+  const ratingEl = document.getElementById("viewSkillRating");
+  ratingEl.textContent = "-";
+
+  const result = await repositories.stats.getSkillRating(wordLength);
+  if (result.ok && result.data) {
+    ratingEl.textContent = result.data.rating;
+    ratingEl.title = `From ${result.data.ratedGames} rated game${
+      result.data.ratedGames === 1 ? "" : "s"
+    }`;
   }
 }
 
 function closeProfileViewModal() {
   const modal = document.getElementById("profileViewModal");
   modal.style.display = "none";
+  cancelProfileEdit();
+}
+
+/**
+ * Show a profile in the profile view and on the profile button
+ */
+function showProfile(profile) {
+  viewedProfile = profile;
+  document.getElementById("viewDisplayName").textContent = profile.displayName;
+  document.getElementById("viewEmail").textContent = profile.email;
+  document.getElementById("viewAvatar").textContent = profile.avatarUrl || "🎮";
+  renderProfileButton(profile);
+}
+
+/* ---------- Profile editing ---------- */
+
+function startProfileEdit() {
+  document.getElementById("editDisplayName").value = viewedProfile.displayName;
+  document.getElementById("editAvatar").value = viewedProfile.avatarUrl || "";
+  document.getElementById("editEmail").value = viewedProfile.email;
+  document.getElementById("profileEditForm").classList.add("visible");
+}
+
+function cancelProfileEdit() {
+  document.getElementById("profileEditForm").classList.remove("visible");
+}
+
+/**
+ * Save an edit optimistically: the new details show at once and are put
+ * back if the backend turns them down (e.g. the name was just taken).
+ * Resolves to the repository result.
+ */
+async function saveProfileEdit(changes) {
+  const previous = viewedProfile;
+  const header = document.getElementById("viewProfileHeader");
+  showProfile({ ...previous, ...changes });
+  header.classList.add("profile-saving");
+
+  const result = await repositories.profiles.updateProfile(changes);
+  header.classList.remove("profile-saving");
+  showProfile(result.ok ? result.data : previous);
+  return result;
+}
+
+// Handle profile edits: send only the fields that changed
+document
+  .getElementById("profileEditForm")
+  .addEventListener("submit", async (e) => {
+    e.preventDefault();
+
+    const fields = {
+      displayName: document.getElementById("editDisplayName").value.trim(),
+      avatarUrl: document.getElementById("editAvatar").value.trim() || null,
+      email: document.getElementById("editEmail").value.trim(),
+    };
+    const changes = {};
+    Object.keys(fields).forEach((field) => {
+      if (fields[field] !== viewedProfile[field]) {
+        changes[field] = fields[field];
+      }
+    });
+
+    const invalid = validateProfileDetails(changes);
+    if (invalid) {
+      showMessage("❌ " + invalid);
+      return;
+    }
+    cancelProfileEdit();
+    if (Object.keys(changes).length === 0) return;
+
+    try {
+      const result = await saveProfileEdit(changes);
+      if (!result.ok) {
+        showMessage("❌ " + repositoryErrorMessage(result.error));
+      } else if (changes.email && repositories.backend === "supabase") {
+        showMessage(
+          "✅ Profile updated! Confirm the new email from your inbox"
+        );
+      } else {
+        showMessage("✅ Profile updated!");
+      }
+    } catch (error) {
+      console.error("Error updating profile:", error);
+      showMessage("❌ Error updating profile: " + error.message);
+    }
+  });
+
+/* ---------- Groups ---------- */
+
+let playerGroups = []; // This player's groups: the profile view and leaderboard scope
+let pendingInviteCode = null; // From an invite link opened without a profile
+
+/**
+ * Group errors name what went wrong (e.g. a wrong invite code), unlike
+ * the generic repository messages
+ */
+function groupErrorMessage(error) {
+  return error.code === REPOSITORY_ERRORS.NOT_FOUND ||
+    error.code === REPOSITORY_ERRORS.UNAUTHENTICATED
+    ? error.message
+    : repositoryErrorMessage(error);
+}
+
+async function loadGroups() {
+  const result = await repositories.groups.listGroups();
+  playerGroups = result.ok ? result.data : [];
+  return playerGroups;
+}
+
+/**
+ * The profile view's group list, with invite and leave buttons
+ */
+async function renderProfileGroups() {
+  const listEl = document.getElementById("viewGroups");
+  if (pendingInviteCode) {
+    document.getElementById("joinGroupCode").value = pendingInviteCode;
+  }
+
+  await loadGroups();
+  if (playerGroups.length === 0) {
+    listEl.innerHTML =
+      '<p class="no-data">No groups yet - create one and share its invite code</p>';
+    return;
+  }
+  listEl.innerHTML = "";
+  playerGroups.forEach((group, index) =>
+    listEl.appendChild(renderGroupItem(group, index))
+  );
+}
+
+/**
+ * One group in the profile view, built as elements: the name is whatever
+ * the group's creator typed
+ */
+function renderGroupItem(group, index) {
+  const info = buildElement("div", "group-info");
+  info.appendChild(buildElement("strong", "", group.name));
+  const details = buildElement(
+    "small",
+    "",
+    `${group.memberCount} member${group.memberCount === 1 ? "" : "s"} · Code `
+  );
+  details.appendChild(buildElement("code", "", group.inviteCode));
+  info.appendChild(details);
+
+  const invite = buildElement("button", "group-action-btn", "🔗 Invite");
+  invite.onclick = () => copyInviteLink(index);
+  const leave = buildElement("button", "group-action-btn", "Leave");
+  leave.onclick = () => confirmLeaveGroup(index);
+
+  const item = buildElement("div", "group-item");
+  [info, invite, leave].forEach((child) => item.appendChild(child));
+  return item;
+}
+
+function inviteLink(group) {
+  const page =
+    typeof location !== "undefined" ? location.origin + location.pathname : "";
+  return `${page}?join=${group.inviteCode}`;
+}
+
+async function copyInviteLink(index) {
+  const group = playerGroups[index];
+  const copied = await copyToClipboard(inviteLink(group));
+  showMessage(
+    copied
+      ? `📋 Invite link copied - or share the code ${group.inviteCode}`
+      : `Invite code: ${group.inviteCode}`
+  );
+}
+
+async function confirmLeaveGroup(index) {
+  const group = playerGroups[index];
+  if (!confirm(`Leave ${group.name}?`)) return;
+
+  const result = await repositories.groups.leaveGroup(group.id);
+  if (!result.ok) {
+    showMessage("❌ " + groupErrorMessage(result.error));
+    return;
+  }
+  showMessage(`👋 You left ${group.name}`);
+  await renderProfileGroups();
+}
+
+async function joinGroupByCode(invite) {
+  const result = await repositories.groups.joinGroup(invite);
+  if (!result.ok) {
+    showMessage("❌ " + groupErrorMessage(result.error));
+    return result;
+  }
+
+  pendingInviteCode = null;
+  document.getElementById("joinGroupCode").value = "";
+  showMessage(`👥 You're in ${result.data.name}!`);
+  await renderProfileGroups();
+  return result;
+}
+
+document
+  .getElementById("createGroupForm")
+  .addEventListener("submit", async (e) => {
+    e.preventDefault();
+
+    const nameInput = document.getElementById("groupName");
+    const invalid = validateGroupName(nameInput.value);
+    if (invalid) {
+      showMessage("❌ " + invalid);
+      return;
+    }
+
+    const result = await repositories.groups.createGroup(nameInput.value);
+    if (!result.ok) {
+      showMessage("❌ " + groupErrorMessage(result.error));
+      return;
+    }
+    nameInput.value = "";
+    showMessage(
+      `✅ ${result.data.name} created - invite code ${result.data.inviteCode}`
+    );
+    await renderProfileGroups();
+  });
+
+document.getElementById("joinGroupForm").addEventListener("submit", (e) => {
+  e.preventDefault();
+  const invite = document.getElementById("joinGroupCode").value;
+  if (parseInviteCode(invite)) joinGroupByCode(invite);
+});
+
+/**
+ * Opened from an invite link (?join=CODE): join straight away, or keep
+ * the code for the profile view until the player has a profile
+ */
+async function openInviteLink() {
+  if (typeof location === "undefined") return;
+  const invite = new URLSearchParams(location.search).get("join");
+  if (!invite) return;
+  history.replaceState(null, "", location.pathname); // Not again on reload
+
+  const profile = await repositories.profiles.getProfile();
+  if (profile.ok && profile.data) {
+    await joinGroupByCode(invite);
+  } else {
+    pendingInviteCode = parseInviteCode(invite);
+    showMessage("👥 Create a profile to join the group");
+  }
 }
 
 // Confirm and delete profile
@@ -904,18 +3062,16 @@ async function confirmDeleteProfile() {
   if (!confirmed) return;
 
   try {
-    if (typeof deleteUserProfile !== "undefined") {
-      const success = await deleteUserProfile();
+    const result = await repositories.profiles.deleteProfile();
 
-      if (success) {
-        showMessage("✅ Profile deleted. You're now in anonymous mode.");
-        closeProfileViewModal();
+    if (result.ok) {
+      showMessage("✅ Profile deleted. You're now in anonymous mode.");
+      closeProfileViewModal();
 
-        // Reset profile button to "Create Profile"
-        await updateProfileButton();
-      } else {
-        showMessage("❌ Failed to delete profile. Try again.");
-      }
+      // Reset profile button to "Create Profile"
+      await updateProfileButton();
+    } else {
+      showMessage("❌ " + repositoryErrorMessage(result.error));
     }
   } catch (error) {
     console.error("Error deleting profile:", error);
@@ -928,24 +3084,28 @@ async function updateProfileButton() {
   const profileBtn = document.querySelector(".profile-btn");
   if (!profileBtn) return;
 
-  if (typeof getUserProfile !== "undefined") {
-    const profile = await getUserProfile();
+  const result = await repositories.profiles.getProfile();
+  renderProfileButton(result.ok ? result.data : null);
+}
 
-    if (profile && profile.is_claimed) {
-      // User has profile - show username
-      const avatar = profile.avatar_url || "👤";
-      profileBtn.innerHTML = `<span class="btn-icon">${avatar}</span><span class="btn-text">${profile.display_name}</span>`;
-      profileBtn.setAttribute("data-icon", avatar);
-      profileBtn.onclick = showProfileViewModal;
-      profileBtn.title = "View Profile";
-    } else {
-      // No profile - show create button
-      profileBtn.innerHTML =
-        '<span class="btn-icon">👤</span><span class="btn-text">Create Profile</span>';
-      profileBtn.setAttribute("data-icon", "👤");
-      profileBtn.onclick = showProfileModal;
-      profileBtn.title = "Create Profile";
-    }
+function renderProfileButton(profile) {
+  const profileBtn = document.querySelector(".profile-btn");
+  if (!profileBtn) return;
+
+  if (profile) {
+    // User has profile - show username
+    const avatar = profile.avatarUrl || "👤";
+    profileBtn.innerHTML = `<span class="btn-icon">${avatar}</span><span class="btn-text">${profile.displayName}</span>`;
+    profileBtn.setAttribute("data-icon", avatar);
+    profileBtn.onclick = showProfileViewModal;
+    profileBtn.title = "View Profile";
+  } else {
+    // No profile - show create button
+    profileBtn.innerHTML =
+      '<span class="btn-icon">👤</span><span class="btn-text">Create Profile</span>';
+    profileBtn.setAttribute("data-icon", "👤");
+    profileBtn.onclick = showProfileModal;
+    profileBtn.title = "Create Profile";
   }
 }
 
@@ -0,0 +1,143 @@
+/* ============================================
+   GAME HISTORY SERVICE
+   Keeps every finished game on this device in IndexedDB (full guess list,
+   scoring pattern, mode, duration, date). Falls back to memory when
+   IndexedDB isn't available (e.g. some private browsing modes).
+   ============================================ */
+
+const HISTORY_DB_NAME = "wordleHistory";
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE = "games";
+
+/**
+ * Wrap an IDBRequest in a Promise
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Game History Store
+ * Records look like:
+ * { id, finishedAt (ms), durationMs, mode, puzzleNumber, wordLength,
+ *   boardCount, targetWords, guesses, patterns (per board, per guess),
+ *   isWon, attempts, maxAttempts, hardMode }
+ */
+class GameHistoryStore {
+  constructor(
+    factory = typeof indexedDB !== "undefined" ? indexedDB : null,
+    keyRange = typeof IDBKeyRange !== "undefined" ? IDBKeyRange : null
+  ) {
+    this.factory = factory;
+    this.keyRange = keyRange;
+    this.dbPromise = null;
+    this.memory = []; // Fallback storage
+    this.nextMemoryId = 1;
+  }
+
+  /**
+   * Open (and on first use create) the database; resolves to null when
+   * IndexedDB can't be used
+   */
+  open() {
+    if (!this.factory) return Promise.resolve(null);
+
+    if (!this.dbPromise) {
+      const request = this.factory.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(HISTORY_STORE, {
+          keyPath: "id",
+          autoIncrement: true,
+        });
+        store.createIndex("finishedAt", "finishedAt");
+      };
+      this.dbPromise = requestToPromise(request).catch((error) => {
+        console.warn("IndexedDB unavailable, history kept in memory:", error);
+        this.factory = null;
+        return null;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Save a finished game; resolves to its id (null on failure)
+   */
+  async addGame(game) {
+    try {
+      const db = await this.open();
+      if (!db) {
+        const id = this.nextMemoryId++;
+        this.memory.push({ ...game, id });
+        return id;
+      }
+
+      const store = db
+        .transaction(HISTORY_STORE, "readwrite")
+        .objectStore(HISTORY_STORE);
+      return await requestToPromise(store.add(game));
+    } catch (error) {
+      console.error("Error saving game history:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Past games, newest first.
+   * Filters: result ("all" | "won" | "lost"), since (ms timestamp)
+   */
+  async getGames({ result = "all", since = null } = {}) {
+    try {
+      const db = await this.open();
+      let games;
+
+      if (!db) {
+        games = this.memory.filter(
+          (g) => since === null || g.finishedAt >= since
+        );
+      } else {
+        const index = db
+          .transaction(HISTORY_STORE, "readonly")
+          .objectStore(HISTORY_STORE)
+          .index("finishedAt");
+        const range = since === null ? null : this.keyRange.lowerBound(since);
+        games = await requestToPromise(index.getAll(range));
+      }
+
+      return games
+        .filter((g) => result === "all" || g.isWon === (result === "won"))
+        .sort((a, b) => b.finishedAt - a.finishedAt);
+    } catch (error) {
+      console.error("Error loading game history:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Delete all saved games
+   */
+  async clear() {
+    try {
+      const db = await this.open();
+      if (!db) {
+        this.memory = [];
+        return true;
+      }
+
+      const store = db
+        .transaction(HISTORY_STORE, "readwrite")
+        .objectStore(HISTORY_STORE);
+      await requestToPromise(store.clear());
+      return true;
+    } catch (error) {
+      console.error("Error clearing game history:", error);
+      return false;
+    }
+  }
+}
+
+// Create global instance
+const gameHistory = new GameHistoryStore();
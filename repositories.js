@@ -0,0 +1,937 @@
+/* ============================================
+   DATA REPOSITORIES
+   The game reads and writes cloud data through four repositories instead
+   of calling Supabase directly:
+
+   StatsRepository
+     loadGames(wordLength)        -> ledger entries recorded for this player
+     saveGames(entries, { replace }) -> upload ledger entries (known ids
+                                     skipped, or overwritten with replace)
+     saveStats(stats, wordLength) -> store the recomputed counters (and
+                                     refresh the player's skill rating)
+     getSkillRating(wordLength)   -> { rating, ratedGames } or null
+   ProfileRepository
+     currentUserId()              -> known player id or null (no request)
+     getUserId()                  -> player id, creating an anonymous player
+     getProfile()                 -> { displayName, email, avatarUrl } or null
+     createProfile(details)       -> name + avatar for the signed-in player
+     updateProfile(changes)       -> edit name, avatar and/or email in place
+     deleteProfile()              -> back to anonymous
+     getAuthUser()                -> signed-in { id, email } or null
+     sendSignInCode(email)        -> email a magic link / one-time code
+     verifySignInCode(email, code) -> sign in, then linkAuthUser()
+     linkAuthUser()               -> { userId, recovered } for the session:
+                                     the player linked before (another
+                                     device), or this device's guest if
+                                     nobody owns it (else a new player)
+     signOut()                    -> this device becomes a new guest
+   LeaderboardRepository
+     getLeaderboard(board, { search, cursor, limit })
+                                  -> { rows, nextCursor }: one page of
+                                     ranked players, after `cursor`
+     getRank(board, { pageSize }) -> { rank, pageCursor } for this player
+                                     (cursor of the page holding them) or
+                                     null when they aren't on the board
+     watch(onChange, { onError }) -> stop(): onChange({ table, userId })
+                                     after anyone's stats or games change;
+                                     onError once live updates stop working
+     A board is { sortBy: "streak" | "winrate" | "skill", wordLength }
+     (lifetime counters) or { sortBy: "period", wordLength, sincePuzzle, minGames }
+     (daily games played since a puzzle, null = ever). Either takes a
+     groupId to rank that group's members only.
+   GroupRepository (private groups; members need a profile)
+     listGroups()                 -> this player's groups:
+                                     { id, name, inviteCode, memberCount }
+     createGroup(name)            -> a new group, with this player in it
+     joinGroup(invite)            -> join by invite code (or invite link)
+     leaveGroup(groupId)          -> leave (an empty group is deleted)
+     getGroupDay(groupId, { puzzleNumber, wordLength })
+                                  -> every member and their result on one
+                                     daily puzzle, best first (see
+                                     compareGroupDayRows)
+
+   Every method resolves to a result, never throws:
+     { ok: true, data } or { ok: false, error: RepositoryError }
+
+   The Supabase implementation lives in supabase-service.js; the in-memory
+   one below runs the app and tests offline (it rates skill with
+   game-engine.js). createRepositories() picks one
+   at startup.
+   ============================================ */
+
+const REPOSITORY_ERRORS = {
+  NETWORK: "network", // Request never got an answer (offline, CORS, ...)
+  NOT_FOUND: "not_found",
+  CONFLICT: "conflict", // A unique value (name, email) is already taken
+  INVALID: "invalid", // Rejected input (or a wrong sign-in code)
+  UNAUTHENTICATED: "unauthenticated", // Needs a signed-in player
+  DATABASE: "database", // Any other error reported by the backend
+};
+
+class RepositoryError extends Error {
+  constructor(code, message, cause = null) {
+    super(message);
+    this.name = "RepositoryError";
+    this.code = code;
+    this.cause = cause;
+  }
+}
+
+function okResult(data) {
+  return { ok: true, data };
+}
+
+function failResult(code, message, cause = null) {
+  return { ok: false, error: new RepositoryError(code, message, cause) };
+}
+
+/* ---------- Leaderboard ordering ---------- */
+
+const LEADERBOARD_PAGE_SIZE = 25;
+
+/**
+ * What a board ranks by, as three numbers compared highest first:
+ * streak, win rate or skill rating (more games breaks ties), or for a
+ * period the wins, then fewest average guesses (no wins sorts last), then
+ * games
+ */
+function leaderSortKeys(sortBy, leader) {
+  switch (sortBy) {
+    case "winrate":
+      return [leader.winRate, leader.gamesPlayed, 0];
+    case "skill":
+      return [leader.skillRating, leader.gamesPlayed, 0];
+    case "period":
+      return [
+        leader.gamesWon,
+        leader.avgGuesses === null ? -100 : -leader.avgGuesses,
+        leader.gamesPlayed,
+      ];
+    default:
+      return [leader.maxStreak, leader.gamesPlayed, 0];
+  }
+}
+
+/**
+ * Board order for rows or cursors ({ keys, userId }); the user id keeps
+ * tied players in a fixed order so pages never skip or repeat one
+ */
+function compareLeaderPositions(a, b) {
+  for (let i = 0; i < a.keys.length; i++) {
+    if (a.keys[i] !== b.keys[i]) return b.keys[i] - a.keys[i];
+  }
+  return a.userId < b.userId ? -1 : a.userId > b.userId ? 1 : 0;
+}
+
+/**
+ * Where the next page starts: right after this row
+ */
+function leaderCursor(leader) {
+  return { keys: [...leader.keys], userId: leader.userId };
+}
+
+/**
+ * Group day order: wins by fewest guesses, then losses, then members who
+ * haven't played; names break ties. Finished members are ranked, tied
+ * guesses sharing a rank.
+ */
+function compareGroupDayRows(a, b) {
+  const score = ({ result }) =>
+    !result ? Infinity : result.isWon ? result.attempts : 100;
+  return (
+    score(a) - score(b) ||
+    a.displayName.localeCompare(b.displayName) ||
+    (a.userId < b.userId ? -1 : 1)
+  );
+}
+
+function rankGroupDay(rows) {
+  const ranked = [...rows].sort(compareGroupDayRows);
+  ranked.forEach((row, index) => {
+    if (!row.result) {
+      row.rank = null;
+      return;
+    }
+    const previous = ranked[index - 1];
+    const tied =
+      previous &&
+      previous.result.isWon === row.result.isWon &&
+      previous.result.attempts === row.result.attempts;
+    row.rank = tied ? previous.rank : index + 1;
+  });
+  return ranked;
+}
+
+/* ---------- Profile validation ---------- */
+
+const DISPLAY_NAME_MIN = 3;
+const DISPLAY_NAME_MAX = 20;
+const AVATAR_URL_MAX = 500;
+const EMAIL_PATTERN = /^[^@\s]+@[^@\s]+\.[^@\s]+$/;
+
+// Matched inside names after undoing look-alike digits/symbols ("sh1t")
+const BLOCKED_NAME_WORDS = [
+  "fuck",
+  "shit",
+  "cunt",
+  "bitch",
+  "whore",
+  "slut",
+  "asshole",
+  "penis",
+  "nazi",
+];
+const LOOKALIKES = {
+  0: "o",
+  1: "i",
+  3: "e",
+  4: "a",
+  5: "s",
+  7: "t",
+  "@": "a",
+  $: "s",
+};
+
+function containsBlockedWord(name) {
+  const letters = name
+    .toLowerCase()
+    .replace(/[013457@$]/g, (char) => LOOKALIKES[char])
+    .replace(/[^a-z]/g, "");
+  return BLOCKED_NAME_WORDS.some((word) => letters.includes(word));
+}
+
+/**
+ * An emoji (a few code points at most) or an http(s) image URL
+ */
+function isValidAvatar(avatar) {
+  if (/[\s<>"]/.test(avatar)) return false;
+  return /^https?:\/\//.test(avatar)
+    ? avatar.length <= AVATAR_URL_MAX
+    : [...avatar].length <= 8;
+}
+
+/**
+ * Check profile fields before they're saved (only the ones given). Returns
+ * why they can't be saved, or null. Both backends run it; the UI runs it
+ * too, before showing an edit optimistically.
+ */
+function validateProfileDetails({ displayName, avatarUrl, email }) {
+  if (displayName !== undefined) {
+    const name = (displayName || "").trim();
+    if (!name) return "A name is required";
+    if (name.length < DISPLAY_NAME_MIN || name.length > DISPLAY_NAME_MAX) {
+      return `Names are ${DISPLAY_NAME_MIN}-${DISPLAY_NAME_MAX} characters long`;
+    }
+    if (!/^[\p{L}\p{N} _.-]+$/u.test(name)) {
+      return "Names can only use letters, numbers, spaces and _ . -";
+    }
+    if (containsBlockedWord(name)) return "Please pick a different name";
+  }
+
+  if (avatarUrl && !isValidAvatar(avatarUrl)) {
+    return "Avatars are an emoji or an image URL";
+  }
+
+  if (email !== undefined && !EMAIL_PATTERN.test(email || "")) {
+    return "Invalid email address";
+  }
+  return null;
+}
+
+/* ---------- Groups ---------- */
+
+const GROUP_NAME_MIN = 3;
+const GROUP_NAME_MAX = 30;
+const INVITE_CODE_LENGTH = 6;
+const INVITE_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // No 0/O, 1/I
+
+function validateGroupName(name) {
+  const trimmed = (name || "").trim();
+  if (trimmed.length < GROUP_NAME_MIN || trimmed.length > GROUP_NAME_MAX) {
+    return `Group names are ${GROUP_NAME_MIN}-${GROUP_NAME_MAX} characters long`;
+  }
+  if (/[<>"]/.test(trimmed)) return "Group names can't use < > or \"";
+  if (containsBlockedWord(trimmed)) return "Please pick a different name";
+  return null;
+}
+
+function createInviteCode() {
+  let code = "";
+  for (let i = 0; i < INVITE_CODE_LENGTH; i++) {
+    code +=
+      INVITE_CODE_ALPHABET[
+        Math.floor(Math.random() * INVITE_CODE_ALPHABET.length)
+      ];
+  }
+  return code;
+}
+
+/**
+ * The invite code in what the player typed or pasted: the code itself
+ * (any case, spaces or dashes) or an invite link ending in ?join=CODE
+ */
+function parseInviteCode(text) {
+  const value = (text || "").trim();
+  const fromLink = value.match(/[?&]join=([^&#]+)/);
+  return (fromLink ? decodeURIComponent(fromLink[1]) : value)
+    .toUpperCase()
+    .replace(/[\s-]/g, "");
+}
+
+/**
+ * Win rate as a percentage with two decimals, like player_stats.win_rate
+ */
+function winRatePercent(gamesPlayed, gamesWon) {
+  return gamesPlayed > 0
+    ? Number(((gamesWon / gamesPlayed) * 100).toFixed(2))
+    : 0;
+}
+
+/* ---------- In-memory implementation ---------- */
+
+/**
+ * Tables shared by the in-memory repositories, shaped like their
+ * Supabase counterparts
+ */
+class MemoryDatabase {
+  constructor({
+    users = [],
+    playerStats = [],
+    gameHistory = [],
+    groups = [],
+    groupMembers = [],
+  } = {}) {
+    this.users = users;
+    this.playerStats = playerStats;
+    this.gameHistory = gameHistory;
+    this.groups = groups; // { id, name, inviteCode, createdBy }
+    this.groupMembers = groupMembers; // { groupId, userId }
+    this.authUsers = [];
+    this.signInCodes = {}; // email -> code last "sent"
+    this.nextId = 1;
+    this.listeners = []; // Stand-ins for realtime subscriptions
+  }
+
+  /**
+   * Tell watchers a table changed, like a realtime event
+   */
+  notify(table, userId) {
+    this.listeners.forEach((listener) => listener({ table, userId }));
+  }
+
+  createId(prefix) {
+    return `${prefix}_${this.nextId++}`;
+  }
+
+  findUser(id) {
+    return this.users.find((user) => user.id === id) || null;
+  }
+
+  isGroupMember(groupId, userId) {
+    return this.groupMembers.some(
+      (member) => member.groupId === groupId && member.userId === userId
+    );
+  }
+}
+
+class MemoryProfileRepository {
+  constructor(db) {
+    this.db = db;
+    this.userId = null;
+    this.session = null; // Signed-in auth user { id, email }
+  }
+
+  currentUserId() {
+    return this.userId;
+  }
+
+  async getUserId() {
+    if (!this.userId) {
+      this.userId = this.db.createId("user");
+      this.db.users.push({
+        id: this.userId,
+        authUserId: null,
+        displayName: null,
+        email: null,
+        avatarUrl: null,
+        isClaimed: false,
+      });
+    }
+    return okResult(this.userId);
+  }
+
+  async getProfile() {
+    const user = this.db.findUser(this.userId);
+    if (!user || !user.isClaimed) return okResult(null);
+
+    const { displayName, email, avatarUrl } = user;
+    return okResult({ displayName, email, avatarUrl });
+  }
+
+  async createProfile({ displayName, avatarUrl = null }) {
+    if (!this.session) {
+      return failResult(REPOSITORY_ERRORS.UNAUTHENTICATED, "Sign in first");
+    }
+    const invalid = validateProfileDetails({ displayName, avatarUrl });
+    if (invalid) return failResult(REPOSITORY_ERRORS.INVALID, invalid);
+
+    const { data: userId } = await this.getUserId();
+    if (this.isNameTaken(displayName, userId)) {
+      return failResult(REPOSITORY_ERRORS.CONFLICT, "Name already taken");
+    }
+
+    Object.assign(this.db.findUser(userId), {
+      displayName,
+      email: this.session.email,
+      avatarUrl,
+      isClaimed: true,
+    });
+    return this.getProfile();
+  }
+
+  /**
+   * Change any of displayName, avatarUrl, email. A new email becomes the
+   * sign-in address straight away (Supabase waits for a confirmation).
+   */
+  async updateProfile(changes) {
+    if (!this.session) {
+      return failResult(REPOSITORY_ERRORS.UNAUTHENTICATED, "Sign in first");
+    }
+    const user = this.db.findUser(this.userId);
+    if (!user || !user.isClaimed) {
+      return failResult(REPOSITORY_ERRORS.NOT_FOUND, "No profile to edit");
+    }
+
+    const invalid = validateProfileDetails(changes);
+    if (invalid) return failResult(REPOSITORY_ERRORS.INVALID, invalid);
+
+    const { displayName, avatarUrl, email } = changes;
+    if (displayName !== undefined && this.isNameTaken(displayName, user.id)) {
+      return failResult(REPOSITORY_ERRORS.CONFLICT, "Name already taken");
+    }
+    const emailTaken = this.db.authUsers.some(
+      (authUser) => authUser.email === email && authUser.id !== this.session.id
+    );
+    if (emailTaken) {
+      return failResult(REPOSITORY_ERRORS.CONFLICT, "Email already in use");
+    }
+
+    if (displayName !== undefined) user.displayName = displayName;
+    if (avatarUrl !== undefined) user.avatarUrl = avatarUrl || null;
+    if (email !== undefined) {
+      user.email = email;
+      this.session.email = email; // The session is the auth user's row
+    }
+    return this.getProfile();
+  }
+
+  /**
+   * Names are unique ignoring case and surrounding spaces, like the
+   * users_display_name index in Supabase
+   */
+  isNameTaken(displayName, userId) {
+    const key = (name) => name.trim().toLowerCase();
+    return this.db.users.some(
+      (user) =>
+        user.id !== userId &&
+        user.isClaimed &&
+        user.displayName !== null &&
+        key(user.displayName) === key(displayName)
+    );
+  }
+
+  async deleteProfile() {
+    const user = this.db.findUser(this.userId);
+    if (!user) {
+      return failResult(REPOSITORY_ERRORS.NOT_FOUND, "No player to reset");
+    }
+
+    Object.assign(user, {
+      displayName: null,
+      email: null,
+      avatarUrl: null,
+      isClaimed: false,
+    });
+    return okResult(true);
+  }
+
+  /* ---------- Sign-in (stands in for Supabase Auth) ---------- */
+
+  async getAuthUser() {
+    return okResult(this.session);
+  }
+
+  /**
+   * "Email" a one-time code - logged, and kept in db.signInCodes
+   */
+  async sendSignInCode(email) {
+    if (!EMAIL_PATTERN.test(email)) {
+      return failResult(REPOSITORY_ERRORS.INVALID, "Invalid email address");
+    }
+
+    const code = String(Math.floor(100000 + Math.random() * 900000));
+    this.db.signInCodes[email] = code;
+    console.log(`📧 Sign-in code for ${email}: ${code}`);
+    return okResult(true);
+  }
+
+  async verifySignInCode(email, code) {
+    if (!code || this.db.signInCodes[email] !== code) {
+      return failResult(REPOSITORY_ERRORS.INVALID, "Wrong or expired code");
+    }
+    delete this.db.signInCodes[email];
+
+    let authUser = this.db.authUsers.find((user) => user.email === email);
+    if (!authUser) {
+      authUser = { id: this.db.createId("auth"), email };
+      this.db.authUsers.push(authUser);
+    }
+    this.session = authUser;
+    return this.linkAuthUser();
+  }
+
+  /**
+   * Tie the signed-in identity to a player: the one it was linked to
+   * before (another device - its stats come back), or else this device's
+   * anonymous player if nobody owns it yet (a new one otherwise, as
+   * link_auth_user in Supabase). Null when nobody is signed in.
+   */
+  async linkAuthUser() {
+    if (!this.session) return okResult(null);
+
+    const linked = this.db.users.find(
+      (user) => user.authUserId === this.session.id
+    );
+    if (linked) {
+      const recovered = linked.id !== this.userId;
+      this.userId = linked.id;
+      return okResult({ userId: linked.id, recovered });
+    }
+
+    const guest = this.db.findUser(this.userId);
+    if (guest && (guest.authUserId !== null || guest.isClaimed)) {
+      this.userId = null; // Someone else's player
+    }
+    const { data: userId } = await this.getUserId();
+    this.db.findUser(userId).authUserId = this.session.id;
+    return okResult({ userId, recovered: false });
+  }
+
+  /**
+   * Sign out; this device carries on as a new guest
+   */
+  async signOut() {
+    this.session = null;
+    this.userId = null;
+    return okResult(true);
+  }
+}
+
+class MemoryStatsRepository {
+  constructor(db, profiles) {
+    this.db = db;
+    this.profiles = profiles;
+  }
+
+  async loadGames(wordLength = 5) {
+    const userId = this.profiles.currentUserId();
+    return okResult(
+      this.db.gameHistory
+        .filter((row) => row.userId === userId && row.wordLength === wordLength)
+        .map(({ userId: _, ...entry }) => entry)
+    );
+  }
+
+  async saveGames(entries, { replace = false } = {}) {
+    const { data: userId } = await this.profiles.getUserId();
+    entries.forEach((entry) => {
+      const index = this.db.gameHistory.findIndex(
+        (row) => row.userId === userId && row.id === entry.id
+      );
+      if (index === -1) {
+        this.db.gameHistory.push({ ...entry, userId });
+      } else if (replace) {
+        this.db.gameHistory[index] = { ...entry, userId };
+      }
+    });
+    if (entries.length > 0) this.db.notify("game_history", userId);
+    return okResult(true);
+  }
+
+  async saveStats(stats, wordLength = 5) {
+    const { data: userId } = await this.profiles.getUserId();
+    const row = {
+      userId,
+      wordLength,
+      gamesPlayed: stats.gamesPlayed,
+      gamesWon: stats.gamesWon,
+      currentStreak: stats.currentStreak,
+      maxStreak: stats.maxStreak,
+      guessDistribution: stats.guessDistribution || {},
+      winRate: winRatePercent(stats.gamesPlayed, stats.gamesWon),
+      ...this.rateSkill(userId, wordLength),
+    };
+
+    const index = this.db.playerStats.findIndex(
+      (existing) =>
+        existing.userId === userId && existing.wordLength === wordLength
+    );
+    if (index === -1) {
+      this.db.playerStats.push(row);
+    } else {
+      this.db.playerStats[index] = row;
+    }
+    this.db.notify("player_stats", userId);
+    return okResult(true);
+  }
+
+  async getSkillRating(wordLength = 5) {
+    const userId = this.profiles.currentUserId();
+    const row = this.db.playerStats.find(
+      (existing) =>
+        existing.userId === userId && existing.wordLength === wordLength
+    );
+    return okResult(
+      row && row.skillRating !== null
+        ? { rating: row.skillRating, ratedGames: row.ratedGames }
+        : null
+    );
+  }
+
+  /**
+   * Skill rating columns for a player, against everyone's games
+   */
+  rateSkill(userId, wordLength) {
+    const games = this.db.gameHistory.filter(
+      (row) => row.wordLength === wordLength
+    );
+    const skill = computeSkillRating(
+      games.filter((row) => row.userId === userId),
+      computePuzzleDifficulty(games)
+    );
+    return {
+      skillRating: skill ? skill.rating : null,
+      ratedGames: skill ? skill.ratedGames : 0,
+    };
+  }
+}
+
+class MemoryLeaderboardRepository {
+  constructor(db, profiles) {
+    this.db = db;
+    this.profiles = profiles;
+  }
+
+  async getLeaderboard(board, { search = "", cursor = null, limit } = {}) {
+    if (!this.canView(board)) {
+      return failResult(REPOSITORY_ERRORS.NOT_FOUND, "Not in that group");
+    }
+    const needle = search.trim().toLowerCase();
+    const after = this.rankBoard(board).filter(
+      (leader) =>
+        (!needle || leader.displayName.toLowerCase().includes(needle)) &&
+        (!cursor || compareLeaderPositions(leader, cursor) > 0)
+    );
+    const rows = after.slice(0, limit || LEADERBOARD_PAGE_SIZE);
+    const nextCursor =
+      after.length > rows.length ? leaderCursor(rows[rows.length - 1]) : null;
+    return okResult({ rows, nextCursor });
+  }
+
+  async getRank(board, { pageSize = LEADERBOARD_PAGE_SIZE } = {}) {
+    if (!this.canView(board)) {
+      return failResult(REPOSITORY_ERRORS.NOT_FOUND, "Not in that group");
+    }
+    const ranked = this.rankBoard(board);
+    const userId = this.profiles.currentUserId();
+    const index = ranked.findIndex((leader) => leader.userId === userId);
+    if (index === -1) return okResult(null);
+
+    const pageStart = Math.floor(index / pageSize) * pageSize;
+    return okResult({
+      rank: ranked[index].rank,
+      pageCursor: pageStart > 0 ? leaderCursor(ranked[pageStart - 1]) : null,
+    });
+  }
+
+  async watch(onChange) {
+    this.db.listeners.push(onChange);
+    return okResult(() => {
+      this.db.listeners = this.db.listeners.filter(
+        (listener) => listener !== onChange
+      );
+    });
+  }
+
+  /**
+   * Group boards are for the group's members only
+   */
+  canView({ groupId = null } = {}) {
+    return (
+      !groupId || this.db.isGroupMember(groupId, this.profiles.currentUserId())
+    );
+  }
+
+  /**
+   * Every claimed player on a board, best first, with their rank (tied
+   * players share one) and sort keys
+   */
+  rankBoard({
+    sortBy = "streak",
+    wordLength = 5,
+    groupId = null,
+    ...period
+  } = {}) {
+    const leaders =
+      sortBy === "period"
+        ? this.periodLeaders(wordLength, period)
+        : this.lifetimeLeaders(wordLength, sortBy);
+
+    const ranked = leaders
+      .filter(
+        (leader) => !groupId || this.db.isGroupMember(groupId, leader.userId)
+      )
+      .map((leader) => ({ ...leader, keys: leaderSortKeys(sortBy, leader) }))
+      .sort(compareLeaderPositions);
+    ranked.forEach((leader, index) => {
+      const previous = ranked[index - 1];
+      const tied =
+        previous && previous.keys.every((key, i) => key === leader.keys[i]);
+      leader.rank = tied ? previous.rank : index + 1;
+    });
+    return ranked;
+  }
+
+  isListed(user) {
+    return Boolean(user && user.isClaimed && user.displayName);
+  }
+
+  lifetimeLeaders(wordLength, sortBy) {
+    return this.db.playerStats
+      .filter(
+        (row) =>
+          row.wordLength === wordLength &&
+          (sortBy !== "skill" || row.skillRating !== null)
+      )
+      .map((row) => ({ row, user: this.db.findUser(row.userId) }))
+      .filter(({ user }) => this.isListed(user))
+      .map(({ row, user }) => ({
+        userId: row.userId,
+        displayName: user.displayName,
+        avatarUrl: user.avatarUrl,
+        gamesPlayed: row.gamesPlayed,
+        gamesWon: row.gamesWon,
+        winRate: row.winRate,
+        currentStreak: row.currentStreak,
+        maxStreak: row.maxStreak,
+        avgGuesses: null,
+        skillRating: row.skillRating,
+      }));
+  }
+
+  /**
+   * Claimed players' daily games since `sincePuzzle`, summed per player
+   */
+  periodLeaders(wordLength, { sincePuzzle = null, minGames = 1 }) {
+    const totals = new Map();
+    this.db.gameHistory
+      .filter(
+        (row) =>
+          row.wordLength === wordLength &&
+          (sincePuzzle === null || row.puzzleNumber >= sincePuzzle)
+      )
+      .forEach((row) => {
+        const total = totals.get(row.userId) || {
+          played: 0,
+          won: 0,
+          guesses: 0,
+        };
+        total.played++;
+        if (row.isWon) {
+          total.won++;
+          total.guesses += row.attempts;
+        }
+        totals.set(row.userId, total);
+      });
+
+    return [...totals]
+      .map(([userId, total]) => ({ total, user: this.db.findUser(userId) }))
+      .filter(
+        ({ total, user }) => total.played >= minGames && this.isListed(user)
+      )
+      .map(({ total, user }) => ({
+        userId: user.id,
+        displayName: user.displayName,
+        avatarUrl: user.avatarUrl,
+        gamesPlayed: total.played,
+        gamesWon: total.won,
+        winRate: winRatePercent(total.played, total.won),
+        currentStreak: null,
+        maxStreak: null,
+        avgGuesses:
+          total.won > 0 ? Number((total.guesses / total.won).toFixed(2)) : null,
+        skillRating: null,
+      }));
+  }
+}
+
+class MemoryGroupRepository {
+  constructor(db, profiles) {
+    this.db = db;
+    this.profiles = profiles;
+  }
+
+  async listGroups() {
+    const userId = this.profiles.currentUserId();
+    return okResult(
+      this.db.groups
+        .filter((group) => this.db.isGroupMember(group.id, userId))
+        .map((group) => this.summary(group))
+        .sort((a, b) => a.name.localeCompare(b.name))
+    );
+  }
+
+  async createGroup(name) {
+    const member = this.member();
+    if (!member.ok) return member;
+    const invalid = validateGroupName(name);
+    if (invalid) return failResult(REPOSITORY_ERRORS.INVALID, invalid);
+
+    let inviteCode = createInviteCode();
+    while (this.db.groups.some((group) => group.inviteCode === inviteCode)) {
+      inviteCode = createInviteCode();
+    }
+    const group = {
+      id: this.db.createId("group"),
+      name: name.trim(),
+      inviteCode,
+      createdBy: member.data,
+    };
+    this.db.groups.push(group);
+    this.db.groupMembers.push({ groupId: group.id, userId: member.data });
+    return okResult(this.summary(group));
+  }
+
+  /**
+   * Join by invite code; joining a group twice just returns it
+   */
+  async joinGroup(invite) {
+    const member = this.member();
+    if (!member.ok) return member;
+
+    const inviteCode = parseInviteCode(invite);
+    const group = this.db.groups.find((row) => row.inviteCode === inviteCode);
+    if (!group) {
+      return failResult(
+        REPOSITORY_ERRORS.NOT_FOUND,
+        "No group with that invite code"
+      );
+    }
+    if (!this.db.isGroupMember(group.id, member.data)) {
+      this.db.groupMembers.push({ groupId: group.id, userId: member.data });
+    }
+    return okResult(this.summary(group));
+  }
+
+  async leaveGroup(groupId) {
+    const userId = this.profiles.currentUserId();
+    if (!this.db.isGroupMember(groupId, userId)) {
+      return failResult(REPOSITORY_ERRORS.NOT_FOUND, "Not in that group");
+    }
+
+    this.db.groupMembers = this.db.groupMembers.filter(
+      (member) => !(member.groupId === groupId && member.userId === userId)
+    );
+    if (!this.db.groupMembers.some((member) => member.groupId === groupId)) {
+      this.db.groups = this.db.groups.filter((group) => group.id !== groupId);
+    }
+    return okResult(true);
+  }
+
+  async getGroupDay(groupId, { puzzleNumber, wordLength = 5 }) {
+    if (!this.db.isGroupMember(groupId, this.profiles.currentUserId())) {
+      return failResult(REPOSITORY_ERRORS.NOT_FOUND, "Not in that group");
+    }
+
+    const rows = this.db.groupMembers
+      .filter((member) => member.groupId === groupId)
+      .map((member) => this.db.findUser(member.userId))
+      .filter((user) => user && user.isClaimed && user.displayName)
+      .map((user) => {
+        const game = this.db.gameHistory.find(
+          (row) =>
+            row.userId === user.id &&
+            row.wordLength === wordLength &&
+            row.puzzleNumber === puzzleNumber
+        );
+        return {
+          userId: user.id,
+          displayName: user.displayName,
+          avatarUrl: user.avatarUrl,
+          result: game
+            ? {
+                isWon: game.isWon,
+                attempts: game.attempts,
+                maxAttempts: game.maxAttempts,
+                hardMode: game.hardMode,
+              }
+            : null,
+        };
+      });
+    return okResult(rankGroupDay(rows));
+  }
+
+  /**
+   * This player's id when they may use groups (claimed profile)
+   */
+  member() {
+    const user = this.db.findUser(this.profiles.currentUserId());
+    if (!user || !user.isClaimed) {
+      return failResult(
+        REPOSITORY_ERRORS.UNAUTHENTICATED,
+        "Create a profile to use groups"
+      );
+    }
+    return okResult(user.id);
+  }
+
+  summary(group) {
+    return {
+      id: group.id,
+      name: group.name,
+      inviteCode: group.inviteCode,
+      memberCount: this.db.groupMembers.filter(
+        (member) => member.groupId === group.id
+      ).length,
+    };
+  }
+}
+
+function createMemoryRepositories(db = new MemoryDatabase()) {
+  const profiles = new MemoryProfileRepository(db);
+  return {
+    backend: "memory",
+    profiles,
+    stats: new MemoryStatsRepository(db, profiles),
+    leaderboard: new MemoryLeaderboardRepository(db, profiles),
+    groups: new MemoryGroupRepository(db, profiles),
+  };
+}
+
+/**
+ * Pick the backend: Supabase when its client was set up, in memory when
+ * it wasn't or when the page is opened with ?backend=memory
+ */
+function createRepositories({
+  client = typeof supabase !== "undefined" ? supabase : null,
+  backend = typeof location !== "undefined"
+    ? new URLSearchParams(location.search).get("backend")
+    : null,
+} = {}) {
+  if (client && backend !== "memory") {
+    return createSupabaseRepositories(client);
+  }
+
+  console.log("ℹ️ Using in-memory data - nothing is saved to the cloud");
+  return createMemoryRepositories();
+}
@@ -0,0 +1,89 @@
+// Builds the bundled guess lists in dictionary/ (one file per word length).
+//
+// Source: the `word-list` package (~275k English words). Every answer in
+// config.js is merged in so answers are always accepted as guesses.
+// The build fails if any entry is the wrong length or not A-Z.
+//
+// Usage: npm run build:dictionary
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ROOT = path.join(__dirname, "..");
+const OUT_DIR = path.join(ROOT, "dictionary");
+
+/**
+ * Front-code a sorted list: each entry is one digit (letters shared with
+ * the previous word) followed by the rest of the word. Every word has the
+ * same length, so entries need no separator.
+ */
+function packWordList(words) {
+  let previous = "";
+  return words
+    .map((word) => {
+      let shared = 0;
+      while (shared < word.length - 1 && word[shared] === previous[shared]) {
+        shared++;
+      }
+      previous = word;
+      return shared + word.slice(shared);
+    })
+    .join("");
+}
+
+/**
+ * Read WORDS_BY_LENGTH out of the browser config script
+ */
+function loadAnswerLists() {
+  const context = {};
+  vm.createContext(context);
+  vm.runInContext(
+    fs.readFileSync(path.join(ROOT, "config.js"), "utf8") +
+      "\nthis.WORDS_BY_LENGTH = WORDS_BY_LENGTH;",
+    context
+  );
+  return context.WORDS_BY_LENGTH;
+}
+
+function validate(words, length) {
+  const pattern = new RegExp(`^[A-Z]{${length}}$`);
+  const invalid = words.filter((word) => !pattern.test(word));
+  if (invalid.length > 0) {
+    throw new Error(
+      `${length}-letter list has invalid entries: ${invalid.slice(0, 10)}`
+    );
+  }
+}
+
+async function main() {
+  const { default: wordListPath } = await import("word-list");
+  const source = fs.readFileSync(wordListPath, "utf8").split("\n");
+  const answerLists = loadAnswerLists();
+
+  fs.mkdirSync(OUT_DIR, { recursive: true });
+
+  Object.entries(answerLists).forEach(([key, answers]) => {
+    const length = Number(key);
+    validate(answers, length);
+
+    const words = new Set(answers);
+    source.forEach((line) => {
+      const word = line.trim().toUpperCase();
+      if (word.length === length && /^[A-Z]+$/.test(word)) {
+        words.add(word);
+      }
+    });
+
+    const sorted = Array.from(words).sort();
+    validate(sorted, length);
+
+    const file = path.join(OUT_DIR, `words-${length}.txt`);
+    fs.writeFileSync(file, packWordList(sorted));
+    console.log(`✅ ${path.relative(ROOT, file)}: ${sorted.length} words`);
+  });
+}
+
+main().catch((error) => {
+  console.error("❌ Dictionary build failed:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,330 @@
+/* ============================================
+   STATS LEDGER
+   Append-only record of finished games, one entry per game id. Stats are
+   recomputed from it (computeStats) rather than read from stored
+   counters, and copies from other devices or the cloud are reconciled by
+   game id - so editing a counter, or restoring an old copy to undo a
+   loss, changes nothing.
+   ============================================ */
+
+const LEDGER_KEY = "wordleLedger";
+const LEDGER_VERSION = 1;
+const LEDGER_CLOCK_SKEW = 24 * 60 * 60 * 1000; // Tolerated future timestamps
+const EARLIEST_ZONE_OFFSET = 14 * 60 * 60 * 1000; // UTC+14 starts each day first
+
+/**
+ * Id for a finished game. Daily ids are derived from the puzzle, so the
+ * same daily finished in two tabs or on two devices is one game.
+ */
+function createGameId({ mode, wordLength, boardCount, puzzleNumber }) {
+  if (mode === "daily") {
+    return `daily-${wordLength}-${boardCount}-${puzzleNumber}`;
+  }
+  return (
+    "practice-" +
+    Date.now().toString(36) +
+    "-" +
+    Math.random().toString(36).substr(2, 9)
+  );
+}
+
+/**
+ * Clamp counters carried over from before the ledger to what's possible
+ * (no more wins than games, no streak longer than the wins, ...)
+ */
+function sanitizeLegacyStats(counters = {}) {
+  const count = (value) => (Number.isInteger(value) && value > 0 ? value : 0);
+  const gamesPlayed = count(counters.gamesPlayed);
+  const gamesWon = Math.min(count(counters.gamesWon), gamesPlayed);
+  const maxStreak = Math.min(count(counters.maxStreak), gamesWon);
+  const currentStreak = Math.min(count(counters.currentStreak), maxStreak);
+
+  const guessDistribution = {};
+  Object.entries(counters.guessDistribution || {}).forEach(([key, wins]) => {
+    if (/^\d+$/.test(key) && count(wins) > 0) guessDistribution[key] = wins;
+  });
+  const distributed = Object.values(guessDistribution).reduce(
+    (sum, wins) => sum + wins,
+    0
+  );
+
+  const stats = {
+    gamesPlayed,
+    gamesWon,
+    currentStreak,
+    maxStreak,
+    guessDistribution: distributed <= gamesWon ? guessDistribution : {},
+  };
+  if (Number.isInteger(counters.lastDailyPuzzle)) {
+    stats.lastDailyPuzzle = counters.lastDailyPuzzle;
+  }
+  return stats;
+}
+
+/**
+ * The newest daily puzzle anyone can have played at `now`: today's where
+ * the day starts first (the same bound as latest_daily_puzzle() in
+ * migration 013)
+ */
+function latestDailyPuzzle(now) {
+  return getPuzzleNumber(
+    new Date(now + EARLIEST_ZONE_OFFSET),
+    GAME_CONFIG.DAILY_EPOCH,
+    "UTC"
+  );
+}
+
+/**
+ * Whether an entry could have been written by the game (right shape,
+ * possible values, a daily puzzle that's out, id matching that puzzle -
+ * so there's only ever one game per variant and puzzle)
+ */
+function isValidLedgerEntry(entry, now = Date.now()) {
+  if (!entry || typeof entry !== "object" || typeof entry.id !== "string") {
+    return false;
+  }
+  if (entry.mode !== "daily" && entry.mode !== "practice") return false;
+  if (
+    !Number.isInteger(entry.wordLength) ||
+    !Number.isInteger(entry.boardCount)
+  ) {
+    return false;
+  }
+
+  if (entry.kind === "baseline") {
+    return (
+      entry.id ===
+        `baseline-${entry.mode}-${entry.wordLength}-${entry.boardCount}` &&
+      entry.stats !== null &&
+      typeof entry.stats === "object"
+    );
+  }
+
+  const daily = entry.mode === "daily";
+  return (
+    typeof entry.isWon === "boolean" &&
+    Number.isInteger(entry.maxAttempts) &&
+    Number.isInteger(entry.attempts) &&
+    entry.attempts >= 1 &&
+    entry.attempts <= entry.maxAttempts &&
+    typeof entry.finishedAt === "number" &&
+    entry.finishedAt <= now + LEDGER_CLOCK_SKEW &&
+    (daily
+      ? Number.isInteger(entry.puzzleNumber) &&
+        entry.puzzleNumber >= 0 &&
+        entry.puzzleNumber <= latestDailyPuzzle(now) &&
+        entry.id === createGameId(entry)
+      : entry.puzzleNumber === null)
+  );
+}
+
+/**
+ * Whether two copies of a game recorded the same result
+ */
+function isSameGame(a, b) {
+  return (
+    a.isWon === b.isWon &&
+    a.attempts === b.attempts &&
+    a.maxAttempts === b.maxAttempts &&
+    a.hardMode === b.hardMode &&
+    a.finishedAt === b.finishedAt
+  );
+}
+
+/**
+ * Which of two different copies of one game counts: the first finished
+ * (e.g. today's daily played on two devices - the later one was a
+ * replay). Ties are broken on the results, never on which copy is local,
+ * so every device picks the same one.
+ */
+function pickLedgerEntry(a, b) {
+  if (a.finishedAt !== b.finishedAt) {
+    return a.finishedAt < b.finishedAt ? a : b;
+  }
+  if (a.isWon !== b.isWon) return a.isWon ? a : b;
+  if (a.attempts !== b.attempts) return a.attempts < b.attempts ? a : b;
+  return a.hardMode || !b.hardMode ? a : b;
+}
+
+/**
+ * Union of two ledgers by game id (see pickLedgerEntry for an id found
+ * with different results), oldest first
+ */
+function mergeLedgers(local, remote) {
+  const byId = new Map();
+  [...local, ...remote].forEach((entry) => {
+    const known = byId.get(entry.id);
+    byId.set(entry.id, known ? pickLedgerEntry(known, entry) : entry);
+  });
+  return Array.from(byId.values()).sort((a, b) => a.finishedAt - b.finishedAt);
+}
+
+/**
+ * Stats Ledger
+ * Persisted as { version, entries } in localStorage
+ */
+class StatsLedger {
+  constructor(
+    storage = typeof localStorage !== "undefined" ? localStorage : null,
+    now = () => Date.now()
+  ) {
+    this.storage = storage;
+    this.now = now;
+    this.entries = null;
+  }
+
+  load() {
+    if (!this.entries) this.reload();
+    return this.entries;
+  }
+
+  /**
+   * Re-read storage (another tab may have appended), dropping entries
+   * that can't be genuine
+   */
+  reload() {
+    let saved = null;
+    try {
+      saved = JSON.parse(this.storage.getItem(LEDGER_KEY));
+    } catch (e) {
+      console.error("Stats ledger unreadable, starting over:", e);
+    }
+
+    const entries =
+      saved && saved.version === LEDGER_VERSION && Array.isArray(saved.entries)
+        ? saved.entries
+        : [];
+    const valid = entries.filter((entry) =>
+      isValidLedgerEntry(entry, this.now())
+    );
+    if (valid.length !== entries.length) {
+      console.warn(
+        `⚠️ Ignored ${entries.length - valid.length} invalid ledger entries`
+      );
+    }
+
+    this.entries = mergeLedgers(
+      valid.map((entry) =>
+        entry.kind === "baseline"
+          ? { ...entry, stats: sanitizeLegacyStats(entry.stats) }
+          : entry
+      ),
+      []
+    );
+    return this.entries;
+  }
+
+  save() {
+    this.storage.setItem(
+      LEDGER_KEY,
+      JSON.stringify({ version: LEDGER_VERSION, entries: this.entries })
+    );
+  }
+
+  /**
+   * Whether this device has saved a ledger yet
+   */
+  isSaved() {
+    return this.storage.getItem(LEDGER_KEY) !== null;
+  }
+
+  has(id) {
+    return this.load().some((entry) => entry.id === id);
+  }
+
+  /**
+   * Record a finished game. False when it's invalid or already recorded
+   * (e.g. today's daily finished in another tab).
+   */
+  append(entry) {
+    this.reload();
+    if (!isValidLedgerEntry(entry, this.now()) || this.has(entry.id)) {
+      return false;
+    }
+    this.entries = mergeLedgers(this.entries, [entry]);
+    this.save();
+    return true;
+  }
+
+  /**
+   * Reconcile one variant with the copy kept in the cloud. Returns what
+   * happened, so the caller can push the local side up:
+   * { added: ids new from the cloud,
+   *   uploads: local games the cloud doesn't have,
+   *   overwrites: local games that beat the cloud's copy,
+   *   conflicts: [{ id, kept: "local" | "cloud" }],
+   *   rejected: cloud entries that failed validation }
+   */
+  reconcile(remoteEntries, variant) {
+    const local = this.reload();
+    const remote = remoteEntries.filter((entry) =>
+      isValidLedgerEntry(entry, this.now())
+    );
+    const report = {
+      added: [],
+      uploads: [],
+      overwrites: [],
+      conflicts: [],
+      rejected: remoteEntries.length - remote.length,
+    };
+
+    const localById = new Map(local.map((entry) => [entry.id, entry]));
+    remote.forEach((theirs) => {
+      const mine = localById.get(theirs.id);
+      if (!mine) {
+        report.added.push(theirs.id);
+      } else if (!isSameGame(mine, theirs)) {
+        const kept = pickLedgerEntry(mine, theirs) === mine ? "local" : "cloud";
+        report.conflicts.push({ id: theirs.id, kept });
+        if (kept === "local") report.overwrites.push(mine);
+      }
+    });
+
+    const remoteIds = new Set(remote.map((entry) => entry.id));
+    report.uploads = this.query(variant).filter(
+      (entry) => entry.kind !== "baseline" && !remoteIds.has(entry.id)
+    );
+
+    this.entries = mergeLedgers(local, remote);
+    if (report.added.length > 0 || report.conflicts.length > 0) this.save();
+    return report;
+  }
+
+  /**
+   * Entries for one mode and variant (word length, board count)
+   */
+  query({ mode, wordLength, boardCount }) {
+    return this.load().filter(
+      (entry) =>
+        entry.mode === mode &&
+        entry.wordLength === wordLength &&
+        entry.boardCount === boardCount
+    );
+  }
+
+  /**
+   * Forget every game (signing out: they belong to that account)
+   */
+  clear() {
+    this.entries = [];
+    this.storage.removeItem(LEDGER_KEY);
+  }
+
+  /**
+   * Carry counters from before the ledger over as a one-off baseline
+   */
+  importLegacyStats({ mode, wordLength, boardCount }, counters) {
+    return this.append({
+      id: `baseline-${mode}-${wordLength}-${boardCount}`,
+      kind: "baseline",
+      mode,
+      wordLength,
+      boardCount,
+      finishedAt: 0, // Before every recorded game
+      stats: sanitizeLegacyStats(counters),
+    });
+  }
+}
+
+// Create global instance
+const statsLedger = new StatsLedger();
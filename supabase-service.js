@@ -1,5 +1,6 @@
 // supabase-service.js - Database connection and API calls
 // FREE cloud database using Supabase (replaces localStorage with persistent cloud storage)
+// Implements the Stats/Profile/Leaderboard/Group repositories (see repositories.js)
 
 // ⚠️ SETUP INSTRUCTIONS:
 // 1. Go to https://supabase.com and create a free account
@@ -29,504 +30,711 @@ if (isSupabaseConfigured && typeof window !== "undefined" && window.supabase) {
   );
 }
 
-// Get or create anonymous user
-async function getOrCreateUser() {
-  // If Supabase not configured, return null (will use localStorage)
-  if (!supabase) {
-    return null;
-  }
+/**
+ * Typed error for a Supabase/PostgREST error
+ */
+function toRepositoryError(error) {
+  const codes = {
+    23505: REPOSITORY_ERRORS.CONFLICT, // unique_violation
+    23514: REPOSITORY_ERRORS.INVALID, // check_violation, e.g. a group name
+    42501: REPOSITORY_ERRORS.UNAUTHENTICATED, // Raised by the group functions
+    P0002: REPOSITORY_ERRORS.NOT_FOUND, // no_data_found, e.g. a wrong invite
+    PGRST116: REPOSITORY_ERRORS.NOT_FOUND, // .single() matched no row
+  };
+  // Supabase Auth errors only carry an HTTP status
+  const statuses = {
+    400: REPOSITORY_ERRORS.INVALID, // e.g. malformed email
+    401: REPOSITORY_ERRORS.UNAUTHENTICATED,
+    403: REPOSITORY_ERRORS.INVALID, // Wrong or expired code
+    422: REPOSITORY_ERRORS.CONFLICT, // Email already registered
+  };
+  return new RepositoryError(
+    codes[error.code] || statuses[error.status] || REPOSITORY_ERRORS.DATABASE,
+    error.message || "Database error",
+    error
+  );
+}
 
-  let userId = localStorage.getItem("WORDLE_USER_ID");
+/**
+ * Await a query builder and turn its { data, error } into a result.
+ * A thrown error means the request itself failed (offline, blocked, ...).
+ */
+async function runQuery(label, query) {
+  try {
+    const { data, error } = await query;
+    if (error) {
+      console.error(`Error ${label}:`, error);
+      return { ok: false, error: toRepositoryError(error) };
+    }
+    return okResult(data);
+  } catch (error) {
+    console.error(`Error ${label}:`, error);
+    return failResult(REPOSITORY_ERRORS.NETWORK, error.message, error);
+  }
+}
 
-  if (!userId) {
-    try {
-      // Create anonymous user
-      const userIdentifier = `anon_${Date.now()}_${Math.random()
-        .toString(36)
-        .substr(2, 9)}`;
+// Convert a stats ledger entry to a game_history row (and back).
+// Only daily single-board games are kept in the cloud.
+function ledgerEntryToRow(userId, entry) {
+  return {
+    user_id: userId,
+    game_id: entry.id,
+    puzzle_number: entry.puzzleNumber,
+    word_played: (entry.targetWords || [])[0] || "",
+    guesses_made: entry.attempts,
+    max_attempts: entry.maxAttempts,
+    is_won: entry.isWon,
+    hard_mode: entry.hardMode,
+    word_length: entry.wordLength,
+    created_at: new Date(entry.finishedAt).toISOString(),
+  };
+}
 
-      const { data, error } = await supabase
-        .from("users")
-        .insert([{ user_identifier: userIdentifier, is_anonymous: true }])
-        .select()
-        .single();
+function rowToLedgerEntry(row) {
+  return {
+    id: row.game_id,
+    mode: "daily",
+    puzzleNumber: row.puzzle_number,
+    wordLength: row.word_length,
+    boardCount: 1,
+    isWon: row.is_won,
+    attempts: row.guesses_made,
+    maxAttempts: row.max_attempts,
+    hardMode: row.hard_mode,
+    targetWords: [row.word_played],
+    finishedAt: Date.parse(row.created_at),
+  };
+}
 
-      if (error) {
-        console.error("Error creating user:", error);
-        return null;
-      }
+// get_leaderboard_page row -> leaderboard row (counts arrive as bigint)
+function rowToLeader(row) {
+  const number = (value) => (value === null ? null : Number(value));
+  return {
+    userId: row.user_id,
+    displayName: row.display_name,
+    avatarUrl: row.avatar_url,
+    rank: Number(row.rank),
+    gamesPlayed: Number(row.games_played),
+    gamesWon: Number(row.games_won),
+    winRate: Number(row.win_rate),
+    currentStreak: number(row.current_streak),
+    maxStreak: number(row.max_streak),
+    avgGuesses: number(row.avg_guesses),
+    skillRating: number(row.skill_rating),
+    keys: [row.sort_key_1, row.sort_key_2, row.sort_key_3].map(Number),
+  };
+}
 
-      userId = data.id;
-      localStorage.setItem("WORDLE_USER_ID", userId);
+// A board (see repositories.js) as the database functions' arguments
+function boardParams({
+  sortBy = "streak",
+  wordLength = 5,
+  sincePuzzle = null,
+  minGames = 1,
+  groupId = null,
+}) {
+  return {
+    p_sort: sortBy,
+    p_word_length: wordLength,
+    p_since_puzzle: sincePuzzle,
+    p_min_games: minGames,
+    p_group_id: groupId,
+  };
+}
 
-      // Create initial stats record
-      const { error: statsError } = await supabase
-        .from("player_stats")
-        .insert([{ user_id: userId }]);
+// Group function row -> group summary
+function rowToGroup(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    inviteCode: row.invite_code,
+    memberCount: Number(row.member_count),
+  };
+}
 
-      if (statsError) {
-        console.error("Error creating stats:", statsError);
-      }
+/* ---------- Profiles (users table) ---------- */
 
-      console.log("✅ New anonymous user created:", userIdentifier);
-    } catch (error) {
-      console.error("Error in getOrCreateUser:", error);
-      return null;
-    }
+class SupabaseProfileRepository {
+  constructor(client, storage = localStorage) {
+    this.client = client;
+    this.storage = storage;
   }
 
-  return userId;
-}
-
-// Load stats from Supabase
-async function loadStatsFromSupabase() {
-  // If Supabase not configured, return null (will use localStorage)
-  if (!supabase) {
-    return null;
+  currentUserId() {
+    return this.storage.getItem("WORDLE_USER_ID");
   }
 
-  try {
-    const userId = await getOrCreateUser();
-    if (!userId) return null;
-
-    const { data, error } = await supabase
-      .from("player_stats")
-      .select("*")
-      .eq("user_id", userId)
-      .single();
-
-    if (error) {
-      console.error("Error loading stats:", error);
-      return null;
-    }
+  // Get or create anonymous user
+  async getUserId() {
+    const userId = this.currentUserId();
+    if (userId) return okResult(userId);
 
-    console.log("✅ Stats loaded from Supabase");
+    const userIdentifier = `anon_${Date.now()}_${Math.random()
+      .toString(36)
+      .substr(2, 9)}`;
 
-    return {
-      gamesPlayed: data.games_played,
-      gamesWon: data.games_won,
-      currentStreak: data.current_streak,
-      maxStreak: data.max_streak,
-    };
-  } catch (error) {
-    console.error("Error in loadStatsFromSupabase:", error);
-    return null;
-  }
-}
+    const created = await runQuery(
+      "creating user",
+      this.client
+        .from("users")
+        .insert([{ user_identifier: userIdentifier, is_anonymous: true }])
+        .select()
+        .single()
+    );
+    if (!created.ok) return created;
 
-// Save stats to Supabase
-async function saveStatsToSupabase(
-  stats,
-  wordPlayed = "",
-  isWon = false,
-  guesses = 0
-) {
-  // If Supabase not configured, return false (will use localStorage only)
-  if (!supabase) {
-    return false;
+    this.storage.setItem("WORDLE_USER_ID", created.data.id);
+    console.log("✅ New anonymous user created:", userIdentifier);
+    return okResult(created.data.id);
   }
 
-  try {
-    const userId = await getOrCreateUser();
-    if (!userId) return false;
-
-    // Calculate win rate
-    const winRate =
-      stats.gamesPlayed > 0
-        ? ((stats.gamesWon / stats.gamesPlayed) * 100).toFixed(2)
-        : 0;
-
-    // Update stats
-    const { error: statsError } = await supabase
-      .from("player_stats")
-      .update({
-        games_played: stats.gamesPlayed,
-        games_won: stats.gamesWon,
-        current_streak: stats.currentStreak,
-        max_streak: stats.maxStreak,
-        win_rate: winRate,
-        last_played: new Date().toISOString(),
-      })
-      .eq("user_id", userId);
+  // Full profile, or null while the player is anonymous
+  async getProfile() {
+    const userId = this.currentUserId();
+    if (!userId) return okResult(null);
 
-    if (statsError) {
-      console.error("Error saving stats:", statsError);
-      return false;
+    const result = await runQuery(
+      "getting user profile",
+      this.client
+        .from("users")
+        .select("display_name, email, avatar_url, is_claimed")
+        .eq("id", userId)
+        .maybeSingle()
+    );
+    if (!result.ok) return result;
+
+    const user = result.data;
+    if (!user || !user.is_claimed || user.display_name === null) {
+      return okResult(null);
     }
+    return okResult({
+      displayName: user.display_name,
+      email: user.email,
+      avatarUrl: user.avatar_url,
+    });
+  }
 
-    // Log game history (only if word was played)
-    if (wordPlayed) {
-      const { error: historyError } = await supabase
-        .from("game_history")
-        .insert([
-          {
-            user_id: userId,
-            word_played: wordPlayed,
-            guesses_made: guesses,
-            is_won: isWon,
-          },
-        ]);
-
-      if (historyError) {
-        console.error("Error saving history:", historyError);
-      }
+  // Give the signed-in player a public name and avatar (the email is the
+  // one they verified when signing in)
+  async createProfile({ displayName, avatarUrl = null }) {
+    const auth = await this.getAuthUser();
+    if (!auth.ok) return auth;
+    if (!auth.data) {
+      return failResult(REPOSITORY_ERRORS.UNAUTHENTICATED, "Sign in first");
     }
 
-    console.log("✅ Stats saved to Supabase");
-    return true;
-  } catch (error) {
-    console.error("Error in saveStatsToSupabase:", error);
-    return false;
-  }
-}
+    const invalid = validateProfileDetails({ displayName, avatarUrl });
+    if (invalid) return failResult(REPOSITORY_ERRORS.INVALID, invalid);
 
-// Get leaderboard (top 100 players by max streak)
-async function getLeaderboard(limit = 100) {
-  // If Supabase not configured, return empty array
-  if (!supabase) {
-    console.log("ℹ️ Leaderboard not available - Supabase not configured");
-    return [];
-  }
+    const userId = this.currentUserId();
+    if (!userId) {
+      return failResult(REPOSITORY_ERRORS.NOT_FOUND, "No user ID found");
+    }
+    const email = auth.data.email;
 
-  try {
-    const { data, error } = await supabase
-      .from("player_stats")
-      .select("*, users(user_identifier)")
-      .order("max_streak", { ascending: false })
-      .order("win_rate", { ascending: false })
-      .limit(limit);
+    // Generate username from email
+    const username =
+      email.split("@")[0] + "_" + Date.now().toString().slice(-4);
 
-    if (error) {
-      console.error("Error fetching leaderboard:", error);
-      return [];
+    const result = await runQuery(
+      "updating user profile",
+      this.client
+        .from("users")
+        .update({
+          username: username,
+          display_name: displayName,
+          email: email,
+          avatar_url: avatarUrl,
+          auth_provider: "email",
+          is_claimed: true,
+          claimed_at: new Date().toISOString(),
+          last_login: new Date().toISOString(),
+        })
+        .eq("id", userId)
+        .eq("auth_user_id", auth.data.id)
+        .select()
+    );
+    if (!result.ok) return result;
+
+    // The update matches no row when the user was never created (or
+    // belongs to another identity)
+    if (result.data.length === 0) {
+      return failResult(
+        REPOSITORY_ERRORS.NOT_FOUND,
+        "User not found in database"
+      );
     }
 
-    console.log(`✅ Leaderboard loaded: ${data.length} players`);
-    return data;
-  } catch (error) {
-    console.error("Error in getLeaderboard:", error);
-    return [];
+    console.log("✅ Profile created successfully!");
+    return okResult({ displayName, email, avatarUrl });
   }
-}
 
-// Get user's rank
-async function getUserRank() {
-  // If Supabase not configured, return null
-  if (!supabase) {
-    return null;
-  }
+  // Delete user profile (return to anonymous)
+  async deleteProfile() {
+    const userId = this.currentUserId();
+    if (!userId) {
+      return failResult(REPOSITORY_ERRORS.NOT_FOUND, "No user ID found");
+    }
 
-  try {
-    const userId = await getOrCreateUser();
-    if (!userId) return null;
-
-    // Get user's stats
-    const { data: userStats } = await supabase
-      .from("player_stats")
-      .select("max_streak")
-      .eq("user_id", userId)
-      .single();
-
-    if (!userStats) return null;
-
-    // Count how many users have better max_streak
-    const { count } = await supabase
-      .from("player_stats")
-      .select("*", { count: "exact", head: true })
-      .gt("max_streak", userStats.max_streak);
-
-    const rank = count + 1; // Rank is count + 1
-    console.log(`✅ Your rank: #${rank}`);
-    return rank;
-  } catch (error) {
-    console.error("Error in getUserRank:", error);
-    return null;
-  }
-}
+    const result = await runQuery(
+      "deleting profile",
+      this.client
+        .from("users")
+        .update({
+          display_name: null,
+          email: null,
+          avatar_url: null,
+          username: null,
+          auth_provider: "anonymous",
+          is_claimed: false,
+          claimed_at: null,
+        })
+        .eq("id", userId)
+    );
+    if (!result.ok) return result;
 
-// Check if Supabase is available and working
-async function checkSupabaseConnection() {
-  if (!supabase) {
-    return false;
+    console.log("✅ Profile deleted - returned to anonymous mode");
+    return okResult(true);
   }
 
-  try {
-    const { error } = await supabase.from("users").select("id").limit(1);
-
-    if (error) {
-      console.error("❌ Supabase connection failed:", error);
-      return false;
+  // Edit the claimed profile in place (username and claimed_at stay). A
+  // new email goes through Supabase Auth first: it mails a confirmation
+  // link, and the address signs in once that's opened. The profile keeps
+  // the old email until then (linkAuthUser copies the confirmed one).
+  async updateProfile(changes) {
+    const auth = await this.getAuthUser();
+    if (!auth.ok) return auth;
+    if (!auth.data) {
+      return failResult(REPOSITORY_ERRORS.UNAUTHENTICATED, "Sign in first");
     }
 
-    console.log("✅ Supabase connection successful");
-    return true;
-  } catch (error) {
-    console.error("❌ Supabase connection error:", error);
-    return false;
-  }
-}
+    const invalid = validateProfileDetails(changes);
+    if (invalid) return failResult(REPOSITORY_ERRORS.INVALID, invalid);
 
-// Check if current user has a profile
-async function checkUserProfile() {
-  if (!supabase) {
-    return false;
-  }
-
-  try {
-    const userId = localStorage.getItem("WORDLE_USER_ID");
-    if (!userId) return false;
+    const { displayName, avatarUrl, email } = changes;
+    if (email !== undefined && email !== auth.data.email) {
+      const changed = await runQuery(
+        "changing email",
+        this.client.auth.updateUser({ email })
+      );
+      if (!changed.ok) return changed;
+    }
 
-    const { data, error } = await supabase
-      .from("users")
-      .select("is_claimed, display_name")
-      .eq("id", userId)
-      .single();
+    const update = {};
+    if (displayName !== undefined) update.display_name = displayName;
+    if (avatarUrl !== undefined) update.avatar_url = avatarUrl || null;
+    if (Object.keys(update).length === 0) return this.getProfile();
 
-    if (error || !data) {
-      return false;
+    const result = await runQuery(
+      "updating user profile",
+      this.client
+        .from("users")
+        .update(update)
+        .eq("id", this.currentUserId())
+        .eq("auth_user_id", auth.data.id)
+        .eq("is_claimed", true)
+        .select("display_name, email, avatar_url")
+    );
+    if (!result.ok) return result;
+    if (result.data.length === 0) {
+      return failResult(REPOSITORY_ERRORS.NOT_FOUND, "No profile to edit");
     }
 
-    return data.is_claimed === true && data.display_name !== null;
-  } catch (error) {
-    console.error("Error checking user profile:", error);
-    return false;
+    const user = result.data[0];
+    console.log("✅ Profile updated");
+    return okResult({
+      displayName: user.display_name,
+      email: user.email,
+      avatarUrl: user.avatar_url,
+    });
   }
-}
 
-// Get full user profile data
-async function getUserProfile() {
-  if (!supabase) {
-    return null;
-  }
+  /* ---------- Sign-in (Supabase Auth, email magic link / code) ---------- */
 
-  try {
-    const userId = localStorage.getItem("WORDLE_USER_ID");
-    if (!userId) return null;
+  async getAuthUser() {
+    const result = await runQuery(
+      "reading session",
+      this.client.auth.getSession()
+    );
+    if (!result.ok) return result;
 
-    const { data, error } = await supabase
-      .from("users")
-      .select("display_name, email, avatar_url, is_claimed")
-      .eq("id", userId)
-      .single();
+    const session = result.data.session;
+    return okResult(
+      session ? { id: session.user.id, email: session.user.email } : null
+    );
+  }
 
-    if (error || !data || !data.is_claimed) {
-      return null;
-    }
+  // One email with both a magic link (back to this page) and a code
+  async sendSignInCode(email) {
+    const result = await runQuery(
+      "sending sign-in email",
+      this.client.auth.signInWithOtp({
+        email,
+        options: {
+          emailRedirectTo:
+            typeof location !== "undefined"
+              ? location.origin + location.pathname
+              : undefined,
+        },
+      })
+    );
+    return result.ok ? okResult(true) : result;
+  }
 
-    return data;
-  } catch (error) {
-    console.error("Error getting user profile:", error);
-    return null;
+  async verifySignInCode(email, code) {
+    const result = await runQuery(
+      "verifying sign-in code",
+      this.client.auth.verifyOtp({ email, token: code, type: "email" })
+    );
+    if (!result.ok) return result;
+    return this.linkAuthUser();
   }
-}
 
-// Delete user profile (return to anonymous)
-async function deleteUserProfile() {
-  if (!supabase) {
-    console.error("Supabase not configured");
-    return false;
+  // Tie the signed-in identity to a player: the one it was linked to
+  // before (another device - its stats come back), or else this device's
+  // guest player if nobody owns it yet. Null when nobody is signed in.
+  // link_auth_user (migration 014) decides, so a player id copied from
+  // elsewhere claims nothing.
+  async linkAuthUser() {
+    const auth = await this.getAuthUser();
+    if (!auth.ok || !auth.data) return auth;
+
+    const linked = await runQuery(
+      "linking user",
+      this.client
+        .rpc("link_auth_user", { p_user_id: this.currentUserId() })
+        .single()
+    );
+    if (!linked.ok) return linked;
+
+    const { user_id: userId, recovered } = linked.data;
+    this.storage.setItem("WORDLE_USER_ID", userId);
+    console.log("✅ Signed in and linked:", auth.data.email);
+    return okResult({ userId, recovered });
   }
 
-  try {
-    const userId = localStorage.getItem("WORDLE_USER_ID");
-    if (!userId) {
-      console.error("No user ID found");
-      return false;
-    }
+  // Sign out; this device carries on as a new guest
+  async signOut() {
+    const result = await runQuery("signing out", this.client.auth.signOut());
+    if (!result.ok) return result;
 
-    // Reset user to anonymous state
-    const { error } = await supabase
-      .from("users")
-      .update({
-        display_name: null,
-        email: null,
-        avatar_url: null,
-        username: null,
-        auth_provider: "anonymous",
-        is_claimed: false,
-        claimed_at: null,
-      })
-      .eq("id", userId);
+    this.storage.removeItem("WORDLE_USER_ID");
+    return okResult(true);
+  }
+}
 
-    if (error) {
-      console.error("❌ Error deleting profile:", error);
-      return false;
-    }
+/* ---------- Stats (player_stats, game_history) ---------- */
 
-    console.log("✅ Profile deleted - returned to anonymous mode");
-    return true;
-  } catch (error) {
-    console.error("Error in deleteUserProfile:", error);
-    return false;
+class SupabaseStatsRepository {
+  constructor(client, profiles) {
+    this.client = client;
+    this.profiles = profiles;
   }
-}
 
-// Create user profile and migrate stats
-async function createUserProfile(displayName, email, avatarUrl = null) {
-  if (!supabase) {
-    console.error("Supabase not configured");
-    return false;
+  // The signed-in player's id, or null for a guest. Only signed-in players
+  // can write games and stats (migration 014): a guest's games stay in the
+  // ledger and are uploaded when their profile is created.
+  async signedInPlayer() {
+    const auth = await this.profiles.getAuthUser();
+    if (!auth.ok) return auth;
+    return auth.data ? this.profiles.getUserId() : okResult(null);
   }
 
-  try {
-    const anonymousUserId = localStorage.getItem("WORDLE_USER_ID");
-    if (!anonymousUserId) {
-      console.error("No user ID found");
-      return false;
+  // This player's recorded games at one word length as ledger entries
+  // (stats are recomputed from these, never read from player_stats)
+  async loadGames(wordLength = 5) {
+    const user = await this.signedInPlayer();
+    if (!user.ok) return user;
+    if (!user.data) {
+      return failResult(REPOSITORY_ERRORS.UNAUTHENTICATED, "Not signed in");
     }
 
-    // Get current localStorage stats
-    const localStats = JSON.parse(localStorage.getItem("wordleStats")) || {
-      gamesPlayed: 0,
-      gamesWon: 0,
-      currentStreak: 0,
-      maxStreak: 0,
-    };
-
-    // Get current RDS stats from anonymous user
-    const { data: anonymousStats } = await supabase
-      .from("player_stats")
-      .select("*")
-      .eq("user_id", anonymousUserId)
-      .single();
-
-    // Merge stats - take maximum values
-    const mergedStats = {
-      games_played: Math.max(
-        localStats.gamesPlayed,
-        anonymousStats?.games_played || 0
-      ),
-      games_won: Math.max(localStats.gamesWon, anonymousStats?.games_won || 0),
-      current_streak: Math.max(
-        localStats.currentStreak,
-        anonymousStats?.current_streak || 0
-      ),
-      max_streak: Math.max(
-        localStats.maxStreak,
-        anonymousStats?.max_streak || 0
-      ),
-    };
-
-    const winRate =
-      mergedStats.games_played > 0
-        ? ((mergedStats.games_won / mergedStats.games_played) * 100).toFixed(2)
-        : 0;
+    const result = await runQuery(
+      "loading games",
+      this.client
+        .from("game_history")
+        .select(
+          "game_id, puzzle_number, word_played, guesses_made, max_attempts, is_won, hard_mode, word_length, created_at"
+        )
+        .eq("user_id", user.data)
+        .eq("word_length", wordLength)
+        .not("game_id", "is", null)
+    );
+    if (!result.ok) return result;
+
+    return okResult((result.data || []).map(rowToLedgerEntry));
+  }
 
-    // Generate username from email
-    const username =
-      email.split("@")[0] + "_" + Date.now().toString().slice(-4);
+  // Upload ledger entries (already-known game ids are skipped, or
+  // overwritten with replace - a reconciled conflict)
+  async saveGames(entries, { replace = false } = {}) {
+    if (entries.length === 0) return okResult(true);
 
-    // First, verify the user exists
-    console.log("🔍 Checking if user exists:", anonymousUserId);
-    const { data: existingUser, error: checkError } = await supabase
-      .from("users")
-      .select("*")
-      .eq("id", anonymousUserId)
-      .single();
+    const user = await this.signedInPlayer();
+    if (!user.ok || !user.data) return user; // Nothing to send as a guest
 
-    console.log("👤 Found user:", existingUser);
+    const result = await runQuery(
+      "saving history",
+      this.client.from("game_history").upsert(
+        entries.map((entry) => ledgerEntryToRow(user.data, entry)),
+        { onConflict: "user_id,game_id", ignoreDuplicates: !replace }
+      )
+    );
+    return result.ok ? okResult(true) : result;
+  }
 
-    if (checkError || !existingUser) {
-      console.error("❌ User not found in database:", checkError);
-      return false;
-    }
+  // Store the counters recomputed from the ledger (upsert: the first game
+  // at a new length creates its row)
+  async saveStats(stats, wordLength = 5) {
+    const user = await this.signedInPlayer();
+    if (!user.ok || !user.data) return user; // Nothing to send as a guest
+
+    const result = await runQuery(
+      "saving stats",
+      this.client.from("player_stats").upsert(
+        {
+          user_id: user.data,
+          word_length: wordLength,
+          games_played: stats.gamesPlayed,
+          games_won: stats.gamesWon,
+          current_streak: stats.currentStreak,
+          max_streak: stats.maxStreak,
+          guess_distribution: stats.guessDistribution || {},
+          win_rate: winRatePercent(stats.gamesPlayed, stats.gamesWon),
+          last_played: new Date().toISOString(),
+        },
+        { onConflict: "user_id,word_length" }
+      )
+    );
+    if (!result.ok) return result;
+
+    // Re-rate against everyone's games (a failure here isn't fatal - the
+    // next save tries again)
+    await runQuery(
+      "refreshing skill rating",
+      this.client.rpc("refresh_skill_rating", {
+        p_user_id: user.data,
+        p_word_length: wordLength,
+      })
+    );
 
-    // Update users table with profile info
-    console.log("🔄 Attempting to update user:", anonymousUserId);
-    console.log("📝 Update data:", {
-      username,
-      displayName,
-      email,
-      avatarUrl,
-    });
+    console.log("✅ Stats saved to Supabase");
+    return okResult(true);
+  }
 
-    const { data: updateResult, error: userError } = await supabase
-      .from("users")
-      .update({
-        username: username,
-        display_name: displayName,
-        email: email,
-        avatar_url: avatarUrl,
-        auth_provider: "email",
-        is_claimed: true,
-        claimed_at: new Date().toISOString(),
-        last_login: new Date().toISOString(),
-      })
-      .eq("id", anonymousUserId)
-      .select();
+  // Stored by refresh_skill_rating (migration 008); null until rated
+  async getSkillRating(wordLength = 5) {
+    const userId = this.profiles.currentUserId();
+    if (!userId) return okResult(null);
 
-    if (userError) {
-      console.error("❌ Error updating user profile:", userError);
-      console.error("Error details:", userError.message, userError.details);
-      return false;
-    }
+    const result = await runQuery(
+      "getting skill rating",
+      this.client
+        .from("player_stats")
+        .select("skill_rating, rated_games")
+        .eq("user_id", userId)
+        .eq("word_length", wordLength)
+        .maybeSingle()
+    );
+    if (!result.ok) return result;
+
+    const row = result.data;
+    return okResult(
+      row && row.skill_rating !== null
+        ? { rating: row.skill_rating, ratedGames: row.rated_games }
+        : null
+    );
+  }
+}
 
-    console.log("✅ User updated:", updateResult);
+/* ---------- Leaderboard ---------- */
+
+class SupabaseLeaderboardRepository {
+  constructor(client, profiles) {
+    this.client = client;
+    this.profiles = profiles;
+  }
 
-    // Update player_stats with merged stats
-    console.log("🔄 Updating player stats...");
-    const { data: statsResult, error: statsError } = await supabase
-      .from("player_stats")
-      .update({
-        ...mergedStats,
-        win_rate: winRate,
+  // One page of claimed players, ranked by the get_leaderboard_page
+  // function (migration 007). One row past the page tells whether there's
+  // another.
+  async getLeaderboard(board, { search = "", cursor = null, limit } = {}) {
+    const pageSize = limit || LEADERBOARD_PAGE_SIZE;
+    const result = await runQuery(
+      "fetching leaderboard",
+      this.client.rpc("get_leaderboard_page", {
+        ...boardParams(board),
+        p_search: search.trim() || null,
+        p_cursor: cursor,
+        p_limit: pageSize + 1,
       })
-      .eq("user_id", anonymousUserId)
-      .select();
+    );
+    if (!result.ok) return result;
+
+    const rows = result.data.slice(0, pageSize).map(rowToLeader);
+    const nextCursor =
+      result.data.length > pageSize
+        ? leaderCursor(rows[rows.length - 1])
+        : null;
+    console.log(`✅ Leaderboard loaded: ${rows.length} players`);
+    return okResult({ rows, nextCursor });
+  }
 
-    if (statsError) {
-      console.error("❌ Error updating stats:", statsError);
-      console.error("Error details:", statsError.message);
-      return false;
+  // This player's rank on a board and where their page starts (null when
+  // they aren't listed, e.g. no profile yet)
+  async getRank(board, { pageSize = LEADERBOARD_PAGE_SIZE } = {}) {
+    const userId = this.profiles.currentUserId();
+    if (!userId) return okResult(null);
+
+    const result = await runQuery(
+      "getting user rank",
+      this.client
+        .rpc("get_leaderboard_rank", {
+          ...boardParams(board),
+          p_user_id: userId,
+          p_page_size: pageSize,
+        })
+        .maybeSingle()
+    );
+    if (!result.ok || !result.data) return result;
+
+    return okResult({
+      rank: Number(result.data.rank),
+      pageCursor: result.data.page_cursor,
+    });
+  }
+
+  // Supabase Realtime changes to player_stats and game_history (published
+  // by migration 010). A channel that errors or times out calls onError;
+  // the caller falls back to polling.
+  async watch(onChange, { onError = () => {} } = {}) {
+    if (typeof this.client.channel !== "function") {
+      return failResult(REPOSITORY_ERRORS.NETWORK, "Realtime unavailable");
     }
 
-    console.log("✅ Stats updated:", statsResult);
-    console.log("✅ Profile created successfully!");
-    console.log("📊 Stats migrated:", mergedStats);
-    return true;
-  } catch (error) {
-    console.error("Error creating profile:", error);
-    return false;
+    const channel = this.client.channel("leaderboard-changes");
+    ["player_stats", "game_history"].forEach((table) => {
+      channel.on(
+        "postgres_changes",
+        { event: "*", schema: "public", table },
+        (payload) => {
+          const row = payload.new || payload.old || {};
+          onChange({ table, userId: row.user_id || null });
+        }
+      );
+    });
+    channel.subscribe((status, error) => {
+      if (status === "CHANNEL_ERROR" || status === "TIMED_OUT") {
+        console.warn("⚠️ Live leaderboard unavailable:", error || status);
+        onError(status);
+      }
+    });
+    return okResult(() => this.client.removeChannel(channel));
   }
 }
 
-// Get leaderboard with sorting
-async function getLeaderboardWithSort(limit = 100, sortBy = "streak") {
-  if (!supabase) {
-    console.log("ℹ️ Leaderboard not available - Supabase not configured");
-    return [];
+/* ---------- Groups ---------- */
+
+// The group functions (migration 009) check that p_user_id is the
+// signed-in player's claimed profile before changing anything
+class SupabaseGroupRepository {
+  constructor(client, profiles) {
+    this.client = client;
+    this.profiles = profiles;
   }
 
-  try {
-    let query = supabase
-      .from("player_stats")
-      .select(
-        "*, users!inner(user_identifier, display_name, avatar_url, is_claimed, email)"
-      )
-      .eq("users.is_claimed", true)
-      .not("users.display_name", "is", null);
-
-    // Sort based on parameter
-    if (sortBy === "streak") {
-      query = query.order("max_streak", { ascending: false });
-    } else if (sortBy === "winrate") {
-      query = query.order("win_rate", { ascending: false });
-    }
+  async listGroups() {
+    const userId = this.profiles.currentUserId();
+    if (!userId) return okResult([]);
 
-    query = query.order("games_played", { ascending: false }).limit(limit);
+    const result = await runQuery(
+      "listing groups",
+      this.client.rpc("get_my_groups", { p_user_id: userId })
+    );
+    return result.ok ? okResult(result.data.map(rowToGroup)) : result;
+  }
 
-    const { data, error } = await query;
+  async createGroup(name) {
+    const invalid = validateGroupName(name);
+    if (invalid) return failResult(REPOSITORY_ERRORS.INVALID, invalid);
+
+    const result = await runQuery(
+      "creating group",
+      this.client
+        .rpc("create_group", {
+          p_user_id: this.profiles.currentUserId(),
+          p_name: name.trim(),
+        })
+        .single()
+    );
+    return result.ok ? okResult(rowToGroup(result.data)) : result;
+  }
 
-    if (error) {
-      console.error("Error fetching leaderboard:", error);
-      console.error("Error details:", error.message, error.details);
-      return [];
-    }
+  async joinGroup(invite) {
+    const result = await runQuery(
+      "joining group",
+      this.client
+        .rpc("join_group", {
+          p_user_id: this.profiles.currentUserId(),
+          p_invite_code: parseInviteCode(invite),
+        })
+        .single()
+    );
+    return result.ok ? okResult(rowToGroup(result.data)) : result;
+  }
 
-    console.log(`✅ Leaderboard loaded: ${data.length} players`);
-    return data;
-  } catch (error) {
-    console.error("Error in getLeaderboardWithSort:", error);
-    return [];
+  async leaveGroup(groupId) {
+    const result = await runQuery(
+      "leaving group",
+      this.client.rpc("leave_group", {
+        p_user_id: this.profiles.currentUserId(),
+        p_group_id: groupId,
+      })
+    );
+    return result.ok ? okResult(true) : result;
   }
+
+  // Members without a game on the puzzle come back with NULL results
+  async getGroupDay(groupId, { puzzleNumber, wordLength = 5 }) {
+    const result = await runQuery(
+      "loading group day",
+      this.client.rpc("get_group_day", {
+        p_user_id: this.profiles.currentUserId(),
+        p_group_id: groupId,
+        p_puzzle_number: puzzleNumber,
+        p_word_length: wordLength,
+      })
+    );
+    if (!result.ok) return result;
+
+    return okResult(
+      rankGroupDay(
+        result.data.map((row) => ({
+          userId: row.user_id,
+          displayName: row.display_name,
+          avatarUrl: row.avatar_url,
+          result:
+            row.is_won === null
+              ? null
+              : {
+                  isWon: row.is_won,
+                  attempts: row.guesses_made,
+                  maxAttempts: row.max_attempts,
+                  hardMode: row.hard_mode,
+                },
+        }))
+      )
+    );
+  }
+}
+
+function createSupabaseRepositories(client) {
+  const profiles = new SupabaseProfileRepository(client);
+  return {
+    backend: "supabase",
+    profiles,
+    stats: new SupabaseStatsRepository(client, profiles),
+    leaderboard: new SupabaseLeaderboardRepository(client, profiles),
+    groups: new SupabaseGroupRepository(client, profiles),
+  };
 }
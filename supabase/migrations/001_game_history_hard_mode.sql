@@ -0,0 +1,8 @@
+-- Record whether each game was played in hard mode
+-- (revealed hints must be reused), so leaderboards can tell players apart.
+ALTER TABLE game_history
+  ADD COLUMN IF NOT EXISTS hard_mode BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE INDEX IF NOT EXISTS idx_game_history_hard_mode
+  ON game_history (user_id)
+  WHERE hard_mode;
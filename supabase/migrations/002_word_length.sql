@@ -0,0 +1,18 @@
+-- Partition stats and history by word length (4-8 letters).
+-- Existing rows are classic 5-letter games.
+ALTER TABLE player_stats
+  ADD COLUMN IF NOT EXISTS word_length SMALLINT NOT NULL DEFAULT 5
+  CHECK (word_length BETWEEN 4 AND 8);
+
+ALTER TABLE game_history
+  ADD COLUMN IF NOT EXISTS word_length SMALLINT NOT NULL DEFAULT 5
+  CHECK (word_length BETWEEN 4 AND 8);
+
+-- One stats row per player per length (saveStatsToSupabase upserts on this)
+ALTER TABLE player_stats DROP CONSTRAINT IF EXISTS player_stats_user_id_key;
+ALTER TABLE player_stats
+  ADD CONSTRAINT player_stats_user_id_word_length_key
+  UNIQUE (user_id, word_length);
+
+CREATE INDEX IF NOT EXISTS idx_player_stats_word_length
+  ON player_stats (word_length, max_streak DESC);
@@ -0,0 +1,4 @@
+-- Wins by number of guesses, e.g. {"3": 4, "4": 2}, for the stats histogram.
+-- Existing rows start empty; the client merges in wins it has recorded locally.
+ALTER TABLE player_stats
+  ADD COLUMN IF NOT EXISTS guess_distribution JSONB NOT NULL DEFAULT '{}'::jsonb;
@@ -0,0 +1,11 @@
+-- Per-game ids for the stats ledger. Devices reconcile their games by id,
+-- so the same daily puzzle uploaded twice is stored (and counted) once.
+-- Rows saved before this migration have no game_id and are left out of the
+-- reconciliation; player_stats still holds their totals.
+ALTER TABLE game_history
+  ADD COLUMN IF NOT EXISTS game_id TEXT,
+  ADD COLUMN IF NOT EXISTS puzzle_number INTEGER,
+  ADD COLUMN IF NOT EXISTS max_attempts SMALLINT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS game_history_user_game_id
+  ON game_history (user_id, game_id);
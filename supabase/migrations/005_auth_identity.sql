@@ -0,0 +1,10 @@
+-- Links a player to a Supabase Auth identity (email magic link / code).
+-- Signing in with the same email on another device finds the player by
+-- auth_user_id, so their games and stats come back. Guests keep a NULL
+-- auth_user_id; deleting the auth account turns the player back into one.
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS auth_user_id UUID
+    REFERENCES auth.users (id) ON DELETE SET NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS users_auth_user_id
+  ON users (auth_user_id);
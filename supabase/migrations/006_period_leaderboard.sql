@@ -0,0 +1,50 @@
+-- Leaderboards for today / this week / this month / all time, summed from
+-- game_history instead of the lifetime counters in player_stats. Only the
+-- daily games recorded by the stats ledger (they have a puzzle_number)
+-- count, so a period is simply a range of puzzle numbers.
+CREATE INDEX IF NOT EXISTS game_history_period
+  ON game_history (word_length, puzzle_number);
+
+-- Runs as its owner so it can read every player's games, but only returns
+-- totals for players who claimed a profile.
+CREATE OR REPLACE FUNCTION get_period_leaderboard(
+  p_word_length INTEGER,
+  p_since_puzzle INTEGER,
+  p_min_games INTEGER,
+  p_limit INTEGER
+)
+RETURNS TABLE (
+  user_id UUID,
+  display_name TEXT,
+  avatar_url TEXT,
+  games_played BIGINT,
+  games_won BIGINT,
+  avg_guesses NUMERIC
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT
+    g.user_id,
+    u.display_name,
+    u.avatar_url,
+    COUNT(*) AS games_played,
+    COUNT(*) FILTER (WHERE g.is_won) AS games_won,
+    ROUND(AVG(g.guesses_made) FILTER (WHERE g.is_won), 2) AS avg_guesses
+  FROM game_history g
+  JOIN users u ON u.id = g.user_id
+  WHERE u.is_claimed
+    AND u.display_name IS NOT NULL
+    AND g.word_length = p_word_length
+    AND g.puzzle_number IS NOT NULL
+    AND (p_since_puzzle IS NULL OR g.puzzle_number >= p_since_puzzle)
+  GROUP BY g.user_id, u.display_name, u.avatar_url
+  HAVING COUNT(*) >= p_min_games
+  ORDER BY games_won DESC, avg_guesses ASC NULLS LAST, games_played DESC
+  LIMIT p_limit;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_period_leaderboard(INTEGER, INTEGER, INTEGER, INTEGER)
+  TO anon, authenticated;
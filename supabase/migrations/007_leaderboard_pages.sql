@@ -0,0 +1,190 @@
+-- Paged, searchable leaderboards with the player's own rank. Every board
+-- (lifetime max streak / win rate, or the period boards from migration
+-- 006) is ranked by leaderboard_ranked() on three sort keys, highest
+-- first, with the user id as a final tie-break. Pages continue after a
+-- cursor {"keys": [k1, k2, k3], "userId": "..."} - the last row shown - so
+-- they never skip or repeat a player while the board changes.
+DROP FUNCTION IF EXISTS get_period_leaderboard(INTEGER, INTEGER, INTEGER, INTEGER);
+
+CREATE OR REPLACE FUNCTION leaderboard_ranked(
+  p_sort TEXT, -- 'streak' | 'winrate' | 'period'
+  p_word_length INTEGER,
+  p_since_puzzle INTEGER,
+  p_min_games INTEGER
+)
+RETURNS TABLE (
+  user_id UUID,
+  display_name TEXT,
+  avatar_url TEXT,
+  games_played BIGINT,
+  games_won BIGINT,
+  win_rate NUMERIC,
+  current_streak INTEGER,
+  max_streak INTEGER,
+  avg_guesses NUMERIC,
+  sort_key_1 NUMERIC,
+  sort_key_2 NUMERIC,
+  sort_key_3 NUMERIC,
+  rank BIGINT,
+  position BIGINT
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  WITH lifetime AS (
+    SELECT
+      s.user_id,
+      u.display_name,
+      u.avatar_url,
+      s.games_played::BIGINT AS games_played,
+      s.games_won::BIGINT AS games_won,
+      s.win_rate::NUMERIC AS win_rate,
+      s.current_streak,
+      s.max_streak,
+      NULL::NUMERIC AS avg_guesses
+    FROM player_stats s
+    JOIN users u ON u.id = s.user_id
+    WHERE p_sort <> 'period'
+      AND u.is_claimed
+      AND u.display_name IS NOT NULL
+      AND s.word_length = p_word_length
+  ),
+  period AS (
+    SELECT
+      g.user_id,
+      u.display_name,
+      u.avatar_url,
+      COUNT(*) AS games_played,
+      COUNT(*) FILTER (WHERE g.is_won) AS games_won,
+      ROUND(COUNT(*) FILTER (WHERE g.is_won) * 100.0 / COUNT(*), 2) AS win_rate,
+      NULL::INTEGER AS current_streak,
+      NULL::INTEGER AS max_streak,
+      ROUND(AVG(g.guesses_made) FILTER (WHERE g.is_won), 2) AS avg_guesses
+    FROM game_history g
+    JOIN users u ON u.id = g.user_id
+    WHERE p_sort = 'period'
+      AND u.is_claimed
+      AND u.display_name IS NOT NULL
+      AND g.word_length = p_word_length
+      AND g.puzzle_number IS NOT NULL
+      AND (p_since_puzzle IS NULL OR g.puzzle_number >= p_since_puzzle)
+    GROUP BY g.user_id, u.display_name, u.avatar_url
+    HAVING COUNT(*) >= p_min_games
+  ),
+  keyed AS (
+    SELECT
+      b.*,
+      CASE p_sort
+        WHEN 'streak' THEN b.max_streak
+        WHEN 'winrate' THEN b.win_rate
+        ELSE b.games_won
+      END::NUMERIC AS sort_key_1,
+      CASE p_sort
+        WHEN 'period' THEN COALESCE(-b.avg_guesses, -100)
+        ELSE b.games_played
+      END::NUMERIC AS sort_key_2,
+      CASE p_sort WHEN 'period' THEN b.games_played ELSE 0 END::NUMERIC
+        AS sort_key_3
+    FROM (SELECT * FROM lifetime UNION ALL SELECT * FROM period) b
+  )
+  SELECT
+    k.*,
+    RANK() OVER (ORDER BY sort_key_1 DESC, sort_key_2 DESC, sort_key_3 DESC),
+    ROW_NUMBER() OVER (
+      ORDER BY sort_key_1 DESC, sort_key_2 DESC, sort_key_3 DESC, k.user_id
+    )
+  FROM keyed k;
+$$;
+
+-- One page after p_cursor (NULL = from the top), optionally only names
+-- containing p_search. Ranks stay those of the whole board.
+CREATE OR REPLACE FUNCTION get_leaderboard_page(
+  p_sort TEXT,
+  p_word_length INTEGER,
+  p_since_puzzle INTEGER,
+  p_min_games INTEGER,
+  p_search TEXT,
+  p_cursor JSONB,
+  p_limit INTEGER
+)
+RETURNS TABLE (
+  user_id UUID,
+  display_name TEXT,
+  avatar_url TEXT,
+  games_played BIGINT,
+  games_won BIGINT,
+  win_rate NUMERIC,
+  current_streak INTEGER,
+  max_streak INTEGER,
+  avg_guesses NUMERIC,
+  sort_key_1 NUMERIC,
+  sort_key_2 NUMERIC,
+  sort_key_3 NUMERIC,
+  rank BIGINT,
+  position BIGINT
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT r.*
+  FROM leaderboard_ranked(p_sort, p_word_length, p_since_puzzle, p_min_games) r
+  WHERE (p_search IS NULL
+      OR strpos(lower(r.display_name), lower(p_search)) > 0)
+    AND (p_cursor IS NULL
+      OR (r.sort_key_1, r.sort_key_2, r.sort_key_3) < (
+        (p_cursor -> 'keys' ->> 0)::NUMERIC,
+        (p_cursor -> 'keys' ->> 1)::NUMERIC,
+        (p_cursor -> 'keys' ->> 2)::NUMERIC
+      )
+      OR ((r.sort_key_1, r.sort_key_2, r.sort_key_3) = (
+        (p_cursor -> 'keys' ->> 0)::NUMERIC,
+        (p_cursor -> 'keys' ->> 1)::NUMERIC,
+        (p_cursor -> 'keys' ->> 2)::NUMERIC
+      ) AND r.user_id > (p_cursor ->> 'userId')::UUID))
+  ORDER BY r.position
+  LIMIT p_limit;
+$$;
+
+-- A player's rank, plus the cursor that loads the page holding them
+-- (NULL when that's the first page). No row when they aren't listed.
+CREATE OR REPLACE FUNCTION get_leaderboard_rank(
+  p_sort TEXT,
+  p_word_length INTEGER,
+  p_since_puzzle INTEGER,
+  p_min_games INTEGER,
+  p_user_id UUID,
+  p_page_size INTEGER
+)
+RETURNS TABLE (rank BIGINT, page_cursor JSONB)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  WITH r AS (
+    SELECT *
+    FROM leaderboard_ranked(p_sort, p_word_length, p_since_puzzle, p_min_games)
+  )
+  SELECT
+    me.rank,
+    (
+      SELECT jsonb_build_object(
+        'keys', jsonb_build_array(b.sort_key_1, b.sort_key_2, b.sort_key_3),
+        'userId', b.user_id
+      )
+      FROM r b
+      WHERE b.position = ((me.position - 1) / p_page_size) * p_page_size
+    )
+  FROM r me
+  WHERE me.user_id = p_user_id;
+$$;
+
+GRANT EXECUTE ON FUNCTION
+  leaderboard_ranked(TEXT, INTEGER, INTEGER, INTEGER),
+  get_leaderboard_page(TEXT, INTEGER, INTEGER, INTEGER, TEXT, JSONB, INTEGER),
+  get_leaderboard_rank(TEXT, INTEGER, INTEGER, INTEGER, UUID, INTEGER)
+  TO anon, authenticated;
@@ -0,0 +1,226 @@
+-- Skill rating: average guesses adjusted for puzzle difficulty and sample
+-- size, stored per player and word length in player_stats. The client
+-- calls refresh_skill_rating after saving stats; the formula matches
+-- computeSkillRating in game-engine.js:
+--   score      = guesses, or max_attempts + 1 for a loss
+--   puzzle avg = (sum of scores + 3 * overall avg) / (games + 3)
+--   adjusted   = score - (puzzle avg - overall avg)
+--   player avg = (sum of adjusted + 10 * overall avg) / (games + 10)
+--   rating     = round(1000 + (overall avg - player avg) * 200)
+-- Other players' ratings follow changes in puzzle difficulty the next time
+-- they save.
+ALTER TABLE player_stats
+  ADD COLUMN IF NOT EXISTS skill_rating INTEGER,
+  ADD COLUMN IF NOT EXISTS rated_games INTEGER NOT NULL DEFAULT 0;
+
+CREATE OR REPLACE FUNCTION refresh_skill_rating(
+  p_user_id UUID,
+  p_word_length INTEGER
+)
+RETURNS VOID
+LANGUAGE sql
+VOLATILE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  WITH games AS (
+    SELECT
+      user_id,
+      puzzle_number,
+      CASE WHEN is_won THEN guesses_made ELSE max_attempts + 1 END::NUMERIC
+        AS score
+    FROM game_history
+    WHERE word_length = p_word_length
+      AND puzzle_number IS NOT NULL
+      AND max_attempts IS NOT NULL
+  ),
+  overall AS (
+    SELECT AVG(score) AS average FROM games
+  ),
+  puzzles AS (
+    SELECT
+      g.puzzle_number,
+      (SUM(g.score) + 3 * o.average) / (COUNT(*) + 3) AS average
+    FROM games g, overall o
+    GROUP BY g.puzzle_number, o.average
+  ),
+  rating AS (
+    SELECT
+      ROUND(
+        1000 + (o.average - (SUM(g.score - (p.average - o.average))
+          + 10 * o.average) / (COUNT(*) + 10)) * 200
+      )::INTEGER AS skill_rating,
+      COUNT(*)::INTEGER AS rated_games
+    FROM games g
+    JOIN puzzles p USING (puzzle_number)
+    CROSS JOIN overall o
+    WHERE g.user_id = p_user_id
+    GROUP BY o.average
+  )
+  UPDATE player_stats s
+  SET skill_rating = r.skill_rating, rated_games = r.rated_games
+  FROM rating r
+  WHERE s.user_id = p_user_id
+    AND s.word_length = p_word_length;
+$$;
+
+-- The leaderboard functions from migration 007 gain a 'skill' board and a
+-- skill_rating column (a new result type, so they're recreated).
+DROP FUNCTION IF EXISTS
+  get_leaderboard_page(TEXT, INTEGER, INTEGER, INTEGER, TEXT, JSONB, INTEGER);
+DROP FUNCTION IF EXISTS leaderboard_ranked(TEXT, INTEGER, INTEGER, INTEGER);
+
+CREATE FUNCTION leaderboard_ranked(
+  p_sort TEXT, -- 'streak' | 'winrate' | 'skill' | 'period'
+  p_word_length INTEGER,
+  p_since_puzzle INTEGER,
+  p_min_games INTEGER
+)
+RETURNS TABLE (
+  user_id UUID,
+  display_name TEXT,
+  avatar_url TEXT,
+  games_played BIGINT,
+  games_won BIGINT,
+  win_rate NUMERIC,
+  current_streak INTEGER,
+  max_streak INTEGER,
+  avg_guesses NUMERIC,
+  skill_rating INTEGER,
+  sort_key_1 NUMERIC,
+  sort_key_2 NUMERIC,
+  sort_key_3 NUMERIC,
+  rank BIGINT,
+  position BIGINT
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  WITH lifetime AS (
+    SELECT
+      s.user_id,
+      u.display_name,
+      u.avatar_url,
+      s.games_played::BIGINT AS games_played,
+      s.games_won::BIGINT AS games_won,
+      s.win_rate::NUMERIC AS win_rate,
+      s.current_streak,
+      s.max_streak,
+      NULL::NUMERIC AS avg_guesses,
+      s.skill_rating
+    FROM player_stats s
+    JOIN users u ON u.id = s.user_id
+    WHERE p_sort <> 'period'
+      AND u.is_claimed
+      AND u.display_name IS NOT NULL
+      AND s.word_length = p_word_length
+      AND (p_sort <> 'skill' OR s.skill_rating IS NOT NULL)
+  ),
+  period AS (
+    SELECT
+      g.user_id,
+      u.display_name,
+      u.avatar_url,
+      COUNT(*) AS games_played,
+      COUNT(*) FILTER (WHERE g.is_won) AS games_won,
+      ROUND(COUNT(*) FILTER (WHERE g.is_won) * 100.0 / COUNT(*), 2) AS win_rate,
+      NULL::INTEGER AS current_streak,
+      NULL::INTEGER AS max_streak,
+      ROUND(AVG(g.guesses_made) FILTER (WHERE g.is_won), 2) AS avg_guesses,
+      NULL::INTEGER AS skill_rating
+    FROM game_history g
+    JOIN users u ON u.id = g.user_id
+    WHERE p_sort = 'period'
+      AND u.is_claimed
+      AND u.display_name IS NOT NULL
+      AND g.word_length = p_word_length
+      AND g.puzzle_number IS NOT NULL
+      AND (p_since_puzzle IS NULL OR g.puzzle_number >= p_since_puzzle)
+    GROUP BY g.user_id, u.display_name, u.avatar_url
+    HAVING COUNT(*) >= p_min_games
+  ),
+  keyed AS (
+    SELECT
+      b.*,
+      CASE p_sort
+        WHEN 'streak' THEN b.max_streak
+        WHEN 'winrate' THEN b.win_rate
+        WHEN 'skill' THEN b.skill_rating
+        ELSE b.games_won
+      END::NUMERIC AS sort_key_1,
+      CASE p_sort
+        WHEN 'period' THEN COALESCE(-b.avg_guesses, -100)
+        ELSE b.games_played
+      END::NUMERIC AS sort_key_2,
+      CASE p_sort WHEN 'period' THEN b.games_played ELSE 0 END::NUMERIC
+        AS sort_key_3
+    FROM (SELECT * FROM lifetime UNION ALL SELECT * FROM period) b
+  )
+  SELECT
+    k.*,
+    RANK() OVER (ORDER BY sort_key_1 DESC, sort_key_2 DESC, sort_key_3 DESC),
+    ROW_NUMBER() OVER (
+      ORDER BY sort_key_1 DESC, sort_key_2 DESC, sort_key_3 DESC, k.user_id
+    )
+  FROM keyed k;
+$$;
+
+-- One page after p_cursor (NULL = from the top), optionally only names
+-- containing p_search. Ranks stay those of the whole board.
+CREATE FUNCTION get_leaderboard_page(
+  p_sort TEXT,
+  p_word_length INTEGER,
+  p_since_puzzle INTEGER,
+  p_min_games INTEGER,
+  p_search TEXT,
+  p_cursor JSONB,
+  p_limit INTEGER
+)
+RETURNS TABLE (
+  user_id UUID,
+  display_name TEXT,
+  avatar_url TEXT,
+  games_played BIGINT,
+  games_won BIGINT,
+  win_rate NUMERIC,
+  current_streak INTEGER,
+  max_streak INTEGER,
+  avg_guesses NUMERIC,
+  skill_rating INTEGER,
+  sort_key_1 NUMERIC,
+  sort_key_2 NUMERIC,
+  sort_key_3 NUMERIC,
+  rank BIGINT,
+  position BIGINT
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT r.*
+  FROM leaderboard_ranked(p_sort, p_word_length, p_since_puzzle, p_min_games) r
+  WHERE (p_search IS NULL
+      OR strpos(lower(r.display_name), lower(p_search)) > 0)
+    AND (p_cursor IS NULL
+      OR (r.sort_key_1, r.sort_key_2, r.sort_key_3) < (
+        (p_cursor -> 'keys' ->> 0)::NUMERIC,
+        (p_cursor -> 'keys' ->> 1)::NUMERIC,
+        (p_cursor -> 'keys' ->> 2)::NUMERIC
+      )
+      OR ((r.sort_key_1, r.sort_key_2, r.sort_key_3) = (
+        (p_cursor -> 'keys' ->> 0)::NUMERIC,
+        (p_cursor -> 'keys' ->> 1)::NUMERIC,
+        (p_cursor -> 'keys' ->> 2)::NUMERIC
+      ) AND r.user_id > (p_cursor ->> 'userId')::UUID))
+  ORDER BY r.position
+  LIMIT p_limit;
+$$;
+
+GRANT EXECUTE ON FUNCTION
+  refresh_skill_rating(UUID, INTEGER),
+  leaderboard_ranked(TEXT, INTEGER, INTEGER, INTEGER),
+  get_leaderboard_page(TEXT, INTEGER, INTEGER, INTEGER, TEXT, JSONB, INTEGER)
+  TO anon, authenticated;
@@ -0,0 +1,450 @@
+-- Private groups: a named group with an invite code, joined by players
+-- with a profile. The leaderboard functions take a p_group_id to rank a
+-- group's members only, and get_group_day lists every member's result on
+-- one daily puzzle.
+--
+-- The tables have row level security on and no policies: players only
+-- reach them through the functions below, which check that p_user_id is
+-- the signed-in player's claimed profile (error 42501 otherwise). Group
+-- ids are only handed out to members.
+CREATE TABLE IF NOT EXISTS groups (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL CHECK (char_length(name) BETWEEN 3 AND 30),
+  invite_code TEXT NOT NULL UNIQUE,
+  created_by UUID REFERENCES users (id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS group_members (
+  group_id UUID NOT NULL REFERENCES groups (id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  joined_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (group_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS group_members_user_id ON group_members (user_id);
+
+ALTER TABLE groups ENABLE ROW LEVEL SECURITY;
+ALTER TABLE group_members ENABLE ROW LEVEL SECURITY;
+
+-- p_user_id, when it's the signed-in player's claimed profile
+CREATE OR REPLACE FUNCTION group_player(p_user_id UUID)
+RETURNS UUID
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM users u
+    WHERE u.id = p_user_id
+      AND u.auth_user_id = auth.uid()
+      AND u.is_claimed
+  ) THEN
+    RAISE EXCEPTION 'Create a profile to use groups' USING ERRCODE = '42501';
+  END IF;
+  RETURN p_user_id;
+END;
+$$;
+
+-- Six characters without look-alikes (no 0/O, 1/I), as in repositories.js
+CREATE OR REPLACE FUNCTION random_invite_code()
+RETURNS TEXT
+LANGUAGE sql
+VOLATILE
+AS $$
+  SELECT string_agg(
+    substr(
+      'ABCDEFGHJKLMNPQRSTUVWXYZ23456789',
+      1 + floor(random() * 32)::INTEGER,
+      1
+    ),
+    ''
+  )
+  FROM generate_series(1, 6);
+$$;
+
+-- One group as the client reads it
+CREATE OR REPLACE FUNCTION group_summary(p_group_id UUID)
+RETURNS TABLE (id UUID, name TEXT, invite_code TEXT, member_count BIGINT)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT g.id, g.name, g.invite_code, COUNT(m.user_id)
+  FROM groups g
+  LEFT JOIN group_members m ON m.group_id = g.id
+  WHERE g.id = p_group_id
+  GROUP BY g.id;
+$$;
+
+CREATE OR REPLACE FUNCTION get_my_groups(p_user_id UUID)
+RETURNS TABLE (id UUID, name TEXT, invite_code TEXT, member_count BIGINT)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT s.*
+  FROM group_members mine
+  JOIN users u ON u.id = mine.user_id AND u.auth_user_id = auth.uid()
+  CROSS JOIN LATERAL group_summary(mine.group_id) s
+  WHERE mine.user_id = p_user_id
+  ORDER BY s.name;
+$$;
+
+CREATE OR REPLACE FUNCTION create_group(p_user_id UUID, p_name TEXT)
+RETURNS TABLE (id UUID, name TEXT, invite_code TEXT, member_count BIGINT)
+LANGUAGE plpgsql
+VOLATILE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_group_id UUID;
+BEGIN
+  PERFORM group_player(p_user_id);
+  LOOP
+    BEGIN
+      INSERT INTO groups (name, invite_code, created_by)
+      VALUES (trim(p_name), random_invite_code(), p_user_id)
+      RETURNING groups.id INTO v_group_id;
+      EXIT;
+    EXCEPTION WHEN unique_violation THEN
+      -- The code was taken: draw another
+    END;
+  END LOOP;
+
+  INSERT INTO group_members (group_id, user_id) VALUES (v_group_id, p_user_id);
+  RETURN QUERY SELECT * FROM group_summary(v_group_id);
+END;
+$$;
+
+-- Joining a group twice just returns it
+CREATE OR REPLACE FUNCTION join_group(p_user_id UUID, p_invite_code TEXT)
+RETURNS TABLE (id UUID, name TEXT, invite_code TEXT, member_count BIGINT)
+LANGUAGE plpgsql
+VOLATILE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_group_id UUID;
+BEGIN
+  PERFORM group_player(p_user_id);
+  SELECT g.id INTO v_group_id
+  FROM groups g
+  WHERE g.invite_code = upper(p_invite_code);
+  IF v_group_id IS NULL THEN
+    RAISE EXCEPTION 'No group with that invite code' USING ERRCODE = 'P0002';
+  END IF;
+
+  INSERT INTO group_members (group_id, user_id)
+  VALUES (v_group_id, p_user_id)
+  ON CONFLICT DO NOTHING;
+  RETURN QUERY SELECT * FROM group_summary(v_group_id);
+END;
+$$;
+
+-- The last member out deletes the group
+CREATE OR REPLACE FUNCTION leave_group(p_user_id UUID, p_group_id UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+VOLATILE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  PERFORM group_player(p_user_id);
+  DELETE FROM group_members m
+  WHERE m.group_id = p_group_id AND m.user_id = p_user_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Not in that group' USING ERRCODE = 'P0002';
+  END IF;
+
+  DELETE FROM groups g
+  WHERE g.id = p_group_id
+    AND NOT EXISTS (SELECT 1 FROM group_members m WHERE m.group_id = g.id);
+END;
+$$;
+
+-- Every listed member and their first game on one daily puzzle (NULL
+-- result columns when they haven't played it); the client sorts them
+CREATE OR REPLACE FUNCTION get_group_day(
+  p_user_id UUID,
+  p_group_id UUID,
+  p_puzzle_number INTEGER,
+  p_word_length INTEGER
+)
+RETURNS TABLE (
+  user_id UUID,
+  display_name TEXT,
+  avatar_url TEXT,
+  is_won BOOLEAN,
+  guesses_made INTEGER,
+  max_attempts INTEGER,
+  hard_mode BOOLEAN
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  PERFORM group_player(p_user_id);
+  IF NOT EXISTS (
+    SELECT 1 FROM group_members m
+    WHERE m.group_id = p_group_id AND m.user_id = p_user_id
+  ) THEN
+    RAISE EXCEPTION 'Not in that group' USING ERRCODE = 'P0002';
+  END IF;
+
+  RETURN QUERY
+    SELECT
+      u.id,
+      u.display_name,
+      u.avatar_url,
+      h.is_won,
+      h.guesses_made::INTEGER,
+      h.max_attempts::INTEGER,
+      h.hard_mode
+    FROM group_members m
+    JOIN users u ON u.id = m.user_id
+    LEFT JOIN LATERAL (
+      SELECT g.is_won, g.guesses_made, g.max_attempts, g.hard_mode
+      FROM game_history g
+      WHERE g.user_id = u.id
+        AND g.word_length = p_word_length
+        AND g.puzzle_number = p_puzzle_number
+      ORDER BY g.created_at
+      LIMIT 1
+    ) h ON TRUE
+    WHERE m.group_id = p_group_id
+      AND u.is_claimed
+      AND u.display_name IS NOT NULL;
+END;
+$$;
+
+-- The leaderboard functions from migration 008 gain p_group_id (recreated:
+-- a new argument would otherwise add an overload)
+DROP FUNCTION IF EXISTS
+  get_leaderboard_rank(TEXT, INTEGER, INTEGER, INTEGER, UUID, INTEGER);
+DROP FUNCTION IF EXISTS
+  get_leaderboard_page(TEXT, INTEGER, INTEGER, INTEGER, TEXT, JSONB, INTEGER);
+DROP FUNCTION IF EXISTS leaderboard_ranked(TEXT, INTEGER, INTEGER, INTEGER);
+
+CREATE FUNCTION leaderboard_ranked(
+  p_sort TEXT, -- 'streak' | 'winrate' | 'skill' | 'period'
+  p_word_length INTEGER,
+  p_since_puzzle INTEGER,
+  p_min_games INTEGER,
+  p_group_id UUID -- NULL = everyone
+)
+RETURNS TABLE (
+  user_id UUID,
+  display_name TEXT,
+  avatar_url TEXT,
+  games_played BIGINT,
+  games_won BIGINT,
+  win_rate NUMERIC,
+  current_streak INTEGER,
+  max_streak INTEGER,
+  avg_guesses NUMERIC,
+  skill_rating INTEGER,
+  sort_key_1 NUMERIC,
+  sort_key_2 NUMERIC,
+  sort_key_3 NUMERIC,
+  rank BIGINT,
+  position BIGINT
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  WITH lifetime AS (
+    SELECT
+      s.user_id,
+      u.display_name,
+      u.avatar_url,
+      s.games_played::BIGINT AS games_played,
+      s.games_won::BIGINT AS games_won,
+      s.win_rate::NUMERIC AS win_rate,
+      s.current_streak,
+      s.max_streak,
+      NULL::NUMERIC AS avg_guesses,
+      s.skill_rating
+    FROM player_stats s
+    JOIN users u ON u.id = s.user_id
+    WHERE p_sort <> 'period'
+      AND u.is_claimed
+      AND u.display_name IS NOT NULL
+      AND s.word_length = p_word_length
+      AND (p_sort <> 'skill' OR s.skill_rating IS NOT NULL)
+      AND (p_group_id IS NULL OR s.user_id IN (
+        SELECT m.user_id FROM group_members m WHERE m.group_id = p_group_id
+      ))
+  ),
+  period AS (
+    SELECT
+      g.user_id,
+      u.display_name,
+      u.avatar_url,
+      COUNT(*) AS games_played,
+      COUNT(*) FILTER (WHERE g.is_won) AS games_won,
+      ROUND(COUNT(*) FILTER (WHERE g.is_won) * 100.0 / COUNT(*), 2) AS win_rate,
+      NULL::INTEGER AS current_streak,
+      NULL::INTEGER AS max_streak,
+      ROUND(AVG(g.guesses_made) FILTER (WHERE g.is_won), 2) AS avg_guesses,
+      NULL::INTEGER AS skill_rating
+    FROM game_history g
+    JOIN users u ON u.id = g.user_id
+    WHERE p_sort = 'period'
+      AND u.is_claimed
+      AND u.display_name IS NOT NULL
+      AND g.word_length = p_word_length
+      AND g.puzzle_number IS NOT NULL
+      AND (p_since_puzzle IS NULL OR g.puzzle_number >= p_since_puzzle)
+      AND (p_group_id IS NULL OR g.user_id IN (
+        SELECT m.user_id FROM group_members m WHERE m.group_id = p_group_id
+      ))
+    GROUP BY g.user_id, u.display_name, u.avatar_url
+    HAVING COUNT(*) >= p_min_games
+  ),
+  keyed AS (
+    SELECT
+      b.*,
+      CASE p_sort
+        WHEN 'streak' THEN b.max_streak
+        WHEN 'winrate' THEN b.win_rate
+        WHEN 'skill' THEN b.skill_rating
+        ELSE b.games_won
+      END::NUMERIC AS sort_key_1,
+      CASE p_sort
+        WHEN 'period' THEN COALESCE(-b.avg_guesses, -100)
+        ELSE b.games_played
+      END::NUMERIC AS sort_key_2,
+      CASE p_sort WHEN 'period' THEN b.games_played ELSE 0 END::NUMERIC
+        AS sort_key_3
+    FROM (SELECT * FROM lifetime UNION ALL SELECT * FROM period) b
+  )
+  SELECT
+    k.*,
+    RANK() OVER (ORDER BY sort_key_1 DESC, sort_key_2 DESC, sort_key_3 DESC),
+    ROW_NUMBER() OVER (
+      ORDER BY sort_key_1 DESC, sort_key_2 DESC, sort_key_3 DESC, k.user_id
+    )
+  FROM keyed k;
+$$;
+
+-- One page after p_cursor (NULL = from the top), optionally only names
+-- containing p_search. Ranks stay those of the whole board.
+CREATE FUNCTION get_leaderboard_page(
+  p_sort TEXT,
+  p_word_length INTEGER,
+  p_since_puzzle INTEGER,
+  p_min_games INTEGER,
+  p_group_id UUID,
+  p_search TEXT,
+  p_cursor JSONB,
+  p_limit INTEGER
+)
+RETURNS TABLE (
+  user_id UUID,
+  display_name TEXT,
+  avatar_url TEXT,
+  games_played BIGINT,
+  games_won BIGINT,
+  win_rate NUMERIC,
+  current_streak INTEGER,
+  max_streak INTEGER,
+  avg_guesses NUMERIC,
+  skill_rating INTEGER,
+  sort_key_1 NUMERIC,
+  sort_key_2 NUMERIC,
+  sort_key_3 NUMERIC,
+  rank BIGINT,
+  position BIGINT
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT r.*
+  FROM leaderboard_ranked(
+    p_sort, p_word_length, p_since_puzzle, p_min_games, p_group_id
+  ) r
+  WHERE (p_search IS NULL
+      OR strpos(lower(r.display_name), lower(p_search)) > 0)
+    AND (p_cursor IS NULL
+      OR (r.sort_key_1, r.sort_key_2, r.sort_key_3) < (
+        (p_cursor -> 'keys' ->> 0)::NUMERIC,
+        (p_cursor -> 'keys' ->> 1)::NUMERIC,
+        (p_cursor -> 'keys' ->> 2)::NUMERIC
+      )
+      OR ((r.sort_key_1, r.sort_key_2, r.sort_key_3) = (
+        (p_cursor -> 'keys' ->> 0)::NUMERIC,
+        (p_cursor -> 'keys' ->> 1)::NUMERIC,
+        (p_cursor -> 'keys' ->> 2)::NUMERIC
+      ) AND r.user_id > (p_cursor ->> 'userId')::UUID))
+  ORDER BY r.position
+  LIMIT p_limit;
+$$;
+
+-- A player's rank, plus the cursor that loads the page holding them
+-- (NULL when that's the first page). No row when they aren't listed.
+CREATE FUNCTION get_leaderboard_rank(
+  p_sort TEXT,
+  p_word_length INTEGER,
+  p_since_puzzle INTEGER,
+  p_min_games INTEGER,
+  p_group_id UUID,
+  p_user_id UUID,
+  p_page_size INTEGER
+)
+RETURNS TABLE (rank BIGINT, page_cursor JSONB)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  WITH r AS (
+    SELECT *
+    FROM leaderboard_ranked(
+      p_sort, p_word_length, p_since_puzzle, p_min_games, p_group_id
+    )
+  )
+  SELECT
+    me.rank,
+    (
+      SELECT jsonb_build_object(
+        'keys', jsonb_build_array(b.sort_key_1, b.sort_key_2, b.sort_key_3),
+        'userId', b.user_id
+      )
+      FROM r b
+      WHERE b.position = ((me.position - 1) / p_page_size) * p_page_size
+    )
+  FROM r me
+  WHERE me.user_id = p_user_id;
+$$;
+
+GRANT EXECUTE ON FUNCTION
+  get_my_groups(UUID),
+  create_group(UUID, TEXT),
+  join_group(UUID, TEXT),
+  leave_group(UUID, UUID),
+  get_group_day(UUID, UUID, INTEGER, INTEGER),
+  leaderboard_ranked(TEXT, INTEGER, INTEGER, INTEGER, UUID),
+  get_leaderboard_page(
+    TEXT, INTEGER, INTEGER, INTEGER, UUID, TEXT, JSONB, INTEGER
+  ),
+  get_leaderboard_rank(TEXT, INTEGER, INTEGER, INTEGER, UUID, UUID, INTEGER)
+  TO anon, authenticated;
+
+-- Helpers for the functions above only (new functions are executable by
+-- everyone by default)
+REVOKE EXECUTE ON FUNCTION group_player(UUID), group_summary(UUID)
+  FROM PUBLIC, anon, authenticated;
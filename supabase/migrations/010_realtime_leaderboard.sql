@@ -0,0 +1,23 @@
+-- Live leaderboard: Supabase Realtime sends changes to player_stats and
+-- game_history to open leaderboards (watch() in supabase-service.js), which
+-- refresh the rows shown and the group feed. Without this the client falls
+-- back to polling.
+DO $$
+DECLARE
+  v_table TEXT;
+BEGIN
+  FOREACH v_table IN ARRAY ARRAY['player_stats', 'game_history'] LOOP
+    IF NOT EXISTS (
+      SELECT 1 FROM pg_publication_tables
+      WHERE pubname = 'supabase_realtime'
+        AND schemaname = 'public'
+        AND tablename = v_table
+    ) THEN
+      EXECUTE format(
+        'ALTER PUBLICATION supabase_realtime ADD TABLE public.%I',
+        v_table
+      );
+    END IF;
+  END LOOP;
+END;
+$$;
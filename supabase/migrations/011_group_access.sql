@@ -0,0 +1,138 @@
+-- Group boards are for the group's members only: get_leaderboard_page and
+-- get_leaderboard_rank check that the signed-in player is in p_group_id
+-- (error P0002 otherwise, as get_group_day), and leaderboard_ranked is no
+-- longer callable directly.
+--
+-- Group names are shown to every member, so the server now enforces the
+-- rules of validateGroupName in repositories.js too: trimmed, 3-30
+-- characters, no < > or ".
+
+-- p_group_id, when it's NULL (everyone) or a group of the signed-in player
+CREATE OR REPLACE FUNCTION group_viewer(p_group_id UUID)
+RETURNS UUID
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF p_group_id IS NOT NULL AND NOT EXISTS (
+    SELECT 1
+    FROM group_members m
+    JOIN users u ON u.id = m.user_id
+    WHERE m.group_id = p_group_id
+      AND u.auth_user_id = auth.uid()
+      AND u.is_claimed
+  ) THEN
+    RAISE EXCEPTION 'Not in that group' USING ERRCODE = 'P0002';
+  END IF;
+  RETURN p_group_id;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION get_leaderboard_page(
+  p_sort TEXT,
+  p_word_length INTEGER,
+  p_since_puzzle INTEGER,
+  p_min_games INTEGER,
+  p_group_id UUID,
+  p_search TEXT,
+  p_cursor JSONB,
+  p_limit INTEGER
+)
+RETURNS TABLE (
+  user_id UUID,
+  display_name TEXT,
+  avatar_url TEXT,
+  games_played BIGINT,
+  games_won BIGINT,
+  win_rate NUMERIC,
+  current_streak INTEGER,
+  max_streak INTEGER,
+  avg_guesses NUMERIC,
+  skill_rating INTEGER,
+  sort_key_1 NUMERIC,
+  sort_key_2 NUMERIC,
+  sort_key_3 NUMERIC,
+  rank BIGINT,
+  position BIGINT
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT r.*
+  FROM leaderboard_ranked(
+    p_sort, p_word_length, p_since_puzzle, p_min_games, group_viewer(p_group_id)
+  ) r
+  WHERE (p_search IS NULL
+      OR strpos(lower(r.display_name), lower(p_search)) > 0)
+    AND (p_cursor IS NULL
+      OR (r.sort_key_1, r.sort_key_2, r.sort_key_3) < (
+        (p_cursor -> 'keys' ->> 0)::NUMERIC,
+        (p_cursor -> 'keys' ->> 1)::NUMERIC,
+        (p_cursor -> 'keys' ->> 2)::NUMERIC
+      )
+      OR ((r.sort_key_1, r.sort_key_2, r.sort_key_3) = (
+        (p_cursor -> 'keys' ->> 0)::NUMERIC,
+        (p_cursor -> 'keys' ->> 1)::NUMERIC,
+        (p_cursor -> 'keys' ->> 2)::NUMERIC
+      ) AND r.user_id > (p_cursor ->> 'userId')::UUID))
+  ORDER BY r.position
+  LIMIT p_limit;
+$$;
+
+CREATE OR REPLACE FUNCTION get_leaderboard_rank(
+  p_sort TEXT,
+  p_word_length INTEGER,
+  p_since_puzzle INTEGER,
+  p_min_games INTEGER,
+  p_group_id UUID,
+  p_user_id UUID,
+  p_page_size INTEGER
+)
+RETURNS TABLE (rank BIGINT, page_cursor JSONB)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  WITH r AS (
+    SELECT *
+    FROM leaderboard_ranked(
+      p_sort, p_word_length, p_since_puzzle, p_min_games,
+      group_viewer(p_group_id)
+    )
+  )
+  SELECT
+    me.rank,
+    (
+      SELECT jsonb_build_object(
+        'keys', jsonb_build_array(b.sort_key_1, b.sort_key_2, b.sort_key_3),
+        'userId', b.user_id
+      )
+      FROM r b
+      WHERE b.position = ((me.position - 1) / p_page_size) * p_page_size
+    )
+  FROM r me
+  WHERE me.user_id = p_user_id;
+$$;
+
+REVOKE EXECUTE ON FUNCTION
+  group_viewer(UUID),
+  leaderboard_ranked(TEXT, INTEGER, INTEGER, INTEGER, UUID)
+  FROM PUBLIC, anon, authenticated;
+
+-- Names saved before this migration lose the characters now refused
+UPDATE groups
+SET name = CASE
+  WHEN char_length(btrim(translate(name, '<>"', ''))) >= 3
+    THEN btrim(translate(name, '<>"', ''))
+  ELSE 'Group'
+END
+WHERE name ~ '[<>"]' OR name <> btrim(name);
+
+ALTER TABLE groups
+  ADD CONSTRAINT groups_name_plain
+  CHECK (name = btrim(name) AND name !~ '[<>"]');
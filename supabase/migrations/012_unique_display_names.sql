@@ -0,0 +1,22 @@
+-- Display names are unique ignoring case and surrounding spaces (the
+-- client reports the 23505 from a clash as "Name already taken"; the
+-- in-memory backend checks the same way in isNameTaken). Names that
+-- already clash keep the earliest claim; the others get a short suffix
+-- from their id, which the player can change from their profile.
+WITH ranked AS (
+  SELECT
+    id,
+    ROW_NUMBER() OVER (
+      PARTITION BY lower(btrim(display_name))
+      ORDER BY claimed_at NULLS LAST, id
+    ) AS n
+  FROM users
+  WHERE display_name IS NOT NULL
+)
+UPDATE users u
+SET display_name = left(btrim(u.display_name), 15) || '-' || left(u.id::TEXT, 4)
+FROM ranked r
+WHERE r.id = u.id AND r.n > 1;
+
+CREATE UNIQUE INDEX IF NOT EXISTS users_display_name
+  ON users (lower(btrim(display_name)));
@@ -0,0 +1,55 @@
+-- Daily games in game_history are checked as the client's ledger checks
+-- them (isValidLedgerEntry in stats-ledger.js): the puzzle must be out
+-- somewhere already, and game_id must be the one derived from the puzzle,
+-- so a player has one game per word length and puzzle. Errors are 23514
+-- (check_violation), which the client reports as invalid.
+
+-- The newest puzzle anyone can have played: today's in UTC+14, where each
+-- day starts first. Puzzle #0 is GAME_CONFIG.DAILY_EPOCH in config.js.
+CREATE OR REPLACE FUNCTION latest_daily_puzzle()
+RETURNS INTEGER
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT (NOW() AT TIME ZONE 'Pacific/Kiritimati')::DATE - DATE '2025-11-08';
+$$;
+
+CREATE OR REPLACE FUNCTION check_daily_game()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.puzzle_number IS NULL THEN
+    RETURN NEW; -- Rows from before migration 004
+  END IF;
+  IF NEW.puzzle_number < 0 OR NEW.puzzle_number > latest_daily_puzzle() THEN
+    RAISE EXCEPTION 'Puzzle #% is not out yet', NEW.puzzle_number
+      USING ERRCODE = '23514';
+  END IF;
+  IF NEW.game_id IS DISTINCT FROM
+    format('daily-%s-1-%s', NEW.word_length, NEW.puzzle_number) THEN
+    RAISE EXCEPTION 'Game id % does not match its puzzle', NEW.game_id
+      USING ERRCODE = '23514';
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS game_history_daily_check ON game_history;
+CREATE TRIGGER game_history_daily_check
+  BEFORE INSERT OR UPDATE ON game_history
+  FOR EACH ROW EXECUTE FUNCTION check_daily_game();
+
+-- Copies of one puzzle saved before this migration: keep the first
+-- finished, as pickLedgerEntry does
+DELETE FROM game_history g
+USING game_history first
+WHERE g.puzzle_number IS NOT NULL
+  AND first.user_id = g.user_id
+  AND first.word_length = g.word_length
+  AND first.puzzle_number = g.puzzle_number
+  AND (first.created_at, first.game_id) < (g.created_at, g.game_id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS game_history_user_daily_puzzle
+  ON game_history (user_id, word_length, puzzle_number)
+  WHERE puzzle_number IS NOT NULL;
@@ -0,0 +1,121 @@
+-- Players are owned by their Supabase Auth identity, not by the id a
+-- device keeps in localStorage (player ids are public: leaderboard rows
+-- carry them).
+--
+-- link_auth_user ties the signed-in identity to a player: the one linked
+-- before, else the device's guest row if nobody owns it yet, else a new
+-- row. It is the only way to set users.auth_user_id.
+--
+-- Row level security on users, player_stats and game_history: writes need
+-- the row's player to be the signed-in identity's. Guests can still create
+-- their own unlinked row; their games stay on the device until they sign
+-- in (the client uploads them then). Stats and games stay readable by
+-- everyone for the live leaderboard, users rows only by their owner.
+
+-- Whether p_user_id is the signed-in identity's player
+CREATE OR REPLACE FUNCTION owns_player(p_user_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM users u
+    WHERE u.id = p_user_id
+      AND u.auth_user_id IS NOT NULL
+      AND u.auth_user_id = auth.uid()
+  );
+$$;
+
+-- The player for the signed-in identity (p_user_id: this device's guest
+-- row, if any). recovered: it was linked before, on another device. A
+-- claimed profile picks up the auth email here, once a change of address
+-- has been confirmed.
+CREATE OR REPLACE FUNCTION link_auth_user(p_user_id UUID)
+RETURNS TABLE (user_id UUID, recovered BOOLEAN)
+LANGUAGE plpgsql
+VOLATILE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_auth_id UUID := auth.uid();
+  v_email TEXT;
+  v_user_id UUID;
+BEGIN
+  IF v_auth_id IS NULL THEN
+    RAISE EXCEPTION 'Sign in first' USING ERRCODE = '42501';
+  END IF;
+  SELECT a.email INTO v_email FROM auth.users a WHERE a.id = v_auth_id;
+
+  SELECT u.id INTO v_user_id FROM users u WHERE u.auth_user_id = v_auth_id;
+  IF v_user_id IS NOT NULL THEN
+    UPDATE users u
+    SET last_login = NOW(),
+        email = CASE WHEN u.is_claimed THEN v_email ELSE u.email END
+    WHERE u.id = v_user_id;
+    RETURN QUERY SELECT v_user_id, v_user_id IS DISTINCT FROM p_user_id;
+    RETURN;
+  END IF;
+
+  -- Only a guest row nobody owns yet
+  UPDATE users u
+  SET auth_user_id = v_auth_id,
+      email = v_email,
+      is_anonymous = FALSE,
+      last_login = NOW()
+  WHERE u.id = p_user_id
+    AND u.auth_user_id IS NULL
+    AND NOT u.is_claimed
+  RETURNING u.id INTO v_user_id;
+
+  IF v_user_id IS NULL THEN
+    INSERT INTO users (
+      user_identifier, auth_user_id, email, is_anonymous, last_login
+    )
+    VALUES ('auth_' || v_auth_id::TEXT, v_auth_id, v_email, FALSE, NOW())
+    RETURNING users.id INTO v_user_id;
+  END IF;
+  RETURN QUERY SELECT v_user_id, FALSE;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION owns_player(UUID) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION owns_player(UUID) TO authenticated;
+REVOKE EXECUTE ON FUNCTION link_auth_user(UUID) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION link_auth_user(UUID) TO authenticated;
+
+ALTER TABLE users ENABLE ROW LEVEL SECURITY;
+ALTER TABLE player_stats ENABLE ROW LEVEL SECURITY;
+ALTER TABLE game_history ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS users_read ON users;
+DROP POLICY IF EXISTS users_create_guest ON users;
+DROP POLICY IF EXISTS users_update_own ON users;
+-- Guest rows hold nothing personal; a device reads back the one it made
+CREATE POLICY users_read ON users FOR SELECT
+  USING (
+    (auth_user_id IS NOT NULL AND auth_user_id = auth.uid())
+    OR (auth_user_id IS NULL AND NOT is_claimed)
+  );
+CREATE POLICY users_create_guest ON users FOR INSERT
+  WITH CHECK (auth_user_id IS NULL AND NOT is_claimed);
+-- auth_user_id can't be moved to another identity (link_auth_user sets it)
+CREATE POLICY users_update_own ON users FOR UPDATE
+  USING (auth_user_id IS NOT NULL AND auth_user_id = auth.uid())
+  WITH CHECK (auth_user_id = auth.uid());
+
+DROP POLICY IF EXISTS player_stats_read ON player_stats;
+DROP POLICY IF EXISTS player_stats_write_own ON player_stats;
+CREATE POLICY player_stats_read ON player_stats FOR SELECT USING (TRUE);
+CREATE POLICY player_stats_write_own ON player_stats FOR ALL
+  USING (owns_player(user_id))
+  WITH CHECK (owns_player(user_id));
+
+DROP POLICY IF EXISTS game_history_read ON game_history;
+DROP POLICY IF EXISTS game_history_write_own ON game_history;
+CREATE POLICY game_history_read ON game_history FOR SELECT USING (TRUE);
+CREATE POLICY game_history_write_own ON game_history FOR ALL
+  USING (owns_player(user_id))
+  WITH CHECK (owns_player(user_id));
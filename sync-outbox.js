@@ -0,0 +1,290 @@
+/* ============================================
+   SYNC OUTBOX
+   Cloud writes (finished games, recomputed stats) are queued in
+   localStorage and replayed until the backend accepts them, so a game
+   finished offline still reaches the cloud later. Failed writes back off
+   exponentially; the browser's "online" event retries straight away.
+   Replays are safe: games are stored by game id and stats are an upsert.
+   ============================================ */
+
+const OUTBOX_KEY = "wordleOutbox";
+const OUTBOX_BASE_DELAY = 2000; // First retry after 2s, then 4s, 8s, ...
+const OUTBOX_MAX_DELAY = 5 * 60 * 1000;
+const OUTBOX_MAX_ATTEMPTS = 10; // Rejected (non-network) writes give up after this
+
+const SYNC_STATUS = {
+  SYNCED: "synced",
+  PENDING: "pending",
+  SYNCING: "syncing",
+  OFFLINE: "offline",
+};
+
+/**
+ * Sync Outbox
+ * Writes look like { id, key, type, payload, attempts, nextAttemptAt,
+ * lastError }. The key identifies what's written: "game:<id>" or
+ * "stats:<wordLength>" - a newer stats write (or a game overwrite, type
+ * "gameReplace") replaces a pending one, a queued game is never queued
+ * twice.
+ */
+class SyncOutbox {
+  constructor({
+    storage = typeof localStorage !== "undefined" ? localStorage : null,
+    now = () => Date.now(),
+    isOnline = () =>
+      typeof navigator === "undefined" || navigator.onLine !== false,
+  } = {}) {
+    this.storage = storage;
+    this.now = now;
+    this.isOnline = isOnline;
+    this.send = null;
+    this.status = SYNC_STATUS.SYNCED;
+    this.listeners = [];
+    this.flushing = null;
+    this.timer = null;
+  }
+
+  /**
+   * Replay pending writes with `send(write)`, which resolves to a
+   * repository result ({ ok, error })
+   */
+  start(send) {
+    this.send = send;
+    window.addEventListener("online", () => {
+      // Connectivity is back - don't wait out the backoff
+      this.writes = this.load().map((write) => ({
+        ...write,
+        nextAttemptAt: 0,
+      }));
+      this.save();
+      this.flush();
+    });
+    window.addEventListener("offline", () => this.updateStatus());
+    return this.flush();
+  }
+
+  /* ---------- Queue ---------- */
+
+  /**
+   * Pending writes (re-read: another tab may have queued or sent some)
+   */
+  load() {
+    try {
+      const saved = JSON.parse(this.storage.getItem(OUTBOX_KEY));
+      this.writes = Array.isArray(saved) ? saved : [];
+    } catch (e) {
+      this.writes = [];
+    }
+    return this.writes;
+  }
+
+  save() {
+    if (this.writes.length === 0) {
+      this.storage.removeItem(OUTBOX_KEY);
+    } else {
+      this.storage.setItem(OUTBOX_KEY, JSON.stringify(this.writes));
+    }
+  }
+
+  enqueue(key, type, payload) {
+    const write = {
+      id: `${this.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      key,
+      type,
+      payload,
+      attempts: 0,
+      nextAttemptAt: 0,
+      lastError: null,
+    };
+    const writes = this.load();
+    const index = writes.findIndex((pending) => pending.key === key);
+
+    if (index === -1) {
+      writes.push(write);
+    } else if (type !== "game") {
+      writes[index] = write; // Only the latest counters/copy matter
+    } else {
+      return false; // This game is already waiting
+    }
+    this.save();
+    this.updateStatus();
+    return true;
+  }
+
+  enqueueGame(entry, { replace = false } = {}) {
+    return this.enqueue(
+      `game:${entry.id}`,
+      replace ? "gameReplace" : "game",
+      entry
+    );
+  }
+
+  enqueueStats(stats, wordLength) {
+    return this.enqueue(`stats:${wordLength}`, "stats", { stats, wordLength });
+  }
+
+  pendingCount() {
+    return this.load().length;
+  }
+
+  /**
+   * Drop every pending write (signing out: they're for that account)
+   */
+  clear() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.writes = [];
+    this.save();
+    this.updateStatus();
+  }
+
+  /* ---------- Replay ---------- */
+
+  /**
+   * Send every write that's due, oldest first. Resolves once done; a flush
+   * already running is shared rather than started twice.
+   */
+  flush() {
+    if (!this.flushing) {
+      this.flushing = this.replay().finally(() => {
+        this.flushing = null;
+        this.updateStatus();
+        this.scheduleRetry();
+      });
+    }
+    return this.flushing;
+  }
+
+  async replay() {
+    if (!this.send || !this.isOnline()) return;
+
+    const due = this.load().filter(
+      (write) => write.nextAttemptAt <= this.now()
+    );
+    if (due.length === 0) return;
+    this.setStatus(SYNC_STATUS.SYNCING);
+
+    for (const write of due) {
+      let result;
+      try {
+        result = await this.send(write);
+      } catch (error) {
+        result = { ok: false, error };
+      }
+
+      if (result.ok) {
+        // By id: a newer stats write queued meanwhile still has to go
+        this.writes = this.load().filter((pending) => pending.id !== write.id);
+        this.save();
+        continue;
+      }
+
+      const retryAt = this.retryLater(write, result.error);
+      if (result.error && result.error.code === REPOSITORY_ERRORS.NETWORK) {
+        this.postpone(retryAt); // The rest would fail the same way
+        break;
+      }
+    }
+  }
+
+  /**
+   * Push a failed write back, or drop it once the backend has rejected it
+   * too many times. Returns when it's retried.
+   */
+  retryLater(write, error) {
+    const attempts = write.attempts + 1;
+    const offline = error && error.code === REPOSITORY_ERRORS.NETWORK;
+    const delay = Math.min(
+      OUTBOX_MAX_DELAY,
+      OUTBOX_BASE_DELAY * 2 ** (attempts - 1)
+    );
+
+    this.writes = this.load()
+      .map((pending) => {
+        // A newer write under the same key may have replaced this one
+        if (pending.id !== write.id) return pending;
+        if (!offline && attempts >= OUTBOX_MAX_ATTEMPTS) {
+          console.error(`❌ Giving up on sync of ${write.key}:`, error);
+          return null;
+        }
+        return {
+          ...pending,
+          attempts,
+          nextAttemptAt: this.now() + delay,
+          lastError: error ? error.code || "unknown" : "unknown",
+        };
+      })
+      .filter(Boolean);
+    this.save();
+    return this.now() + delay;
+  }
+
+  /**
+   * Hold every write until `retryAt` (the backend is unreachable)
+   */
+  postpone(retryAt) {
+    this.writes = this.load().map((pending) =>
+      pending.nextAttemptAt >= retryAt
+        ? pending
+        : {
+            ...pending,
+            nextAttemptAt: retryAt,
+            lastError: REPOSITORY_ERRORS.NETWORK,
+          }
+    );
+    this.save();
+  }
+
+  scheduleRetry() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    // Offline, the "online" event restarts the replay instead
+    const writes = this.load();
+    if (!this.send || writes.length === 0 || !this.isOnline()) return;
+
+    const next = Math.min(...writes.map((write) => write.nextAttemptAt));
+    this.timer = setTimeout(() => this.flush(), Math.max(0, next - this.now()));
+  }
+
+  /* ---------- Status ---------- */
+
+  onStatusChange(listener) {
+    this.listeners.push(listener);
+    listener(this.status, this.pendingCount());
+  }
+
+  setStatus(status) {
+    this.status = status;
+    const pending = this.pendingCount();
+    this.listeners.forEach((listener) => listener(status, pending));
+  }
+
+  /**
+   * Status from the queue: synced when empty, offline or pending otherwise
+   */
+  updateStatus() {
+    if (this.flushing) return; // Reported when the flush ends
+    if (this.pendingCount() === 0) {
+      this.setStatus(SYNC_STATUS.SYNCED);
+    } else {
+      this.setStatus(
+        this.isOnline() && !this.lastFailedOffline()
+          ? SYNC_STATUS.PENDING
+          : SYNC_STATUS.OFFLINE
+      );
+    }
+  }
+
+  /**
+   * Whether the backend couldn't be reached on the last try
+   */
+  lastFailedOffline() {
+    return this.writes.some(
+      (write) => write.lastError === REPOSITORY_ERRORS.NETWORK
+    );
+  }
+}
+
+// Create global instance
+const syncOutbox = new SyncOutbox();
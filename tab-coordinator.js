@@ -0,0 +1,167 @@
+/* ============================================
+   TAB COORDINATOR
+   Keeps several open tabs from playing the same game. One tab owns the
+   in-progress game (a heartbeat lock in localStorage); the others get its
+   updates over BroadcastChannel, or via storage events where
+   BroadcastChannel isn't available, and show a read-only mirror.
+   ============================================ */
+
+const TAB_LOCK_KEY = "wordleGameOwner";
+const TAB_MESSAGE_KEY = "wordleTabMessage"; // storage-event fallback
+const TAB_CHANNEL_NAME = "wordle-tabs";
+
+class TabCoordinator {
+  constructor({
+    storage = typeof localStorage !== "undefined" ? localStorage : null,
+    createChannel = (name) =>
+      typeof BroadcastChannel !== "undefined"
+        ? new BroadcastChannel(name)
+        : null,
+    heartbeatInterval = 2000,
+    staleAfter = 6000, // A lock this old belongs to a closed/frozen tab
+    now = () => Date.now(),
+  } = {}) {
+    this.tabId =
+      "tab_" + Date.now() + "_" + Math.random().toString(36).substr(2, 9);
+    this.storage = storage;
+    this.createChannel = createChannel;
+    this.heartbeatInterval = heartbeatInterval;
+    this.staleAfter = staleAfter;
+    this.now = now;
+    this.handlers = [];
+    this.channel = null;
+    this.timer = null;
+    this.lastOwner = null; // Other tab we last saw owning the game
+  }
+
+  /**
+   * Start listening for other tabs and keep our lock (if any) fresh
+   */
+  start() {
+    if (this.timer) return;
+
+    this.channel = this.createChannel(TAB_CHANNEL_NAME);
+    if (this.channel) {
+      this.channel.onmessage = (event) => this.receive(event.data);
+    }
+
+    window.addEventListener("storage", (event) => {
+      if (event.key === TAB_MESSAGE_KEY && !this.channel && event.newValue) {
+        this.receive(JSON.parse(event.newValue));
+      } else if (event.key === TAB_LOCK_KEY) {
+        this.checkOwner();
+      }
+    });
+    window.addEventListener("pagehide", () => this.release());
+
+    this.timer = setInterval(() => {
+      if (this.isOwner()) {
+        this.writeLock();
+      } else {
+        this.checkOwner();
+      }
+    }, this.heartbeatInterval);
+  }
+
+  /* ---------- Ownership ---------- */
+
+  readLock() {
+    try {
+      return JSON.parse(this.storage.getItem(TAB_LOCK_KEY));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  writeLock() {
+    this.storage.setItem(
+      TAB_LOCK_KEY,
+      JSON.stringify({ tabId: this.tabId, heartbeat: this.now() })
+    );
+  }
+
+  /**
+   * Id of the tab currently owning the game, or null when nobody (alive) does
+   */
+  ownerId() {
+    const lock = this.readLock();
+    if (!lock || this.now() - lock.heartbeat > this.staleAfter) return null;
+    return lock.tabId;
+  }
+
+  isOwner() {
+    return this.ownerId() === this.tabId;
+  }
+
+  /**
+   * Take ownership unless another live tab has it. True when this tab owns
+   * the game afterwards.
+   */
+  claim() {
+    const owner = this.ownerId();
+    if (owner && owner !== this.tabId) return false;
+
+    this.writeLock();
+    this.lastOwner = null;
+    return true;
+  }
+
+  release() {
+    if (!this.isOwner()) return;
+    this.storage.removeItem(TAB_LOCK_KEY);
+    this.broadcast("released");
+  }
+
+  /**
+   * Tell our handlers when the tab we were following goes away (released,
+   * closed or stopped sending heartbeats)
+   */
+  checkOwner() {
+    const owner = this.ownerId();
+    if (owner && owner !== this.tabId) {
+      this.lastOwner = owner;
+    } else if (!owner && this.lastOwner) {
+      this.lastOwner = null;
+      this.emit({ type: "released" });
+    }
+  }
+
+  /* ---------- Messages ---------- */
+
+  onMessage(handler) {
+    this.handlers.push(handler);
+  }
+
+  broadcast(type, payload = null) {
+    const message = { type, payload, tabId: this.tabId, sentAt: this.now() };
+    if (this.channel) {
+      this.channel.postMessage(message);
+    } else if (this.storage) {
+      // Storage events only fire when the value changes, hence sentAt
+      this.storage.setItem(TAB_MESSAGE_KEY, JSON.stringify(message));
+    }
+  }
+
+  receive(message) {
+    if (!message || message.tabId === this.tabId) return;
+    if (message.type === "released") {
+      this.lastOwner = null;
+    } else {
+      this.lastOwner = message.tabId;
+    }
+    this.emit(message);
+  }
+
+  emit(message) {
+    this.handlers.forEach((handler) => {
+      try {
+        handler(message);
+      } catch (error) {
+        console.error("Error handling tab message:", error);
+      }
+    });
+  }
+}
+
+// Create global instance
+const tabCoordinator = new TabCoordinator();
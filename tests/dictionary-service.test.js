@@ -0,0 +1,546 @@
+// DictionaryService: provider chain and the lazily loaded bundled lists
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const {
+  loadScripts,
+  fileFetch,
+  flushPromises,
+} = require("./helpers/browser-env");
+
+function response(status) {
+  return Promise.resolve({ ok: status >= 200 && status < 300, status });
+}
+
+function loadDictionary(options = {}) {
+  const calls = [];
+  const env = loadScripts(options.scripts || ["dictionary-service.js"], {
+    ...options,
+    fetch: (url, init) => {
+      calls.push(url);
+      return (options.fetch || fileFetch)(url, init);
+    },
+  });
+  return { env, calls, service: env.evaluate("dictionaryService") };
+}
+
+describe("DictionaryService", function () {
+  describe("Bundled list", function () {
+    it("should accept words from the bundled list", async function () {
+      const { service } = loadDictionary();
+      assert.strictEqual(await service.isValidWord("crane"), true);
+      assert.strictEqual(await service.isValidWord("ZYMIC"), true);
+    });
+
+    it("should reject words missing from the list", async function () {
+      const { service } = loadDictionary();
+      assert.strictEqual(await service.isValidWord("QZXVB"), false);
+      assert.strictEqual(await service.isValidWord("KAREQ"), false);
+      assert.strictEqual(await service.isValidWord("JINXE"), false);
+    });
+
+    it("should validate synchronously once the list is loaded", async function () {
+      const { service } = loadDictionary();
+      assert.strictEqual(service.checkSync("SLATE"), null);
+
+      await service.preload(5);
+
+      assert.strictEqual(service.checkSync("SLATE"), true);
+      assert.strictEqual(service.checkSync("SLATX"), false);
+    });
+
+    it("should unpack front-coded entries", function () {
+      const { env } = loadDictionary();
+      const words = env.evaluate('unpackWordList("0ABLE3Y1CHE", 4)');
+      assert.deepStrictEqual(Array.from(words), ["ABLE", "ABLY", "ACHE"]);
+    });
+
+    it("should not fetch anything until a word is checked", function () {
+      const { calls } = loadDictionary();
+      assert.strictEqual(calls.length, 0);
+    });
+
+    it("should fetch each length once, only when needed", async function () {
+      const { service, calls } = loadDictionary();
+
+      await Promise.all([
+        service.isValidWord("CRANE"),
+        service.isValidWord("SLATE"),
+      ]);
+      await service.isValidWord("ANCHOR");
+
+      assert.deepStrictEqual(calls, [
+        "dictionary/words-5.txt",
+        "dictionary/words-6.txt",
+      ]);
+    });
+
+    it("should accept answers when the list can't be loaded", async function () {
+      const { service } = loadDictionary({
+        scripts: ["dictionary-service.js", "config.js"],
+        fetch: () => Promise.reject(new Error("offline")),
+      });
+
+      assert.strictEqual(await service.isValidWord("CRANE"), true);
+      assert.strictEqual(await service.isValidWord("SLATX"), false);
+    });
+
+    it("should retry a failed load on the next lookup", async function () {
+      let online = false;
+      const { service, calls } = loadDictionary({
+        fetch: (url) =>
+          online ? fileFetch(url) : Promise.resolve({ ok: false, status: 503 }),
+      });
+
+      await service.isValidWord("CRANE");
+      online = true;
+      await service.isValidWord("SLATE");
+
+      assert.strictEqual(calls.length, 2);
+      assert.strictEqual(service.checkSync("CRANE"), true);
+    });
+  });
+
+  describe("Provider chain", function () {
+    function provider(name, answer, log) {
+      return {
+        name,
+        check: async (word) => {
+          log.push(`${name}:${word}`);
+          return answer;
+        },
+      };
+    }
+
+    it("should pass unknown words down the chain", async function () {
+      const { service } = loadDictionary();
+      const log = [];
+      service.setProviders([
+        provider("first", "unknown", log),
+        provider("second", "valid", log),
+      ]);
+
+      assert.strictEqual(await service.isValidWord("crane"), true);
+      assert.deepStrictEqual(log, ["first:CRANE", "second:CRANE"]);
+    });
+
+    it("should stop at the first definite answer", async function () {
+      const { service } = loadDictionary();
+      const log = [];
+      service.setProviders([
+        provider("first", "invalid", log),
+        provider("second", "valid", log),
+      ]);
+
+      assert.strictEqual(await service.isValidWord("CRANE"), false);
+      assert.deepStrictEqual(log, ["first:CRANE"]);
+    });
+
+    it("should treat errors and unexpected answers as unknown", async function () {
+      const { service } = loadDictionary();
+      const log = [];
+      service.setProviders([
+        {
+          name: "broken",
+          check: () => Promise.reject(new Error("boom")),
+        },
+        provider("odd", "maybe", log),
+        provider("last", "valid", log),
+      ]);
+
+      assert.strictEqual(await service.isValidWord("CRANE"), true);
+      assert.deepStrictEqual(log, ["odd:CRANE", "last:CRANE"]);
+    });
+
+    it("should build the chain from DICTIONARY_PROVIDERS", function () {
+      const { service } = loadDictionary({
+        globals: {
+          DICTIONARY_PROVIDERS: [
+            { type: "jsonHttp", url: "https://words.example.com/{word}" },
+            { type: "bundled" },
+            { type: "freeDictionary" },
+          ],
+        },
+      });
+
+      assert.deepStrictEqual(
+        [...service.getStats().providers],
+        ["jsonHttp", "bundled", "freeDictionary"]
+      );
+    });
+
+    it("should reject unknown provider types", function () {
+      const { service } = loadDictionary();
+      assert.throws(
+        () => service.setProviders([{ type: "carrierPigeon" }]),
+        /Unknown dictionary provider type "carrierPigeon"/
+      );
+    });
+
+    it("should not answer synchronously when a network provider comes first", async function () {
+      const { service } = loadDictionary();
+      service.setProviders([{ type: "freeDictionary" }, { type: "bundled" }]);
+      await service.preload(5);
+
+      assert.strictEqual(service.checkSync("CRANE"), null);
+    });
+  });
+
+  describe("Free Dictionary provider", function () {
+    function loadApi(status) {
+      const loaded = loadDictionary({
+        scripts: ["dictionary-service.js", "config.js"],
+        fetch: () => response(status),
+      });
+      loaded.service.setProviders([{ type: "freeDictionary" }]);
+      return loaded;
+    }
+
+    it("should query the API with the lowercased word", async function () {
+      const { service, calls } = loadApi(200);
+      await service.isValidWord("CRANE");
+      assert.strictEqual(
+        calls[0],
+        "https://api.dictionaryapi.dev/api/v2/entries/en/crane"
+      );
+    });
+
+    it("should treat 2xx as valid and 404 as invalid", async function () {
+      assert.strictEqual(await loadApi(200).service.isValidWord("ZZZZZ"), true);
+      assert.strictEqual(
+        await loadApi(404).service.isValidWord("CRANE"),
+        false
+      );
+    });
+
+    it("should fall back to the answers on server errors", async function () {
+      const { service } = loadApi(500);
+      assert.strictEqual(await service.isValidWord("CRANE"), true);
+      assert.strictEqual(await service.isValidWord("QZXVB"), false);
+    });
+  });
+
+  describe("JSON HTTP provider", function () {
+    function loadService(body, status = 200) {
+      const requests = [];
+      const loaded = loadDictionary({
+        fetch: (url, init) => {
+          requests.push({ url, headers: init.headers });
+          return Promise.resolve({
+            ok: status === 200,
+            status,
+            json: async () => body,
+          });
+        },
+      });
+      loaded.service.setProviders([
+        {
+          type: "jsonHttp",
+          url: "https://words.example.com/check?word={lower}",
+          field: "exists",
+          headers: { Authorization: "Bearer team-token" },
+        },
+      ]);
+      return { ...loaded, requests };
+    }
+
+    it("should call the endpoint with the word and headers", async function () {
+      const { service, requests } = loadService({ exists: true });
+
+      assert.strictEqual(await service.isValidWord("CRANE"), true);
+      assert.deepStrictEqual(requests, [
+        {
+          url: "https://words.example.com/check?word=crane",
+          headers: { Authorization: "Bearer team-token" },
+        },
+      ]);
+    });
+
+    it("should read a false field as invalid", async function () {
+      const { service } = loadService({ exists: false });
+      assert.strictEqual(await service.isValidWord("CRANE"), false);
+    });
+
+    it("should treat a missing field or error status as unknown", async function () {
+      const noField = loadService({ other: true });
+      const failing = loadService(null, 503);
+      assert.strictEqual(await noField.service.isValidWord("ZZZZZ"), false);
+      assert.strictEqual(await failing.service.isValidWord("ZZZZZ"), false);
+    });
+
+    it("should require a url", function () {
+      const { service } = loadDictionary();
+      assert.throws(
+        () => service.setProviders([{ type: "jsonHttp" }]),
+        /needs a url/
+      );
+    });
+  });
+
+  describe("Cache", function () {
+    function apiProvider(log, answer = "valid") {
+      return {
+        name: "api",
+        check: async (word) => {
+          log.push(word);
+          return answer;
+        },
+      };
+    }
+
+    function createService(env, providers, cacheOptions) {
+      const DictionaryService = env.evaluate("DictionaryService");
+      return new DictionaryService(providers, cacheOptions);
+    }
+
+    it("should answer repeat lookups from the cache, synchronously", async function () {
+      const { env } = loadDictionary();
+      const log = [];
+      const service = createService(env, [apiProvider(log)]);
+
+      await service.isValidWord("CRANE");
+      assert.strictEqual(await service.isValidWord("CRANE"), true);
+      assert.strictEqual(service.checkSync("crane"), true);
+      assert.deepStrictEqual(log, ["CRANE"]);
+    });
+
+    it("should not cache answers the bundled list already holds", async function () {
+      const { service } = loadDictionary();
+      await service.isValidWord("CRANE");
+      assert.strictEqual(service.getCacheStats().entries, 0);
+    });
+
+    it("should evict the least recently used entry past the cap", async function () {
+      const { env } = loadDictionary();
+      const log = [];
+      const service = createService(env, [apiProvider(log)], {
+        maxEntries: 2,
+      });
+
+      await service.isValidWord("CRANE");
+      await service.isValidWord("SLATE");
+      await service.isValidWord("CRANE"); // SLATE is now least recent
+      await service.isValidWord("AUDIO");
+
+      assert.strictEqual(service.checkSync("CRANE"), true);
+      assert.strictEqual(service.checkSync("SLATE"), null);
+      assert.strictEqual(service.getCacheStats().evictions, 1);
+    });
+
+    it("should expire entries after their TTL", async function () {
+      const { env } = loadDictionary();
+      let now = 0;
+      const log = [];
+      const service = createService(env, [apiProvider(log)], {
+        ttl: 1000,
+        now: () => now,
+      });
+
+      await service.isValidWord("CRANE");
+      now = 999;
+      await service.isValidWord("CRANE");
+      now = 1000;
+      await service.isValidWord("CRANE");
+
+      assert.deepStrictEqual(log, ["CRANE", "CRANE"]);
+    });
+
+    it("should re-check fallback rejections sooner than real answers", async function () {
+      const { env } = loadDictionary({
+        scripts: ["dictionary-service.js", "config.js"],
+      });
+      let now = 0;
+      const log = [];
+      const service = createService(env, [apiProvider(log, "unknown")], {
+        ttl: 10000,
+        fallbackTtl: 100,
+        now: () => now,
+      });
+
+      assert.strictEqual(await service.isValidWord("ZYMIC"), false);
+      assert.strictEqual(await service.isValidWord("CRANE"), true);
+      assert.strictEqual(service.getCacheStats().fallbackEntries, 2);
+
+      now = 100;
+      assert.strictEqual(service.checkSync("ZYMIC"), null);
+      assert.strictEqual(service.checkSync("CRANE"), true);
+    });
+
+    it("should batch writes and flush when the page is hidden", async function () {
+      const { env } = loadDictionary();
+      let writes = 0;
+      const setItem = env.localStorage.setItem;
+      env.localStorage.setItem = (key, value) => {
+        if (key === "testCache") writes++;
+        setItem(key, value);
+      };
+      const service = createService(env, [apiProvider([])], {
+        storageKey: "testCache",
+      });
+
+      await service.isValidWord("CRANE");
+      await service.isValidWord("SLATE");
+      assert.strictEqual(writes, 0);
+
+      env.clock.tick(service.cache.flushDelay);
+      assert.strictEqual(writes, 1);
+
+      await service.isValidWord("AUDIO");
+      env.context.dispatchWindowEvent("pagehide");
+      assert.strictEqual(writes, 2);
+    });
+
+    it("should persist entries for the next visit", async function () {
+      const { env } = loadDictionary();
+      const first = createService(env, [apiProvider([])]);
+      await first.isValidWord("CRANE");
+      first.cache.flush();
+
+      const log = [];
+      const second = createService(env, [apiProvider(log)]);
+      assert.strictEqual(await second.isValidWord("CRANE"), true);
+      assert.deepStrictEqual(log, []);
+    });
+
+    it("should discard a cache saved in an older format", async function () {
+      const { env } = loadDictionary({
+        localStorage: {
+          wordValidationCache: JSON.stringify({ CRANE: false }),
+        },
+      });
+      const log = [];
+      const service = createService(env, [apiProvider(log)]);
+
+      assert.strictEqual(await service.isValidWord("CRANE"), true);
+      assert.deepStrictEqual(log, ["CRANE"]);
+      assert.strictEqual(env.localStorage.getItem("wordValidationCache"), null);
+    });
+
+    it("should report hit/miss rates and evictions", async function () {
+      const { env } = loadDictionary();
+      const service = createService(env, [apiProvider([])], {
+        maxEntries: 1,
+      });
+
+      await service.isValidWord("CRANE");
+      await service.isValidWord("CRANE");
+      await service.isValidWord("CRANE");
+      await service.isValidWord("SLATE");
+
+      const stats = service.getCacheStats();
+      assert.strictEqual(stats.hits, 2);
+      assert.strictEqual(stats.misses, 2);
+      assert.strictEqual(stats.hitRate, 0.5);
+      assert.strictEqual(stats.evictions, 1);
+      assert.strictEqual(stats.entries, 1);
+    });
+
+    it("should clear the cache", async function () {
+      const { env } = loadDictionary();
+      const service = createService(env, [apiProvider([])]);
+      await service.isValidWord("CRANE");
+      service.cache.flush();
+
+      service.clearCache();
+
+      assert.strictEqual(service.getCacheStats().entries, 0);
+      assert.strictEqual(env.localStorage.getItem("wordValidationCache"), null);
+    });
+  });
+
+  describe("Timeouts", function () {
+    function hangingFetch(url, { signal }) {
+      return new Promise((resolve, reject) => {
+        signal.addEventListener("abort", () =>
+          reject(new Error("The operation was aborted"))
+        );
+      });
+    }
+
+    it("should give up on a slow provider after its own timeout", async function () {
+      const { env, service } = loadDictionary({ fetch: hangingFetch });
+      service.setProviders([
+        { type: "freeDictionary", timeout: 1000 },
+        { name: "backup", timeout: 5000, check: async () => "valid" },
+      ]);
+
+      let result = null;
+      service.isValidWord("CRANE").then((valid) => (result = valid));
+
+      env.clock.tick(999);
+      await flushPromises();
+      assert.strictEqual(result, null);
+
+      env.clock.tick(1);
+      await flushPromises();
+      assert.strictEqual(result, true);
+    });
+
+    it("should abort a slow list download and fall back to the answers", async function () {
+      const { env, service } = loadDictionary({
+        scripts: ["dictionary-service.js", "config.js"],
+        fetch: hangingFetch,
+      });
+
+      let result = null;
+      service.isValidWord("CRANE").then((valid) => (result = valid));
+
+      env.clock.tick(4999);
+      await flushPromises();
+      assert.strictEqual(result, null);
+
+      env.clock.tick(1);
+      await flushPromises();
+      assert.strictEqual(result, true);
+    });
+
+    it("should clear its timers once answered", async function () {
+      const { env, service } = loadDictionary();
+      await service.isValidWord("CRANE");
+      assert.strictEqual(env.clock.pending, 0);
+    });
+  });
+
+  describe("Word length", function () {
+    it("should reject words of the wrong length without a lookup", async function () {
+      const { service, calls } = loadDictionary();
+      assert.strictEqual(await service.isValidWord("CRANES", 5), false);
+      assert.strictEqual(calls.length, 0);
+    });
+
+    it("should accept valid words of every supported length", async function () {
+      const { service } = loadDictionary();
+      assert.strictEqual(await service.isValidWord("BAKE", 4), true);
+      assert.strictEqual(await service.isValidWord("ANCHOR", 6), true);
+      assert.strictEqual(await service.isValidWord("BALANCE", 7), true);
+      assert.strictEqual(await service.isValidWord("ABSOLUTE", 8), true);
+    });
+  });
+
+  describe("Bundled files", function () {
+    const { env } = loadDictionary({
+      scripts: ["dictionary-service.js", "config.js"],
+    });
+    const answerLists = env.evaluate("WORDS_BY_LENGTH");
+
+    Object.keys(answerLists).forEach((key) => {
+      const length = Number(key);
+
+      it(`should ship a sorted A-Z ${length}-letter list with every answer`, function () {
+        const packed = fs.readFileSync(
+          path.join(__dirname, "..", "dictionary", `words-${length}.txt`),
+          "utf8"
+        );
+        const unpacked = env.context.unpackWordList(packed.trim(), length);
+        const words = Array.from(unpacked);
+
+        const pattern = new RegExp(`^[A-Z]{${length}}$`);
+        words.forEach((word) => assert.match(word, pattern));
+        assert.deepStrictEqual(words, [...words].sort());
+        answerLists[length].forEach((answer) => {
+          assert.ok(unpacked.has(answer), `${answer} missing`);
+        });
+      });
+    });
+  });
+});
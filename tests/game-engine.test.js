@@ -0,0 +1,679 @@
+// Unit tests for the DOM-free WordleEngine
+const assert = require("assert");
+const {
+  WordleEngine,
+  MultiBoardEngine,
+  scoreGuess,
+  mergeKeyStatus,
+  applyGameResult,
+  computeStats,
+  applyDailyResult,
+  validateHardMode,
+  getPuzzleNumber,
+  getPeriodStartPuzzle,
+  computePuzzleDifficulty,
+  computeSkillRating,
+  getDailyWord,
+  getDailyWords,
+  buildShareText,
+} = require("../game-engine");
+
+describe("WordleEngine", function () {
+  function typeWord(engine, word) {
+    word.split("").forEach((letter) => engine.addLetter(letter));
+  }
+
+  describe("Input", function () {
+    it("should add letters up to the word length", function () {
+      const engine = new WordleEngine({ targetWord: "CRANE" });
+      typeWord(engine, "SLATES");
+      assert.strictEqual(engine.currentGuess, "SLATE");
+      assert.strictEqual(engine.currentTile, 5);
+    });
+
+    it("should delete the last letter", function () {
+      const engine = new WordleEngine({ targetWord: "CRANE" });
+      typeWord(engine, "SL");
+      assert.strictEqual(engine.deleteLetter(), true);
+      assert.strictEqual(engine.currentGuess, "S");
+    });
+
+    it("should emit letter events with their tile position", function () {
+      const engine = new WordleEngine({ targetWord: "CRANE" });
+      const events = [];
+      engine.on("letterAdded", (e) => events.push(["add", e.row, e.col]));
+      engine.on("letterDeleted", (e) => events.push(["del", e.row, e.col]));
+
+      typeWord(engine, "AB");
+      engine.deleteLetter();
+
+      assert.deepStrictEqual(events, [
+        ["add", 0, 0],
+        ["add", 0, 1],
+        ["del", 0, 1],
+      ]);
+    });
+  });
+
+  describe("Submission", function () {
+    it("should reject incomplete guesses", function () {
+      const engine = new WordleEngine({ targetWord: "CRANE" });
+      typeWord(engine, "CRA");
+      const result = engine.submit();
+      assert.strictEqual(result.ok, false);
+      assert.strictEqual(engine.currentRow, 0);
+    });
+
+    it("should score a guess and advance to the next row", function () {
+      const engine = new WordleEngine({ targetWord: "CRANE" });
+      let scored = null;
+      engine.on("guessScored", (e) => (scored = e));
+
+      typeWord(engine, "SLATE");
+      engine.submit();
+
+      assert.strictEqual(scored.row, 0);
+      assert.deepStrictEqual(scored.statuses, [
+        "absent",
+        "absent",
+        "correct",
+        "absent",
+        "correct",
+      ]);
+      assert.strictEqual(engine.currentRow, 1);
+      assert.strictEqual(engine.currentTile, 0);
+    });
+
+    it("should emit won when the target is guessed", function () {
+      const engine = new WordleEngine({ targetWord: "CRANE" });
+      let won = null;
+      engine.on("won", (e) => (won = e));
+
+      engine.submit("SLATE");
+      engine.submit("CRANE");
+
+      assert.deepStrictEqual(won, {
+        guess: "CRANE",
+        attempts: 2,
+        targetWord: "CRANE",
+        hardMode: false,
+      });
+      assert.strictEqual(engine.gameOver, true);
+      assert.strictEqual(engine.addLetter("A"), false);
+    });
+
+    it("should emit lost after the last attempt", function () {
+      const engine = new WordleEngine({ targetWord: "CRANE", maxAttempts: 2 });
+      let lost = null;
+      engine.on("lost", (e) => (lost = e));
+
+      engine.submit("SLATE");
+      assert.strictEqual(lost, null);
+      engine.submit("AUDIO");
+
+      assert.strictEqual(lost.attempts, 2);
+      assert.strictEqual(engine.isWon, false);
+      assert.strictEqual(engine.submit("CRANE").ok, false);
+    });
+
+    it("should restore seeded guesses without emitting events", function () {
+      let emitted = false;
+      const engine = new WordleEngine({
+        targetWord: "CRANE",
+        guesses: ["SLATE"],
+        currentGuess: "CR",
+      });
+      engine.on("guessScored", () => (emitted = true));
+
+      assert.strictEqual(engine.currentRow, 1);
+      assert.strictEqual(engine.currentGuess, "CR");
+      assert.strictEqual(engine.keyStatuses.A, "correct");
+      assert.strictEqual(emitted, false);
+    });
+  });
+
+  describe("scoreGuess", function () {
+    it("should mark exact and misplaced letters", function () {
+      assert.deepStrictEqual(scoreGuess("TRACE", "CRANE"), [
+        "absent",
+        "correct",
+        "correct",
+        "present",
+        "correct",
+      ]);
+    });
+
+    it("should not mark a duplicate yellow once the target copy is green", function () {
+      assert.deepStrictEqual(scoreGuess("EERIE", "CRANE"), [
+        "absent",
+        "absent",
+        "present",
+        "absent",
+        "correct",
+      ]);
+    });
+
+    it("should only mark as many yellows as the target has copies", function () {
+      assert.deepStrictEqual(scoreGuess("BOBBY", "ABBEY"), [
+        "present",
+        "absent",
+        "correct",
+        "absent",
+        "correct",
+      ]);
+    });
+
+    it("should give greens priority over earlier yellows", function () {
+      assert.deepStrictEqual(scoreGuess("FLOOR", "ROBOT"), [
+        "absent",
+        "absent",
+        "present",
+        "correct",
+        "present",
+      ]);
+    });
+  });
+
+  describe("mergeKeyStatus", function () {
+    it("should take the first status as-is", function () {
+      assert.strictEqual(mergeKeyStatus(undefined, "absent"), "absent");
+    });
+
+    it("should upgrade absent → present → correct", function () {
+      assert.strictEqual(mergeKeyStatus("absent", "present"), "present");
+      assert.strictEqual(mergeKeyStatus("present", "correct"), "correct");
+    });
+
+    it("should never downgrade", function () {
+      assert.strictEqual(mergeKeyStatus("correct", "present"), "correct");
+      assert.strictEqual(mergeKeyStatus("correct", "absent"), "correct");
+      assert.strictEqual(mergeKeyStatus("present", "absent"), "present");
+    });
+  });
+
+  describe("applyGameResult", function () {
+    const fresh = {
+      gamesPlayed: 0,
+      gamesWon: 0,
+      currentStreak: 0,
+      maxStreak: 0,
+    };
+
+    it("should extend the streak on a win", function () {
+      const stats = applyGameResult(applyGameResult(fresh, true), true);
+      assert.deepStrictEqual(stats, {
+        gamesPlayed: 2,
+        gamesWon: 2,
+        currentStreak: 2,
+        maxStreak: 2,
+      });
+    });
+
+    it("should reset the streak but keep the max on a loss", function () {
+      const won = applyGameResult(applyGameResult(fresh, true), true);
+      const stats = applyGameResult(won, false);
+      assert.deepStrictEqual(stats, {
+        gamesPlayed: 3,
+        gamesWon: 2,
+        currentStreak: 0,
+        maxStreak: 2,
+      });
+    });
+
+    it("should not raise the max until the new streak passes it", function () {
+      const stats = applyGameResult(
+        { gamesPlayed: 10, gamesWon: 8, currentStreak: 1, maxStreak: 5 },
+        true
+      );
+      assert.strictEqual(stats.currentStreak, 2);
+      assert.strictEqual(stats.maxStreak, 5);
+    });
+
+    it("should not mutate the input", function () {
+      applyGameResult(fresh, true);
+      assert.strictEqual(fresh.gamesPlayed, 0);
+    });
+
+    it("should count wins by number of guesses", function () {
+      const once = applyGameResult(fresh, true, 3);
+      const stats = applyGameResult(applyGameResult(once, true, 3), true, 5);
+      assert.deepStrictEqual(stats.guessDistribution, { 3: 2, 5: 1 });
+      assert.deepStrictEqual(once.guessDistribution, { 3: 1 });
+    });
+
+    it("should leave the distribution alone on a loss", function () {
+      const won = applyGameResult(fresh, true, 4);
+      const stats = applyGameResult(won, false, 6);
+      assert.deepStrictEqual(stats.guessDistribution, { 4: 1 });
+    });
+  });
+
+  describe("computeStats", function () {
+    const game = (finishedAt, isWon, attempts, puzzleNumber = null) => ({
+      id: `game-${finishedAt}`,
+      isWon,
+      attempts,
+      puzzleNumber,
+      finishedAt,
+    });
+
+    it("should replay games in the order they finished", function () {
+      const stats = computeStats([
+        game(3, true, 2),
+        game(1, true, 4),
+        game(2, false, 6),
+      ]);
+      assert.deepStrictEqual(stats, {
+        gamesPlayed: 3,
+        gamesWon: 2,
+        currentStreak: 1,
+        maxStreak: 1,
+        guessDistribution: { 2: 1, 4: 1 },
+      });
+    });
+
+    it("should only keep a daily streak going on consecutive puzzles", function () {
+      const stats = computeStats([
+        game(1, true, 3, 10),
+        game(2, true, 3, 11),
+        game(3, true, 3, 13),
+      ]);
+      assert.strictEqual(stats.currentStreak, 1);
+      assert.strictEqual(stats.maxStreak, 2);
+      assert.strictEqual(stats.lastDailyPuzzle, 13);
+    });
+
+    it("should start from a legacy baseline", function () {
+      const baseline = {
+        id: "baseline-daily-5-1",
+        kind: "baseline",
+        finishedAt: 0,
+        stats: {
+          gamesPlayed: 4,
+          gamesWon: 3,
+          currentStreak: 2,
+          maxStreak: 3,
+          guessDistribution: { 3: 3 },
+        },
+      };
+      const stats = computeStats([game(5, true, 3), baseline]);
+      assert.strictEqual(stats.gamesPlayed, 5);
+      assert.strictEqual(stats.currentStreak, 3);
+      assert.deepStrictEqual(stats.guessDistribution, { 3: 4 });
+    });
+
+    it("should return empty stats for no games", function () {
+      assert.strictEqual(computeStats([]).gamesPlayed, 0);
+    });
+  });
+
+  describe("Daily puzzle", function () {
+    const EPOCH = "2025-11-08";
+
+    it("should number the epoch day as puzzle #0", function () {
+      const date = new Date("2025-11-08T12:00:00Z");
+      assert.strictEqual(getPuzzleNumber(date, EPOCH, "UTC"), 0);
+      assert.strictEqual(
+        getPuzzleNumber(new Date("2025-11-18T00:00:00Z"), EPOCH, "UTC"),
+        10
+      );
+    });
+
+    it("should use the calendar date of the given time zone", function () {
+      // 03:00 UTC on the 9th is still the evening of the 8th in New York
+      const date = new Date("2025-11-09T03:00:00Z");
+      assert.strictEqual(getPuzzleNumber(date, EPOCH, "UTC"), 1);
+      assert.strictEqual(getPuzzleNumber(date, EPOCH, "America/New_York"), 0);
+      assert.strictEqual(getPuzzleNumber(date, EPOCH, "Asia/Tokyo"), 1);
+    });
+
+    it("should find the first puzzle of a leaderboard period", function () {
+      // Puzzle #0 is Saturday 2025-11-08; #2 is Monday, #23 is December 1st
+      assert.strictEqual(getPeriodStartPuzzle("today", 4, EPOCH), 4);
+      assert.strictEqual(getPeriodStartPuzzle("week", 0, EPOCH), -5);
+      assert.strictEqual(getPeriodStartPuzzle("week", 2, EPOCH), 2);
+      assert.strictEqual(getPeriodStartPuzzle("week", 8, EPOCH), 2);
+      assert.strictEqual(getPeriodStartPuzzle("month", 0, EPOCH), -7);
+      assert.strictEqual(getPeriodStartPuzzle("month", 30, EPOCH), 23);
+      assert.strictEqual(getPeriodStartPuzzle("all", 30, EPOCH), null);
+    });
+
+    it("should pick the same word for the same puzzle", function () {
+      const words = ["CRANE", "SLATE", "AUDIO"];
+      assert.strictEqual(getDailyWord(words, 4), getDailyWord(words, 4));
+      assert.strictEqual(getDailyWord(words, 4), "SLATE");
+      assert.strictEqual(getDailyWord(words, -1), "AUDIO");
+    });
+
+    it("should pick distinct words for each board of a puzzle", function () {
+      const words = ["CRANE", "SLATE", "AUDIO", "PIANO", "GHOST"];
+      assert.deepStrictEqual(getDailyWords(words, 1, 2), ["AUDIO", "PIANO"]);
+      assert.deepStrictEqual(getDailyWords(words, 4, 1), [
+        getDailyWord(words, 4),
+      ]);
+      assert.strictEqual(new Set(getDailyWords(words, 3, 4)).size, 4);
+    });
+
+    it("should keep the streak across consecutive days", function () {
+      const stats = applyDailyResult(
+        {
+          gamesPlayed: 1,
+          gamesWon: 1,
+          currentStreak: 1,
+          maxStreak: 1,
+          lastDailyPuzzle: 9,
+        },
+        true,
+        10
+      );
+      assert.strictEqual(stats.currentStreak, 2);
+      assert.strictEqual(stats.lastDailyPuzzle, 10);
+    });
+
+    it("should break the streak when a day is skipped", function () {
+      const stats = applyDailyResult(
+        {
+          gamesPlayed: 3,
+          gamesWon: 3,
+          currentStreak: 3,
+          maxStreak: 3,
+          lastDailyPuzzle: 7,
+        },
+        true,
+        10
+      );
+      assert.strictEqual(stats.currentStreak, 1);
+      assert.strictEqual(stats.maxStreak, 3);
+    });
+  });
+
+  describe("Skill rating", function () {
+    const played = (puzzleNumber, attempts, isWon = true) => ({
+      puzzleNumber,
+      attempts,
+      isWon,
+      maxAttempts: 6,
+    });
+
+    it("should not top the board on one lucky game", function () {
+      const lucky = [played(1, 2)];
+      const steady = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map((n) => played(n, 3));
+      const difficulty = computePuzzleDifficulty([
+        ...lucky,
+        ...steady,
+        ...steady.map((game) => ({ ...game, attempts: 5 })),
+      ]);
+
+      const luckyRating = computeSkillRating(lucky, difficulty);
+      const steadyRating = computeSkillRating(steady, difficulty);
+      assert.ok(luckyRating.rating > 1000);
+      assert.ok(luckyRating.rating < steadyRating.rating);
+      assert.strictEqual(steadyRating.ratedGames, 10);
+    });
+
+    it("should count a hard puzzle for more than an easy one", function () {
+      const everyone = [
+        ...[1, 2, 3].map(() => played(1, 2)), // Easy
+        ...[1, 2, 3].map(() => played(2, 6)), // Hard
+      ];
+      const difficulty = computePuzzleDifficulty(everyone);
+      assert.ok(difficulty.byPuzzle[2] > difficulty.byPuzzle[1]);
+      assert.ok(
+        computeSkillRating([played(2, 4)], difficulty).rating >
+          computeSkillRating([played(1, 4)], difficulty).rating
+      );
+    });
+
+    it("should score a loss worse than any win", function () {
+      const difficulty = computePuzzleDifficulty([
+        played(1, 6),
+        played(1, 6, false),
+      ]);
+      assert.ok(
+        computeSkillRating([played(1, 6, false)], difficulty).rating <
+          computeSkillRating([played(1, 6)], difficulty).rating
+      );
+    });
+
+    it("should not rate a player without games", function () {
+      assert.strictEqual(
+        computeSkillRating([], computePuzzleDifficulty([])),
+        null
+      );
+    });
+  });
+
+  describe("Hard mode", function () {
+    function scored(word, target) {
+      return { word, statuses: scoreGuess(word, target) };
+    }
+
+    it("should require greens to stay in place", function () {
+      const previous = [scored("CHART", "CRANE")];
+      assert.strictEqual(
+        validateHardMode("CLOSE", previous),
+        "3rd letter must be A"
+      );
+    });
+
+    it("should name the position with the right ordinal", function () {
+      const previous = [scored("TRAIN", "BRAIN")];
+      assert.strictEqual(
+        validateHardMode("BRAVE", previous),
+        "4th letter must be I"
+      );
+    });
+
+    it("should require yellow letters to be reused", function () {
+      const previous = [scored("SLATE", "CRANE")];
+      assert.strictEqual(
+        validateHardMode("CRONE", previous),
+        "3rd letter must be A"
+      );
+      const yellow = [scored("ARISE", "CRANE")];
+      assert.strictEqual(
+        validateHardMode("CRONE", yellow),
+        "Guess must contain A"
+      );
+    });
+
+    it("should require repeated revealed letters as many times as shown", function () {
+      const previous = [scored("EERIE", "THREE")];
+      assert.strictEqual(
+        validateHardMode("PARSE", previous),
+        "Guess must contain E"
+      );
+      assert.strictEqual(validateHardMode("THREE", previous), null);
+    });
+
+    it("should allow guesses that use every hint", function () {
+      const previous = [scored("ARISE", "CRANE")];
+      assert.strictEqual(validateHardMode("CRANE", previous), null);
+    });
+
+    it("should reject rule-breaking submissions in the engine", function () {
+      const engine = new WordleEngine({ targetWord: "CRANE", hardMode: true });
+      engine.submit("SLATE");
+
+      const result = engine.submit("BLOOD");
+      assert.strictEqual(result.ok, false);
+      assert.strictEqual(result.reason, "3rd letter must be A");
+      assert.strictEqual(engine.currentRow, 1);
+    });
+
+    it("should only enable hard mode before the first guess", function () {
+      const engine = new WordleEngine({ targetWord: "CRANE" });
+      engine.submit("SLATE");
+
+      assert.strictEqual(engine.setHardMode(true), false);
+      assert.strictEqual(engine.hardMode, false);
+      assert.strictEqual(
+        new WordleEngine({ targetWord: "CRANE" }).setHardMode(true),
+        true
+      );
+    });
+
+    it("should report the mode in the result", function () {
+      const engine = new WordleEngine({ targetWord: "CRANE", hardMode: true });
+      let won = null;
+      engine.on("won", (e) => (won = e));
+      engine.submit("CRANE");
+      assert.strictEqual(won.hardMode, true);
+    });
+  });
+
+  describe("Multi-board", function () {
+    function createDordle(options = {}) {
+      return new MultiBoardEngine({
+        targetWords: ["CRANE", "SLATE"],
+        maxAttempts: 7,
+        ...options,
+      });
+    }
+
+    it("should score a guess against every unsolved board", function () {
+      const engine = createDordle();
+      const scored = [];
+      engine.on("guessScored", (e) => scored.push(e.board));
+
+      engine.submit("AUDIO");
+      engine.submit("CRANE");
+      engine.submit("TOAST");
+
+      assert.deepStrictEqual(scored, [0, 1, 0, 1, 1]);
+      assert.strictEqual(engine.boards[0].guesses.length, 2);
+      assert.strictEqual(engine.boards[1].guesses.length, 3);
+      assert.deepStrictEqual(engine.unsolvedBoards, [1]);
+    });
+
+    it("should only send typed letters to unsolved boards", function () {
+      const engine = createDordle();
+      engine.submit("CRANE");
+      let added = null;
+      engine.on("letterAdded", (e) => (added = e));
+
+      engine.addLetter("s");
+
+      assert.deepStrictEqual(added, {
+        letter: "S",
+        row: 1,
+        col: 0,
+        boards: [1],
+      });
+    });
+
+    it("should win once every board is solved", function () {
+      const engine = createDordle();
+      const solved = [];
+      let won = null;
+      engine.on("boardSolved", (e) => solved.push(e));
+      engine.on("won", (e) => (won = e));
+
+      engine.submit("SLATE");
+      assert.strictEqual(won, null);
+      engine.submit("CRANE");
+
+      assert.deepStrictEqual(solved, [
+        { board: 1, attempts: 1 },
+        { board: 0, attempts: 2 },
+      ]);
+      assert.deepStrictEqual(won.targetWords, ["CRANE", "SLATE"]);
+      assert.strictEqual(won.attempts, 2);
+      assert.strictEqual(engine.gameOver, true);
+    });
+
+    it("should lose when the shared attempts run out", function () {
+      const engine = createDordle({ maxAttempts: 2 });
+      let lost = null;
+      engine.on("lost", (e) => (lost = e));
+
+      engine.submit("CRANE");
+      engine.submit("AUDIO");
+
+      assert.strictEqual(lost.attempts, 2);
+      assert.strictEqual(engine.isWon, false);
+      assert.strictEqual(engine.boards[0].isWon, true);
+    });
+
+    it("should keep separate key colors per board", function () {
+      const engine = createDordle();
+      engine.submit("CRANE");
+
+      assert.strictEqual(engine.boards[0].keyStatuses.C, "correct");
+      assert.strictEqual(engine.boards[1].keyStatuses.C, "absent");
+    });
+
+    it("should apply hard mode hints from every unsolved board", function () {
+      const engine = createDordle({ hardMode: true });
+      engine.submit("AROSE");
+
+      // CRATE fits board 0's hints but drops board 1's yellow S
+      assert.strictEqual(engine.checkGuess("CRATE"), "Guess must contain S");
+      assert.strictEqual(engine.checkGuess("ERASE"), null);
+    });
+
+    it("should restore seeded guesses on every board", function () {
+      const engine = createDordle({ guesses: ["CRANE"], currentGuess: "SL" });
+
+      assert.strictEqual(engine.currentRow, 1);
+      assert.strictEqual(engine.currentGuess, "SL");
+      assert.deepStrictEqual(engine.unsolvedBoards, [1]);
+    });
+  });
+
+  describe("Share card", function () {
+    const C = "correct";
+    const P = "present";
+    const A = "absent";
+
+    it("should build a spoiler-free emoji grid", function () {
+      const text = buildShareText({
+        title: "Wordle",
+        label: "#12",
+        patterns: [
+          [
+            [A, P, A, A, C],
+            [C, C, C, C, C],
+          ],
+        ],
+        isWon: true,
+        attempts: 2,
+        maxAttempts: 6,
+        hardMode: false,
+      });
+      assert.strictEqual(text, "Wordle #12 2/6\n\n⬛🟨⬛⬛🟩\n🟩🟩🟩🟩🟩");
+    });
+
+    it("should mark hard mode and losses", function () {
+      const text = buildShareText({
+        title: "Wordle",
+        label: "Practice",
+        patterns: [[[A, A, A, A]]],
+        isWon: false,
+        attempts: 1,
+        maxAttempts: 1,
+        hardMode: true,
+      });
+      assert.strictEqual(text.split("\n")[0], "Wordle Practice X/1*");
+    });
+
+    it("should pair multi-board grids and pad early solves", function () {
+      const text = buildShareText({
+        title: "Dordle",
+        label: "#3",
+        patterns: [
+          [[C, C]],
+          [
+            [P, A],
+            [C, C],
+          ],
+        ],
+        isWon: true,
+        attempts: 2,
+        maxAttempts: 7,
+        hardMode: false,
+      });
+      assert.strictEqual(text, "Dordle #3 2/7\n\n🟩🟩 🟨⬛\n⬜⬜ 🟩🟩");
+    });
+  });
+});
@@ -0,0 +1,1451 @@
+// Game page behaviour: keyboard colors, guess flow and stats persistence
+const assert = require("assert");
+const {
+  loadScripts,
+  fileFetch,
+  flushPromises,
+  createStorage,
+  createBroadcastChannelClass,
+} = require("./helpers/browser-env");
+
+const GAME_SCRIPTS = [
+  "repositories.js",
+  "dictionary-service.js",
+  "config.js",
+  "game-engine.js",
+  "stats-ledger.js",
+  "sync-outbox.js",
+  "history-service.js",
+  "tab-coordinator.js",
+  "game.js",
+];
+
+async function loadGame(options = {}) {
+  const env = loadScripts(GAME_SCRIPTS, {
+    fetch: fileFetch, // Serves the bundled dictionary
+    ...options,
+    localStorage: {
+      releaseNotesVersion: "1.2.0", // Skip the release notes popup
+      ...options.localStorage,
+    },
+  });
+  await flushPromises(); // Let initGame build the board and keyboard
+  env.evaluate('engine = createEngine("CRANE")');
+  return env;
+}
+
+async function playGuess(env, word) {
+  word
+    .split("")
+    .forEach((letter) => env.evaluate(`handleKeyPress("${letter}")`));
+  env.evaluate('handleKeyPress("ENTER")');
+  await flushPromises();
+  env.clock.tick(env.evaluate("GAME_CONFIG.FLIP_ANIMATION_DURATION"));
+  await flushPromises();
+}
+
+// An element's text, children included (the test DOM keeps them apart)
+function textOf(element) {
+  return element.textContent + element.children.map(textOf).join("");
+}
+
+// Every class name used in an element and its children
+function classesOf(element) {
+  return [element.className, ...element.children.map(classesOf)].join(" ");
+}
+
+// Stats recomputed from the ledger as saved, not the page's copy
+function storedStats(env, variant = {}) {
+  const query = JSON.stringify({
+    mode: "daily",
+    wordLength: 5,
+    boardCount: 1,
+    ...variant,
+  });
+  return JSON.parse(
+    env.evaluate(
+      `JSON.stringify(computeStats(new StatsLedger(localStorage).query(${query})))`
+    )
+  );
+}
+
+describe("Game", function () {
+  describe("Keyboard colors", function () {
+    it("should not downgrade a present key to absent", async function () {
+      const env = await loadGame();
+      env.evaluate('updateKeyColor("A", "present")');
+      env.evaluate('updateKeyColor("A", "absent")');
+      assert.strictEqual(
+        env.document.getElementById("key-A").className,
+        "key present"
+      );
+    });
+
+    it("should keep a correct key green", async function () {
+      const env = await loadGame();
+      env.evaluate('updateKeyColor("A", "correct")');
+      env.evaluate('updateKeyColor("A", "present")');
+      assert.strictEqual(
+        env.document.getElementById("key-A").className,
+        "key correct"
+      );
+    });
+
+    it("should upgrade an absent key", async function () {
+      const env = await loadGame();
+      env.evaluate('updateKeyColor("A", "absent")');
+      env.evaluate('updateKeyColor("A", "present")');
+      assert.strictEqual(
+        env.document.getElementById("key-A").className,
+        "key present"
+      );
+    });
+  });
+
+  describe("Guess flow", function () {
+    it("should color tiles and keys for a scored guess", async function () {
+      const env = await loadGame();
+      await playGuess(env, "SLATE");
+
+      const tile = env.document.getElementById("tile-0-0-2");
+      assert.strictEqual(tile.textContent, "A");
+      assert.ok(tile.classList.contains("correct"));
+      assert.ok(
+        env.document.getElementById("key-S").classList.contains("absent")
+      );
+      assert.strictEqual(env.evaluate("engine.currentRow"), 1);
+    });
+
+    it("should reject words the dictionary does not know", async function () {
+      const env = await loadGame();
+      await playGuess(env, "QZXVB");
+
+      assert.strictEqual(
+        env.document.getElementById("message").textContent,
+        "Not in word list"
+      );
+      assert.strictEqual(env.evaluate("engine.currentRow"), 0);
+      assert.strictEqual(env.evaluate("isValidating"), false);
+    });
+
+    it("should require a full row before submitting", async function () {
+      const env = await loadGame();
+      await playGuess(env, "CRA");
+      assert.strictEqual(
+        env.document.getElementById("message").textContent,
+        "Not enough letters"
+      );
+    });
+  });
+
+  describe("Stats", function () {
+    it("should record a win and persist stats", async function () {
+      const env = await loadGame();
+      await playGuess(env, "SLATE");
+      await playGuess(env, "CRANE");
+
+      assert.deepStrictEqual(storedStats(env), {
+        gamesPlayed: 1,
+        gamesWon: 1,
+        currentStreak: 1,
+        maxStreak: 1,
+        guessDistribution: { 2: 1 },
+        lastDailyPuzzle: env.evaluate("puzzleNumber"),
+      });
+      assert.strictEqual(
+        env.document.getElementById("modal").style.display,
+        "flex"
+      );
+      assert.strictEqual(
+        env.document.getElementById("gamesPlayed").textContent,
+        "1"
+      );
+    });
+
+    it("should reset the streak on a loss and keep the max", async function () {
+      const env = await loadGame({
+        localStorage: {
+          wordleStats: JSON.stringify({
+            gamesPlayed: 4,
+            gamesWon: 3,
+            currentStreak: 3,
+            maxStreak: 3,
+          }),
+        },
+      });
+      for (let i = 0; i < 6; i++) {
+        await playGuess(env, "SLATE");
+      }
+
+      assert.deepStrictEqual(storedStats(env), {
+        gamesPlayed: 5,
+        gamesWon: 3,
+        currentStreak: 0,
+        maxStreak: 3,
+        guessDistribution: {},
+        lastDailyPuzzle: env.evaluate("puzzleNumber"),
+      });
+      // The old counters now live in the ledger
+      assert.strictEqual(env.localStorage.getItem("wordleStats"), null);
+    });
+
+    it("should keep legacy counters out of the cloud stats", async function () {
+      const edited = JSON.stringify({
+        gamesPlayed: 999,
+        gamesWon: 999,
+        currentStreak: 999,
+        maxStreak: 999,
+      });
+      const env = await loadGame({ localStorage: { wordleStats: edited } });
+      await playGuess(env, "CRANE");
+
+      // Counted on this device, but only the game reaches the cloud
+      assert.strictEqual(env.evaluate("stats.gamesPlayed"), 1000);
+      const sent = env.evaluate("repositories.profiles.db.playerStats[0]");
+      assert.strictEqual(sent.gamesPlayed, 1);
+      assert.strictEqual(sent.maxStreak, 1);
+    });
+
+    it("should only import legacy counters into a new ledger", async function () {
+      const env = await loadGame();
+      await playGuess(env, "CRANE");
+
+      // Counters written by hand after the migration has run
+      env.localStorage.setItem(
+        "wordleStats",
+        JSON.stringify({ gamesPlayed: 999, gamesWon: 999, maxStreak: 999 })
+      );
+      env.evaluate("migrateLegacyStats()");
+
+      assert.strictEqual(env.localStorage.getItem("wordleStats"), null);
+      assert.strictEqual(storedStats(env).gamesPlayed, 1);
+    });
+
+    it("should not mutate DEFAULT_STATS", async function () {
+      const env = await loadGame();
+      await playGuess(env, "CRANE");
+      assert.strictEqual(env.evaluate("DEFAULT_STATS.gamesPlayed"), 0);
+      assert.strictEqual(
+        env.evaluate("Object.keys(DEFAULT_STATS.guessDistribution).length"),
+        0
+      );
+    });
+
+    it("should chart wins by guess count and highlight the latest", async function () {
+      const env = await loadGame({
+        localStorage: {
+          wordleStats: JSON.stringify({
+            gamesPlayed: 3,
+            gamesWon: 3,
+            currentStreak: 3,
+            maxStreak: 3,
+            guessDistribution: { 2: 1, 4: 2 },
+          }),
+        },
+      });
+      await playGuess(env, "SLATE");
+      await playGuess(env, "CRANE");
+
+      assert.deepStrictEqual(storedStats(env).guessDistribution, {
+        2: 2,
+        4: 2,
+      });
+      const chart = env.document.getElementById("guessDistribution").innerHTML;
+      const rows = chart.split("distribution-row").slice(1);
+      assert.strictEqual(rows.length, 6); // One bar per allowed guess
+      assert.ok(rows[1].includes("distribution-bar latest"));
+      assert.ok(rows[1].includes(">2</div>"));
+      assert.ok(!rows[3].includes("latest"));
+    });
+
+    it("should not highlight a bar after a loss", async function () {
+      const env = await loadGame();
+      for (let i = 0; i < 6; i++) {
+        await playGuess(env, "SLATE");
+      }
+      const chart = env.document.getElementById("guessDistribution").innerHTML;
+      assert.ok(!chart.includes("latest"));
+    });
+
+    it("should clear the saved game once it ends", async function () {
+      const env = await loadGame();
+      await playGuess(env, "SLATE");
+      env.evaluate("saveCompleteGameState()");
+      assert.ok(env.localStorage.getItem("gameState"));
+
+      await playGuess(env, "CRANE");
+      assert.strictEqual(env.localStorage.getItem("gameState"), null);
+    });
+  });
+
+  describe("Game modes", function () {
+    it("should resume today's finished daily instead of allowing a replay", async function () {
+      const env = await loadGame();
+      const today = env.evaluate("puzzleNumber");
+      const word = env.evaluate("getDailyWord(WORDS, puzzleNumber)");
+      env.localStorage.setItem(
+        "wordleDailyResult",
+        JSON.stringify({ puzzleNumber: today, guesses: [word], isWon: true })
+      );
+
+      assert.strictEqual(
+        env.evaluate("createEngineForMode(GAME_MODES.DAILY).gameOver"),
+        true
+      );
+    });
+
+    it("should start a fresh daily when the saved result is from another day", async function () {
+      const env = await loadGame();
+      env.localStorage.setItem(
+        "wordleDailyResult",
+        JSON.stringify({ puzzleNumber: -1, guesses: ["CRANE"], isWon: true })
+      );
+
+      const daily = env.evaluate("createEngineForMode(GAME_MODES.DAILY)");
+      assert.strictEqual(daily.gameOver, false);
+      assert.strictEqual(
+        daily.targetWord,
+        env.evaluate("getDailyWord(WORDS, puzzleNumber)")
+      );
+    });
+
+    it("should record practice games separately from daily stats", async function () {
+      const env = await loadGame({
+        localStorage: { wordleGameMode: "practice" },
+      });
+      await playGuess(env, "CRANE");
+
+      assert.strictEqual(storedStats(env, { mode: "practice" }).gamesWon, 1);
+      assert.strictEqual(storedStats(env).gamesPlayed, 0);
+      assert.strictEqual(env.localStorage.getItem("wordleDailyResult"), null);
+    });
+
+    it("should offer practice after the daily puzzle ends", async function () {
+      const env = await loadGame();
+      await playGuess(env, "CRANE");
+
+      env.evaluate("resetGame()");
+
+      assert.strictEqual(env.evaluate("gameMode"), "practice");
+      assert.strictEqual(env.evaluate("engine.gameOver"), false);
+    });
+
+    it("should record a just-finished daily before allowing a switch", async function () {
+      const env = await loadGame();
+      "CRANE"
+        .split("")
+        .forEach((letter) => env.evaluate(`handleKeyPress("${letter}")`));
+      env.evaluate('handleKeyPress("ENTER")');
+      await flushPromises();
+
+      // Still flipping the final row: the result isn't recorded yet
+      env.evaluate('switchGameMode("practice")');
+      await env.evaluate("switchWordLength(6)");
+      await env.evaluate("switchBoardCount(2)");
+      assert.strictEqual(env.evaluate("gameMode"), "daily");
+      assert.strictEqual(env.evaluate("wordLength"), 5);
+      assert.strictEqual(env.evaluate("boardCount"), 1);
+
+      env.clock.tick(env.evaluate("GAME_CONFIG.FLIP_ANIMATION_DURATION"));
+      await flushPromises();
+
+      assert.strictEqual(storedStats(env).gamesWon, 1);
+      assert.strictEqual(storedStats(env, { mode: "practice" }).gamesPlayed, 0);
+      assert.strictEqual(
+        JSON.parse(env.localStorage.getItem("wordleDailyResult")).puzzleNumber,
+        env.evaluate("puzzleNumber")
+      );
+
+      env.evaluate('switchGameMode("practice")');
+      assert.strictEqual(env.evaluate("gameMode"), "practice");
+    });
+
+    it("should not switch modes mid-game", async function () {
+      const env = await loadGame();
+      await playGuess(env, "SLATE");
+
+      env.evaluate('switchGameMode("practice")');
+
+      assert.strictEqual(env.evaluate("gameMode"), "daily");
+      assert.strictEqual(env.evaluate("engine.currentRow"), 1);
+    });
+  });
+
+  describe("Hard mode setting", function () {
+    it("should persist the toggle", async function () {
+      const env = await loadGame();
+      env.evaluate("toggleHardMode(true)");
+      assert.strictEqual(env.localStorage.getItem("wordleHardMode"), "true");
+      assert.strictEqual(env.evaluate("engine.hardMode"), true);
+    });
+
+    it("should refuse to enable hard mode mid-game", async function () {
+      const env = await loadGame();
+      await playGuess(env, "SLATE");
+
+      env.evaluate("toggleHardMode(true)");
+
+      assert.strictEqual(env.evaluate("engine.hardMode"), false);
+      assert.strictEqual(env.localStorage.getItem("wordleHardMode"), null);
+      assert.strictEqual(
+        env.document.getElementById("hardModeToggle").checked,
+        false
+      );
+    });
+
+    it("should show the hard mode rejection before validating", async function () {
+      const env = await loadGame();
+      const lookups = [];
+      env.evaluate("dictionaryService").checkSync = (word) => {
+        lookups.push(word);
+        return true;
+      };
+      env.evaluate("toggleHardMode(true)");
+      await playGuess(env, "SLATE");
+      await playGuess(env, "BLOOD");
+
+      assert.strictEqual(
+        env.document.getElementById("message").textContent,
+        "3rd letter must be A"
+      );
+      assert.deepStrictEqual(lookups, ["SLATE"]);
+    });
+  });
+
+  describe("Word length", function () {
+    it("should ship answer lists that match their length", async function () {
+      const env = await loadGame();
+      const lists = env.evaluate("WORDS_BY_LENGTH");
+      Object.keys(lists).forEach((length) => {
+        lists[length].forEach((word) => {
+          assert.match(word, new RegExp(`^[A-Z]{${length}}$`));
+        });
+      });
+    });
+
+    it("should build a grid sized for the chosen length", async function () {
+      const env = await loadGame();
+      env.evaluate("switchWordLength(6)");
+      await flushPromises();
+
+      assert.strictEqual(env.evaluate("engine.wordLength"), 6);
+      assert.strictEqual(env.evaluate("engine.maxAttempts"), 7);
+      const board = env.document.getElementById("gameBoard");
+      assert.strictEqual(board.children.length, 7);
+      assert.strictEqual(board.children[0].children.length, 6);
+      assert.strictEqual(
+        env.document.getElementById("subtitle").textContent,
+        "Guess the 6-letter word in 7 tries"
+      );
+      assert.strictEqual(env.localStorage.getItem("wordleWordLength"), "6");
+    });
+
+    it("should keep stats separate per length", async function () {
+      const env = await loadGame();
+      env.evaluate("switchWordLength(4)");
+      await flushPromises();
+      env.evaluate('engine = createEngine("BAKE")');
+      await playGuess(env, "BAKE");
+
+      assert.strictEqual(storedStats(env, { wordLength: 4 }).gamesWon, 1);
+      assert.strictEqual(storedStats(env).gamesPlayed, 0);
+    });
+
+    it("should not change length mid-game", async function () {
+      const env = await loadGame();
+      await playGuess(env, "SLATE");
+
+      env.evaluate("switchWordLength(6)");
+      await flushPromises();
+
+      assert.strictEqual(env.evaluate("wordLength"), 5);
+      assert.strictEqual(
+        env.document.getElementById("wordLengthSelect").value,
+        "5"
+      );
+    });
+  });
+
+  describe("Saved games", function () {
+    // Load the page without swapping in a fresh engine, like a reload
+    async function reload(localStorage) {
+      const env = loadScripts(GAME_SCRIPTS, {
+        fetch: fileFetch,
+        localStorage: { releaseNotesVersion: "1.2.0", ...localStorage },
+      });
+      await flushPromises();
+      return env;
+    }
+
+    async function savedPracticeGame() {
+      const env = await loadGame({
+        localStorage: { wordleGameMode: "practice" },
+      });
+      await playGuess(env, "SLATE");
+      env.evaluate('handleKeyPress("C"); handleKeyPress("R")');
+      env.evaluate("saveCompleteGameState()");
+      return env.localStorage.getItem("gameState");
+    }
+
+    it("should save a versioned guess log without the answer", async function () {
+      const raw = await savedPracticeGame();
+      const save = JSON.parse(raw);
+
+      assert.strictEqual(save.version, 2);
+      assert.strictEqual(save.mode, "practice");
+      assert.deepStrictEqual(save.guesses, ["SLATE"]);
+      assert.strictEqual(save.currentGuess, "CR");
+      assert.strictEqual(typeof save.checksum, "string");
+      assert.ok(!raw.includes("CRANE"));
+    });
+
+    it("should rebuild the board and keyboard by re-scoring", async function () {
+      const env = await reload({
+        gameState: await savedPracticeGame(),
+        activeGame: "true",
+      });
+
+      assert.strictEqual(env.evaluate("engine.targetWord"), "CRANE");
+      assert.strictEqual(env.evaluate("engine.currentGuess"), "CR");
+      const tile = env.document.getElementById("tile-0-0-2");
+      assert.strictEqual(tile.textContent, "A");
+      assert.strictEqual(tile.className, "tile filled correct");
+      assert.strictEqual(
+        env.document.getElementById("key-S").className,
+        "key absent"
+      );
+      assert.strictEqual(
+        env.document.getElementById("key-E").className,
+        "key correct"
+      );
+    });
+
+    it("should reject a tampered save", async function () {
+      const save = JSON.parse(await savedPracticeGame());
+      save.guesses = ["CRATE"];
+      const env = await reload({
+        gameState: JSON.stringify(save),
+        activeGame: "true",
+      });
+
+      assert.strictEqual(env.evaluate("engine.guesses.length"), 0);
+      assert.strictEqual(env.localStorage.getItem("gameState"), null);
+    });
+
+    it("should reject a corrupt save", async function () {
+      const env = await reload({ gameState: "{not json", activeGame: "true" });
+      assert.strictEqual(env.evaluate("engine.guesses.length"), 0);
+      assert.strictEqual(env.localStorage.getItem("gameState"), null);
+    });
+
+    it("should reject a save whose guesses already finish the game", async function () {
+      const env = await loadGame();
+      const sealed = env.evaluate(`sealSave({
+        mode: "practice", puzzleNumber: null, wordLength: 5, boardCount: 1,
+        answerIds: [WORDS.indexOf("CRANE")], guesses: ["CRANE"],
+        currentGuess: "", hardMode: false, startedAt: null,
+      })`);
+      const reloaded = await reload({
+        gameState: JSON.stringify(sealed),
+        activeGame: "true",
+      });
+      assert.strictEqual(reloaded.evaluate("engine.guesses.length"), 0);
+    });
+
+    it("should migrate a tile-snapshot save", async function () {
+      const tiles = (word, row) =>
+        word.split("").map((content, col) => ({ row, col, content }));
+      const env = await reload({
+        activeGame: "true",
+        gameState: JSON.stringify({
+          mode: "practice",
+          targetWord: "CRANE",
+          currentRow: 1,
+          boardState: [...tiles("SLATE", 0), ...tiles("CR", 1)],
+        }),
+      });
+
+      assert.deepStrictEqual(
+        [...env.evaluate("engine.guesses.map((g) => g.word)")],
+        ["SLATE"]
+      );
+      assert.strictEqual(env.evaluate("engine.currentGuess"), "CR");
+      const migrated = env.localStorage.getItem("gameState");
+      assert.strictEqual(JSON.parse(migrated).version, 2);
+      assert.ok(!migrated.includes("CRANE"));
+    });
+  });
+
+  describe("Cross-tab", function () {
+    // Two tabs of one browser: shared localStorage and BroadcastChannel
+    async function openTabs(initial = {}) {
+      const sharedStorage = createStorage({
+        releaseNotesVersion: "1.2.0",
+        wordleGameMode: "practice",
+        ...initial,
+      });
+      const BroadcastChannel = createBroadcastChannelClass();
+      const open = async () => {
+        const env = loadScripts(GAME_SCRIPTS, {
+          fetch: fileFetch,
+          sharedStorage,
+          globals: { BroadcastChannel },
+        });
+        await flushPromises();
+        env.evaluate('engine = createEngine("CRANE"); createBoard()');
+        return env;
+      };
+      return [await open(), await open()];
+    }
+
+    function type(env, word) {
+      word
+        .split("")
+        .forEach((letter) => env.evaluate(`handleKeyPress("${letter}")`));
+    }
+
+    it("should mirror the owning tab's game read-only", async function () {
+      const [owner, mirror] = await openTabs();
+      await playGuess(owner, "SLATE");
+      type(owner, "CR");
+
+      assert.strictEqual(mirror.evaluate("isMirror"), true);
+      assert.strictEqual(
+        mirror.document.getElementById("mirrorBanner").style.display,
+        "block"
+      );
+      assert.strictEqual(
+        mirror.document.getElementById("tile-0-0-2").className,
+        "tile filled correct"
+      );
+      assert.strictEqual(
+        mirror.document.getElementById("tile-0-1-1").textContent,
+        "R"
+      );
+
+      type(mirror, "A");
+      assert.strictEqual(owner.evaluate("engine.currentGuess"), "CR");
+      assert.strictEqual(mirror.evaluate("engine.currentGuess"), "CR");
+    });
+
+    it("should count a finished game once and release the mirror", async function () {
+      const [owner, mirror] = await openTabs();
+      await playGuess(owner, "SLATE");
+      await playGuess(owner, "CRANE");
+
+      const practice = storedStats(owner, { mode: "practice" });
+      assert.strictEqual(practice.gamesPlayed, 1);
+      assert.strictEqual(mirror.evaluate("isMirror"), false);
+      assert.strictEqual(mirror.evaluate("practiceStats.gamesPlayed"), 1);
+      assert.strictEqual(
+        mirror.document.getElementById("gamesPlayed").textContent,
+        "1"
+      );
+
+      // The other tab is free to start the next game
+      type(mirror, "S");
+      assert.strictEqual(mirror.evaluate("engine.currentGuess"), "S");
+    });
+
+    it("should take over when the owning tab closes mid-game", async function () {
+      const [owner, mirror] = await openTabs();
+      await playGuess(owner, "SLATE");
+      owner.context.dispatchWindowEvent("pagehide");
+
+      assert.strictEqual(mirror.evaluate("isMirror"), false);
+      type(mirror, "C");
+      assert.deepStrictEqual(
+        [...mirror.evaluate("engine.guesses.map((g) => g.word)")],
+        ["SLATE"]
+      );
+      assert.strictEqual(mirror.evaluate("engine.currentGuess"), "C");
+    });
+
+    it("should not record today's daily twice", async function () {
+      const [first, second] = await openTabs({ wordleGameMode: "daily" });
+      const result =
+        "recordGameResult(finishedGame(engine, { attempts: 3, hardMode: false }), true)";
+      await first.evaluate(result);
+      await second.evaluate(result);
+
+      assert.strictEqual(storedStats(first).gamesPlayed, 1);
+      assert.strictEqual(second.evaluate("stats.gamesPlayed"), 1);
+    });
+  });
+
+  describe("Multi-board", function () {
+    async function loadDordle() {
+      const env = await loadGame();
+      env.evaluate("switchBoardCount(2)");
+      await flushPromises();
+      env.evaluate('engine = createEngine(["CRANE", "SLATE"])');
+      return env;
+    }
+
+    it("should build one grid per board with the extra attempt", async function () {
+      const env = await loadDordle();
+
+      const board = env.document.getElementById("gameBoard");
+      assert.ok(board.classList.contains("multi-board"));
+      assert.strictEqual(board.children.length, 2);
+      assert.strictEqual(board.children[1].children.length, 7);
+      assert.strictEqual(
+        env.document.getElementById("subtitle").textContent,
+        "Solve 2 5-letter words in 7 tries"
+      );
+      assert.strictEqual(env.evaluate("getMaxAttempts(5, 4)"), 9);
+    });
+
+    it("should type on every board and stop at solved ones", async function () {
+      const env = await loadDordle();
+      await playGuess(env, "CRANE");
+      env.evaluate('handleKeyPress("S")');
+
+      assert.ok(
+        env.document.getElementById("tile-0-0-0").classList.contains("correct")
+      );
+      assert.ok(
+        env.document.getElementById("tile-1-0-0").classList.contains("absent")
+      );
+      assert.ok(
+        env.document.getElementById("board-0").classList.contains("solved")
+      );
+      assert.strictEqual(
+        env.document.getElementById("tile-0-1-0").textContent,
+        ""
+      );
+      assert.strictEqual(
+        env.document.getElementById("tile-1-1-0").textContent,
+        "S"
+      );
+    });
+
+    it("should split key colors per board", async function () {
+      const env = await loadDordle();
+      await playGuess(env, "CRANE");
+
+      const key = env.document.getElementById("key-C");
+      assert.ok(key.classList.contains("split"));
+      assert.strictEqual(
+        key.style.background,
+        "linear-gradient(to right, #6aaa64 50%, #787c7e 50%)"
+      );
+    });
+
+    it("should keep multi-board stats separate and local", async function () {
+      const env = await loadDordle();
+      await playGuess(env, "CRANE");
+      await playGuess(env, "SLATE");
+
+      assert.strictEqual(storedStats(env, { boardCount: 2 }).gamesWon, 1);
+      assert.strictEqual(storedStats(env).gamesPlayed, 0);
+      assert.strictEqual(
+        env.document.getElementById("modalMessage").textContent,
+        "Great job! The words were CRANE, SLATE"
+      );
+    });
+
+    it("should restore a saved multi-board game", async function () {
+      const env = await loadGame({
+        localStorage: {
+          activeGame: "true",
+          gameState: JSON.stringify({
+            mode: "practice",
+            wordLength: 5,
+            boardCount: 2,
+            targetWords: ["CRANE", "SLATE"],
+            guesses: ["CRANE"],
+            currentGuess: "SL",
+          }),
+        },
+      });
+
+      // loadGame swaps in a fresh single-board engine, so read the saved one
+      assert.strictEqual(env.evaluate("boardCount"), 2);
+      assert.strictEqual(
+        env.document.getElementById("tile-1-1-1").textContent,
+        "L"
+      );
+    });
+  });
+
+  describe("History", function () {
+    it("should record a finished game with its guesses and pattern", async function () {
+      const env = await loadGame();
+      await playGuess(env, "SLATE");
+      await playGuess(env, "CRANE");
+      await flushPromises();
+
+      const games = await env.evaluate("gameHistory.getGames()");
+      assert.strictEqual(games.length, 1);
+      const [game] = games;
+      assert.deepStrictEqual([...game.guesses], ["SLATE", "CRANE"]);
+      assert.deepStrictEqual(
+        [...game.patterns[0][0]],
+        ["absent", "absent", "correct", "absent", "correct"]
+      );
+      assert.strictEqual(game.mode, "daily");
+      assert.strictEqual(game.puzzleNumber, env.evaluate("puzzleNumber"));
+      assert.strictEqual(game.isWon, true);
+      assert.strictEqual(game.attempts, 2);
+      assert.strictEqual(typeof game.durationMs, "number");
+    });
+
+    it("should list games in the history modal and filter by result", async function () {
+      const env = await loadGame();
+      await playGuess(env, "SLATE");
+      await playGuess(env, "CRANE");
+      await flushPromises();
+
+      await env.evaluate("showHistory()");
+      const content = env.document.getElementById("historyContent");
+      assert.strictEqual(
+        env.document.getElementById("historyModal").style.display,
+        "flex"
+      );
+      assert.ok(content.innerHTML.includes("history-entry won"));
+      assert.ok(content.innerHTML.includes("mini-tile correct"));
+
+      env.document.getElementById("historyResultFilter").value = "lost";
+      await env.evaluate("loadHistory()");
+      assert.ok(content.innerHTML.includes("No games here yet"));
+    });
+  });
+
+  describe("Sharing", function () {
+    async function finishGame(options) {
+      const env = await loadGame(options);
+      await playGuess(env, "SLATE");
+      await playGuess(env, "CRANE");
+      return env;
+    }
+
+    it("should copy the emoji grid with the puzzle number", async function () {
+      const copied = [];
+      const env = await finishGame({
+        globals: {
+          navigator: {
+            onLine: true,
+            clipboard: { writeText: async (text) => copied.push(text) },
+          },
+        },
+      });
+      await env.evaluate("shareResult()");
+
+      assert.strictEqual(
+        copied[0],
+        `Wordle #${env.evaluate("puzzleNumber")} 2/6\n\n` +
+          "⬛⬛🟩⬛🟩\n🟩🟩🟩🟩🟩"
+      );
+      assert.ok(!copied[0].includes("CRANE"));
+    });
+
+    it("should label practice games and hard mode", async function () {
+      const copied = [];
+      const env = await loadGame({
+        localStorage: { wordleGameMode: "practice" },
+        globals: {
+          navigator: {
+            onLine: true,
+            clipboard: { writeText: async (text) => copied.push(text) },
+          },
+        },
+      });
+      env.evaluate('engine = createEngine("CRANE", { hardMode: true })');
+      await playGuess(env, "CRANE");
+      await env.evaluate("shareResult()");
+      assert.ok(copied[0].startsWith("Wordle Practice 1/6*\n"));
+    });
+
+    it("should fall back to execCommand without the Clipboard API", async function () {
+      const env = await finishGame();
+      const commands = [];
+      env.document.execCommand = (command) => commands.push(command) > 0;
+
+      await env.evaluate("shareResult()");
+      assert.deepStrictEqual(commands, ["copy"]);
+      assert.ok(
+        env.document.getElementById("message").textContent.includes("copied")
+      );
+    });
+
+    it("should not share an unfinished game", async function () {
+      const copied = [];
+      const env = await loadGame({
+        globals: {
+          navigator: {
+            onLine: true,
+            clipboard: { writeText: async (text) => copied.push(text) },
+          },
+        },
+      });
+      await env.evaluate("shareResult()");
+      assert.strictEqual(copied.length, 0);
+    });
+
+    it("should download a PNG of the grid when images can't be copied", async function () {
+      const env = await finishGame();
+      const tiles = [];
+      const links = [];
+      const createElement = env.document.createElement;
+      env.document.createElement = (tag) => {
+        const element = createElement(tag);
+        if (tag === "canvas") {
+          element.getContext = () => ({
+            fillRect: (...args) => tiles.push(args),
+          });
+          element.toBlob = (callback) => callback(new Blob(["png"]));
+        }
+        if (tag === "a") element.click = () => links.push(element.download);
+        return element;
+      };
+
+      await env.evaluate("shareImage()");
+      assert.strictEqual(tiles.length, 1 + 2 * 5); // Background + tiles
+      assert.deepStrictEqual(links, [
+        `wordle-${env.evaluate("puzzleNumber")}.png`,
+      ]);
+    });
+  });
+
+  describe("Cloud sync", function () {
+    it("should queue a game finished offline and send it when back online", async function () {
+      const navigator = { onLine: false };
+      const env = await loadGame({ globals: { navigator } });
+      await playGuess(env, "CRANE");
+
+      const status = env.document.getElementById("syncStatus");
+      assert.strictEqual(status.textContent, "📴 Offline · 2 pending");
+      assert.strictEqual(
+        env.evaluate("repositories.profiles.db.gameHistory.length"),
+        0
+      );
+
+      navigator.onLine = true;
+      env.context.dispatchWindowEvent("online");
+      await flushPromises();
+      assert.strictEqual(
+        status.textContent,
+        "💾 Not saved - no cloud connection"
+      );
+      assert.strictEqual(
+        env.evaluate("repositories.profiles.db.gameHistory[0].id"),
+        `daily-5-1-${env.evaluate("puzzleNumber")}`
+      );
+      assert.strictEqual(env.localStorage.getItem("wordleOutbox"), null);
+    });
+
+    it("should only say synced when there's a cloud to sync with", async function () {
+      const env = await loadGame();
+      const status = env.document.getElementById("syncStatus");
+      assert.strictEqual(
+        status.textContent,
+        "💾 Not saved - no cloud connection"
+      );
+      assert.ok(status.classList.contains("local"));
+
+      env.evaluate('repositories.backend = "supabase"');
+      env.evaluate("renderSyncStatus(SYNC_STATUS.SYNCED, 0)");
+      assert.strictEqual(status.textContent, "☁️ Synced");
+    });
+
+    it("should reconcile with the cloud on load", async function () {
+      const env = await loadGame();
+      const today = env.evaluate("puzzleNumber");
+      const game = (puzzle) => ({
+        id: `daily-5-1-${puzzle}`,
+        mode: "daily",
+        puzzleNumber: puzzle,
+        wordLength: 5,
+        boardCount: 1,
+        isWon: true,
+        attempts: 4,
+        maxAttempts: 6,
+        hardMode: false,
+        targetWords: ["CRANE"],
+        finishedAt: Date.now() - (today - puzzle) * 86400000,
+      });
+      // Yesterday on another device; the day before offline on this one
+      await env.evaluate("(g) => repositories.stats.saveGames([g])")(
+        game(today - 1)
+      );
+      env.evaluate("(g) => statsLedger.append(g)")(game(today - 2));
+
+      await env.evaluate("loadStats()");
+      assert.strictEqual(env.evaluate("stats.gamesPlayed"), 2);
+      assert.strictEqual(env.evaluate("stats.currentStreak"), 2);
+
+      await env.evaluate("syncOutbox.flush()");
+      assert.deepStrictEqual(
+        JSON.parse(
+          env.evaluate(
+            "JSON.stringify(repositories.profiles.db.gameHistory.map((g) => g.id))"
+          )
+        ),
+        [`daily-5-1-${today - 1}`, `daily-5-1-${today - 2}`]
+      );
+      assert.strictEqual(
+        env.evaluate("repositories.profiles.db.playerStats[0].gamesPlayed"),
+        2
+      );
+    });
+
+    it("should send writes left over from an earlier visit", async function () {
+      const env = await loadGame({
+        localStorage: {
+          wordleOutbox: JSON.stringify([
+            {
+              id: "w1",
+              key: "stats:5",
+              type: "stats",
+              payload: {
+                stats: { gamesPlayed: 3, gamesWon: 2 },
+                wordLength: 5,
+              },
+              attempts: 1,
+              nextAttemptAt: 0,
+              lastError: "network",
+            },
+          ]),
+        },
+      });
+      assert.strictEqual(
+        env.evaluate("repositories.profiles.db.playerStats[0].gamesPlayed"),
+        3
+      );
+      assert.strictEqual(
+        env.document.getElementById("syncStatus").textContent,
+        "💾 Not saved - no cloud connection"
+      );
+    });
+  });
+
+  describe("Profiles", function () {
+    /**
+     * Sign in through the sign-in form, reading the in-memory "email"
+     */
+    async function signIn(env, email) {
+      const form = env.document.getElementById("signInForm");
+      env.document.getElementById("email").value = email;
+      form.dispatch("submit");
+      await flushPromises();
+
+      const codes = env.evaluate("repositories.profiles.db.signInCodes");
+      env.document.getElementById("signInCode").value = codes[email];
+      form.dispatch("submit");
+      await flushPromises();
+    }
+
+    it("should not hand one account's games to the next", async function () {
+      const env = await loadGame();
+      await signIn(env, "ada@example.com");
+      await env.evaluate('createProfile({ displayName: "Ada" })');
+      await playGuess(env, "CRANE");
+      const ada = env.evaluate("repositories.profiles.currentUserId()");
+      assert.ok(env.localStorage.getItem("wordleDailyResult"));
+      env.localStorage.setItem("wordleDailyResult_6_x2", "{}");
+
+      await env.evaluate("signOutPlayer()");
+      assert.strictEqual(storedStats(env).gamesPlayed, 0);
+      assert.strictEqual(env.evaluate("syncOutbox.pendingCount()"), 0);
+      // Today's puzzle is open again for whoever plays next
+      assert.strictEqual(env.localStorage.getItem("wordleDailyResult"), null);
+      assert.strictEqual(
+        env.localStorage.getItem("wordleDailyResult_6_x2"),
+        null
+      );
+      assert.strictEqual(env.localStorage.getItem("gameState"), null);
+      assert.strictEqual(env.evaluate("engine.gameOver"), false);
+      assert.strictEqual(env.evaluate("engine.guesses.length"), 0);
+
+      await signIn(env, "bob@example.com");
+      await env.evaluate('createProfile({ displayName: "Bob" })');
+      const bob = env.evaluate("repositories.profiles.currentUserId()");
+      assert.notStrictEqual(bob, ada);
+      const owners = env.evaluate(
+        "repositories.profiles.db.gameHistory.map((game) => game.userId)"
+      );
+      assert.deepStrictEqual([...owners], [ada]);
+      assert.strictEqual(env.evaluate("stats.gamesPlayed"), 0);
+    });
+
+    it("should claim a profile and rank it offline", async function () {
+      const env = await loadGame();
+      await playGuess(env, "CRANE");
+
+      await signIn(env, "ada@example.com");
+      const result = await env.evaluate(
+        'createProfile({ displayName: "Ada" })'
+      );
+      assert.strictEqual(result.ok, true);
+      assert.strictEqual(env.evaluate("repositories.backend"), "memory");
+
+      await env.evaluate("loadLeaderboard('streak')");
+      const board = textOf(env.document.getElementById("leaderboardContent"));
+      assert.ok(board.includes("Ada"));
+      assert.ok(board.includes("(You)"));
+    });
+
+    it("should rank today's games on the period tab", async function () {
+      const env = await loadGame();
+      await signIn(env, "ada@example.com");
+      await env.evaluate('createProfile({ displayName: "Ada" })');
+      await playGuess(env, "CRANE");
+      await env.evaluate("syncOutbox.flush()");
+
+      await env.evaluate("loadLeaderboard('today')");
+      const board = textOf(env.document.getElementById("leaderboardContent"));
+      assert.ok(board.includes("Avg Guesses"));
+      assert.ok(board.includes("Ada"));
+
+      // Not enough games for the all-time board yet
+      await env.evaluate("loadLeaderboard('all')");
+      assert.ok(
+        textOf(env.document.getElementById("leaderboardContent")).includes(
+          "Nobody has played 10 games yet"
+        )
+      );
+    });
+
+    it("should show the skill rating on the profile and its tab", async function () {
+      const env = await loadGame();
+      await signIn(env, "ada@example.com");
+      await env.evaluate('createProfile({ displayName: "Ada" })');
+      await playGuess(env, "CRANE");
+      await env.evaluate("syncOutbox.flush()");
+
+      await env.evaluate("showProfileViewModal()");
+      await flushPromises();
+      const rating = env.document.getElementById("viewSkillRating");
+      assert.ok(Number(rating.textContent) > 0);
+
+      await env.evaluate("loadLeaderboard('skill')");
+      const board = textOf(env.document.getElementById("leaderboardContent"));
+      assert.ok(board.includes("Skill"));
+      assert.ok(board.includes(rating.textContent));
+    });
+
+    it("should create a group and show its boards", async function () {
+      const env = await loadGame();
+      await env.evaluate(`(async () => {
+        const bob = createMemoryRepositories(repositories.profiles.db);
+        bob.profiles.session = { id: "auth_bob", email: "bob@example.com" };
+        await bob.profiles.createProfile({ displayName: "Bob" });
+        await bob.stats.saveStats({ ...DEFAULT_STATS, maxStreak: 4 }, 5);
+        globalThis.bob = bob;
+      })()`);
+      await signIn(env, "ada@example.com");
+      await env.evaluate('createProfile({ displayName: "Ada" })');
+      await playGuess(env, "CRANE");
+      await env.evaluate("syncOutbox.flush()");
+
+      env.document.getElementById("groupName").value = "Night Owls";
+      env.document.getElementById("createGroupForm").dispatch("submit");
+      await flushPromises();
+      const [team] = env.evaluate("playerGroups");
+      assert.strictEqual(team.name, "Night Owls");
+      const [item] = env.document.getElementById("viewGroups").children;
+      assert.ok(
+        textOf(item).includes(`Night Owls1 member · Code ${team.inviteCode}`)
+      );
+
+      // Bob joins from the invite code
+      await env.evaluate(`bob.groups.joinGroup("${team.inviteCode}")`);
+
+      await env.evaluate("showLeaderboard()");
+      const tab = env.document.getElementById("groupDayTab");
+      assert.strictEqual(
+        env.document.getElementById("leaderboardGroup").hidden,
+        false
+      );
+      assert.strictEqual(tab.hidden, true);
+
+      await env.evaluate(`switchLeaderboardGroup("${team.id}")`);
+      assert.strictEqual(tab.hidden, false);
+      await env.evaluate("switchLeaderboardTab('groupday')");
+      const board = textOf(env.document.getElementById("leaderboardContent"));
+      assert.ok(board.includes("1/6"));
+      assert.ok(board.includes("Not played yet"));
+      assert.ok(
+        env.document
+          .getElementById("leaderboardSubtitle")
+          .textContent.startsWith("Night Owls")
+      );
+
+      // Back to everyone: the group day tab goes away
+      await env.evaluate('switchLeaderboardGroup("")');
+      assert.strictEqual(tab.hidden, true);
+      assert.strictEqual(env.evaluate("currentLeaderboardTab"), "today");
+    });
+
+    it("should show group names as text", async function () {
+      const env = await loadGame();
+      await signIn(env, "ada@example.com");
+      await env.evaluate('createProfile({ displayName: "Ada" })');
+      // As if created straight through the backend, skipping validation
+      await env.evaluate('repositories.groups.createGroup("Team")');
+      const markup = "<img src=x onerror=alert(1)>";
+      env.evaluate(`repositories.profiles.db.groups[0].name = "${markup}"`);
+
+      await env.evaluate("renderProfileGroups()");
+      const [item] = env.document.getElementById("viewGroups").children;
+      assert.strictEqual(item.innerHTML, "");
+      assert.ok(textOf(item).startsWith(markup));
+
+      await env.evaluate("renderLeaderboardGroups()");
+      const options = env.document.getElementById("leaderboardGroup").children;
+      assert.strictEqual(options[1].textContent, `👥 ${markup}`);
+    });
+
+    it("should show player names and avatars as text", async function () {
+      const env = await loadGame();
+      await signIn(env, "ada@example.com");
+      await env.evaluate('createProfile({ displayName: "Ada" })');
+      await env.evaluate("repositories.stats.saveStats(DEFAULT_STATS, 5)");
+      // As if saved straight through the backend, skipping validation
+      const markup = "<img src=x onerror=alert(1)>";
+      env.evaluate(`Object.assign(repositories.profiles.db.findUser(
+        repositories.profiles.currentUserId()
+      ), {
+        displayName: "${markup}",
+        avatarUrl: 'https://example.com/a.png" onerror="alert(1)',
+      })`);
+
+      await env.evaluate("loadLeaderboard('streak')");
+      const content = env.document.getElementById("leaderboardContent");
+      assert.strictEqual(content.innerHTML, "");
+      assert.ok(textOf(content).includes(`${markup} (You)`));
+      const avatar = env.evaluate(
+        'document.getElementById("leaderboardYou").children[1].children[0].children[0]'
+      );
+      assert.strictEqual(avatar.alt, markup);
+      assert.strictEqual(
+        avatar.src,
+        'https://example.com/a.png" onerror="alert(1)'
+      );
+
+      // The group's day board shares the rows
+      await env.evaluate('repositories.groups.createGroup("Team")');
+      await env.evaluate("renderLeaderboardGroups()");
+      await env.evaluate(
+        "switchLeaderboardGroup(repositories.profiles.db.groups[0].id)"
+      );
+      await env.evaluate("switchLeaderboardTab('groupday')");
+      assert.strictEqual(content.innerHTML, "");
+      assert.ok(textOf(content).includes(markup));
+    });
+
+    it("should update the open leaderboard live", async function () {
+      const env = await loadGame();
+      await env.evaluate(`(async () => {
+        const bob = createMemoryRepositories(repositories.profiles.db);
+        bob.profiles.session = { id: "auth_bob", email: "bob@example.com" };
+        await bob.profiles.createProfile({ displayName: "Bob" });
+        await bob.stats.saveStats({ ...DEFAULT_STATS, maxStreak: 1 }, 5);
+        globalThis.bob = bob;
+      })()`);
+      await signIn(env, "ada@example.com");
+      await env.evaluate('createProfile({ displayName: "Ada" })');
+      await env.evaluate(
+        "repositories.stats.saveStats({ ...DEFAULT_STATS, maxStreak: 3 }, 5)"
+      );
+      const team = (
+        await env.evaluate('repositories.groups.createGroup("Team")')
+      ).data;
+      await env.evaluate(`bob.groups.joinGroup("${team.inviteCode}")`);
+
+      await env.evaluate("showLeaderboard()");
+      const content = env.document.getElementById("leaderboardContent");
+      assert.ok(
+        textOf(content).indexOf("Ada") < textOf(content).indexOf("Bob")
+      );
+
+      // Bob finishes today's puzzle and takes the lead
+      await env.evaluate(`(async () => {
+        const puzzleNumber = getTodayPuzzleNumber();
+        await bob.stats.saveGames([{
+          id: "daily-5-1-" + puzzleNumber, mode: "daily", puzzleNumber,
+          wordLength: 5, boardCount: 1, isWon: true, attempts: 3,
+          maxAttempts: 6, hardMode: false, targetWords: ["CRANE"],
+          finishedAt: Date.now(),
+        }]);
+        await bob.stats.saveStats({ ...DEFAULT_STATS, maxStreak: 8 }, 5);
+      })()`);
+      env.clock.tick(env.evaluate("LEADERBOARD_LIVE.REFRESH_DELAY"));
+      await flushPromises();
+
+      assert.ok(
+        textOf(content).indexOf("Bob") < textOf(content).indexOf("Ada")
+      );
+      assert.ok(classesOf(content).includes("rank-up"));
+      const feed = env.document.getElementById("leaderboardFeed");
+      assert.deepStrictEqual(
+        feed.children.map((item) => item.textContent),
+        ["👥 Bob solved today's puzzle in 3"]
+      );
+
+      env.evaluate("closeLeaderboardModal()");
+      assert.strictEqual(
+        env.evaluate("repositories.profiles.db.listeners.length"),
+        0
+      );
+      assert.strictEqual(feed.children.length, 0);
+    });
+
+    it("should not follow a leaderboard closed while it loads", async function () {
+      const env = await loadGame();
+      await signIn(env, "ada@example.com");
+      await env.evaluate('createProfile({ displayName: "Ada" })');
+
+      for (let i = 0; i < 2; i++) {
+        const opening = env.evaluate("showLeaderboard()");
+        env.evaluate("closeLeaderboardModal()");
+        await opening;
+        await flushPromises();
+      }
+
+      assert.strictEqual(env.evaluate("leaderboardWatch"), null);
+      assert.strictEqual(
+        env.evaluate("repositories.profiles.db.listeners.length"),
+        0
+      );
+    });
+
+    it("should show names in the live feed as text", async function () {
+      const env = await loadGame();
+      env.evaluate(`addFeedItem("<img src=x onerror=alert(1)> solved it")`);
+
+      const [item] = env.document.getElementById("leaderboardFeed").children;
+      assert.strictEqual(
+        item.textContent,
+        "👥 <img src=x onerror=alert(1)> solved it"
+      );
+      assert.strictEqual(item.innerHTML, "");
+    });
+
+    it("should poll when live updates aren't available", async function () {
+      const env = await loadGame();
+      env.evaluate(`repositories.leaderboard.watch = async () =>
+        failResult(REPOSITORY_ERRORS.NETWORK, "Realtime unavailable")`);
+      await signIn(env, "ada@example.com");
+      await env.evaluate('createProfile({ displayName: "Ada" })');
+      await env.evaluate("repositories.stats.saveStats(DEFAULT_STATS, 5)");
+
+      await env.evaluate("showLeaderboard()");
+      const content = env.document.getElementById("leaderboardContent");
+      assert.ok(!textOf(content).includes("Bob"));
+
+      await env.evaluate(`(async () => {
+        const bob = createMemoryRepositories(repositories.profiles.db);
+        bob.profiles.session = { id: "auth_bob", email: "bob@example.com" };
+        await bob.profiles.createProfile({ displayName: "Bob" });
+        await bob.stats.saveStats(DEFAULT_STATS, 5);
+      })()`);
+      env.clock.tick(env.evaluate("LEADERBOARD_LIVE.POLL_INTERVAL"));
+      await flushPromises();
+      assert.ok(classesOf(content).includes("rank-new"));
+
+      env.evaluate("closeLeaderboardModal()");
+      assert.strictEqual(env.evaluate("leaderboardPollTimer"), null);
+    });
+
+    it("should page the leaderboard and jump to the player", async function () {
+      const env = await loadGame();
+      await env.evaluate(`(async () => {
+        for (let i = 0; i < 30; i++) {
+          const other = createMemoryRepositories(repositories.profiles.db);
+          other.profiles.session = { id: "auth_p" + i, email: i + "@example.com" };
+          await other.profiles.createProfile({ displayName: "Player" + i });
+          await other.stats.saveStats({ ...DEFAULT_STATS, maxStreak: 50 - i }, 5);
+        }
+      })()`);
+      await signIn(env, "ada@example.com");
+      await env.evaluate('createProfile({ displayName: "Ada" })');
+      await playGuess(env, "CRANE"); // Streak of 1: last on the board
+
+      await env.evaluate("loadLeaderboard('streak')");
+      await flushPromises();
+      const content = env.document.getElementById("leaderboardContent");
+      assert.ok(textOf(content).includes("Load more"));
+      assert.ok(!textOf(content).includes("(You)"));
+      assert.ok(
+        env.document
+          .getElementById("leaderboardMyRank")
+          .innerHTML.includes("#31")
+      );
+
+      await env.evaluate("jumpToMyRank()");
+      assert.ok(textOf(content).includes("(You)"));
+      assert.ok(textOf(content).includes("Back to top"));
+      assert.ok(!textOf(content).includes("Player0"));
+
+      await env.evaluate("loadLeaderboard()");
+      await env.evaluate("loadMoreLeaderboard()");
+      assert.strictEqual(env.evaluate("leaderboardRows.length"), 31);
+    });
+
+    it("should show why a profile couldn't be created", async function () {
+      const env = await loadGame();
+      await signIn(env, "a@example.com");
+      await env.evaluate(
+        'repositories.profiles.createProfile({ displayName: "Ada" })'
+      );
+      // A second player on the same backend wants the same name
+      await env.evaluate("repositories.profiles.signOut()");
+      await signIn(env, "b@example.com");
+      const result = await env.evaluate(
+        'createProfile({ displayName: "Ada" })'
+      );
+      assert.strictEqual(result.error.code, "conflict");
+      assert.strictEqual(
+        env.evaluate("repositoryErrorMessage")(result.error),
+        "That name or email is already taken"
+      );
+    });
+
+    it("should show an edit at once and undo it if rejected", async function () {
+      const env = await loadGame();
+      await signIn(env, "b@example.com");
+      await env.evaluate('createProfile({ displayName: "Bob" })');
+      await env.evaluate("repositories.profiles.signOut()");
+      await signIn(env, "a@example.com");
+      await env.evaluate('createProfile({ displayName: "Ada" })');
+      await env.evaluate("showProfileViewModal()");
+      const name = env.document.getElementById("viewDisplayName");
+
+      const saving = env.evaluate("saveProfileEdit")({ displayName: "Ace" });
+      assert.strictEqual(name.textContent, "Ace"); // Before the backend answers
+      assert.strictEqual((await saving).ok, true);
+      assert.strictEqual(name.textContent, "Ace");
+
+      const taken = await env.evaluate("saveProfileEdit")({
+        displayName: "Bob",
+      });
+      assert.strictEqual(taken.error.code, "conflict");
+      assert.strictEqual(name.textContent, "Ace");
+    });
+  });
+
+  describe("Dictionary", function () {
+    it("should preload the guess list for the chosen length", async function () {
+      const env = await loadGame();
+      assert.strictEqual(
+        env.evaluate('dictionaryService.checkSync("CRANE")'),
+        true
+      );
+
+      env.evaluate("switchWordLength(7)");
+      await flushPromises();
+      assert.strictEqual(
+        env.evaluate('dictionaryService.checkSync("BALANCE")'),
+        true
+      );
+    });
+
+    it("should accept valid words that are not answers", async function () {
+      const env = await loadGame();
+      await playGuess(env, "ZYMIC");
+      assert.strictEqual(env.evaluate("engine.currentRow"), 1);
+    });
+  });
+});
@@ -0,0 +1,354 @@
+// Browser stand-in for running the game's plain <script> files under mocha.
+// Each script is evaluated in a shared vm context (like tags on one page),
+// with in-memory storage, a minimal DOM, a stubbable fetch and a manual clock.
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ROOT = path.join(__dirname, "..", "..");
+
+/**
+ * In-memory Storage (localStorage / sessionStorage)
+ */
+function createStorage(initial = {}) {
+  const data = new Map(Object.entries(initial));
+  return {
+    getItem: (key) => (data.has(String(key)) ? data.get(String(key)) : null),
+    setItem: (key, value) => data.set(String(key), String(value)),
+    removeItem: (key) => data.delete(String(key)),
+    clear: () => data.clear(),
+    key: (index) => Array.from(data.keys())[index] || null,
+    get length() {
+      return data.size;
+    },
+  };
+}
+
+/**
+ * Minimal element: enough surface for the game's DOM calls
+ */
+function createElement(doc, tagName = "div") {
+  const listeners = {};
+  const element = {
+    tagName: tagName.toUpperCase(),
+    id: "",
+    className: "",
+    value: "",
+    checked: false,
+    disabled: false,
+    hidden: false,
+    style: {},
+    dataset: {},
+    attributes: {},
+    children: [],
+    onclick: null,
+    classList: {
+      add: (...names) => names.forEach((n) => toggleClass(element, n, true)),
+      remove: (...names) =>
+        names.forEach((n) => toggleClass(element, n, false)),
+      toggle: (name, force) =>
+        toggleClass(
+          element,
+          name,
+          force === undefined ? !hasClass(element, name) : force
+        ),
+      contains: (name) => hasClass(element, name),
+    },
+    appendChild(child) {
+      element.children.push(child);
+      doc.register(child);
+      return child;
+    },
+    removeChild(child) {
+      const index = element.children.indexOf(child);
+      if (index !== -1) element.children.splice(index, 1);
+      return child;
+    },
+    setAttribute(name, value) {
+      element.attributes[name] = String(value);
+    },
+    getAttribute(name) {
+      return name in element.attributes ? element.attributes[name] : null;
+    },
+    addEventListener(type, handler) {
+      (listeners[type] = listeners[type] || []).push(handler);
+    },
+    removeEventListener(type, handler) {
+      listeners[type] = (listeners[type] || []).filter((h) => h !== handler);
+    },
+    dispatch(type, event = {}) {
+      (listeners[type] || []).forEach((h) =>
+        h({ target: element, preventDefault() {}, ...event })
+      );
+    },
+    querySelector: () => createElement(doc),
+    querySelectorAll: () => [],
+    reset() {},
+    focus() {},
+    select() {},
+  };
+
+  // Like the real DOM, textContent is always stored as a string
+  let text = "";
+  Object.defineProperty(element, "textContent", {
+    get: () => text,
+    set: (value) => (text = String(value)),
+  });
+
+  // Assigning markup replaces the element's children (they are not parsed)
+  let html = "";
+  Object.defineProperty(element, "innerHTML", {
+    get: () => html,
+    set: (value) => {
+      html = String(value);
+      element.children.length = 0;
+    },
+  });
+  return element;
+}
+
+function hasClass(element, name) {
+  return element.className.split(/\s+/).includes(name);
+}
+
+function toggleClass(element, name, on) {
+  const names = element.className.split(/\s+/).filter(Boolean);
+  const without = names.filter((n) => n !== name);
+  element.className = (on ? [...without, name] : without).join(" ");
+  return on;
+}
+
+/**
+ * Minimal document: getElementById auto-creates unknown ids so top-level
+ * wiring (e.g. form listeners) works without the real index.html
+ */
+function createDocument() {
+  const byId = new Map();
+  const listeners = {};
+  const doc = {
+    hidden: false,
+    register(element) {
+      if (element.id) byId.set(element.id, element);
+      element.children.forEach((child) => doc.register(child));
+    },
+    getElementById(id) {
+      if (!byId.has(id)) {
+        const element = createElement(doc);
+        element.id = id;
+        byId.set(id, element);
+      }
+      return byId.get(id);
+    },
+    createElement: (tagName) => createElement(doc, tagName),
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    addEventListener(type, handler) {
+      (listeners[type] = listeners[type] || []).push(handler);
+    },
+    removeEventListener(type, handler) {
+      listeners[type] = (listeners[type] || []).filter((h) => h !== handler);
+    },
+    dispatch(type, event = {}) {
+      (listeners[type] || []).forEach((h) =>
+        h({ target: { tagName: "BODY" }, preventDefault() {}, ...event })
+      );
+    },
+  };
+  doc.body = createElement(doc, "body");
+  return doc;
+}
+
+/**
+ * Manual clock: timers only fire when the test advances time
+ */
+function createClock() {
+  let now = 0;
+  let nextId = 1;
+  let timers = [];
+
+  const clock = {
+    setTimeout(fn, delay = 0, ...args) {
+      const id = nextId++;
+      timers.push({ id, at: now + delay, fn: () => fn(...args) });
+      return id;
+    },
+    clearTimeout(id) {
+      timers = timers.filter((t) => t.id !== id);
+    },
+    setInterval(fn, delay = 0) {
+      const id = nextId++;
+      const schedule = () =>
+        timers.push({
+          id,
+          at: now + delay,
+          fn: () => {
+            schedule();
+            fn();
+          },
+        });
+      schedule();
+      return id;
+    },
+    clearInterval(id) {
+      clock.clearTimeout(id);
+    },
+    /**
+     * Advance time, running due timers in order
+     */
+    tick(ms) {
+      const target = now + ms;
+      for (;;) {
+        const due = timers
+          .filter((t) => t.at <= target)
+          .sort((a, b) => a.at - b.at || a.id - b.id)[0];
+        if (!due) break;
+        timers = timers.filter((t) => t !== due);
+        now = due.at;
+        due.fn();
+      }
+      now = target;
+    },
+    get pending() {
+      return timers.length;
+    },
+    get now() {
+      return now;
+    },
+  };
+  return clock;
+}
+
+const silentConsole = {
+  log() {},
+  info() {},
+  warn() {},
+  error() {},
+  debug() {},
+};
+
+/**
+ * Load browser scripts (paths relative to the repo root) into one context.
+ *
+ * Options:
+ * - fetch: stub for window.fetch (defaults to a rejecting stub)
+ * - localStorage: initial key/value pairs
+ * - sharedStorage: a storage object shared with other pages (another tab)
+ * - globals: extra globals defined before the scripts run
+ * - console: defaults to a silent console
+ */
+function loadScripts(files, options = {}) {
+  const clock = createClock();
+  const document = createDocument();
+  const localStorage =
+    options.sharedStorage || createStorage(options.localStorage);
+  const sessionStorage = createStorage(options.sessionStorage);
+  const windowListeners = {};
+
+  const context = {
+    console: options.console || silentConsole,
+    document,
+    localStorage,
+    sessionStorage,
+    fetch:
+      options.fetch ||
+      (() => Promise.reject(new Error("fetch not stubbed in test"))),
+    setTimeout: clock.setTimeout,
+    clearTimeout: clock.clearTimeout,
+    setInterval: clock.setInterval,
+    clearInterval: clock.clearInterval,
+    AbortController,
+    Blob,
+    URL,
+    confirm: () => true,
+    navigator: { onLine: true },
+    addEventListener(type, handler) {
+      (windowListeners[type] = windowListeners[type] || []).push(handler);
+    },
+    removeEventListener(type, handler) {
+      windowListeners[type] = (windowListeners[type] || []).filter(
+        (h) => h !== handler
+      );
+    },
+    dispatchWindowEvent(type, event = {}) {
+      (windowListeners[type] || []).forEach((h) => h({ type, ...event }));
+    },
+    ...options.globals,
+  };
+  context.window = context;
+  context.globalThis = context;
+  vm.createContext(context);
+
+  files.forEach((file) => {
+    const filename = path.join(ROOT, file);
+    vm.runInContext(fs.readFileSync(filename, "utf8"), context, { filename });
+  });
+
+  return {
+    context,
+    document,
+    localStorage,
+    sessionStorage,
+    clock,
+    /**
+     * Evaluate an expression in the page scope (reaches top-level let/const)
+     */
+    evaluate: (code) => vm.runInContext(code, context),
+  };
+}
+
+/**
+ * fetch stub serving repo files by relative URL (e.g. the bundled dictionary)
+ */
+function fileFetch(url) {
+  const filename = path.join(ROOT, String(url));
+  if (!fs.existsSync(filename)) {
+    return Promise.resolve({ ok: false, status: 404, text: async () => "" });
+  }
+  return Promise.resolve({
+    ok: true,
+    status: 200,
+    text: async () => fs.readFileSync(filename, "utf8"),
+  });
+}
+
+/**
+ * BroadcastChannel stand-in: channels created from the same class talk to
+ * each other (like tabs of one origin). Delivery is synchronous.
+ */
+function createBroadcastChannelClass() {
+  const channels = [];
+  return class FakeBroadcastChannel {
+    constructor(name) {
+      this.name = name;
+      this.onmessage = null;
+      channels.push(this);
+    }
+
+    postMessage(data) {
+      channels
+        .filter((c) => c !== this && c.name === this.name && c.onmessage)
+        .forEach((c) =>
+          c.onmessage({ data: JSON.parse(JSON.stringify(data)) })
+        );
+    }
+
+    close() {
+      channels.splice(channels.indexOf(this), 1);
+    }
+  };
+}
+
+/**
+ * Let pending promise callbacks run
+ */
+function flushPromises() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+module.exports = {
+  loadScripts,
+  fileFetch,
+  flushPromises,
+  createStorage,
+  createBroadcastChannelClass,
+};
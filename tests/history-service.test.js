@@ -0,0 +1,118 @@
+// GameHistoryStore: IndexedDB-backed history of finished games
+const assert = require("assert");
+const { IDBFactory, IDBKeyRange } = require("fake-indexeddb");
+const { loadScripts } = require("./helpers/browser-env");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function game(overrides = {}) {
+  return {
+    finishedAt: 10 * DAY,
+    durationMs: 60000,
+    mode: "daily",
+    puzzleNumber: 1,
+    wordLength: 5,
+    boardCount: 1,
+    targetWords: ["CRANE"],
+    guesses: ["SLATE", "CRANE"],
+    patterns: [],
+    isWon: true,
+    attempts: 2,
+    maxAttempts: 6,
+    hardMode: false,
+    ...overrides,
+  };
+}
+
+function loadHistory(indexedDB = new IDBFactory()) {
+  const env = loadScripts(["history-service.js"], {
+    globals: { indexedDB, IDBKeyRange },
+  });
+  return env.evaluate("gameHistory");
+}
+
+describe("GameHistoryStore", function () {
+  it("should list saved games newest first", async function () {
+    const history = loadHistory();
+    await history.addGame(game({ finishedAt: 1 * DAY, guesses: ["OLDER"] }));
+    await history.addGame(game({ finishedAt: 3 * DAY, guesses: ["NEWER"] }));
+
+    const games = await history.getGames();
+    assert.deepStrictEqual(
+      games.map((g) => [...g.guesses][0]),
+      ["NEWER", "OLDER"]
+    );
+    assert.ok(games.every((g) => typeof g.id === "number"));
+  });
+
+  it("should filter by result", async function () {
+    const history = loadHistory();
+    await history.addGame(game({ isWon: true }));
+    await history.addGame(game({ isWon: false, attempts: 6 }));
+
+    assert.strictEqual((await history.getGames({ result: "won" })).length, 1);
+    const lost = await history.getGames({ result: "lost" });
+    assert.strictEqual(lost.length, 1);
+    assert.strictEqual(lost[0].isWon, false);
+  });
+
+  it("should filter by date", async function () {
+    const history = loadHistory();
+    await history.addGame(game({ finishedAt: 1 * DAY }));
+    await history.addGame(game({ finishedAt: 5 * DAY }));
+    await history.addGame(game({ finishedAt: 9 * DAY, isWon: false }));
+
+    const recent = await history.getGames({ since: 5 * DAY });
+    assert.deepStrictEqual(
+      recent.map((g) => g.finishedAt),
+      [9 * DAY, 5 * DAY]
+    );
+    const recentWins = await history.getGames({
+      result: "won",
+      since: 5 * DAY,
+    });
+    assert.strictEqual(recentWins.length, 1);
+  });
+
+  it("should keep games across page loads", async function () {
+    const indexedDB = new IDBFactory();
+    await loadHistory(indexedDB).addGame(game());
+
+    const games = await loadHistory(indexedDB).getGames();
+    assert.strictEqual(games.length, 1);
+    assert.deepStrictEqual([...games[0].targetWords], ["CRANE"]);
+  });
+
+  it("should clear all games", async function () {
+    const history = loadHistory();
+    await history.addGame(game());
+    assert.strictEqual(await history.clear(), true);
+    assert.strictEqual((await history.getGames()).length, 0);
+  });
+
+  it("should fall back to memory without IndexedDB", async function () {
+    const history = loadScripts(["history-service.js"]).evaluate("gameHistory");
+    await history.addGame(game({ finishedAt: 1 * DAY }));
+    await history.addGame(game({ finishedAt: 2 * DAY, isWon: false }));
+
+    assert.strictEqual((await history.getGames()).length, 2);
+    assert.strictEqual((await history.getGames({ result: "lost" })).length, 1);
+    assert.strictEqual((await history.getGames({ since: 2 * DAY })).length, 1);
+  });
+
+  it("should fall back to memory when the database can't open", async function () {
+    const broken = {
+      open() {
+        const request = {};
+        setImmediate(() => {
+          request.error = new Error("blocked");
+          request.onerror();
+        });
+        return request;
+      },
+    };
+    const history = loadHistory(broken);
+    assert.strictEqual(typeof (await history.addGame(game())), "number");
+    assert.strictEqual((await history.getGames()).length, 1);
+  });
+});
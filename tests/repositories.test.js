@@ -0,0 +1,986 @@
+// Data repositories: in-memory backend, Supabase error mapping, selection
+const assert = require("assert");
+const { loadScripts } = require("./helpers/browser-env");
+
+function loadRepositories() {
+  return loadScripts([
+    "game-engine.js",
+    "repositories.js",
+    "supabase-service.js",
+  ]);
+}
+
+/**
+ * Minimal Supabase client: every query resolves to `response` (or rejects
+ * with it when it's an Error); `calls` records the builder methods used
+ */
+function fakeClient(response) {
+  const calls = [];
+  const query = new Proxy(
+    {},
+    {
+      get(_, method) {
+        if (method === "then") {
+          return (resolve, reject) =>
+            response instanceof Error ? reject(response) : resolve(response);
+        }
+        return (...args) => {
+          calls.push([method, ...args]);
+          return query;
+        };
+      },
+    }
+  );
+  const auth = {
+    session: null,
+    getSession: async () => ({ data: { session: auth.session }, error: null }),
+    signInWithOtp: async (options) => {
+      calls.push(["signInWithOtp", options]);
+      return { data: {}, error: null };
+    },
+    verifyOtp: async ({ email }) => {
+      auth.session = { user: { id: "auth-1", email } };
+      return { data: auth.session, error: null };
+    },
+    updateUser: async (attributes) => {
+      calls.push(["updateUser", attributes]);
+      return { data: {}, error: null };
+    },
+    signOut: async () => ((auth.session = null), { error: null }),
+  };
+  return {
+    calls,
+    auth,
+    from: (table) => (calls.push(["from", table]), query),
+    rpc: (name, args) => (calls.push(["rpc", name, args]), query),
+  };
+}
+
+/**
+ * Sign in through the in-memory "email": send a code, then read it back
+ */
+async function signIn(profiles, email) {
+  await profiles.sendSignInCode(email);
+  return profiles.verifySignInCode(email, profiles.db.signInCodes[email]);
+}
+
+function game(id, overrides = {}) {
+  return {
+    id,
+    mode: "daily",
+    puzzleNumber: 1,
+    wordLength: 5,
+    boardCount: 1,
+    isWon: true,
+    attempts: 3,
+    maxAttempts: 6,
+    hardMode: false,
+    targetWords: ["CRANE"],
+    finishedAt: 1000,
+    ...overrides,
+  };
+}
+
+const STATS = {
+  gamesPlayed: 4,
+  gamesWon: 3,
+  currentStreak: 2,
+  maxStreak: 3,
+  guessDistribution: { 3: 3 },
+};
+
+describe("Repositories", function () {
+  describe("In memory", function () {
+    let env;
+    let repos;
+
+    beforeEach(function () {
+      env = loadRepositories();
+      repos = env.evaluate("createMemoryRepositories()");
+    });
+
+    /**
+     * Another player with a profile and stats in the same database
+     */
+    async function addPlayer(name, stats) {
+      const other = env.evaluate("(db) => createMemoryRepositories(db)")(
+        repos.profiles.db
+      );
+      await signIn(other.profiles, `${name}@example.com`);
+      await other.profiles.createProfile({ displayName: name });
+      await other.stats.saveStats({ ...STATS, ...stats }, 5);
+      return other;
+    }
+
+    it("should start anonymous and claim a profile", async function () {
+      assert.strictEqual(repos.profiles.currentUserId(), null);
+      assert.strictEqual((await repos.profiles.getProfile()).data, null);
+
+      await signIn(repos.profiles, "ada@example.com");
+      const created = await repos.profiles.createProfile({
+        displayName: "Ada",
+        avatarUrl: "🦊",
+      });
+      assert.strictEqual(created.ok, true);
+      assert.strictEqual(created.data.displayName, "Ada");
+      assert.strictEqual(created.data.email, "ada@example.com");
+      assert.ok(repos.profiles.currentUserId());
+
+      await repos.profiles.deleteProfile();
+      assert.strictEqual((await repos.profiles.getProfile()).data, null);
+    });
+
+    it("should report a taken name as a conflict", async function () {
+      await addPlayer("Ada", {});
+      await signIn(repos.profiles, "other@example.com");
+      const result = await repos.profiles.createProfile({ displayName: "Ada" });
+      assert.strictEqual(result.ok, false);
+      assert.strictEqual(result.error.code, "conflict");
+      assert.strictEqual(result.error.name, "RepositoryError");
+    });
+
+    it("should reject a profile without a name", async function () {
+      await signIn(repos.profiles, "ada@example.com");
+      const result = await repos.profiles.createProfile({ displayName: "" });
+      assert.strictEqual(result.error.code, "invalid");
+    });
+
+    it("should only create a profile once signed in", async function () {
+      const result = await repos.profiles.createProfile({ displayName: "Ada" });
+      assert.strictEqual(result.error.code, "unauthenticated");
+    });
+
+    it("should reject a wrong sign-in code", async function () {
+      await repos.profiles.sendSignInCode("ada@example.com");
+      const result = await repos.profiles.verifySignInCode(
+        "ada@example.com",
+        "000000"
+      );
+      assert.strictEqual(result.error.code, "invalid");
+      assert.strictEqual((await repos.profiles.getAuthUser()).data, null);
+      assert.strictEqual(
+        (await repos.profiles.sendSignInCode("not an email")).error.code,
+        "invalid"
+      );
+    });
+
+    it("should link the guest and recover it on another device", async function () {
+      await repos.stats.saveGames([game("a")]);
+      const guestId = repos.profiles.currentUserId();
+      const linked = await signIn(repos.profiles, "ada@example.com");
+      assert.strictEqual(linked.data.userId, guestId);
+      assert.strictEqual(linked.data.recovered, false);
+      await repos.profiles.createProfile({ displayName: "Ada" });
+
+      // Second device: a new guest until the same email signs in
+      const other = env.evaluate("(db) => createMemoryRepositories(db)")(
+        repos.profiles.db
+      );
+      await other.stats.saveGames([game("b")]);
+      const recovered = await signIn(other.profiles, "ada@example.com");
+      assert.strictEqual(recovered.data.userId, guestId);
+      assert.strictEqual(recovered.data.recovered, true);
+      assert.strictEqual(
+        (await other.profiles.getProfile()).data.displayName,
+        "Ada"
+      );
+      assert.deepStrictEqual(
+        [...(await other.stats.loadGames(5)).data.map((entry) => entry.id)],
+        ["a"]
+      );
+    });
+
+    it("should not link a player someone else owns", async function () {
+      await signIn(repos.profiles, "ada@example.com");
+      await repos.profiles.createProfile({ displayName: "Ada" });
+      const adaId = repos.profiles.currentUserId();
+
+      // Another device copies Ada's id into its storage
+      const other = env.evaluate("(db) => createMemoryRepositories(db)")(
+        repos.profiles.db
+      );
+      other.profiles.userId = adaId;
+      const linked = await signIn(other.profiles, "eve@example.com");
+      assert.notStrictEqual(linked.data.userId, adaId);
+      assert.strictEqual(linked.data.recovered, false);
+      assert.strictEqual(
+        (await repos.profiles.getProfile()).data.displayName,
+        "Ada"
+      );
+      assert.strictEqual((await other.profiles.getProfile()).data, null);
+    });
+
+    it("should become a new guest after signing out", async function () {
+      await signIn(repos.profiles, "ada@example.com");
+      await repos.profiles.createProfile({ displayName: "Ada" });
+      await repos.profiles.signOut();
+
+      assert.strictEqual(repos.profiles.currentUserId(), null);
+      assert.strictEqual((await repos.profiles.getProfile()).data, null);
+      assert.strictEqual((await repos.profiles.getAuthUser()).data, null);
+    });
+
+    it("should edit a profile in place", async function () {
+      await signIn(repos.profiles, "ada@example.com");
+      await repos.profiles.createProfile({
+        displayName: "Ada",
+        avatarUrl: "🦊",
+      });
+      const userId = repos.profiles.currentUserId();
+
+      const updated = await repos.profiles.updateProfile({
+        displayName: "Ada L",
+        avatarUrl: "https://example.com/ada.png",
+        email: "lovelace@example.com",
+      });
+      assert.deepStrictEqual(JSON.parse(JSON.stringify(updated.data)), {
+        displayName: "Ada L",
+        email: "lovelace@example.com",
+        avatarUrl: "https://example.com/ada.png",
+      });
+      assert.strictEqual(repos.profiles.currentUserId(), userId);
+
+      // The new email signs in to the same player
+      const other = env.evaluate("(db) => createMemoryRepositories(db)")(
+        repos.profiles.db
+      );
+      const linked = await signIn(other.profiles, "lovelace@example.com");
+      assert.strictEqual(linked.data.userId, userId);
+    });
+
+    it("should keep names and emails unique when editing", async function () {
+      await addPlayer("Bob", {});
+      await signIn(repos.profiles, "ada@example.com");
+      await repos.profiles.createProfile({ displayName: "Ada" });
+
+      const name = await repos.profiles.updateProfile({ displayName: "Bob" });
+      assert.strictEqual(name.error.code, "conflict");
+      const sameName = await repos.profiles.updateProfile({
+        displayName: " bOB ",
+      });
+      assert.strictEqual(sameName.error.code, "conflict");
+      const email = await repos.profiles.updateProfile({
+        email: "Bob@example.com",
+      });
+      assert.strictEqual(email.error.code, "conflict");
+      assert.strictEqual(
+        (await repos.profiles.getProfile()).data.displayName,
+        "Ada"
+      );
+    });
+
+    it("should only edit a claimed profile", async function () {
+      const result = await repos.profiles.updateProfile({ displayName: "Ada" });
+      assert.strictEqual(result.error.code, "unauthenticated");
+
+      await signIn(repos.profiles, "ada@example.com");
+      const unclaimed = await repos.profiles.updateProfile({
+        displayName: "Ada",
+      });
+      assert.strictEqual(unclaimed.error.code, "not_found");
+    });
+
+    it("should rank a period by wins, then average guesses", async function () {
+      const ada = await addPlayer("Ada", {});
+      const bob = await addPlayer("Bob", {});
+      const cy = await addPlayer("Cyd", {});
+      await ada.stats.saveGames([
+        game("a1", { puzzleNumber: 9, attempts: 2 }), // Before the period
+        game("a2", { puzzleNumber: 10, attempts: 4 }),
+        game("a3", { puzzleNumber: 11, attempts: 5 }),
+      ]);
+      await bob.stats.saveGames([
+        game("b1", { puzzleNumber: 10, attempts: 3 }),
+        game("b2", { puzzleNumber: 11, attempts: 3 }),
+        game("b3", { puzzleNumber: 12, isWon: false, attempts: 6 }),
+      ]);
+      await cy.stats.saveGames([game("c1", { puzzleNumber: 12 })]);
+      await repos.stats.saveGames([game("x", { puzzleNumber: 12 })]); // Guest
+
+      const week = await repos.leaderboard.getLeaderboard({
+        sortBy: "period",
+        sincePuzzle: 10,
+        minGames: 2,
+      });
+      const [first, second] = week.data.rows;
+      assert.strictEqual(week.data.rows.length, 2);
+      assert.strictEqual(first.userId, bob.profiles.currentUserId());
+      assert.strictEqual(first.gamesPlayed, 3);
+      assert.strictEqual(first.avgGuesses, 3);
+      assert.strictEqual(second.userId, ada.profiles.currentUserId());
+      assert.strictEqual(second.avgGuesses, 4.5);
+      assert.strictEqual(second.winRate, 100);
+
+      const ever = await repos.leaderboard.getLeaderboard({
+        sortBy: "period",
+        minGames: 1,
+      });
+      assert.deepStrictEqual(
+        [...ever.data.rows.map((leader) => leader.displayName)],
+        ["Ada", "Bob", "Cyd"]
+      );
+    });
+
+    it("should store each game id once per player", async function () {
+      await repos.stats.saveGames([game("a"), game("b", { wordLength: 6 })]);
+      await repos.stats.saveGames([game("a", { isWon: false })]);
+
+      const five = await repos.stats.loadGames(5);
+      assert.deepStrictEqual([...five.data.map((entry) => entry.id)], ["a"]);
+      assert.strictEqual(five.data[0].isWon, true);
+      assert.strictEqual(five.data[0].userId, undefined);
+      assert.strictEqual((await repos.stats.loadGames(6)).data.length, 1);
+    });
+
+    it("should rank claimed players only", async function () {
+      await addPlayer("Ada", { maxStreak: 5, gamesWon: 2 });
+      await addPlayer("Bob", { maxStreak: 2, gamesWon: 4 });
+      await repos.stats.saveStats({ ...STATS, maxStreak: 9 }, 5); // Anonymous
+
+      const byStreak = await repos.leaderboard.getLeaderboard({
+        sortBy: "streak",
+      });
+      assert.deepStrictEqual(
+        [...byStreak.data.rows.map((leader) => leader.displayName)],
+        ["Ada", "Bob"]
+      );
+      assert.strictEqual(byStreak.data.rows[0].winRate, 50);
+      assert.strictEqual(byStreak.data.nextCursor, null);
+
+      const byWinRate = await repos.leaderboard.getLeaderboard({
+        sortBy: "winrate",
+      });
+      assert.strictEqual(byWinRate.data.rows[0].displayName, "Bob");
+      // The anonymous player's streak of 9 isn't on the board
+      assert.strictEqual((await repos.leaderboard.getRank({})).data, null);
+    });
+
+    it("should rate skill from games and rank rated players", async function () {
+      const ada = await addPlayer("Ada", {});
+      const bob = await addPlayer("Bob", {});
+      await ada.stats.saveGames(
+        [1, 2, 3].map((n) => game(`a${n}`, { puzzleNumber: n, attempts: 2 }))
+      );
+      await bob.stats.saveGames(
+        [1, 2, 3].map((n) => game(`b${n}`, { puzzleNumber: n, attempts: 5 }))
+      );
+      await ada.stats.saveStats(STATS, 5);
+      await bob.stats.saveStats(STATS, 5);
+
+      const rating = (await ada.stats.getSkillRating(5)).data;
+      assert.strictEqual(rating.ratedGames, 3);
+      assert.ok(rating.rating > 1000);
+      assert.strictEqual((await repos.stats.getSkillRating(5)).data, null);
+
+      await addPlayer("Cyd", {}); // No games, so no rating
+      const bySkill = await repos.leaderboard.getLeaderboard({
+        sortBy: "skill",
+      });
+      assert.deepStrictEqual(
+        [...bySkill.data.rows.map((leader) => leader.displayName)],
+        ["Ada", "Bob"]
+      );
+      assert.strictEqual(bySkill.data.rows[0].skillRating, rating.rating);
+    });
+
+    it("should page through the board after a cursor", async function () {
+      const streaks = { Ann: 9, Ben: 7, Cat: 7, Dan: 5, Eve: 3 };
+      for (const [name, maxStreak] of Object.entries(streaks)) {
+        await addPlayer(name, { maxStreak, gamesPlayed: 4 });
+      }
+      const board = { sortBy: "streak" };
+      const names = (page) => [...page.rows.map((row) => row.displayName)];
+      const page = async (cursor) =>
+        (await repos.leaderboard.getLeaderboard(board, { limit: 2, cursor }))
+          .data;
+
+      const first = await page(null);
+      const second = await page(first.nextCursor);
+      const third = await page(second.nextCursor);
+      assert.deepStrictEqual(
+        [...names(first), ...names(second), ...names(third)],
+        ["Ann", "Ben", "Cat", "Dan", "Eve"]
+      );
+      // Ben and Cat tie across the page break and share a rank
+      assert.deepStrictEqual(
+        [first.rows[1].rank, second.rows[0].rank, second.rows[1].rank],
+        [2, 2, 4]
+      );
+      assert.strictEqual(third.nextCursor, null);
+
+      // A search keeps the board's ranks
+      const search = await repos.leaderboard.getLeaderboard(board, {
+        search: "d",
+      });
+      assert.deepStrictEqual(names(search.data), ["Dan"]);
+      assert.strictEqual(search.data.rows[0].rank, 4);
+    });
+
+    it("should tell watchers about stats and games until stopped", async function () {
+      const changes = [];
+      const stop = (
+        await repos.leaderboard.watch((change) => changes.push(change))
+      ).data;
+      const ada = await addPlayer("Ada", {});
+      await ada.stats.saveGames([game("a1")]);
+      await ada.stats.saveGames([]); // Nothing changed
+
+      const userId = ada.profiles.currentUserId();
+      assert.deepStrictEqual(JSON.parse(JSON.stringify(changes)), [
+        { table: "player_stats", userId },
+        { table: "game_history", userId },
+      ]);
+
+      stop();
+      await ada.stats.saveStats(STATS, 5);
+      assert.strictEqual(changes.length, 2);
+    });
+
+    it("should find the page holding this player", async function () {
+      for (const [name, maxStreak] of Object.entries({ Ann: 9, Ben: 7 })) {
+        await addPlayer(name, { maxStreak });
+      }
+      await signIn(repos.profiles, "me@example.com");
+      await repos.profiles.createProfile({ displayName: "Me1" });
+      await repos.stats.saveStats({ ...STATS, maxStreak: 1 }, 5);
+
+      const board = { sortBy: "streak" };
+      const mine = (await repos.leaderboard.getRank(board, { pageSize: 2 }))
+        .data;
+      assert.strictEqual(mine.rank, 3);
+
+      const page = await repos.leaderboard.getLeaderboard(board, {
+        limit: 2,
+        cursor: mine.pageCursor,
+      });
+      assert.strictEqual(page.data.rows[0].displayName, "Me1");
+    });
+  });
+
+  describe("Groups", function () {
+    let env;
+    let repos;
+
+    beforeEach(function () {
+      env = loadRepositories();
+      repos = env.evaluate("createMemoryRepositories()");
+    });
+
+    async function addMember(name, stats = {}) {
+      const other = env.evaluate("(db) => createMemoryRepositories(db)")(
+        repos.profiles.db
+      );
+      await signIn(other.profiles, `${name}@example.com`);
+      await other.profiles.createProfile({ displayName: name });
+      await other.stats.saveStats({ ...STATS, ...stats }, 5);
+      return other;
+    }
+
+    it("should need a profile to create or join a group", async function () {
+      const created = await repos.groups.createGroup("Team");
+      assert.strictEqual(created.error.code, "unauthenticated");
+      assert.deepStrictEqual([...(await repos.groups.listGroups()).data], []);
+    });
+
+    it("should create a group and join it by code or link", async function () {
+      const ada = await addMember("Ada");
+      const bob = await addMember("Bob");
+      assert.strictEqual(
+        (await ada.groups.createGroup("  ")).error.code,
+        "invalid"
+      );
+
+      const team = (await ada.groups.createGroup("Night Owls")).data;
+      assert.match(team.inviteCode, /^[A-HJ-NP-Z2-9]{6}$/);
+      assert.strictEqual(team.memberCount, 1);
+
+      const link = `https://wordle.example/?join=${team.inviteCode.toLowerCase()}`;
+      const joined = await bob.groups.joinGroup(link);
+      assert.strictEqual(joined.data.id, team.id);
+      assert.strictEqual(joined.data.memberCount, 2);
+      // Joining again changes nothing
+      await bob.groups.joinGroup(team.inviteCode);
+      assert.strictEqual(
+        (await bob.groups.listGroups()).data[0].memberCount,
+        2
+      );
+
+      const wrong = await bob.groups.joinGroup("ZZZZZZ");
+      assert.strictEqual(wrong.error.code, "not_found");
+    });
+
+    it("should rank a group's members only", async function () {
+      const ada = await addMember("Ada", { maxStreak: 3 });
+      const bob = await addMember("Bob", { maxStreak: 5 });
+      const cyd = await addMember("Cyd", { maxStreak: 9 }); // Not in the group
+      const team = (await ada.groups.createGroup("Team")).data;
+      await bob.groups.joinGroup(team.inviteCode);
+
+      const board = { sortBy: "streak", groupId: team.id };
+      const rows = (await ada.leaderboard.getLeaderboard(board)).data.rows;
+      assert.deepStrictEqual(
+        [...rows.map((leader) => `${leader.displayName}:${leader.rank}`)],
+        ["Bob:1", "Ada:2"]
+      );
+      assert.strictEqual((await ada.leaderboard.getRank(board)).data.rank, 2);
+
+      const hidden = await cyd.leaderboard.getLeaderboard(board);
+      assert.strictEqual(hidden.error.code, "not_found");
+      const rank = await cyd.leaderboard.getRank(board);
+      assert.strictEqual(rank.error.code, "not_found");
+    });
+
+    it("should list the day's results, best first", async function () {
+      const ada = await addMember("Ada");
+      const bob = await addMember("Bob");
+      const cyd = await addMember("Cyd");
+      const dot = await addMember("Dot");
+      const team = (await ada.groups.createGroup("Team")).data;
+      for (const member of [bob, cyd, dot]) {
+        await member.groups.joinGroup(team.inviteCode);
+      }
+      await ada.stats.saveGames([game("a", { puzzleNumber: 7, attempts: 4 })]);
+      await bob.stats.saveGames([
+        game("b", { puzzleNumber: 7, attempts: 6, isWon: false }),
+      ]);
+      await cyd.stats.saveGames([
+        game("c6", { puzzleNumber: 6, attempts: 1 }), // Another day
+        game("c", { puzzleNumber: 7, attempts: 4, hardMode: true }),
+      ]);
+
+      const day = await ada.groups.getGroupDay(team.id, { puzzleNumber: 7 });
+      assert.deepStrictEqual(
+        [
+          ...day.data.map(
+            ({ displayName, rank, result }) =>
+              `${displayName}:${rank}:${result ? result.attempts : "-"}`
+          ),
+        ],
+        ["Ada:1:4", "Cyd:1:4", "Bob:3:6", "Dot:null:-"]
+      );
+      assert.strictEqual(day.data[1].result.hardMode, true);
+
+      const outsider = await addMember("Eve");
+      const hidden = await outsider.groups.getGroupDay(team.id, {
+        puzzleNumber: 7,
+      });
+      assert.strictEqual(hidden.error.code, "not_found");
+    });
+
+    it("should delete a group once its last member leaves", async function () {
+      const ada = await addMember("Ada");
+      const bob = await addMember("Bob");
+      const team = (await ada.groups.createGroup("Team")).data;
+      await bob.groups.joinGroup(team.inviteCode);
+
+      await ada.groups.leaveGroup(team.id);
+      assert.strictEqual((await ada.groups.listGroups()).data.length, 0);
+      assert.strictEqual(
+        (await bob.groups.listGroups()).data[0].memberCount,
+        1
+      );
+
+      await bob.groups.leaveGroup(team.id);
+      const rejoin = await ada.groups.joinGroup(team.inviteCode);
+      assert.strictEqual(rejoin.error.code, "not_found");
+    });
+  });
+
+  describe("validateProfileDetails", function () {
+    let validate;
+
+    before(function () {
+      validate = loadRepositories().evaluate("validateProfileDetails");
+    });
+
+    it("should accept good details", function () {
+      assert.strictEqual(
+        validate({
+          displayName: "Ada_L 2",
+          avatarUrl: "🦊",
+          email: "ada@example.com",
+        }),
+        null
+      );
+      assert.strictEqual(validate({}), null); // Nothing to change
+      assert.strictEqual(validate({ avatarUrl: null }), null);
+    });
+
+    it("should check name length and characters", function () {
+      assert.ok(validate({ displayName: "Al" }));
+      assert.ok(validate({ displayName: "A".repeat(21) }));
+      assert.ok(validate({ displayName: "   " }));
+      assert.ok(validate({ displayName: "<b>Ada</b>" }));
+    });
+
+    it("should block profanity, also spelled with look-alikes", function () {
+      assert.ok(validate({ displayName: "Shitty Guesser" }));
+      assert.ok(validate({ displayName: "sh1t_happens" }));
+      assert.strictEqual(validate({ displayName: "Ashley" }), null);
+    });
+
+    it("should check avatars and emails", function () {
+      assert.strictEqual(
+        validate({ avatarUrl: "https://example.com/a.png" }),
+        null
+      );
+      assert.ok(validate({ avatarUrl: "not an avatar" }));
+      assert.ok(validate({ avatarUrl: 'https://x.io/"onerror' }));
+      assert.ok(validate({ email: "ada@" }));
+    });
+  });
+
+  describe("Supabase", function () {
+    it("should page leaderboard rows from the database function", async function () {
+      const env = loadRepositories();
+      const row = (userId) => ({
+        user_id: userId,
+        display_name: "Ada",
+        avatar_url: "🦊",
+        games_played: "10",
+        games_won: "7",
+        win_rate: "70.00",
+        current_streak: 1,
+        max_streak: 4,
+        avg_guesses: null,
+        skill_rating: 1085,
+        sort_key_1: "4",
+        sort_key_2: "10",
+        sort_key_3: "0",
+        rank: "1",
+      });
+      const client = fakeClient({ data: [row("u1"), row("u2")], error: null });
+      const repos = env.evaluate("createSupabaseRepositories")(client);
+
+      const result = await repos.leaderboard.getLeaderboard(
+        { sortBy: "streak", wordLength: 6 },
+        { limit: 1, search: " Ad " }
+      );
+      assert.deepStrictEqual(JSON.parse(JSON.stringify(result.data)), {
+        rows: [
+          {
+            userId: "u1",
+            displayName: "Ada",
+            avatarUrl: "🦊",
+            rank: 1,
+            gamesPlayed: 10,
+            gamesWon: 7,
+            winRate: 70,
+            currentStreak: 1,
+            maxStreak: 4,
+            avgGuesses: null,
+            skillRating: 1085,
+            keys: [4, 10, 0],
+          },
+        ],
+        nextCursor: { keys: [4, 10, 0], userId: "u1" }, // A second row came back
+      });
+      assert.deepStrictEqual(JSON.parse(JSON.stringify(client.calls[0])), [
+        "rpc",
+        "get_leaderboard_page",
+        {
+          p_sort: "streak",
+          p_word_length: 6,
+          p_since_puzzle: null,
+          p_min_games: 1,
+          p_group_id: null,
+          p_search: "Ad",
+          p_cursor: null,
+          p_limit: 2,
+        },
+      ]);
+    });
+
+    it("should read this player's rank and page", async function () {
+      const env = loadRepositories();
+      env.localStorage.setItem("WORDLE_USER_ID", "u1");
+      const cursor = { keys: [5, 3, 0], userId: "u9" };
+      const client = fakeClient({
+        data: { rank: "26", page_cursor: cursor },
+        error: null,
+      });
+      const repos = env.evaluate("createSupabaseRepositories")(client);
+
+      const result = await repos.leaderboard.getRank({
+        sortBy: "period",
+        sincePuzzle: 40,
+        minGames: 3,
+      });
+      assert.strictEqual(result.data.rank, 26);
+      assert.deepStrictEqual(result.data.pageCursor, cursor);
+      assert.strictEqual(client.calls[0][2].p_user_id, "u1");
+      assert.strictEqual(client.calls[0][2].p_page_size, 25);
+    });
+
+    it("should refresh the skill rating after saving stats", async function () {
+      const env = loadRepositories();
+      env.localStorage.setItem("WORDLE_USER_ID", "u1");
+      const client = fakeClient({ data: null, error: null });
+      client.auth.session = {
+        user: { id: "auth-1", email: "ada@example.com" },
+      };
+      const repos = env.evaluate("createSupabaseRepositories")(client);
+
+      const result = await repos.stats.saveStats(STATS, 6);
+      assert.strictEqual(result.ok, true);
+      const refresh = client.calls.find((call) => call[0] === "rpc");
+      assert.deepStrictEqual(JSON.parse(JSON.stringify(refresh)), [
+        "rpc",
+        "refresh_skill_rating",
+        { p_user_id: "u1", p_word_length: 6 },
+      ]);
+    });
+
+    it("should join a group through the database function", async function () {
+      const env = loadRepositories();
+      env.localStorage.setItem("WORDLE_USER_ID", "u1");
+      const client = fakeClient({
+        data: {
+          id: "g1",
+          name: "Team",
+          invite_code: "ABC234",
+          member_count: "3",
+        },
+        error: null,
+      });
+      const repos = env.evaluate("createSupabaseRepositories")(client);
+
+      const result = await repos.groups.joinGroup(" abc-234 ");
+      assert.deepStrictEqual(JSON.parse(JSON.stringify(result.data)), {
+        id: "g1",
+        name: "Team",
+        inviteCode: "ABC234",
+        memberCount: 3,
+      });
+      assert.deepStrictEqual(JSON.parse(JSON.stringify(client.calls[0])), [
+        "rpc",
+        "join_group",
+        { p_user_id: "u1", p_invite_code: "ABC234" },
+      ]);
+    });
+
+    it("should type the group functions' errors", async function () {
+      const env = loadRepositories();
+      const client = fakeClient({
+        data: null,
+        error: { code: "P0002", message: "No group with that invite code" },
+      });
+      const repos = env.evaluate("createSupabaseRepositories")(client);
+
+      const result = await repos.groups.joinGroup("ZZZZZZ");
+      assert.strictEqual(result.error.code, "not_found");
+      assert.strictEqual(
+        result.error.message,
+        "No group with that invite code"
+      );
+    });
+
+    it("should follow realtime changes on a channel", async function () {
+      const env = loadRepositories();
+      const client = fakeClient({ data: null, error: null });
+      const channel = {
+        handlers: [],
+        on(type, filter, handler) {
+          channel.handlers.push([type, filter.table, handler]);
+          return channel;
+        },
+        subscribe(callback) {
+          channel.status = callback;
+          return channel;
+        },
+      };
+      client.channel = () => channel;
+      client.removeChannel = (removed) =>
+        (channel.removed = removed === channel);
+      const repos = env.evaluate("createSupabaseRepositories")(client);
+
+      const changes = [];
+      const errors = [];
+      const watched = await repos.leaderboard.watch(
+        (change) => changes.push(change),
+        { onError: (status) => errors.push(status) }
+      );
+      assert.deepStrictEqual(
+        channel.handlers.map(([type, table]) => `${type}:${table}`),
+        ["postgres_changes:player_stats", "postgres_changes:game_history"]
+      );
+
+      channel.handlers[1][2]({ new: { user_id: "u2" } });
+      assert.deepStrictEqual(JSON.parse(JSON.stringify(changes)), [
+        { table: "game_history", userId: "u2" },
+      ]);
+      channel.status("SUBSCRIBED");
+      channel.status("CHANNEL_ERROR");
+      assert.deepStrictEqual(errors, ["CHANNEL_ERROR"]);
+
+      watched.data();
+      assert.strictEqual(channel.removed, true);
+    });
+
+    it("should say when realtime isn't available", async function () {
+      const env = loadRepositories();
+      const repos = env.evaluate("createSupabaseRepositories")(
+        fakeClient({ data: null, error: null })
+      );
+      const watched = await repos.leaderboard.watch(() => {});
+      assert.strictEqual(watched.error.code, "network");
+    });
+
+    it("should type database errors", async function () {
+      const env = loadRepositories();
+      env.localStorage.setItem("WORDLE_USER_ID", "u1");
+      const client = fakeClient({
+        data: null,
+        error: { code: "23505", message: "duplicate key value" },
+      });
+      client.auth.session = {
+        user: { id: "auth-1", email: "ada@example.com" },
+      };
+      const repos = env.evaluate("createSupabaseRepositories")(client);
+
+      const result = await repos.profiles.createProfile({ displayName: "Ada" });
+      assert.strictEqual(result.ok, false);
+      assert.strictEqual(result.error.code, "conflict");
+      assert.strictEqual(result.error.message, "duplicate key value");
+    });
+
+    it("should need a session to create a profile", async function () {
+      const env = loadRepositories();
+      env.localStorage.setItem("WORDLE_USER_ID", "u1");
+      const client = fakeClient({ data: null, error: null });
+      const repos = env.evaluate("createSupabaseRepositories")(client);
+
+      const result = await repos.profiles.createProfile({ displayName: "Ada" });
+      assert.strictEqual(result.error.code, "unauthenticated");
+      assert.ok(!client.calls.some(([method]) => method === "update"));
+    });
+
+    it("should link the guest row to the signed-in identity", async function () {
+      const env = loadRepositories();
+      env.localStorage.setItem("WORDLE_USER_ID", "u1");
+      const client = fakeClient({
+        data: { user_id: "u1", recovered: false },
+        error: null,
+      });
+      const repos = env.evaluate("createSupabaseRepositories")(client);
+
+      await repos.profiles.sendSignInCode("ada@example.com");
+      const otp = client.calls.find(([method]) => method === "signInWithOtp");
+      assert.strictEqual(otp[1].email, "ada@example.com");
+
+      const linked = await repos.profiles.verifySignInCode(
+        "ada@example.com",
+        "123456"
+      );
+      assert.deepStrictEqual(JSON.parse(JSON.stringify(linked.data)), {
+        userId: "u1",
+        recovered: false,
+      });
+      // The database function decides which row to claim
+      const link = client.calls.find(([method]) => method === "rpc");
+      assert.deepStrictEqual(JSON.parse(JSON.stringify(link)), [
+        "rpc",
+        "link_auth_user",
+        { p_user_id: "u1" },
+      ]);
+      assert.ok(!client.calls.some(([method]) => method === "update"));
+
+      await repos.profiles.signOut();
+      assert.strictEqual(env.localStorage.getItem("WORDLE_USER_ID"), null);
+    });
+
+    it("should confirm a new email before editing the profile", async function () {
+      const env = loadRepositories();
+      env.localStorage.setItem("WORDLE_USER_ID", "u1");
+      const client = fakeClient({
+        data: [
+          { display_name: "Ada", email: "ada@example.com", avatar_url: null },
+        ],
+        error: null,
+      });
+      client.auth.session = {
+        user: { id: "auth-1", email: "ada@example.com" },
+      };
+      const repos = env.evaluate("createSupabaseRepositories")(client);
+
+      const result = await repos.profiles.updateProfile({
+        email: "new@example.com",
+        avatarUrl: null,
+      });
+      // The profile keeps the old email until the new one is confirmed
+      assert.strictEqual(result.data.email, "ada@example.com");
+      const methods = client.calls.map(([method]) => method);
+      assert.ok(methods.indexOf("updateUser") < methods.indexOf("update"));
+
+      // Only the changed columns, never a new username
+      const update = client.calls.find(([method]) => method === "update");
+      assert.deepStrictEqual(Object.keys(update[1]), ["avatar_url"]);
+    });
+
+    it("should use the player the database function linked", async function () {
+      const env = loadRepositories();
+      env.localStorage.setItem("WORDLE_USER_ID", "someone-else");
+      const client = fakeClient({
+        data: { user_id: "u2", recovered: false },
+        error: null,
+      });
+      client.auth.session = {
+        user: { id: "auth-1", email: "ada@example.com" },
+      };
+      const repos = env.evaluate("createSupabaseRepositories")(client);
+
+      const linked = await repos.profiles.linkAuthUser();
+      assert.strictEqual(linked.data.userId, "u2");
+      assert.strictEqual(env.localStorage.getItem("WORDLE_USER_ID"), "u2");
+    });
+
+    it("should send no games or stats for a guest", async function () {
+      const env = loadRepositories();
+      env.localStorage.setItem("WORDLE_USER_ID", "u1");
+      const client = fakeClient({ data: [], error: null });
+      const repos = env.evaluate("createSupabaseRepositories")(client);
+
+      assert.strictEqual((await repos.stats.saveGames([game("a")])).ok, true);
+      assert.strictEqual((await repos.stats.saveStats(STATS, 5)).ok, true);
+      assert.strictEqual(
+        (await repos.stats.loadGames(5)).error.code,
+        "unauthenticated"
+      );
+      assert.deepStrictEqual(client.calls, []);
+    });
+
+    it("should report a failed request as a network error", async function () {
+      const env = loadRepositories();
+      env.localStorage.setItem("WORDLE_USER_ID", "u1");
+      const client = fakeClient(new Error("Failed to fetch"));
+      client.auth.session = {
+        user: { id: "auth-1", email: "ada@example.com" },
+      };
+      const repos = env.evaluate("createSupabaseRepositories")(client);
+
+      const result = await repos.stats.loadGames(5);
+      assert.strictEqual(result.error.code, "network");
+    });
+  });
+
+  describe("createRepositories", function () {
+    it("should use Supabase when its client is set up", function () {
+      const env = loadRepositories();
+      const create = env.evaluate("createRepositories");
+      assert.strictEqual(
+        create({ client: fakeClient({}) }).backend,
+        "supabase"
+      );
+      assert.strictEqual(create({ client: null }).backend, "memory");
+    });
+
+    it("should run in memory when asked to", function () {
+      const env = loadRepositories();
+      const repos = env.evaluate("createRepositories")({
+        client: fakeClient({}),
+        backend: "memory",
+      });
+      assert.strictEqual(repos.backend, "memory");
+    });
+  });
+});
@@ -0,0 +1,254 @@
+// StatsLedger: append-only finished games, reconciled by game id
+const assert = require("assert");
+const { loadScripts, createStorage } = require("./helpers/browser-env");
+
+const NOW = Date.UTC(2026, 0, 15);
+
+function loadLedger(storage = createStorage()) {
+  const env = loadScripts(["config.js", "game-engine.js", "stats-ledger.js"], {
+    localStorage: {},
+  });
+  const ledger = env.evaluate(
+    "(storage, now) => new StatsLedger(storage, () => now)"
+  )(storage, NOW);
+  return { env, ledger, storage };
+}
+
+function dailyGame(puzzleNumber, overrides = {}) {
+  return {
+    id: `daily-5-1-${puzzleNumber}`,
+    mode: "daily",
+    puzzleNumber,
+    wordLength: 5,
+    boardCount: 1,
+    isWon: true,
+    attempts: 3,
+    maxAttempts: 6,
+    hardMode: false,
+    targetWords: ["CRANE"],
+    finishedAt: NOW - (100 - puzzleNumber) * 1000,
+    ...overrides,
+  };
+}
+
+const DAILY = { mode: "daily", wordLength: 5, boardCount: 1 };
+
+describe("StatsLedger", function () {
+  it("should record each game id once", function () {
+    const { ledger } = loadLedger();
+    assert.strictEqual(ledger.append(dailyGame(10)), true);
+    assert.strictEqual(ledger.append(dailyGame(10, { isWon: false })), false);
+    assert.strictEqual(ledger.query(DAILY).length, 1);
+    assert.strictEqual(ledger.query(DAILY)[0].isWon, true);
+  });
+
+  it("should see games appended by another tab", function () {
+    const storage = createStorage();
+    const first = loadLedger(storage).ledger;
+    const second = loadLedger(storage).ledger;
+    second.load();
+
+    first.append(dailyGame(10));
+    assert.strictEqual(second.append(dailyGame(10)), false);
+    assert.strictEqual(second.reload().length, 1);
+  });
+
+  it("should reject impossible entries", function () {
+    const { ledger } = loadLedger();
+    [
+      dailyGame(10, { attempts: 7 }),
+      dailyGame(10, { attempts: 0 }),
+      dailyGame(10, { id: "daily-5-1-11" }), // Id not matching the puzzle
+      dailyGame(10, { finishedAt: NOW + 7 * 24 * 60 * 60 * 1000 }),
+      dailyGame(69), // Tomorrow's puzzle, even in UTC+14
+      dailyGame(10, { mode: "ranked" }),
+      { id: "practice-1", mode: "practice" },
+    ].forEach((entry) => assert.strictEqual(ledger.append(entry), false));
+    assert.strictEqual(ledger.load().length, 0);
+  });
+
+  it("should take today's puzzle from the first time zone to reach it", function () {
+    const { ledger } = loadLedger();
+    assert.strictEqual(ledger.append(dailyGame(68)), true); // Today in UTC
+    // 10:00 UTC: already the next day in UTC+14
+    const later = loadLedger().env.evaluate("(now) => latestDailyPuzzle(now)")(
+      NOW + 10 * 60 * 60 * 1000
+    );
+    assert.strictEqual(later, 69);
+  });
+
+  it("should keep one game per variant and puzzle", function () {
+    const { ledger } = loadLedger();
+    ledger.append(dailyGame(10));
+    // The same puzzle again under an id of its own
+    const copy = dailyGame(10, { id: "daily-5-1-10-again", isWon: false });
+    assert.strictEqual(ledger.append(copy), false);
+    assert.strictEqual(ledger.reconcile([copy], DAILY).rejected, 1);
+    assert.strictEqual(ledger.query(DAILY).length, 1);
+  });
+
+  it("should drop edited entries from storage", function () {
+    const storage = createStorage();
+    storage.setItem(
+      "wordleLedger",
+      JSON.stringify({
+        version: 1,
+        entries: [dailyGame(10), dailyGame(11, { attempts: 12 })],
+      })
+    );
+    const { ledger } = loadLedger(storage);
+    assert.deepStrictEqual(
+      [...ledger.load().map((entry) => entry.id)],
+      ["daily-5-1-10"]
+    );
+  });
+
+  it("should start over when storage is unreadable", function () {
+    const storage = createStorage();
+    storage.setItem("wordleLedger", "{not json");
+    const { ledger } = loadLedger(storage);
+    assert.strictEqual(ledger.load().length, 0);
+  });
+
+  it("should keep variants apart", function () {
+    const { ledger } = loadLedger();
+    ledger.append(dailyGame(10));
+    ledger.append(
+      dailyGame(10, { id: "daily-5-2-10", boardCount: 2, maxAttempts: 7 })
+    );
+    assert.strictEqual(ledger.query(DAILY).length, 1);
+    assert.strictEqual(ledger.query({ ...DAILY, boardCount: 2 }).length, 1);
+    assert.strictEqual(ledger.query({ ...DAILY, mode: "practice" }).length, 0);
+  });
+
+  describe("Reconciliation", function () {
+    it("should upload games played offline", function () {
+      const { ledger } = loadLedger();
+      ledger.append(dailyGame(10));
+      ledger.append(dailyGame(11)); // Never reached the cloud
+
+      const report = ledger.reconcile([dailyGame(10)], DAILY);
+      assert.deepStrictEqual(
+        [...report.uploads.map((entry) => entry.id)],
+        ["daily-5-1-11"]
+      );
+      assert.strictEqual(report.added.length, 0);
+      assert.strictEqual(report.conflicts.length, 0);
+      assert.strictEqual(ledger.load().length, 2);
+    });
+
+    it("should add games played on another device", function () {
+      const { env, ledger } = loadLedger();
+      ledger.append(dailyGame(10));
+
+      const report = ledger.reconcile(
+        [dailyGame(10), dailyGame(11, { isWon: false, attempts: 6 })],
+        DAILY
+      );
+      assert.deepStrictEqual([...report.added], ["daily-5-1-11"]);
+      assert.strictEqual(report.uploads.length, 0);
+
+      const stats = env.evaluate("computeStats")(ledger.query(DAILY));
+      assert.strictEqual(stats.gamesPlayed, 2);
+      assert.strictEqual(stats.currentStreak, 0);
+    });
+
+    it("should keep the first finished copy of a game played twice", function () {
+      const early = dailyGame(10, { isWon: false, attempts: 6 });
+      const late = dailyGame(10, { finishedAt: early.finishedAt + 5000 });
+
+      // Device with the early copy: the cloud's copy gets overwritten
+      const first = loadLedger().ledger;
+      first.append(early);
+      const kept = first.reconcile([late], DAILY);
+      assert.deepStrictEqual(
+        [...kept.conflicts.map(({ id, kept }) => `${id}:${kept}`)],
+        ["daily-5-1-10:local"]
+      );
+      assert.strictEqual(kept.overwrites[0].isWon, false);
+
+      // Device with the late copy gives way
+      const second = loadLedger().ledger;
+      second.append(late);
+      const replaced = second.reconcile([early], DAILY);
+      assert.strictEqual(replaced.conflicts[0].kept, "cloud");
+      assert.strictEqual(replaced.overwrites.length, 0);
+      assert.strictEqual(second.reload()[0].isWon, false);
+    });
+
+    it("should settle a tie the same way on both sides", function () {
+      const win = dailyGame(10, { attempts: 4 });
+      const loss = dailyGame(10, { isWon: false, attempts: 6 });
+
+      const first = loadLedger().ledger;
+      first.append(win);
+      first.reconcile([loss], DAILY);
+      const second = loadLedger().ledger;
+      second.append(loss);
+      second.reconcile([win], DAILY);
+
+      assert.strictEqual(first.load()[0].isWon, true);
+      assert.strictEqual(second.load()[0].isWon, true);
+    });
+
+    it("should ignore invalid cloud games and local baselines", function () {
+      const { ledger } = loadLedger();
+      ledger.importLegacyStats(DAILY, { gamesPlayed: 3 });
+
+      const report = ledger.reconcile(
+        [dailyGame(10), dailyGame(11, { attempts: 40 })],
+        DAILY
+      );
+      assert.strictEqual(report.rejected, 1);
+      assert.strictEqual(report.uploads.length, 0);
+      assert.strictEqual(ledger.load().length, 2);
+    });
+  });
+
+  describe("Legacy stats", function () {
+    it("should import counters once as a baseline", function () {
+      const { ledger } = loadLedger();
+      const counters = { gamesPlayed: 4, gamesWon: 3, maxStreak: 2 };
+      assert.strictEqual(ledger.importLegacyStats(DAILY, counters), true);
+      assert.strictEqual(ledger.importLegacyStats(DAILY, counters), false);
+      assert.strictEqual(ledger.query(DAILY)[0].stats.gamesWon, 3);
+    });
+
+    it("should clamp counters to what's possible", function () {
+      const { env, ledger } = loadLedger();
+      ledger.importLegacyStats(DAILY, {
+        gamesPlayed: 2,
+        gamesWon: 999,
+        currentStreak: 50,
+        maxStreak: -3,
+        guessDistribution: { 1: 500 },
+      });
+      const stats = env.evaluate("computeStats")(ledger.query(DAILY));
+      assert.deepStrictEqual(JSON.parse(JSON.stringify(stats)), {
+        gamesPlayed: 2,
+        gamesWon: 2,
+        currentStreak: 0,
+        maxStreak: 0,
+        guessDistribution: {},
+      });
+    });
+  });
+
+  describe("createGameId", function () {
+    it("should derive daily ids from the puzzle", function () {
+      const { env } = loadLedger();
+      const createGameId = env.evaluate("createGameId");
+      assert.strictEqual(
+        createGameId({
+          mode: "daily",
+          wordLength: 6,
+          boardCount: 2,
+          puzzleNumber: 42,
+        }),
+        "daily-6-2-42"
+      );
+      const practice = { mode: "practice", wordLength: 5, boardCount: 1 };
+      assert.notStrictEqual(createGameId(practice), createGameId(practice));
+    });
+  });
+});
@@ -0,0 +1,142 @@
+// SyncOutbox: queued cloud writes replayed with backoff
+const assert = require("assert");
+const { loadScripts, flushPromises } = require("./helpers/browser-env");
+
+/**
+ * An outbox on the test clock. `backend.fail` makes sends fail with that
+ * error code; `backend.sent` lists the keys that went through.
+ */
+function loadOutbox({ online = true } = {}) {
+  const env = loadScripts(["repositories.js", "sync-outbox.js"]);
+  const network = { online };
+  const outbox = env.evaluate(
+    "(clock, network) => new SyncOutbox({ now: () => clock.now, isOnline: () => network.online })"
+  )(env.clock, network);
+
+  const backend = { fail: null, sent: [] };
+  const send = (write) => {
+    if (backend.fail) {
+      return Promise.resolve({ ok: false, error: { code: backend.fail } });
+    }
+    backend.sent.push(write.key);
+    return Promise.resolve({ ok: true, data: true });
+  };
+
+  const statuses = [];
+  outbox.onStatusChange((status, pending) => statuses.push([status, pending]));
+  return { env, outbox, backend, send, network, statuses };
+}
+
+const entry = (id) => ({ id, mode: "daily", wordLength: 5 });
+
+async function tick(env, ms) {
+  env.clock.tick(ms);
+  await flushPromises();
+}
+
+describe("SyncOutbox", function () {
+  it("should send queued writes and empty the queue", async function () {
+    const { outbox, backend, send, statuses } = loadOutbox();
+    outbox.enqueueGame(entry("daily-5-1-1"));
+    outbox.enqueueStats({ gamesPlayed: 1 }, 5);
+    await outbox.start(send);
+
+    assert.deepStrictEqual(backend.sent, ["game:daily-5-1-1", "stats:5"]);
+    assert.strictEqual(outbox.pendingCount(), 0);
+    assert.deepStrictEqual(statuses[statuses.length - 1], ["synced", 0]);
+  });
+
+  it("should queue a game once and keep only the latest stats", function () {
+    const { outbox } = loadOutbox();
+    assert.strictEqual(outbox.enqueueGame(entry("a")), true);
+    assert.strictEqual(outbox.enqueueGame(entry("a")), false);
+    outbox.enqueueStats({ gamesPlayed: 1 }, 5);
+    outbox.enqueueStats({ gamesPlayed: 2 }, 5);
+    outbox.enqueueStats({ gamesPlayed: 1 }, 6);
+
+    const writes = outbox.load();
+    assert.strictEqual(writes.length, 3);
+    assert.strictEqual(writes[1].payload.stats.gamesPlayed, 2);
+  });
+
+  it("should keep writes across page loads", function () {
+    const { env, outbox } = loadOutbox();
+    outbox.enqueueGame(entry("a"));
+    const reloaded = env.evaluate("new SyncOutbox()");
+    assert.strictEqual(reloaded.pendingCount(), 1);
+  });
+
+  it("should back off while the backend is unreachable", async function () {
+    const { env, outbox, backend, send, statuses } = loadOutbox();
+    backend.fail = "network";
+    outbox.enqueueGame(entry("a"));
+    outbox.enqueueGame(entry("b"));
+    await outbox.start(send);
+
+    // Stops at the first network error instead of trying every write
+    const [first, second] = outbox.load();
+    assert.strictEqual(first.attempts, 1);
+    assert.strictEqual(second.attempts, 0);
+    assert.deepStrictEqual(statuses[statuses.length - 1], ["offline", 2]);
+
+    await tick(env, 2000); // First retry
+    assert.strictEqual(outbox.load()[0].attempts, 2);
+    await tick(env, 3999); // Second retry waits 4s
+    assert.strictEqual(outbox.load()[0].attempts, 2);
+
+    backend.fail = null;
+    await tick(env, 1);
+    assert.deepStrictEqual(backend.sent, ["game:a", "game:b"]);
+    assert.strictEqual(outbox.pendingCount(), 0);
+  });
+
+  it("should retry as soon as the browser is back online", async function () {
+    const { env, outbox, backend, send, network } = loadOutbox({
+      online: false,
+    });
+    outbox.enqueueGame(entry("a"));
+    await outbox.start(send);
+    assert.strictEqual(backend.sent.length, 0);
+    assert.strictEqual(outbox.status, "offline");
+    assert.strictEqual(env.clock.pending, 0); // No retry loop while offline
+
+    network.online = true;
+    env.context.dispatchWindowEvent("online");
+    await flushPromises();
+    assert.deepStrictEqual(backend.sent, ["game:a"]);
+    assert.strictEqual(outbox.status, "synced");
+  });
+
+  it("should drop a write the backend keeps rejecting", async function () {
+    const { env, outbox, backend, send } = loadOutbox();
+    backend.fail = "invalid";
+    outbox.enqueueGame(entry("a"));
+    await outbox.start(send);
+
+    // Each retry is scheduled once the previous one has failed
+    for (let i = 0; i < 10; i++) {
+      await tick(env, 5 * 60 * 1000);
+    }
+    assert.strictEqual(outbox.pendingCount(), 0);
+    assert.strictEqual(backend.sent.length, 0);
+  });
+
+  it("should not lose stats queued while sending older ones", async function () {
+    const { outbox, send, backend } = loadOutbox();
+    let release;
+    const slowSend = (write) =>
+      new Promise((resolve) => {
+        release = () => resolve(send(write));
+      });
+
+    outbox.enqueueStats({ gamesPlayed: 1 }, 5);
+    const flushed = outbox.start(slowSend);
+    await flushPromises();
+    outbox.enqueueStats({ gamesPlayed: 2 }, 5);
+    release();
+    await flushed;
+
+    assert.deepStrictEqual(backend.sent, ["stats:5"]);
+    assert.strictEqual(outbox.load()[0].payload.stats.gamesPlayed, 2);
+  });
+});
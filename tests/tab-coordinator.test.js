@@ -0,0 +1,140 @@
+// TabCoordinator: one owning tab per game, messages between tabs
+const assert = require("assert");
+const {
+  loadScripts,
+  createStorage,
+  createBroadcastChannelClass,
+} = require("./helpers/browser-env");
+
+/**
+ * Open `count` tabs sharing localStorage. Without a BroadcastChannel the
+ * tabs fall back to storage events, which the shared storage relays here.
+ */
+function openTabs(count, { broadcast = true } = {}) {
+  const storage = createStorage();
+  const BroadcastChannel = broadcast ? createBroadcastChannelClass() : null;
+  const envs = [];
+
+  const sharedStorage = {
+    ...storage,
+    get length() {
+      return storage.length;
+    },
+    setItem(key, value) {
+      const oldValue = storage.getItem(key);
+      storage.setItem(key, value);
+      relay(key, oldValue, String(value));
+    },
+    removeItem(key) {
+      const oldValue = storage.getItem(key);
+      storage.removeItem(key);
+      relay(key, oldValue, null);
+    },
+  };
+  // Tabs hear about storage changes (the writer too, which browsers skip -
+  // the coordinator ignores its own messages anyway)
+  const relay = (key, oldValue, newValue) =>
+    envs.forEach((env) =>
+      env.context.dispatchWindowEvent("storage", { key, oldValue, newValue })
+    );
+
+  for (let i = 0; i < count; i++) {
+    const env = loadScripts(["tab-coordinator.js"], {
+      sharedStorage,
+      globals: BroadcastChannel ? { BroadcastChannel } : {},
+    });
+    const tab = env.evaluate("tabCoordinator");
+    env.tab = tab;
+    env.messages = [];
+    tab.onMessage((message) => env.messages.push(message));
+    envs.push(env);
+  }
+  envs.forEach((env) => env.tab.start());
+  return { envs, storage };
+}
+
+describe("TabCoordinator", function () {
+  it("should let only one tab own the game", function () {
+    const { envs } = openTabs(2);
+    const [a, b] = envs.map((env) => env.tab);
+
+    assert.strictEqual(a.claim(), true);
+    assert.strictEqual(a.claim(), true); // Already ours
+    assert.strictEqual(b.claim(), false);
+    assert.strictEqual(b.ownerId(), a.tabId);
+  });
+
+  it("should hand over ownership on release", function () {
+    const { envs } = openTabs(2);
+    const [a, b] = envs.map((env) => env.tab);
+    a.claim();
+    b.claim();
+
+    a.release();
+    assert.strictEqual(a.isOwner(), false);
+    assert.strictEqual(b.claim(), true);
+  });
+
+  it("should treat a lock without heartbeats as free", function () {
+    const { envs, storage } = openTabs(1);
+    storage.setItem(
+      "wordleGameOwner",
+      JSON.stringify({ tabId: "closed-tab", heartbeat: 0 })
+    );
+    assert.strictEqual(envs[0].tab.ownerId(), null);
+    assert.strictEqual(envs[0].tab.claim(), true);
+  });
+
+  it("should keep the lock fresh while owning", function () {
+    const { envs, storage } = openTabs(1);
+    const [env] = envs;
+    env.tab.claim();
+    storage.setItem(
+      "wordleGameOwner",
+      JSON.stringify({ tabId: env.tab.tabId, heartbeat: Date.now() - 5000 })
+    );
+
+    env.clock.tick(2000);
+    const lock = JSON.parse(storage.getItem("wordleGameOwner"));
+    assert.ok(Date.now() - lock.heartbeat < 1000);
+  });
+
+  it("should deliver messages to the other tabs only", function () {
+    const { envs } = openTabs(3);
+    envs[0].tab.broadcast("state", { guesses: ["SLATE"] });
+
+    assert.strictEqual(envs[0].messages.length, 0);
+    [envs[1], envs[2]].forEach((env) => {
+      assert.strictEqual(env.messages.length, 1);
+      assert.strictEqual(env.messages[0].type, "state");
+      assert.deepStrictEqual([...env.messages[0].payload.guesses], ["SLATE"]);
+    });
+  });
+
+  it("should fall back to storage events without BroadcastChannel", function () {
+    const { envs } = openTabs(2, { broadcast: false });
+    envs[0].tab.broadcast("finished");
+
+    assert.strictEqual(envs[1].messages.length, 1);
+    assert.strictEqual(envs[1].messages[0].type, "finished");
+  });
+
+  it("should report when the followed tab stops sending heartbeats", function () {
+    const { envs, storage } = openTabs(2);
+    const [owner, follower] = envs;
+    owner.tab.claim();
+    owner.tab.broadcast("state", {});
+
+    // The owner froze: its lock goes stale and nobody releases it
+    storage.setItem(
+      "wordleGameOwner",
+      JSON.stringify({ tabId: owner.tab.tabId, heartbeat: 0 })
+    );
+    follower.clock.tick(2000);
+
+    assert.deepStrictEqual(
+      follower.messages.map((m) => m.type),
+      ["state", "released"]
+    );
+  });
+});